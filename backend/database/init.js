@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const moment = require('moment');
 
 const dbPath = path.join(__dirname, 'expense_matcher.db');
 
@@ -109,6 +110,86 @@ const createDefaultAdminIfNeeded = async () => {
   }
 };
 
+// Run a data migration once per database. Its name is recorded in
+// schema_migrations after it succeeds, so it is not repeated on later starts.
+const runMigration = (name, migrate) => {
+  db.get('SELECT name FROM schema_migrations WHERE name = ?', [name], async (err, row) => {
+    if (err) {
+      console.error(`Error checking migration ${name}:`, err.message);
+      return;
+    }
+    if (row) return;
+
+    try {
+      await migrate();
+      db.run('INSERT INTO schema_migrations (name) VALUES (?)', [name], (err) => {
+        if (err) {
+          console.error(`Error recording migration ${name}:`, err.message);
+        }
+      });
+    } catch (error) {
+      console.error(`Error running migration ${name}:`, error.message);
+    }
+  });
+};
+
+// Formats receipt dates were stored in before they were kept as YYYY-MM-DD:
+// US-style OCR dates, and year-first or dotted dates entered by hand
+const LEGACY_RECEIPT_DATE_FORMATS = [
+  'MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY', 'MM-DD-YYYY', 'M-D-YYYY',
+  'YYYY/MM/DD', 'YYYY/M/D', 'DD.MM.YYYY', 'D.M.YYYY'
+];
+
+// Rewrite receipt dates stored as text ("7/22/2025") to YYYY-MM-DD so
+// date-range filters compare them correctly. Values that don't strictly
+// match a known format are left as they are and logged for a person to fix.
+const normalizeReceiptDates = () => new Promise((resolve, reject) => {
+  db.all(`
+    SELECT id, extracted_date FROM receipts
+    WHERE extracted_date IS NOT NULL
+      AND extracted_date NOT GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]'
+  `, [], (err, rows) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+
+    const parsedRows = rows.map(row => ({ ...row, parsed: moment(String(row.extracted_date).trim(), LEGACY_RECEIPT_DATE_FORMATS, true) }));
+    const updates = parsedRows.filter(row => row.parsed.isValid()).map(row => new Promise((resolve, reject) => {
+      db.run('UPDATE receipts SET extracted_date = ? WHERE id = ?', [row.parsed.format('YYYY-MM-DD'), row.id],
+        (err) => err ? reject(err) : resolve());
+    }));
+
+    parsedRows.filter(row => !row.parsed.isValid()).forEach(row => {
+      console.warn(`Receipt ${row.id} keeps its unrecognized date "${row.extracted_date}"; edit the receipt to fix it`);
+    });
+
+    Promise.all(updates).then(() => {
+      if (updates.length > 0) {
+        console.log(`Normalized ${updates.length} receipt date(s) to YYYY-MM-DD`);
+      }
+      resolve();
+    }, reject);
+  });
+});
+
+// Vendors OCR used to recognize with built-in rules, now vendor templates
+const KNOWN_VENDOR_TEMPLATES = [
+  { name: 'Starlink', anchorText: 'starlink', merchantName: 'Starlink' },
+  { name: 'Starlink (SpaceX)', anchorText: 'spacex', merchantName: 'Starlink' },
+  { name: 'Birdseye Surveillance', anchorText: 'birdseye surveillance', merchantName: 'Birdseye Surveillance LLC' }
+];
+
+// Give companies that have receipts from those vendors a template for each,
+// so their receipts keep the merchant name the built-in rules gave them
+const seedKnownVendorTemplates = () => Promise.all(KNOWN_VENDOR_TEMPLATES.map(template => new Promise((resolve, reject) => {
+  db.run(`
+    INSERT OR IGNORE INTO vendor_templates (company_id, name, anchor_text, merchant_name, rules)
+    SELECT DISTINCT company_id, ?, ?, ?, '{}' FROM receipts
+    WHERE company_id IS NOT NULL AND extracted_merchant = ?
+  `, [template.name, template.anchorText, template.merchantName, template.merchantName], (err) => err ? reject(err) : resolve());
+})));
+
 // Create tables
 const initDatabase = () => {
   // Users table
@@ -123,12 +204,19 @@ const initDatabase = () => {
       reset_token TEXT,
       reset_token_expires DATETIME,
       last_login DATETIME,
+      locale TEXT, -- e.g. en-GB; the company's locale when empty
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `, (err) => {
     if (err) {
       console.error('Error creating users table:', err.message);
+    } else {
+      db.run(`ALTER TABLE users ADD COLUMN locale TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding locale column to users:', err.message);
+        }
+      });
     }
   });
 
@@ -140,12 +228,19 @@ const initDatabase = () => {
       domain TEXT,
       plan_type TEXT DEFAULT 'basic',
       settings TEXT, -- JSON string for company settings
+      inbound_email_token TEXT, -- local part of the company's receipt mailbox
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `, (err) => {
     if (err) {
       console.error('Error creating companies table:', err.message);
+    } else {
+      db.run(`ALTER TABLE companies ADD COLUMN inbound_email_token TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding inbound_email_token column to companies:', err.message);
+        }
+      });
     }
   });
 
@@ -178,9 +273,14 @@ const initDatabase = () => {
       amount DECIMAL(10,2) NOT NULL,
       card_last_four TEXT,
       category TEXT,
-      chase_transaction_id TEXT,
+      chase_transaction_id TEXT, -- dedup key assigned at import, never changed by edits
       external_transaction_id TEXT,
+      original_description TEXT, -- description as imported, before any edits
+      import_batch_id INTEGER, -- import that created the transaction
       sales_tax DECIMAL(10,2),
+      currency TEXT, -- ISO code the charge was billed in; home currency when empty
+      home_amount DECIMAL(10,2), -- amount in the company's home currency
+      exchange_rate REAL, -- rate used for home_amount
       created_by INTEGER,
       updated_by INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -224,6 +324,89 @@ const initDatabase = () => {
           console.error('Error adding updated_by column:', err.message);
         }
       });
+
+      db.run(`ALTER TABLE transactions ADD COLUMN original_description TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding original_description column:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE transactions ADD COLUMN import_batch_id INTEGER`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding import_batch_id column:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE transactions ADD COLUMN currency TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding currency column:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE transactions ADD COLUMN home_amount DECIMAL(10,2)`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding home_amount column:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE transactions ADD COLUMN exchange_rate REAL`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding exchange_rate column:', err.message);
+        }
+      });
+    }
+  });
+
+  // One row per statement import, so an import can be traced and rolled back
+  db.run(`
+    CREATE TABLE IF NOT EXISTS import_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      file_name TEXT,
+      file_hash TEXT, -- SHA-256 of the uploaded file
+      profile TEXT, -- import profile or statement format used
+      imported_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      possible_duplicate_count INTEGER DEFAULT 0,
+      invalid_count INTEGER DEFAULT 0,
+      total_rows INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'completed', -- completed, rolled_back
+      created_by INTEGER,
+      rolled_back_by INTEGER,
+      rolled_back_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      FOREIGN KEY (rolled_back_by) REFERENCES users(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating import_batches table:', err.message);
+    }
+  });
+
+  // Imported transactions that look like an existing one (same amount, close
+  // date, different dedup key) wait here for a person to decide
+  db.run(`
+    CREATE TABLE IF NOT EXISTS transaction_duplicates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      transaction_id INTEGER NOT NULL, -- the newly imported transaction
+      duplicate_of_id INTEGER NOT NULL, -- the existing transaction it resembles
+      reason TEXT,
+      status TEXT DEFAULT 'pending', -- pending, kept, removed
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      FOREIGN KEY (duplicate_of_id) REFERENCES transactions(id),
+      FOREIGN KEY (reviewed_by) REFERENCES users(id),
+      UNIQUE(transaction_id, duplicate_of_id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating transaction_duplicates table:', err.message);
     }
   });
 
@@ -241,7 +424,30 @@ const initDatabase = () => {
       extracted_amount DECIMAL(10,2),
       extracted_date DATE,
       extracted_merchant TEXT,
+      subtotal_amount DECIMAL(10,2),
+      tax_amount DECIMAL(10,2),
+      tip_amount DECIMAL(10,2),
+      currency TEXT, -- ISO code detected on the receipt; home currency when empty
+      home_amount DECIMAL(10,2), -- extracted_amount in the company's home currency
+      exchange_rate REAL, -- rate used for home_amount
+      invoice_number TEXT,
+      vendor_template_id INTEGER, -- vendor template that read this receipt, if any
+      extraction_confidence TEXT, -- JSON { amount, date, merchant: { value, source, confidence } }
+      processed_file_path TEXT, -- cleaned-up copy of a photo that OCR read
+      page_count INTEGER,
+      preprocessing_steps TEXT, -- JSON list of the cleanup steps applied
+      file_hash TEXT, -- sha256 of the uploaded file
+      perceptual_hash TEXT, -- difference hash of a photo, hex
+      text_fingerprint TEXT, -- simhash of the OCR text, hex
+      inbound_email_id INTEGER, -- email the receipt arrived in, if any
+      source_file_path TEXT, -- .eml or .html the receipt PDF was rendered from
+      source_mime_type TEXT,
+      needs_review BOOLEAN DEFAULT FALSE,
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
       processing_status TEXT DEFAULT 'pending',
+      processing_error TEXT,
+      mime_type TEXT,
       created_by INTEGER,
       updated_by INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -272,6 +478,293 @@ const initDatabase = () => {
           console.error('Error adding updated_by column to receipts:', err.message);
         }
       });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN processing_error TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding processing_error column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN mime_type TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding mime_type column to receipts:', err.message);
+        }
+      });
+
+      ['subtotal_amount', 'tax_amount', 'tip_amount'].forEach(column => {
+        db.run(`ALTER TABLE receipts ADD COLUMN ${column} DECIMAL(10,2)`, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            console.error(`Error adding ${column} column to receipts:`, err.message);
+          }
+        });
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN invoice_number TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding invoice_number column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN vendor_template_id INTEGER`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding vendor_template_id column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN extraction_confidence TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding extraction_confidence column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN processed_file_path TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding processed_file_path column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN preprocessing_steps TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding preprocessing_steps column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN page_count INTEGER`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding page_count column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN needs_review BOOLEAN DEFAULT FALSE`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding needs_review column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN reviewed_by INTEGER`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding reviewed_by column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN reviewed_at DATETIME`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding reviewed_at column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN currency TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding currency column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN home_amount DECIMAL(10,2)`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding home_amount column to receipts:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN exchange_rate REAL`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding exchange_rate column to receipts:', err.message);
+        }
+      });
+
+      ['file_hash', 'perceptual_hash', 'text_fingerprint'].forEach(column => {
+        db.run(`ALTER TABLE receipts ADD COLUMN ${column} TEXT`, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            console.error(`Error adding ${column} column to receipts:`, err.message);
+          }
+        });
+      });
+
+      db.run(`ALTER TABLE receipts ADD COLUMN inbound_email_id INTEGER`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding inbound_email_id column to receipts:', err.message);
+        }
+      });
+
+      ['source_file_path', 'source_mime_type'].forEach(column => {
+        db.run(`ALTER TABLE receipts ADD COLUMN ${column} TEXT`, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            console.error(`Error adding ${column} column to receipts:`, err.message);
+          }
+        });
+      });
+    }
+  });
+
+  // Receipts that look like one uploaded earlier (same file, a near-identical
+  // photo, or the same OCR text) wait here until someone keeps or merges them
+  db.run(`
+    CREATE TABLE IF NOT EXISTS receipt_duplicates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      receipt_id INTEGER NOT NULL, -- the newer upload
+      duplicate_of_id INTEGER NOT NULL, -- the earlier receipt it resembles
+      method TEXT NOT NULL, -- file_hash, perceptual_hash or text_fingerprint
+      similarity REAL, -- 1 for identical files, lower for near matches
+      reason TEXT,
+      status TEXT DEFAULT 'pending', -- pending, kept, merged
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (receipt_id) REFERENCES receipts(id),
+      FOREIGN KEY (duplicate_of_id) REFERENCES receipts(id),
+      FOREIGN KEY (reviewed_by) REFERENCES users(id),
+      UNIQUE(receipt_id, duplicate_of_id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating receipt_duplicates table:', err.message);
+    }
+  });
+
+  // Mail received at a company's receipt address, kept as .eml with the
+  // outcome (how many receipts it gave, or why it was rejected)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS inbound_emails (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      user_id INTEGER, -- the member who sent it, when recognized
+      from_address TEXT,
+      subject TEXT,
+      message_id TEXT,
+      file_path TEXT, -- the raw message
+      status TEXT DEFAULT 'received', -- received, processed, rejected
+      error TEXT,
+      receipt_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating inbound_emails table:', err.message);
+    }
+  });
+
+  // Bulk receipt uploads (several files and/or ZIP archives at once)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS receipt_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      file_count INTEGER DEFAULT 0, -- files in the batch, counting each file inside an archive
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating receipt_batches table:', err.message);
+    }
+  });
+
+  // Each file of a batch: the receipt made from it, or why it was rejected
+  db.run(`
+    CREATE TABLE IF NOT EXISTS receipt_batch_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id INTEGER NOT NULL,
+      original_filename TEXT NOT NULL,
+      archive_name TEXT, -- ZIP the file came out of, if any
+      receipt_id INTEGER,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (batch_id) REFERENCES receipt_batches(id),
+      FOREIGN KEY (receipt_id) REFERENCES receipts(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating receipt_batch_files table:', err.message);
+    }
+  });
+
+  // Itemized lines read from a receipt, editable by the uploader
+  db.run(`
+    CREATE TABLE IF NOT EXISTS receipt_line_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      receipt_id INTEGER NOT NULL,
+      line_number INTEGER,
+      description TEXT NOT NULL,
+      quantity DECIMAL(10,3) DEFAULT 1,
+      unit_price DECIMAL(10,2),
+      total DECIMAL(10,2),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (receipt_id) REFERENCES receipts(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating receipt_line_items table:', err.message);
+    }
+  });
+
+  // Text of each page of a receipt, and whether it came from the PDF's text
+  // layer or from OCR
+  db.run(`
+    CREATE TABLE IF NOT EXISTS receipt_pages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      receipt_id INTEGER NOT NULL,
+      page_number INTEGER NOT NULL,
+      ocr_text TEXT,
+      extraction_method TEXT, -- text_layer, ocr or html
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (receipt_id) REFERENCES receipts(id),
+      UNIQUE(receipt_id, page_number)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating receipt_pages table:', err.message);
+    }
+  });
+
+  // Corrections users made to OCR-extracted fields, one row per receipt and
+  // field, kept to measure extraction accuracy per strategy
+  db.run(`
+    CREATE TABLE IF NOT EXISTS receipt_corrections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      receipt_id INTEGER NOT NULL,
+      company_id INTEGER NOT NULL,
+      field TEXT NOT NULL, -- amount, date or merchant
+      extracted_value TEXT,
+      corrected_value TEXT,
+      source TEXT, -- extraction strategy that produced the wrong value
+      confidence INTEGER,
+      corrected_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (receipt_id) REFERENCES receipts(id),
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (corrected_by) REFERENCES users(id),
+      UNIQUE(receipt_id, field)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating receipt_corrections table:', err.message);
+    }
+  });
+
+  // OCR jobs, worked off in the background so uploads return immediately and
+  // unfinished work survives a restart
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ocr_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      receipt_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'queued', -- queued, processing, completed, failed
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      next_run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      started_at DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (receipt_id) REFERENCES receipts(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating ocr_jobs table:', err.message);
     }
   });
 
@@ -282,6 +775,9 @@ const initDatabase = () => {
       transaction_id INTEGER NOT NULL,
       receipt_id INTEGER NOT NULL,
       match_confidence DECIMAL(5,2),
+      match_details TEXT, -- JSON per-factor score breakdown
+      allocated_amount DECIMAL(10,2), -- portion of the transaction covered by this receipt
+      split_group TEXT, -- shared by the rows of a one-to-many or many-to-one split
       match_status TEXT DEFAULT 'pending',
       user_confirmed BOOLEAN DEFAULT FALSE,
       confirmed_by INTEGER,
@@ -318,6 +814,237 @@ const initDatabase = () => {
           console.error('Error adding updated_by column to matches:', err.message);
         }
       });
+
+      db.run(`ALTER TABLE matches ADD COLUMN match_details TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding match_details column to matches:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE matches ADD COLUMN allocated_amount DECIMAL(10,2)`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding allocated_amount column to matches:', err.message);
+        }
+      });
+
+      db.run(`ALTER TABLE matches ADD COLUMN split_group TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) {
+          console.error('Error adding split_group column to matches:', err.message);
+        }
+      });
+    }
+  });
+
+  // Merchant aliases learned from confirmed matches (receipt merchant name <->
+  // normalized bank description), editable by company admins
+  db.run(`
+    CREATE TABLE IF NOT EXISTS merchant_aliases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      merchant_name TEXT NOT NULL, -- normalized receipt merchant
+      description_pattern TEXT NOT NULL, -- normalized bank description
+      confirmed_count INTEGER DEFAULT 1,
+      last_confirmed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER,
+      updated_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      FOREIGN KEY (updated_by) REFERENCES users(id),
+      UNIQUE(company_id, merchant_name, description_pattern)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating merchant_aliases table:', err.message);
+    }
+  });
+
+  // Per-company vendor templates: when a receipt contains the anchor text,
+  // the template's rules read its fields before the generic OCR heuristics
+  db.run(`
+    CREATE TABLE IF NOT EXISTS vendor_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      anchor_text TEXT NOT NULL,
+      merchant_name TEXT, -- fixed merchant name for every matching receipt
+      date_format TEXT, -- moment format for the date rule
+      rules TEXT NOT NULL, -- JSON { amount, date, merchant, invoice_number } field rules
+      priority INTEGER DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INTEGER,
+      updated_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      FOREIGN KEY (updated_by) REFERENCES users(id),
+      UNIQUE(company_id, name)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating vendor_templates table:', err.message);
+    }
+  });
+
+  // Exchange rates imported by company admins: one unit of base_currency is
+  // worth `rate` units of quote_currency on rate_date
+  db.run(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      rate_date DATE NOT NULL,
+      base_currency TEXT NOT NULL,
+      quote_currency TEXT NOT NULL,
+      rate REAL NOT NULL,
+      source TEXT DEFAULT 'csv',
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      UNIQUE(company_id, rate_date, base_currency, quote_currency)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating exchange_rates table:', err.message);
+    }
+  });
+
+  // Expense reports: matched transactions a user groups for a purpose and
+  // period and submits for approval
+  db.run(`
+    CREATE TABLE IF NOT EXISTS expense_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      status TEXT DEFAULT 'draft', -- draft, submitted, returned, approved or rejected
+      submitted_at DATETIME,
+      decided_by INTEGER, -- approver who gave the final approval or rejected the report
+      decided_at DATETIME,
+      created_by INTEGER NOT NULL,
+      updated_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (decided_by) REFERENCES users(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      FOREIGN KEY (updated_by) REFERENCES users(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating expense_reports table:', err.message);
+    }
+  });
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS expense_report_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report_id INTEGER NOT NULL,
+      transaction_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (report_id) REFERENCES expense_reports(id),
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+      UNIQUE(report_id, transaction_id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating expense_report_items table:', err.message);
+    }
+  });
+
+  // Every status change of a report, with who made it and their comment
+  db.run(`
+    CREATE TABLE IF NOT EXISTS expense_report_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report_id INTEGER NOT NULL,
+      action TEXT NOT NULL, -- created, submitted, approved, rejected or returned
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      comment TEXT,
+      user_id INTEGER,
+      step_id INTEGER, -- approval step an approver decided on; null for the default manager step
+      on_behalf_of INTEGER, -- approver the user stood in for as their delegate
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (report_id) REFERENCES expense_reports(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (step_id) REFERENCES approval_steps(id),
+      FOREIGN KEY (on_behalf_of) REFERENCES users(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating expense_report_history table:', err.message);
+    } else {
+      ['step_id', 'on_behalf_of'].forEach(column => {
+        db.run(`ALTER TABLE expense_report_history ADD COLUMN ${column} INTEGER`, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            console.error(`Error adding ${column} column to expense_report_history:`, err.message);
+          }
+        });
+      });
+    }
+  });
+
+  // A company's approval chain. Steps apply to a report when its total is
+  // over min_total and, if set, it has a transaction in category; they are
+  // approved in position order by anyone with approver_role (or higher) or
+  // by approver_user_id.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS approval_steps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      approver_role TEXT, -- manager or admin
+      approver_user_id INTEGER,
+      min_total REAL, -- home currency
+      category TEXT,
+      created_by INTEGER,
+      updated_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (approver_user_id) REFERENCES users(id),
+      FOREIGN KEY (created_by) REFERENCES users(id),
+      FOREIGN KEY (updated_by) REFERENCES users(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating approval_steps table:', err.message);
+    }
+  });
+
+  // An approver who is out hands their approvals to a delegate between two dates
+  db.run(`
+    CREATE TABLE IF NOT EXISTS approval_delegations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      company_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      delegate_id INTEGER NOT NULL,
+      starts_on DATE NOT NULL,
+      ends_on DATE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (company_id) REFERENCES companies(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (delegate_id) REFERENCES users(id)
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating approval_delegations table:', err.message);
+    }
+  });
+
+  // Data migrations that have already run
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => {
+    if (err) {
+      console.error('Error creating schema_migrations table:', err.message);
     }
   });
 
@@ -326,6 +1053,8 @@ const initDatabase = () => {
   // Create default admin user if needed (run after a short delay to ensure tables are ready)
   setTimeout(() => {
     createDefaultAdminIfNeeded();
+    runMigration('normalize_receipt_dates', normalizeReceiptDates);
+    runMigration('seed_known_vendor_templates', seedKnownVendorTemplates);
   }, 1000);
 };
 
@@ -0,0 +1,125 @@
+const express = require('express');
+const { authenticateToken, getUserCompanies, requireCompanyAccess, requireRole, addUserTracking } = require('../middleware/auth');
+const approvalChainService = require('../services/approvalChainService');
+
+const router = express.Router();
+
+// Apply authentication and company context middleware to all routes
+router.use(authenticateToken);
+router.use(getUserCompanies);
+router.use(requireCompanyAccess);
+router.use(addUserTracking);
+
+// The company's approval steps in order. Everyone can see them so they know
+// who will approve their reports.
+router.get('/steps', async (req, res) => {
+  try {
+    res.json({ steps: await approvalChainService.getSteps(req.companyId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a step to the chain (admins)
+router.post('/steps', requireRole('admin'), async (req, res) => {
+  let values;
+  try {
+    values = await approvalChainService.validateStep(req.companyId, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const stepId = await approvalChainService.createStep(req.companyId, req.userId, values);
+    res.status(201).json({ message: 'Approval step added', stepId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a step (admins)
+router.put('/steps/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const step = await approvalChainService.getStep(req.params.id, req.companyId);
+    if (!step) {
+      return res.status(404).json({ error: 'Approval step not found' });
+    }
+
+    let values;
+    try {
+      values = await approvalChainService.validateStep(req.companyId, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await approvalChainService.updateStep(step, req.userId, values);
+    res.json({ message: 'Approval step updated' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a step (admins). Reports waiting for it no longer need it.
+router.delete('/steps/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const step = await approvalChainService.getStep(req.params.id, req.companyId);
+    if (!step) {
+      return res.status(404).json({ error: 'Approval step not found' });
+    }
+
+    await approvalChainService.deleteStep(step.id);
+    res.json({ message: 'Approval step removed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Company members to choose named approvers and delegates from
+router.get('/members', async (req, res) => {
+  try {
+    res.json({ members: await approvalChainService.getMembers(req.companyId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current and upcoming delegations the user gave or was given
+router.get('/delegations', async (req, res) => {
+  try {
+    res.json({ delegations: await approvalChainService.getDelegations(req.companyId, req.user.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hand your approvals to a delegate while you are out
+router.post('/delegations', async (req, res) => {
+  let values;
+  try {
+    values = await approvalChainService.validateDelegation(req.companyId, req.user.id, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const delegationId = await approvalChainService.createDelegation(req.companyId, req.user.id, values);
+    res.status(201).json({ message: 'Delegation added', delegationId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End one of your delegations
+router.delete('/delegations/:id', async (req, res) => {
+  try {
+    const deleted = await approvalChainService.deleteDelegation(req.params.id, req.companyId, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Delegation not found' });
+    }
+    res.json({ message: 'Delegation removed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const db = require('../database/init');
 const { generateTokens, authenticateToken, refreshAccessToken } = require('../middleware/auth');
+const localeService = require('../services/localeService');
 
 const router = express.Router();
 
@@ -242,7 +243,7 @@ router.post('/logout', authenticateToken, (req, res) => {
 
 // Get current user profile
 router.get('/profile', authenticateToken, (req, res) => {
-  db.get('SELECT id, email, first_name, last_name, email_verified, last_login, created_at FROM users WHERE id = ?', 
+  db.get('SELECT id, email, first_name, last_name, email_verified, last_login, locale, created_at FROM users WHERE id = ?', 
     [req.user.id], (err, user) => {
       if (err) {
         console.error('Profile fetch error:', err);
@@ -261,8 +262,10 @@ router.get('/profile', authenticateToken, (req, res) => {
           lastName: user.last_name,
           emailVerified: user.email_verified,
           lastLogin: user.last_login,
+          locale: user.locale || null,
           memberSince: user.created_at
-        }
+        },
+        locales: localeService.listLocales()
       });
     });
 });
@@ -270,16 +273,23 @@ router.get('/profile', authenticateToken, (req, res) => {
 // Update user profile
 router.put('/profile', authenticateToken, (req, res) => {
   const { firstName, lastName } = req.body;
+  // Locale is left alone when not sent; an empty one falls back to the company's
+  const updatesLocale = req.body.locale !== undefined;
+  const locale = req.body.locale || null;
 
   if (!firstName || !lastName) {
     return res.status(400).json({ error: 'First name and last name are required' });
   }
 
+  if (locale && !localeService.isSupported(locale)) {
+    return res.status(400).json({ error: `Unsupported locale "${locale}"` });
+  }
+
   db.run(`
     UPDATE users 
-    SET first_name = ?, last_name = ?, updated_at = CURRENT_TIMESTAMP 
+    SET first_name = ?, last_name = ?, ${updatesLocale ? 'locale = ?, ' : ''}updated_at = CURRENT_TIMESTAMP 
     WHERE id = ?
-  `, [firstName, lastName, req.user.id], function(err) {
+  `, [firstName, lastName, ...(updatesLocale ? [locale] : []), req.user.id], function(err) {
     if (err) {
       console.error('Profile update error:', err);
       return res.status(500).json({ error: 'Failed to update profile' });
@@ -293,7 +303,8 @@ router.put('/profile', authenticateToken, (req, res) => {
       message: 'Profile updated successfully',
       user: {
         firstName,
-        lastName
+        lastName,
+        ...(updatesLocale && { locale })
       }
     });
   });
@@ -1,6 +1,10 @@
 const express = require('express');
 const db = require('../database/init');
 const { authenticateToken, getUserCompanies, requireRole, requireCompanyAccess } = require('../middleware/auth');
+const matchingService = require('../services/matchingService');
+const localeService = require('../services/localeService');
+const inboundEmailService = require('../services/inboundEmailService');
+const policyService = require('../services/policyService');
 
 const router = express.Router();
 
@@ -60,7 +64,8 @@ router.get('/:id', requireCompanyAccess, requireRole('admin'), (req, res) => {
         receiptCount: company.receipt_count,
         createdAt: company.created_at,
         updatedAt: company.updated_at
-      }
+      },
+      locales: localeService.listLocales()
     });
   });
 });
@@ -68,7 +73,7 @@ router.get('/:id', requireCompanyAccess, requireRole('admin'), (req, res) => {
 // Update company details (admin only)
 router.put('/:id', requireCompanyAccess, requireRole('admin'), (req, res) => {
   const companyId = parseInt(req.params.id);
-  const { name, domain, settings } = req.body;
+  const { name, domain, settings, locale } = req.body;
 
   // Verify user has access to this company
   if (req.user.currentCompany.id !== companyId) {
@@ -79,13 +84,18 @@ router.put('/:id', requireCompanyAccess, requireRole('admin'), (req, res) => {
     return res.status(400).json({ error: 'Company name is required' });
   }
 
+  if (locale !== undefined && !localeService.isSupported(locale)) {
+    return res.status(400).json({ error: `Unsupported locale "${locale}"` });
+  }
+
+  // Leave stored settings untouched when the request doesn't include any
   const settingsJson = settings ? JSON.stringify(settings) : null;
 
   db.run(`
     UPDATE companies 
-    SET name = ?, domain = ?, settings = ?, updated_at = CURRENT_TIMESTAMP 
+    SET name = ?, domain = ?, settings = COALESCE(?, settings), updated_at = CURRENT_TIMESTAMP 
     WHERE id = ?
-  `, [name, domain, settingsJson, companyId], function(err) {
+  `, [name, domain, settingsJson, companyId], async function(err) {
     if (err) {
       console.error('Error updating company:', err);
       return res.status(500).json({ error: 'Failed to update company' });
@@ -95,13 +105,167 @@ router.put('/:id', requireCompanyAccess, requireRole('admin'), (req, res) => {
       return res.status(404).json({ error: 'Company not found' });
     }
 
+    // The locale lives in settings but is set on its own, so changing it
+    // doesn't mean sending every other setting back
+    if (locale !== undefined) {
+      try {
+        await localeService.setCompanyLocale(companyId, locale);
+      } catch (error) {
+        console.error('Error updating company locale:', error);
+        return res.status(500).json({ error: 'Failed to update company' });
+      }
+    }
+
     res.json({ 
       message: 'Company updated successfully',
-      company: { name, domain, settings }
+      company: { name, domain, settings, locale }
+    });
+  });
+});
+
+// Get matching engine settings (admin only)
+router.get('/:id/matching-settings', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  const companyId = parseInt(req.params.id);
+
+  // Verify user has access to this company
+  if (req.user.currentCompany.id !== companyId) {
+    return res.status(403).json({ error: 'Access denied to this company' });
+  }
+
+  try {
+    const settings = await matchingService.getCompanySettings(companyId);
+    res.json({
+      settings,
+      defaults: matchingService.defaultSettings
+    });
+  } catch (error) {
+    console.error('Error fetching matching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch matching settings' });
+  }
+});
+
+// Update matching engine settings (admin only)
+router.put('/:id/matching-settings', requireCompanyAccess, requireRole('admin'), (req, res) => {
+  const companyId = parseInt(req.params.id);
+  const { settings } = req.body;
+
+  // Verify user has access to this company
+  if (req.user.currentCompany.id !== companyId) {
+    return res.status(403).json({ error: 'Access denied to this company' });
+  }
+
+  if (!settings || typeof settings !== 'object') {
+    return res.status(400).json({ error: 'Matching settings are required' });
+  }
+
+  const matching = matchingService.resolveSettings(settings);
+  if (matching.autoMatchThreshold > 100) {
+    return res.status(400).json({ error: 'Auto-match threshold cannot exceed 100' });
+  }
+
+  db.get('SELECT settings FROM companies WHERE id = ?', [companyId], (err, company) => {
+    if (err) {
+      console.error('Error fetching company settings:', err);
+      return res.status(500).json({ error: 'Failed to update matching settings' });
+    }
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    // Unreadable settings are replaced, as they are when read for matching
+    let companySettings = {};
+    if (company.settings) {
+      try {
+        companySettings = JSON.parse(company.settings);
+      } catch (parseError) {
+        console.error(`Invalid settings JSON for company ${companyId}:`, parseError.message);
+      }
+    }
+    companySettings.matching = matching;
+
+    db.run(`
+      UPDATE companies 
+      SET settings = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = ?
+    `, [JSON.stringify(companySettings), companyId], function(err) {
+      if (err) {
+        console.error('Error updating matching settings:', err);
+        return res.status(500).json({ error: 'Failed to update matching settings' });
+      }
+
+      res.json({
+        message: 'Matching settings updated successfully',
+        settings: matching
+      });
     });
   });
 });
 
+// Get the expense policy checked against transactions (admin only)
+router.get('/:id/policy', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  const companyId = parseInt(req.params.id);
+
+  // Verify user has access to this company
+  if (req.user.currentCompany.id !== companyId) {
+    return res.status(403).json({ error: 'Access denied to this company' });
+  }
+
+  try {
+    res.json({ policy: await policyService.getCompanyPolicy(companyId) });
+  } catch (error) {
+    console.error('Error fetching expense policy:', error);
+    res.status(500).json({ error: 'Failed to fetch expense policy' });
+  }
+});
+
+// Update the expense policy (admin only). Rules with missing or invalid
+// amounts are dropped.
+router.put('/:id/policy', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  const companyId = parseInt(req.params.id);
+  const { policy } = req.body;
+
+  // Verify user has access to this company
+  if (req.user.currentCompany.id !== companyId) {
+    return res.status(403).json({ error: 'Access denied to this company' });
+  }
+
+  if (!policy || typeof policy !== 'object') {
+    return res.status(400).json({ error: 'Expense policy is required' });
+  }
+
+  try {
+    res.json({
+      message: 'Expense policy updated successfully',
+      policy: await policyService.setCompanyPolicy(companyId, policy)
+    });
+  } catch (error) {
+    console.error('Error updating expense policy:', error);
+    res.status(500).json({ error: 'Failed to update expense policy' });
+  }
+});
+
+// Give the company a new receipt email address (admin only)
+router.post('/:id/inbound-email/regenerate', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  const companyId = parseInt(req.params.id);
+
+  // Verify user has access to this company
+  if (req.user.currentCompany.id !== companyId) {
+    return res.status(403).json({ error: 'Access denied to this company' });
+  }
+
+  try {
+    const address = await inboundEmailService.regenerateAddress(companyId);
+    res.json({
+      message: 'Receipt email address regenerated; mail to the old address will be refused',
+      address
+    });
+  } catch (error) {
+    console.error('Error regenerating inbound email address:', error);
+    res.status(500).json({ error: 'Failed to regenerate receipt email address' });
+  }
+});
+
 // Get company users (admin/manager only)
 router.get('/:id/users', requireCompanyAccess, requireRole('manager'), (req, res) => {
   const companyId = parseInt(req.params.id);
@@ -0,0 +1,102 @@
+const express = require('express');
+const fs = require('fs');
+const multer = require('multer');
+const path = require('path');
+const { authenticateToken, getUserCompanies, requireCompanyAccess, requireRole, addUserTracking } = require('../middleware/auth');
+const currencyService = require('../services/currencyService');
+
+const router = express.Router();
+
+// Home currency and exchange rates are maintained by company admins
+router.use(authenticateToken);
+router.use(getUserCompanies);
+router.use(requireCompanyAccess);
+router.use(requireRole('admin'));
+router.use(addUserTracking);
+
+const csvDir = path.join(__dirname, '../uploads/csv');
+const rateUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      if (!fs.existsSync(csvDir)) {
+        fs.mkdirSync(csvDir, { recursive: true });
+      }
+      cb(null, csvDir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `rates_${req.companyId}_${req.userId}_${Date.now()}.csv`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+// Get the home currency and every stored rate
+router.get('/', async (req, res) => {
+  try {
+    const [homeCurrency, rates] = await Promise.all([
+      currencyService.getHomeCurrency(req.companyId),
+      currencyService.getRates(req.companyId)
+    ]);
+    res.json({ homeCurrency, rates });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change the currency reports and matching convert into. Stored home
+// amounts are recomputed.
+router.put('/home-currency', async (req, res) => {
+  const currency = currencyService.normalizeCode(req.body.currency);
+  if (!currency) {
+    return res.status(400).json({ error: 'currency must be a three-letter currency code' });
+  }
+
+  try {
+    await currencyService.setHomeCurrency(req.companyId, currency);
+    const refreshed = await currencyService.refreshHomeAmounts(req.companyId);
+    res.json({ message: 'Home currency updated', homeCurrency: currency, refreshed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import rates from a CSV with Date, From, To and Rate columns. A rate for a
+// day and currency pair already stored is replaced.
+router.post('/import', rateUpload.single('csvFile'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No CSV file uploaded' });
+  }
+
+  try {
+    const { rates, errors } = await currencyService.parseRatesCsv(req.file.path);
+    const imported = await currencyService.saveRates(req.companyId, rates, req.userId);
+    const refreshed = imported > 0 ? await currencyService.refreshHomeAmounts(req.companyId) : null;
+    res.json({ message: 'Exchange rates imported', imported, invalid: errors.length, errors, refreshed });
+  } catch (err) {
+    res.status(500).json({ error: 'Error importing exchange rates: ' + err.message });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+// Delete a rate
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await currencyService.deleteRate(req.companyId, req.params.id);
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+    await currencyService.refreshHomeAmounts(req.companyId);
+    res.json({ message: 'Exchange rate deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const moment = require('moment');
+const { authenticateToken, getUserCompanies, requireCompanyAccess, addUserTracking } = require('../middleware/auth');
+const expenseReportService = require('../services/expenseReportService');
+const currencyService = require('../services/currencyService');
+const pdfService = require('../services/pdfService');
+
+const router = express.Router();
+
+// Apply authentication and company context middleware to all routes
+router.use(authenticateToken);
+router.use(getUserCompanies);
+router.use(requireCompanyAccess);
+router.use(addUserTracking);
+
+const isManager = (req) => ['manager', 'admin'].includes(req.user.currentRole);
+
+// The signed-in user as the approval chain sees them
+const approver = (req) => ({ id: req.user.id, role: req.user.currentRole });
+
+// Load the report named in the URL, or answer 404 unless the user may see it
+// (see expenseReportService.canView)
+const loadReport = async (req, res) => {
+  const report = await expenseReportService.getReport(req.params.id, req.companyId);
+  if (!report || !(await expenseReportService.canView(report, approver(req)))) {
+    res.status(404).json({ error: 'Expense report not found' });
+    return null;
+  }
+  return report;
+};
+
+// Load a report its owner is about to change, or answer with why they can't
+const loadEditableReport = async (req, res) => {
+  const report = await loadReport(req, res);
+  if (!report) {
+    return null;
+  }
+  if (report.created_by !== req.user.id) {
+    res.status(403).json({ error: 'Only the report owner can change it' });
+    return null;
+  }
+  const editError = expenseReportService.editError(report);
+  if (editError) {
+    res.status(400).json({ error: editError });
+    return null;
+  }
+  return report;
+};
+
+// List expense reports. Users see their own; managers also see the reports
+// others have submitted. ?mine=1 limits the list to your own reports, ?status=
+// to one status and ?awaiting=1 to the reports waiting for a step the user
+// can approve, which may be named or delegated to someone without the
+// manager role.
+router.get('/', async (req, res) => {
+  try {
+    const homeCurrency = await currencyService.getHomeCurrency(req.companyId);
+
+    if (req.query.awaiting === '1') {
+      const submitted = await expenseReportService.listReports(req.companyId, {
+        viewerId: req.user.id,
+        status: 'submitted'
+      }, homeCurrency);
+      const reports = [];
+      for (const report of submitted) {
+        const { pending, acting } = await expenseReportService.getApproval(report, approver(req));
+        if (acting) {
+          reports.push({ ...report, pending_step: pending.name, on_behalf_of: acting.onBehalfOf });
+        }
+      }
+      return res.json({ reports, homeCurrency });
+    }
+
+    const reports = await expenseReportService.listReports(req.companyId, {
+      ownerId: !isManager(req) || req.query.mine === '1' ? req.user.id : null,
+      viewerId: req.user.id,
+      status: req.query.status || null
+    }, homeCurrency);
+    res.json({ reports, homeCurrency });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a draft report
+router.post('/', async (req, res) => {
+  let values;
+  try {
+    values = expenseReportService.validateReport(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const reportId = await expenseReportService.createReport(req.companyId, req.userId, values);
+    res.status(201).json({ message: 'Expense report created', reportId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a report with its transactions, total, approval steps and status
+// history. approval.acting says whether and for whom the user can decide on
+// the step waiting for approval.
+router.get('/:id', async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const homeCurrency = await currencyService.getHomeCurrency(req.companyId);
+    const items = await expenseReportService.getItems(report.id);
+    res.json({
+      ...report,
+      items,
+      totals: expenseReportService.totalOf(items, homeCurrency),
+      approval: await expenseReportService.getApproval(report, approver(req)),
+      history: await expenseReportService.getHistory(report.id),
+      homeCurrency
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a draft or returned report's purpose and period
+router.put('/:id', async (req, res) => {
+  let values;
+  try {
+    values = expenseReportService.validateReport(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const report = await loadEditableReport(req, res);
+    if (!report) return;
+
+    await expenseReportService.updateReport(report, values, req.userId);
+    res.json({ message: 'Expense report updated' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a draft or returned report
+router.delete('/:id', async (req, res) => {
+  try {
+    const report = await loadEditableReport(req, res);
+    if (!report) return;
+
+    await expenseReportService.deleteReport(report.id);
+    res.json({ message: 'Expense report deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Matched transactions in the report's period that can be added to it
+router.get('/:id/available-transactions', async (req, res) => {
+  try {
+    const report = await loadEditableReport(req, res);
+    if (!report) return;
+
+    const transactions = await expenseReportService.getAvailableTransactions(report, req.user.currentRole !== 'admin');
+    res.json({ transactions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add matched transactions to a report
+router.post('/:id/transactions', async (req, res) => {
+  try {
+    const report = await loadEditableReport(req, res);
+    if (!report) return;
+
+    const added = await expenseReportService.addTransactions(report, req.body.transactionIds, req.user.currentRole !== 'admin');
+    res.json({ message: `${added} transaction(s) added to the report` });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Take a transaction off a report
+router.delete('/:id/transactions/:transactionId', async (req, res) => {
+  try {
+    const report = await loadEditableReport(req, res);
+    if (!report) return;
+
+    const removed = await expenseReportService.removeTransaction(report, req.params.transactionId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Transaction is not on this report' });
+    }
+    res.json({ message: 'Transaction removed from the report' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a workflow action (submit, approve, reject or return) on a report.
+// message can be a function of the updated report.
+const transitionHandler = (action, message) => async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const { comment } = req.body;
+    const error = await expenseReportService.transitionError(report, action, approver(req), comment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await expenseReportService.transition(report, action, approver(req), comment);
+    const updated = await expenseReportService.getReport(report.id, req.companyId);
+    res.json({ message: typeof message === 'function' ? message(updated) : message, report: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Submit a draft or returned report for approval (owner)
+router.post('/:id/submit', transitionHandler('submit', 'Expense report submitted for approval'));
+
+// Decide on the approval step a submitted report is waiting for (that step's
+// approvers or their delegates). The report is approved once its last step
+// is; rejecting and sending back need a comment.
+router.post('/:id/approve', transitionHandler('approve', (report) =>
+  report.status === 'approved' ? 'Expense report approved' : 'Approval recorded; the report moves on to its next step'
+));
+router.post('/:id/reject', transitionHandler('reject', 'Expense report rejected'));
+router.post('/:id/return', transitionHandler('return', 'Expense report sent back to its owner'));
+
+// Export an approved report as PDF
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    if (report.status !== 'approved') {
+      return res.status(400).json({ error: 'Only approved expense reports can be exported' });
+    }
+
+    const homeCurrency = await currencyService.getHomeCurrency(req.companyId);
+    const items = await expenseReportService.getItems(report.id);
+    const pdfDoc = await pdfService.generateExpenseReport(report, items, await expenseReportService.getHistory(report.id), {
+      companyName: req.user.currentCompany.name,
+      homeCurrency,
+      totals: expenseReportService.totalOf(items, homeCurrency)
+    });
+
+    // Set response headers for PDF download
+    const filename = `expense_report_${report.id}_${moment().format('YYYY-MM-DD')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Pipe PDF to response
+    pdfDoc.pipe(res);
+    pdfDoc.end();
+  } catch (error) {
+    console.error('Expense report PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate expense report PDF' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const db = require('../database/init');
 const { authenticateToken, getUserCompanies, requireCompanyAccess, addUserTracking } = require('../middleware/auth');
 const pdfService = require('../services/pdfService');
 const excelService = require('../services/excelService');
+const currencyService = require('../services/currencyService');
+const policyService = require('../services/policyService');
 
 const router = express.Router();
 
@@ -150,6 +152,7 @@ router.post('/pdf/transactions', async (req, res) => {
       try {
         const pdfDoc = await pdfService.generateTransactionReport(transactions, {
           companyName: req.user.currentCompany.name,
+          homeCurrency: await currencyService.getHomeCurrency(req.companyId),
           startDate,
           endDate,
           title,
@@ -232,6 +235,7 @@ router.post('/excel/transactions', async (req, res) => {
       try {
         const workbook = await excelService.generateTransactionsExport(transactions, {
           companyName: req.user.currentCompany.name,
+          homeCurrency: await currencyService.getHomeCurrency(req.companyId),
           startDate,
           endDate,
           includeMatched,
@@ -296,29 +300,16 @@ router.post('/pdf/receipts', async (req, res) => {
     }
     // If both includeMatched and includeUnmatched are true, include all (no additional filter)
 
-    // Date filtering with flexible date handling
+    // Date filtering: receipt dates are stored as YYYY-MM-DD; receipts
+    // without one are filtered by upload date
     if (startDate) {
-      // Handle both MM/DD/YYYY and YYYY-MM-DD date formats
-      query += ` AND (
-        (r.extracted_date >= ? OR r.extracted_date >= ?) OR 
-        (r.extracted_date IS NULL AND r.upload_date >= ?)
-      )`;
-      const startDateMDY = moment(startDate).format('MM/DD/YYYY');
-      params.push(startDate);      // YYYY-MM-DD format
-      params.push(startDateMDY);   // MM/DD/YYYY format  
-      params.push(startDate);      // For upload_date
+      query += ' AND COALESCE(r.extracted_date, date(r.upload_date)) >= ?';
+      params.push(startDate);
     }
 
     if (endDate) {
-      // Handle both MM/DD/YYYY and YYYY-MM-DD date formats
-      query += ` AND (
-        (r.extracted_date <= ? OR r.extracted_date <= ?) OR 
-        (r.extracted_date IS NULL AND r.upload_date <= ?)
-      )`;
-      const endDateMDY = moment(endDate).format('MM/DD/YYYY');
-      params.push(endDate);        // YYYY-MM-DD format
-      params.push(endDateMDY);     // MM/DD/YYYY format
-      params.push(endDate);        // For upload_date
+      query += ' AND COALESCE(r.extracted_date, date(r.upload_date)) <= ?';
+      params.push(endDate);
     }
 
     query += ' ORDER BY COALESCE(r.extracted_date, r.upload_date) DESC';
@@ -332,6 +323,7 @@ router.post('/pdf/receipts', async (req, res) => {
       try {
         const pdfDoc = await pdfService.generateReceiptGalleryReport(receipts, {
           companyName: req.user.currentCompany.name,
+          homeCurrency: await currencyService.getHomeCurrency(req.companyId),
           title,
           groupBy,
           includeMatched,
@@ -401,29 +393,16 @@ router.post('/excel/receipts', async (req, res) => {
     }
     // If both includeMatched and includeUnmatched are true, include all (no additional filter)
 
-    // Date filtering with flexible date handling
+    // Date filtering: receipt dates are stored as YYYY-MM-DD; receipts
+    // without one are filtered by upload date
     if (startDate) {
-      // Handle both MM/DD/YYYY and YYYY-MM-DD date formats
-      query += ` AND (
-        (r.extracted_date >= ? OR r.extracted_date >= ?) OR 
-        (r.extracted_date IS NULL AND r.upload_date >= ?)
-      )`;
-      const startDateMDY = moment(startDate).format('MM/DD/YYYY');
-      params.push(startDate);      // YYYY-MM-DD format
-      params.push(startDateMDY);   // MM/DD/YYYY format  
-      params.push(startDate);      // For upload_date
+      query += ' AND COALESCE(r.extracted_date, date(r.upload_date)) >= ?';
+      params.push(startDate);
     }
 
     if (endDate) {
-      // Handle both MM/DD/YYYY and YYYY-MM-DD date formats
-      query += ` AND (
-        (r.extracted_date <= ? OR r.extracted_date <= ?) OR 
-        (r.extracted_date IS NULL AND r.upload_date <= ?)
-      )`;
-      const endDateMDY = moment(endDate).format('MM/DD/YYYY');
-      params.push(endDate);        // YYYY-MM-DD format
-      params.push(endDateMDY);     // MM/DD/YYYY format
-      params.push(endDate);        // For upload_date
+      query += ' AND COALESCE(r.extracted_date, date(r.upload_date)) <= ?';
+      params.push(endDate);
     }
 
     query += ' ORDER BY COALESCE(r.extracted_date, r.upload_date) DESC';
@@ -437,6 +416,7 @@ router.post('/excel/receipts', async (req, res) => {
       try {
         const workbook = await excelService.generateReceiptsExport(receipts, {
           companyName: req.user.currentCompany.name,
+          homeCurrency: await currencyService.getHomeCurrency(req.companyId),
           includeOCRData,
           includeMatched,
           includeUnmatched
@@ -478,6 +458,7 @@ router.post('/pdf/reconciliation', async (req, res) => {
     try {
       const pdfDoc = await pdfService.generateReconciliationReport(reconciliationData, {
         companyName: req.user.currentCompany.name,
+        homeCurrency: await currencyService.getHomeCurrency(req.companyId),
         title,
         period: startDate && endDate ? 
           `${moment(startDate).format('MM/DD/YYYY')} - ${moment(endDate).format('MM/DD/YYYY')}` : 
@@ -518,6 +499,7 @@ router.post('/excel/reconciliation', async (req, res) => {
     try {
       const workbook = await excelService.generateReconciliationExport(reconciliationData, {
         companyName: req.user.currentCompany.name,
+        homeCurrency: await currencyService.getHomeCurrency(req.companyId),
         period: startDate && endDate ? 
           `${moment(startDate).format('MM/DD/YYYY')} - ${moment(endDate).format('MM/DD/YYYY')}` : 
           'All Time'
@@ -583,18 +565,36 @@ router.post('/pdf/analytics', async (req, res) => {
 
 
 
-// Helper function to get reconciliation data
+// Helper function to get reconciliation data. A transaction only counts as
+// matched once its confirmed allocations cover its full amount; transactions
+// with some but not enough coverage are reported as partially matched.
+// policyViolations lists the transactions in the period that break the
+// company's expense policy.
 async function getReconciliationData(companyId, startDate, endDate) {
   return new Promise((resolve, reject) => {
     // Get matched items
     let matchedQuery = `
       SELECT m.*, t.description as transaction_description, t.amount, t.transaction_date,
-             r.original_filename as receipt_filename, r.extracted_amount, r.extracted_date
+             COALESCE(m.allocated_amount, ABS(t.amount)) as allocated_amount,
+             t.currency, t.home_amount,
+             r.original_filename as receipt_filename, r.extracted_amount, r.extracted_date,
+             r.currency as receipt_currency, r.home_amount as receipt_home_amount
       FROM matches m
       JOIN transactions t ON m.transaction_id = t.id
       JOIN receipts r ON m.receipt_id = r.id
       WHERE t.company_id = ? AND m.match_status = 'confirmed'
     `;
+
+    // Confirmed coverage per transaction (legacy rows without an allocation
+    // cover the whole transaction)
+    let coverageQuery = `
+      SELECT t.*, 
+             SUM(COALESCE(m.allocated_amount, ABS(t.amount))) as covered_amount,
+             COUNT(m.id) as receipt_count
+      FROM transactions t
+      JOIN matches m ON t.id = m.transaction_id AND m.match_status = 'confirmed'
+      WHERE t.company_id = ?
+    `;
     
     let unmatchedTxnQuery = `
       SELECT t.* FROM transactions t
@@ -602,6 +602,11 @@ async function getReconciliationData(companyId, startDate, endDate) {
       WHERE t.company_id = ? AND m.id IS NULL
     `;
     
+    let allTransactionsQuery = `
+      SELECT t.* FROM transactions t
+      WHERE t.company_id = ?
+    `;
+
     let unmatchedReceiptsQuery = `
       SELECT r.* FROM receipts r
       LEFT JOIN matches m ON r.id = m.receipt_id AND m.match_status = 'confirmed'
@@ -612,45 +617,57 @@ async function getReconciliationData(companyId, startDate, endDate) {
 
     if (startDate) {
       matchedQuery += ' AND t.transaction_date >= ?';
+      coverageQuery += ' AND t.transaction_date >= ?';
       unmatchedTxnQuery += ' AND t.transaction_date >= ?';
-      unmatchedReceiptsQuery += ' AND r.extracted_date >= ?';
+      allTransactionsQuery += ' AND t.transaction_date >= ?';
+      unmatchedReceiptsQuery += ' AND COALESCE(r.extracted_date, date(r.upload_date)) >= ?';
     }
 
     if (endDate) {
       matchedQuery += ' AND t.transaction_date <= ?';
+      coverageQuery += ' AND t.transaction_date <= ?';
       unmatchedTxnQuery += ' AND t.transaction_date <= ?';
-      unmatchedReceiptsQuery += ' AND r.extracted_date <= ?';
+      allTransactionsQuery += ' AND t.transaction_date <= ?';
+      unmatchedReceiptsQuery += ' AND COALESCE(r.extracted_date, date(r.upload_date)) <= ?';
     }
 
+    coverageQuery += ' GROUP BY t.id';
+
+    const runQuery = (query) => new Promise((res, rej) => {
+      const queryParams = [...params];
+      if (startDate) queryParams.push(startDate);
+      if (endDate) queryParams.push(endDate);
+      db.all(query, queryParams, (err, data) => err ? rej(err) : res(data));
+    });
+
     // Execute all queries
     Promise.all([
-      new Promise((res, rej) => {
-        const queryParams = [...params];
-        if (startDate) queryParams.push(startDate);
-        if (endDate) queryParams.push(endDate);
-        db.all(matchedQuery, queryParams, (err, data) => err ? rej(err) : res(data));
-      }),
-      new Promise((res, rej) => {
-        const queryParams = [...params];
-        if (startDate) queryParams.push(startDate);
-        if (endDate) queryParams.push(endDate);
-        db.all(unmatchedTxnQuery, queryParams, (err, data) => err ? rej(err) : res(data));
-      }),
-      new Promise((res, rej) => {
-        const queryParams = [...params];
-        if (startDate) queryParams.push(startDate);
-        if (endDate) queryParams.push(endDate);
-        db.all(unmatchedReceiptsQuery, queryParams, (err, data) => err ? rej(err) : res(data));
-      })
-    ]).then(([matched, unmatchedTransactions, unmatchedReceipts]) => {
-      const totalItems = matched.length + unmatchedTransactions.length + unmatchedReceipts.length;
-      const matchRate = totalItems > 0 ? Math.round((matched.length / totalItems) * 100) : 0;
+      runQuery(matchedQuery),
+      runQuery(coverageQuery),
+      runQuery(unmatchedTxnQuery),
+      runQuery(unmatchedReceiptsQuery),
+      runQuery(allTransactionsQuery + ' ORDER BY t.transaction_date').then(transactions =>
+        policyService.checkTransactions(companyId, transactions))
+    ]).then(([matched, coverage, unmatchedTransactions, unmatchedReceipts, checkedTransactions]) => {
+      const partiallyMatchedTransactions = coverage
+        .map(transaction => ({
+          ...transaction,
+          remaining_amount: Math.round((Math.abs(transaction.amount) - transaction.covered_amount) * 100) / 100
+        }))
+        .filter(transaction => transaction.remaining_amount > 0.01);
+      const fullyMatchedCount = coverage.length - partiallyMatchedTransactions.length;
+
+      const totalItems = coverage.length + unmatchedTransactions.length + unmatchedReceipts.length;
+      const matchRate = totalItems > 0 ? Math.round((fullyMatchedCount / totalItems) * 100) : 0;
 
       resolve({
         matched,
+        partiallyMatchedTransactions,
         unmatchedTransactions,
         unmatchedReceipts,
-        matchRate
+        fullyMatchedCount,
+        matchRate,
+        policyViolations: checkedTransactions.filter(transaction => transaction.violations.length > 0)
       });
     }).catch(reject);
   });
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database/init');
-const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const matchingService = require('../services/matchingService');
+const expenseReportService = require('../services/expenseReportService');
 const { authenticateToken, getUserCompanies, requireCompanyAccess, addUserTracking } = require('../middleware/auth');
 
 // Apply authentication to all routes
@@ -10,106 +12,25 @@ router.use(getUserCompanies);
 router.use(requireCompanyAccess);
 router.use(addUserTracking);
 
-// Matching algorithm function
-const findPotentialMatches = (receipt, transactions) => {
-  const matches = [];
-  
-  if (!receipt.extracted_amount || !transactions || transactions.length === 0) {
-    return matches;
-  }
-
-  transactions.forEach(transaction => {
-    let confidence = 0;
-    const reasons = [];
-
-    // Amount matching (most important factor)
-    const amountDiff = Math.abs(Math.abs(transaction.amount) - receipt.extracted_amount);
-    if (amountDiff === 0) {
-      confidence += 60;
-      reasons.push('Exact amount match');
-    } else if (amountDiff <= 1) {
-      confidence += 40;
-      reasons.push('Very close amount match');
-    } else if (amountDiff <= 5) {
-      confidence += 20;
-      reasons.push('Close amount match');
-    } else if (amountDiff <= 10) {
-      confidence += 10;
-      reasons.push('Approximate amount match');
-    }
-
-    // Date matching
-    if (receipt.extracted_date && transaction.transaction_date) {
-      const receiptDate = moment(receipt.extracted_date, ['MM/DD/YYYY', 'MM/DD/YY', 'M/D/YYYY', 'M/D/YY']);
-      const transactionDate = moment(transaction.transaction_date);
-      
-      if (receiptDate.isValid() && transactionDate.isValid()) {
-        const daysDiff = Math.abs(receiptDate.diff(transactionDate, 'days'));
-        
-        if (daysDiff === 0) {
-          confidence += 25;
-          reasons.push('Same date');
-        } else if (daysDiff <= 1) {
-          confidence += 15;
-          reasons.push('Within 1 day');
-        } else if (daysDiff <= 3) {
-          confidence += 5;
-          reasons.push('Within 3 days');
-        }
-      }
-    }
-
-    // Merchant/description matching
-    if (receipt.extracted_merchant && transaction.description) {
-      const merchantWords = receipt.extracted_merchant.toLowerCase().split(/\s+/);
-      const descriptionLower = transaction.description.toLowerCase();
-      
-      let wordMatches = 0;
-      let significantWordMatches = 0;
-      
-      merchantWords.forEach(word => {
-        // Skip common words like "llc", "inc", "corp", etc.
-        if (word.length > 2 && !['llc', 'inc', 'corp', 'ltd', 'company', 'co'].includes(word)) {
-          if (descriptionLower.includes(word)) {
-            wordMatches++;
-            // Give extra credit for longer, more specific words
-            if (word.length >= 5) {
-              significantWordMatches++;
-            }
-          }
-        }
-      });
-      
-      if (wordMatches > 0) {
-        // Base match percentage
-        const baseMatchPercent = (wordMatches / merchantWords.filter(w => 
-          w.length > 2 && !['llc', 'inc', 'corp', 'ltd', 'company', 'co'].includes(w)
-        ).length) * 15;
-        
-        // Bonus for significant word matches (like "openai")
-        const bonusPoints = significantWordMatches * 5;
-        
-        const totalMerchantPoints = Math.min(baseMatchPercent + bonusPoints, 20); // Cap at 20 points
-        confidence += totalMerchantPoints;
-        reasons.push(`Merchant keywords match (${wordMatches} words, ${significantWordMatches} significant)`);
-      }
-    }
-
-    // Only include if confidence is above threshold
-    if (confidence >= 10) {
-      matches.push({
-        transaction,
-        confidence: Math.round(confidence),
-        reasons,
-        amountDiff
-      });
-    }
-  });
+// Promise wrapper around db.all for handlers that load several result sets
+const allAsync = (query, params) => new Promise((resolve, reject) => {
+  db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
 
-  // Sort by confidence descending
-  return matches.sort((a, b) => b.confidence - a.confidence);
+// Why a match can't be changed, or null. Matches on transactions of a
+// submitted or approved expense report are frozen along with the report.
+const matchLockError = async (matchId) => {
+  const matches = await allAsync('SELECT transaction_id FROM matches WHERE id = ?', [matchId]);
+  return matches.length > 0 ? expenseReportService.lockError([matches[0].transaction_id]) : null;
 };
 
+// Reduce scored allocations to the ids and amounts clients need
+const formatAllocations = (allocations) => allocations.map(allocation => ({
+  receipt_id: allocation.receipt.id,
+  transaction_id: allocation.transaction.id,
+  allocated_amount: allocation.allocated_amount
+}));
+
 // Get all matches
 router.get('/', (req, res) => {
   // If user is not admin, only show matches for their own transactions/receipts
@@ -124,6 +45,7 @@ router.get('/', (req, res) => {
   const query = `
     SELECT m.*, 
            t.transaction_date, t.description, t.amount as transaction_amount, t.category,
+           t.currency as transaction_currency, r.currency as receipt_currency, r.home_amount as receipt_home_amount,
            r.original_filename, r.extracted_amount, r.extracted_date, r.extracted_merchant
     FROM matches m
     JOIN transactions t ON m.transaction_id = t.id
@@ -136,7 +58,7 @@ router.get('/', (req, res) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    res.json(rows);
+    res.json(rows.map(row => matchingService.parseDetails(row)));
   });
 });
 
@@ -154,6 +76,7 @@ router.get('/pending', (req, res) => {
   const query = `
     SELECT m.*, 
            t.transaction_date, t.description, t.amount as transaction_amount, t.category,
+           t.currency as transaction_currency, r.currency as receipt_currency, r.home_amount as receipt_home_amount,
            r.original_filename, r.extracted_amount, r.extracted_date, r.extracted_merchant, r.file_path
     FROM matches m
     JOIN transactions t ON m.transaction_id = t.id
@@ -166,14 +89,21 @@ router.get('/pending', (req, res) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    res.json(rows);
+    res.json(rows.map(row => matchingService.parseDetails(row)));
   });
 });
 
 // Find matches for a specific receipt
-router.post('/find/:receiptId', (req, res) => {
+router.post('/find/:receiptId', async (req, res) => {
+  let matchingSettings;
+  try {
+    matchingSettings = await matchingService.getScoringSettings(req.companyId);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
   // Get receipt details
-  db.get('SELECT * FROM receipts WHERE id = ? AND company_id = ?', [req.params.receiptId, req.companyId], (err, receipt) => {
+  db.get('SELECT * FROM receipts WHERE id = ? AND company_id = ?', [req.params.receiptId, req.companyId], async (err, receipt) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
@@ -181,51 +111,87 @@ router.post('/find/:receiptId', (req, res) => {
       return res.status(404).json({ error: 'Receipt not found' });
     }
 
-    // Get unmatched transactions (transactions without confirmed matches)
-    const transactionQuery = `
-      SELECT t.* FROM transactions t
-      WHERE t.id NOT IN (
-        SELECT transaction_id FROM matches WHERE user_confirmed = 1
-      ) AND t.company_id = ?
-      ORDER BY t.transaction_date DESC
-      LIMIT 100
-    `;
-
-    db.all(transactionQuery, [req.companyId], (err, transactions) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
+    // Transactions that confirmed matches don't fully cover yet
+    let transactions;
+    try {
+      transactions = await matchingService.getOpenTransactions(req.companyId, { limit: 100 });
+    } catch (transactionsErr) {
+      return res.status(500).json({ error: transactionsErr.message });
+    }
 
-      const potentialMatches = findPotentialMatches(receipt, transactions);
-      
-      res.json({
-        receipt,
-        potentialMatches: potentialMatches.slice(0, 10) // Top 10 matches
-      });
+    const potentialMatches = matchingService.findPotentialMatches(receipt, transactions, matchingSettings);
+    const splitMatches = matchingService.findSplitMatches(receipt, transactions, matchingSettings);
+    
+    res.json({
+      receipt,
+      potentialMatches: potentialMatches.slice(0, 10), // Top 10 matches
+      splitMatches: splitMatches.slice(0, 5).map(match => ({
+        confidence: match.confidence,
+        reasons: match.reasons,
+        breakdown: match.breakdown,
+        transactions: match.transactions,
+        allocations: formatAllocations(match.allocations)
+      }))
     });
   });
 });
 
 // Create a match
-router.post('/', (req, res) => {
-  const { transaction_id, receipt_id, match_confidence, auto_confirm = false } = req.body;
+router.post('/', async (req, res) => {
+  const { transaction_id, receipt_id, match_confidence, allocated_amount, auto_confirm = false } = req.body;
 
   if (!transaction_id || !receipt_id) {
     return res.status(400).json({ error: 'transaction_id and receipt_id are required' });
   }
 
+  if (allocated_amount !== undefined && !(parseFloat(allocated_amount) > 0)) {
+    return res.status(400).json({ error: 'allocated_amount must be a positive number' });
+  }
+
+  // Score the pair so manual matches carry the same explanation as automatic ones
+  let scoredMatch;
+  let transactionAmount;
+  try {
+    const [receipt, transaction, matchingSettings] = await Promise.all([
+      new Promise((resolve, reject) => {
+        db.get('SELECT * FROM receipts WHERE id = ? AND company_id = ?', [receipt_id, req.companyId], (err, row) => err ? reject(err) : resolve(row));
+      }),
+      new Promise((resolve, reject) => {
+        db.get('SELECT * FROM transactions WHERE id = ? AND company_id = ?', [transaction_id, req.companyId], (err, row) => err ? reject(err) : resolve(row));
+      }),
+      matchingService.getScoringSettings(req.companyId)
+    ]);
+
+    if (!receipt || !transaction) {
+      return res.status(404).json({ error: 'Receipt or transaction not found' });
+    }
+    const lockError = await expenseReportService.lockError([transaction.id]);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    scoredMatch = matchingService.scoreTransaction(receipt, transaction, matchingSettings);
+    transactionAmount = Math.abs(transaction.amount);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
   const query = `
     INSERT OR REPLACE INTO matches 
-    (transaction_id, receipt_id, match_confidence, match_status, user_confirmed)
-    VALUES (?, ?, ?, ?, ?)
+    (transaction_id, receipt_id, match_confidence, match_details, allocated_amount, match_status, user_confirmed, created_by, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
   db.run(query, [
     transaction_id, 
     receipt_id, 
-    match_confidence || 0, 
+    match_confidence !== undefined ? match_confidence : scoredMatch.confidence,
+    matchingService.serializeDetails(scoredMatch),
+    allocated_amount !== undefined ? parseFloat(allocated_amount) : transactionAmount,
     auto_confirm ? 'confirmed' : 'pending',
-    auto_confirm ? 1 : 0
+    auto_confirm ? 1 : 0,
+    req.userId,
+    req.userId
   ], function(err) {
     if (err) {
       return res.status(500).json({ error: err.message });
@@ -239,27 +205,197 @@ router.post('/', (req, res) => {
   });
 });
 
+// Create a split match: one receipt covering several transactions, or
+// several receipts covering one transaction. Each allocation says how much
+// of its transaction the receipt accounts for.
+router.post('/split', async (req, res) => {
+  const { allocations, auto_confirm = false } = req.body;
+
+  if (!Array.isArray(allocations) || allocations.length < 2) {
+    return res.status(400).json({ error: 'At least two allocations are required for a split match' });
+  }
+
+  const receiptIds = [...new Set(allocations.map(a => parseInt(a.receipt_id)))];
+  const transactionIds = [...new Set(allocations.map(a => parseInt(a.transaction_id)))];
+
+  if (receiptIds.some(isNaN) || transactionIds.some(isNaN)) {
+    return res.status(400).json({ error: 'Each allocation needs a transaction_id and receipt_id' });
+  }
+
+  if (receiptIds.length > 1 && transactionIds.length > 1) {
+    return res.status(400).json({ error: 'A split must share either a single receipt or a single transaction' });
+  }
+
+  if (allocations.some(a => a.allocated_amount !== undefined && !(parseFloat(a.allocated_amount) > 0))) {
+    return res.status(400).json({ error: 'allocated_amount must be a positive number' });
+  }
+
+  let scoredSplit;
+  try {
+    const [receipts, transactions, matchingSettings] = await Promise.all([
+      allAsync(`SELECT * FROM receipts WHERE company_id = ? AND id IN (${receiptIds.map(() => '?').join(',')})`,
+        [req.companyId, ...receiptIds]),
+      allAsync(`SELECT * FROM transactions WHERE company_id = ? AND id IN (${transactionIds.map(() => '?').join(',')})`,
+        [req.companyId, ...transactionIds]),
+      matchingService.getScoringSettings(req.companyId)
+    ]);
+
+    if (receipts.length !== receiptIds.length || transactions.length !== transactionIds.length) {
+      return res.status(404).json({ error: 'Receipt or transaction not found' });
+    }
+    const lockError = await expenseReportService.lockError(transactionIds);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    // One side of a split is a single record, so these are exactly the
+    // split's pairs that a user already confirmed
+    const confirmed = await allAsync(`
+      SELECT transaction_id, receipt_id FROM matches
+      WHERE user_confirmed = 1
+        AND receipt_id IN (SELECT value FROM json_each(?))
+        AND transaction_id IN (SELECT value FROM json_each(?))
+    `, [JSON.stringify(receiptIds), JSON.stringify(transactionIds)]);
+    if (confirmed.length > 0) {
+      return res.status(409).json({
+        error: `Receipt ${confirmed[0].receipt_id} is already confirmed against transaction ${confirmed[0].transaction_id}`
+      });
+    }
+
+    scoredSplit = matchingService.scoreSplit(receipts, transactions, matchingSettings);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  // Explicit allocation amounts win over the defaults the scorer derived
+  const rows = scoredSplit.allocations.map(allocation => {
+    const requested = allocations.find(a =>
+      parseInt(a.receipt_id) === allocation.receipt.id && parseInt(a.transaction_id) === allocation.transaction.id
+    );
+    return {
+      ...allocation,
+      allocated_amount: requested && requested.allocated_amount !== undefined
+        ? parseFloat(requested.allocated_amount)
+        : allocation.allocated_amount
+    };
+  });
+
+  const splitGroup = uuidv4();
+  const details = matchingService.serializeDetails(scoredSplit);
+  const matchIds = [];
+  let failure = null;
+
+  // All rows are written in one transaction so a failure leaves no partial
+  // split group. Suggestions for the same pairs are replaced.
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+
+    rows.forEach(row => {
+      db.run(`
+        INSERT OR REPLACE INTO matches 
+        (transaction_id, receipt_id, match_confidence, match_details, allocated_amount, split_group,
+         match_status, user_confirmed, created_by, updated_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        row.transaction.id,
+        row.receipt.id,
+        scoredSplit.confidence,
+        details,
+        row.allocated_amount,
+        splitGroup,
+        auto_confirm ? 'confirmed' : 'pending',
+        auto_confirm ? 1 : 0,
+        req.userId,
+        req.userId
+      ], function(err) {
+        if (err) {
+          failure = failure || err;
+        } else {
+          matchIds.push(this.lastID);
+        }
+      });
+    });
+
+    db.run('COMMIT', (err) => {
+      if (err) {
+        db.run('ROLLBACK');
+      }
+      if (err || failure) {
+        return res.status(500).json({ error: 'Error creating split match' });
+      }
+
+      res.json({
+        message: 'Split match created successfully',
+        splitGroup,
+        matchIds,
+        confidence: scoredSplit.confidence,
+        confirmed: auto_confirm
+      });
+    });
+  });
+});
+
 // Confirm a match
 router.put('/:id/confirm', (req, res) => {
-  const query = `
-    UPDATE matches 
-    SET user_confirmed = 1, match_status = 'confirmed', updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
+  const matchQuery = `
+    SELECT m.id, m.transaction_id, r.extracted_merchant, t.description
+    FROM matches m
+    JOIN transactions t ON m.transaction_id = t.id
+    JOIN receipts r ON m.receipt_id = r.id
+    WHERE m.id = ? AND t.company_id = ? AND r.company_id = ?
   `;
 
-  db.run(query, [req.params.id], function(err) {
+  db.get(matchQuery, [req.params.id, req.companyId, req.companyId], async (err, match) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    if (this.changes === 0) {
+    if (!match) {
       return res.status(404).json({ error: 'Match not found' });
     }
-    res.json({ message: 'Match confirmed successfully' });
+    try {
+      const lockError = await expenseReportService.lockError([match.transaction_id]);
+      if (lockError) {
+        return res.status(409).json({ error: lockError });
+      }
+    } catch (lockErr) {
+      return res.status(500).json({ error: lockErr.message });
+    }
+
+    const query = `
+      UPDATE matches 
+      SET user_confirmed = 1, match_status = 'confirmed', confirmed_by = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    db.run(query, [req.userId, req.userId, match.id], async function(err) {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      // Learn the merchant/description pairing for future scoring. A failure
+      // here shouldn't undo the confirmation.
+      try {
+        await matchingService.recordMerchantAlias(req.companyId, match.extracted_merchant, match.description, req.userId);
+      } catch (aliasError) {
+        console.error('Error recording merchant alias:', aliasError.message);
+      }
+
+      res.json({ message: 'Match confirmed successfully' });
+    });
   });
 });
 
 // Reject a match
-router.put('/:id/reject', (req, res) => {
+router.put('/:id/reject', async (req, res) => {
+  try {
+    const lockError = await matchLockError(req.params.id);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
   const query = `
     UPDATE matches 
     SET user_confirmed = 0, match_status = 'rejected', updated_at = CURRENT_TIMESTAMP
@@ -278,7 +414,16 @@ router.put('/:id/reject', (req, res) => {
 });
 
 // Delete a match
-router.delete('/:id', (req, res) => {
+router.delete('/:id', async (req, res) => {
+  try {
+    const lockError = await matchLockError(req.params.id);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
   db.run('DELETE FROM matches WHERE id = ?', [req.params.id], function(err) {
     if (err) {
       return res.status(500).json({ error: err.message });
@@ -290,75 +435,134 @@ router.delete('/:id', (req, res) => {
   });
 });
 
-// Auto-match all receipts
-router.post('/auto-match', (req, res) => {
-  const confidenceThreshold = req.body.threshold || 70;
-
-  // Get all unmatched receipts
-  const receiptQuery = `
-    SELECT * FROM receipts r
-    WHERE r.id NOT IN (
-      SELECT receipt_id FROM matches WHERE user_confirmed = 1
-    )
-    AND r.processing_status = 'completed'
-    AND r.extracted_amount IS NOT NULL
-    AND r.company_id = ?
-  `;
+// Auto-match all receipts. The receipt/transaction assignment is solved as a
+// whole so no transaction is auto-matched to more than one receipt. Pass
+// dryRun to get the proposed assignment without writing any matches.
+router.post('/auto-match', async (req, res) => {
+  const dryRun = req.body.dryRun === true;
+
+  let matchingSettings;
+  let receipts;
+  let transactions;
+  let rejectedPairs;
+  try {
+    matchingSettings = await matchingService.getScoringSettings(req.companyId);
+
+    // Get all unmatched receipts
+    receipts = await allAsync(`
+      SELECT * FROM receipts r
+      WHERE r.id NOT IN (
+        SELECT receipt_id FROM matches WHERE user_confirmed = 1
+      )
+      AND r.processing_status = 'completed'
+      AND r.extracted_amount IS NOT NULL
+      AND r.company_id = ?
+    `, [req.companyId]);
+
+    // Transactions that confirmed matches don't fully cover yet
+    transactions = await matchingService.getOpenTransactions(req.companyId);
+
+    // Pairs a user already rejected are never proposed again
+    const rejected = await allAsync(`
+      SELECT m.receipt_id, m.transaction_id FROM matches m
+      JOIN receipts r ON m.receipt_id = r.id
+      WHERE m.match_status = 'rejected' AND r.company_id = ?
+    `, [req.companyId]);
+    rejectedPairs = new Set(rejected.map(row => `${row.receipt_id}:${row.transaction_id}`));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
 
-  db.all(receiptQuery, [req.companyId], (err, receipts) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
+  // An explicit threshold in the request overrides the company setting
+  const confidenceThreshold = req.body.threshold || matchingSettings.autoMatchThreshold;
+
+  const assignments = matchingService.findOptimalAssignment(
+    receipts, transactions, matchingSettings, confidenceThreshold, rejectedPairs
+  );
+
+  const summary = {
+    totalReceipts: receipts.length,
+    threshold: confidenceThreshold,
+    totalConfidence: assignments.reduce((sum, assignment) => sum + assignment.confidence, 0),
+    assignments: assignments.map(assignment => ({
+      split: assignment.split,
+      confidence: assignment.confidence,
+      reasons: assignment.reasons,
+      receipts: assignment.receipts.map(receipt => ({
+        id: receipt.id,
+        original_filename: receipt.original_filename,
+        extracted_amount: receipt.extracted_amount,
+        currency: receipt.currency,
+        home_amount: receipt.home_amount,
+        extracted_date: receipt.extracted_date,
+        extracted_merchant: receipt.extracted_merchant
+      })),
+      transactions: assignment.transactions.map(transaction => ({
+        id: transaction.id,
+        description: transaction.description,
+        transaction_date: transaction.transaction_date,
+        amount: transaction.amount,
+        currency: transaction.currency
+      })),
+      allocations: formatAllocations(assignment.allocations)
+    }))
+  };
+
+  if (dryRun) {
+    return res.json({
+      message: 'Auto-match preview generated',
+      dryRun: true,
+      matched: assignments.reduce((count, assignment) => count + assignment.allocations.length, 0),
+      ...summary
+    });
+  }
 
-    // Get unmatched transactions
-    const transactionQuery = `
-      SELECT t.* FROM transactions t
-      WHERE t.id NOT IN (
-        SELECT transaction_id FROM matches WHERE user_confirmed = 1
-      )
-      AND t.company_id = ?
-    `;
+  let autoMatched = 0;
+  db.serialize(() => {
+    // Replace earlier unconfirmed auto-matches so the stored set reflects the
+    // new assignment instead of accumulating conflicting suggestions
+    db.run(`
+      DELETE FROM matches
+      WHERE match_status = 'auto_matched' AND user_confirmed = 0
+      AND receipt_id IN (SELECT id FROM receipts WHERE company_id = ?)
+    `, [req.companyId]);
+
+    const stmt = db.prepare(`
+      INSERT OR REPLACE INTO matches 
+      (transaction_id, receipt_id, match_confidence, match_details, allocated_amount, split_group, match_status, user_confirmed)
+      VALUES (?, ?, ?, ?, ?, ?, 'auto_matched', 0)
+    `);
+
+    assignments.forEach(assignment => {
+      const details = matchingService.serializeDetails(assignment);
+      const splitGroup = assignment.split ? uuidv4() : null;
+
+      assignment.allocations.forEach(allocation => {
+        stmt.run([
+          allocation.transaction.id,
+          allocation.receipt.id,
+          assignment.confidence,
+          details,
+          allocation.allocated_amount,
+          splitGroup
+        ], (err) => {
+          if (!err) {
+            autoMatched++;
+          }
+        });
+      });
+    });
 
-    db.all(transactionQuery, [req.companyId], (err, transactions) => {
+    stmt.finalize((err) => {
       if (err) {
-        return res.status(500).json({ error: err.message });
+        return res.status(500).json({ error: 'Error completing auto-match' });
       }
 
-      let autoMatched = 0;
-      const stmt = db.prepare(`
-        INSERT OR REPLACE INTO matches 
-        (transaction_id, receipt_id, match_confidence, match_status, user_confirmed)
-        VALUES (?, ?, ?, 'auto_matched', 0)
-      `);
-
-      receipts.forEach(receipt => {
-        const matches = findPotentialMatches(receipt, transactions);
-        
-        // Auto-match if confidence is high enough
-        if (matches.length > 0 && matches[0].confidence >= confidenceThreshold) {
-          stmt.run([
-            matches[0].transaction.id,
-            receipt.id,
-            matches[0].confidence
-          ], (err) => {
-            if (!err) {
-              autoMatched++;
-            }
-          });
-        }
-      });
-
-      stmt.finalize((err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Error completing auto-match' });
-        }
-        
-        res.json({
-          message: 'Auto-matching completed',
-          matched: autoMatched,
-          totalReceipts: receipts.length,
-          threshold: confidenceThreshold
-        });
+      res.json({
+        message: 'Auto-matching completed',
+        dryRun: false,
+        matched: autoMatched,
+        ...summary
       });
     });
   });
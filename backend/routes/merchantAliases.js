@@ -0,0 +1,117 @@
+const express = require('express');
+const db = require('../database/init');
+const { authenticateToken, getUserCompanies, requireCompanyAccess, requireRole, addUserTracking } = require('../middleware/auth');
+const matchingService = require('../services/matchingService');
+
+const router = express.Router();
+
+// Merchant aliases are learned from confirmed matches and reviewed by admins
+router.use(authenticateToken);
+router.use(getUserCompanies);
+router.use(requireCompanyAccess);
+router.use(requireRole('admin'));
+router.use(addUserTracking);
+
+// Normalize and validate an alias payload; returns an error message or the values
+const parseAlias = (body) => {
+  const merchantName = matchingService.normalizeMerchant(body.merchant_name);
+  const descriptionPattern = matchingService.normalizeDescription(body.description_pattern);
+
+  if (!merchantName || !descriptionPattern) {
+    return { error: 'Merchant name and description pattern are required' };
+  }
+  return { merchantName, descriptionPattern };
+};
+
+// Get all merchant aliases for the current company
+router.get('/', (req, res) => {
+  const query = `
+    SELECT a.*, u.first_name as created_by_first_name, u.last_name as created_by_last_name
+    FROM merchant_aliases a
+    LEFT JOIN users u ON a.created_by = u.id
+    WHERE a.company_id = ?
+    ORDER BY a.confirmed_count DESC, a.merchant_name
+  `;
+
+  db.all(query, [req.companyId], (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(rows);
+  });
+});
+
+// Add an alias by hand
+router.post('/', (req, res) => {
+  const { error, merchantName, descriptionPattern } = parseAlias(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const query = `
+    INSERT INTO merchant_aliases (company_id, merchant_name, description_pattern, confirmed_count, created_by, updated_by)
+    VALUES (?, ?, ?, 0, ?, ?)
+  `;
+
+  db.run(query, [req.companyId, merchantName, descriptionPattern, req.userId, req.userId], function(err) {
+    if (err) {
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'This alias already exists' });
+      }
+      return res.status(500).json({ error: err.message });
+    }
+    res.status(201).json({
+      id: this.lastID,
+      merchant_name: merchantName,
+      description_pattern: descriptionPattern,
+      message: 'Merchant alias created successfully'
+    });
+  });
+});
+
+// Edit an alias, e.g. to shorten the description pattern so it covers more
+// store locations
+router.put('/:id', (req, res) => {
+  const { error, merchantName, descriptionPattern } = parseAlias(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const query = `
+    UPDATE merchant_aliases
+    SET merchant_name = ?, description_pattern = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND company_id = ?
+  `;
+
+  db.run(query, [merchantName, descriptionPattern, req.userId, req.params.id, req.companyId], function(err) {
+    if (err) {
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'This alias already exists' });
+      }
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Merchant alias not found' });
+    }
+    res.json({
+      merchant_name: merchantName,
+      description_pattern: descriptionPattern,
+      message: 'Merchant alias updated successfully'
+    });
+  });
+});
+
+// Delete an alias
+router.delete('/:id', (req, res) => {
+  db.run('DELETE FROM merchant_aliases WHERE id = ? AND company_id = ?', [req.params.id, req.companyId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Merchant alias not found' });
+    }
+    res.json({ message: 'Merchant alias deleted successfully' });
+  });
+});
+
+module.exports = router;
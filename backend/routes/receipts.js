@@ -5,9 +5,16 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const Tesseract = require('tesseract.js');
-const moment = require('moment');
-const pdfParse = require('pdf-parse');
+const ocrQueueService = require('../services/ocrQueueService');
+const receiptService = require('../services/receiptService');
+const receiptDedupService = require('../services/receiptDedupService');
+const receiptUploadService = require('../services/receiptUploadService');
+const inboundEmailService = require('../services/inboundEmailService');
+const htmlReceiptService = require('../services/htmlReceiptService');
+const matchingService = require('../services/matchingService');
+const currencyService = require('../services/currencyService');
+const localeService = require('../services/localeService');
+const expenseReportService = require('../services/expenseReportService');
 const { authenticateToken, getUserCompanies, requireCompanyAccess, addUserTracking } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
@@ -16,169 +23,6 @@ router.use(getUserCompanies);
 router.use(requireCompanyAccess);
 router.use(addUserTracking);
 
-// Import the matching algorithm from matches route
-const findPotentialMatches = (receipt, transactions) => {
-  const matches = [];
-  
-  if (!receipt.extracted_amount || !transactions || transactions.length === 0) {
-    return matches;
-  }
-
-  transactions.forEach(transaction => {
-    let confidence = 0;
-    const reasons = [];
-
-    // Amount matching (most important factor)
-    const amountDiff = Math.abs(Math.abs(transaction.amount) - receipt.extracted_amount);
-    if (amountDiff === 0) {
-      confidence += 60;
-      reasons.push('Exact amount match');
-    } else if (amountDiff <= 1) {
-      confidence += 40;
-      reasons.push('Very close amount match');
-    } else if (amountDiff <= 5) {
-      confidence += 20;
-      reasons.push('Close amount match');
-    } else if (amountDiff <= 10) {
-      confidence += 10;
-      reasons.push('Approximate amount match');
-    }
-
-    // Date matching
-    if (receipt.extracted_date && transaction.transaction_date) {
-      const receiptDate = moment(receipt.extracted_date, ['MM/DD/YYYY', 'MM/DD/YY', 'M/D/YYYY', 'M/D/YY']);
-      const transactionDate = moment(transaction.transaction_date);
-      
-      if (receiptDate.isValid() && transactionDate.isValid()) {
-        const daysDiff = Math.abs(receiptDate.diff(transactionDate, 'days'));
-        
-        if (daysDiff === 0) {
-          confidence += 25;
-          reasons.push('Same date');
-        } else if (daysDiff <= 1) {
-          confidence += 15;
-          reasons.push('Within 1 day');
-        } else if (daysDiff <= 3) {
-          confidence += 5;
-          reasons.push('Within 3 days');
-        }
-      }
-    }
-
-    // Merchant/description matching
-    if (receipt.extracted_merchant && transaction.description) {
-      const merchantWords = receipt.extracted_merchant.toLowerCase().split(/\s+/);
-      const descriptionLower = transaction.description.toLowerCase();
-      
-      let wordMatches = 0;
-      let significantWordMatches = 0;
-      
-      merchantWords.forEach(word => {
-        // Skip common words like "llc", "inc", "corp", etc.
-        if (word.length > 2 && !['llc', 'inc', 'corp', 'ltd', 'company', 'co'].includes(word)) {
-          if (descriptionLower.includes(word)) {
-            wordMatches++;
-            // Give extra credit for longer, more specific words
-            if (word.length >= 5) {
-              significantWordMatches++;
-            }
-          }
-        }
-      });
-      
-      if (wordMatches > 0) {
-        // Base match percentage
-        const baseMatchPercent = (wordMatches / merchantWords.filter(w => 
-          w.length > 2 && !['llc', 'inc', 'corp', 'ltd', 'company', 'co'].includes(w)
-        ).length) * 15;
-        
-        // Bonus for significant word matches (like "openai")
-        const bonusPoints = significantWordMatches * 5;
-        
-        const totalMerchantPoints = Math.min(baseMatchPercent + bonusPoints, 20); // Cap at 20 points
-        confidence += totalMerchantPoints;
-        reasons.push(`Merchant keywords match (${wordMatches} words, ${significantWordMatches} significant)`);
-      }
-    }
-
-    // Only include if confidence is above threshold
-    if (confidence >= 10) {
-      matches.push({
-        transaction,
-        confidence: Math.round(confidence),
-        reasons,
-        amountDiff
-      });
-    }
-  });
-
-  // Sort by confidence descending
-  return matches.sort((a, b) => b.confidence - a.confidence);
-};
-
-// Function to trigger automatic matching for a specific receipt
-const triggerAutoMatchForReceipt = (receiptId) => {
-  console.log(`Triggering auto-match for receipt ${receiptId}`);
-  
-  // Get receipt details to determine company context
-  db.get('SELECT * FROM receipts WHERE id = ?', [receiptId], (err, receipt) => {
-    if (err || !receipt) {
-      console.error('Error getting receipt for auto-match:', err);
-      return;
-    }
-
-    // Get unmatched transactions belonging to the same company
-    const transactionQuery = `
-      SELECT t.* FROM transactions t
-      WHERE t.id NOT IN (
-        SELECT transaction_id FROM matches WHERE user_confirmed = 1
-      ) AND t.company_id = ?
-      ORDER BY t.transaction_date DESC
-      LIMIT 100
-    `;
-
-    db.all(transactionQuery, [receipt.company_id], (err, transactions) => {
-      if (err) {
-        console.error('Error getting transactions for auto-match:', err);
-        return;
-      }
-
-      const potentialMatches = findPotentialMatches(receipt, transactions);
-      
-      // Auto-match if confidence is high enough (70% threshold)
-      if (potentialMatches.length > 0 && potentialMatches[0].confidence >= 70) {
-        const bestMatch = potentialMatches[0];
-        
-        // Create the match
-        db.run(`
-          INSERT OR REPLACE INTO matches 
-          (transaction_id, receipt_id, match_confidence, match_status, user_confirmed)
-          VALUES (?, ?, ?, 'auto_matched', 0)
-        `, [
-          bestMatch.transaction.id,
-          receiptId,
-          bestMatch.confidence
-        ], function(err) {
-          if (err) {
-            console.error('Error creating auto-match:', err);
-          } else {
-            console.log(`Auto-matched receipt ${receiptId} with transaction ${bestMatch.transaction.id} (confidence: ${bestMatch.confidence}%)`);
-          }
-        });
-      } else {
-        if (potentialMatches.length > 0) {
-          const bestMatch = potentialMatches[0];
-          console.log(`No high-confidence matches found for receipt ${receiptId}.`);
-          console.log(`Best match: ${bestMatch.confidence}% - Transaction: "${bestMatch.transaction.description}" (${bestMatch.transaction.transaction_date}, $${Math.abs(bestMatch.transaction.amount)})`);
-          console.log(`Match reasons: ${bestMatch.reasons.join(', ')}`);
-        } else {
-          console.log(`No matches found for receipt ${receiptId}`);
-        }
-      }
-    });
-  });
-};
-
 // Configure multer for receipt image uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -209,471 +53,40 @@ const upload = multer({
   }
 });
 
-// OCR processing function
-const processReceiptOCR = async (filePath, mimeType) => {
-  try {
-    let extractedText = '';
-
-    if (mimeType === 'application/pdf') {
-      // Process PDF file with direct text extraction
-      console.log('Processing PDF file:', filePath);
-      
-      const dataBuffer = fs.readFileSync(filePath);
-      const pdfData = await pdfParse(dataBuffer);
-      extractedText = pdfData.text;
-      
-      console.log(`Extracted ${extractedText.length} characters from PDF`);
-      
-      // Debug: Show first few lines of extracted text
-      const debugLines = extractedText.split('\n').slice(0, 15).filter(line => line.trim());
-      console.log('First 15 lines of extracted text:');
-      debugLines.forEach((line, i) => console.log(`  ${i+1}: "${line.trim()}"`));
-      
-      // Also show lines containing dollar signs for debugging amount extraction
-      const amountLines = extractedText.split('\n').filter(line => 
-        line.includes('$') || /\d+\.\d{2}/.test(line) || 
-        /payment|charge|amount|total/i.test(line)
-      );
-      if (amountLines.length > 0) {
-        console.log('Lines with potential amounts:');
-        amountLines.forEach((line, i) => console.log(`  ${i+1}: "${line.trim()}"`));
-      }
-      
-      // If PDF has no extractable text (scanned document), fallback to OCR would go here
-      // For now, we'll work with the extracted text
-      if (!extractedText || extractedText.trim().length < 10) {
-        console.log('PDF has minimal text, might be a scanned document');
-        // You could add image-based OCR fallback here in the future
-        extractedText = 'No extractable text found in PDF';
-      }
+// Saved emails (.eml) and HTML receipts, rendered to a PDF receipt on upload
+const emailUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (htmlReceiptService.sourceTypeFor(file.originalname)) {
+      cb(null, true);
     } else {
-      // Process regular image file with OCR
-      console.log('Processing image file:', filePath);
-      const { data: { text } } = await Tesseract.recognize(filePath, 'eng', {
-        logger: m => console.log(`Image OCR: ${m.status}`)
-      });
-      extractedText = text;
-    }
-
-    // Enhanced amount extraction with multiple strategies
-    const amountBreakdown = {
-      subtotal: null,
-      tax: null,
-      total: null,
-      grandTotal: null
-    };
-    
-    // Helper function to parse amounts correctly (handle both US and European formats)
-    const parseAmount = (amountStr) => {
-      // Remove currency symbols and extra spaces
-      let cleaned = amountStr.replace(/[\$€£¥\s]/g, '');
-      
-      // Handle different decimal separators
-      // If there's a comma followed by exactly 2 digits at the end, treat as decimal
-      if (/,\d{2}$/.test(cleaned)) {
-        cleaned = cleaned.replace(',', '.');
-      } else {
-        // Otherwise, remove commas (thousands separator)
-        cleaned = cleaned.replace(/,/g, '');
-      }
-      
-      return parseFloat(cleaned);
-    };
-
-    // Strategy 1: Look for Payment/Service specific amounts (for Starlink, etc.)
-    // Handle both "Payment USD 202.55" and "PaymentUSD 202.55" formats
-    const paymentRegex = /(?:payment|payment\s*amount|monthly\s*charge|service\s*charge|bill\s*amount|charge|amount|total\s*charges)(?:\s*USD\s*|\s*[\s:$€£¥]*)?([0-9,]+\.?\d{0,2})/gi;
-    let paymentMatches = extractedText.match(paymentRegex);
-    if (paymentMatches) {
-      for (const match of paymentMatches) {
-        const numStr = match.replace(/^[^0-9,]*/, '');
-        const amount = parseAmount(numStr);
-        if (!isNaN(amount) && amount > 0 && amount < 50000) {
-          // For service invoices, treat payment amount as the main total
-          amountBreakdown.total = amount;
-          break;
-        }
-      }
-    }
-
-    // Strategy 1b: Specific USD format patterns (PaymentUSD 202.55, Total ChargesUSD 202.55)
-    const usdRegex = /(?:payment|total\s*charges|subtotal|total\s*tax)USD\s*([0-9,]+\.?\d{0,2})/gi;
-    let usdMatches = extractedText.match(usdRegex);
-    if (usdMatches && !amountBreakdown.total) {
-      for (const match of usdMatches) {
-        const numStr = match.replace(/^[^0-9,]*/, '');
-        const amount = parseAmount(numStr);
-        if (!isNaN(amount) && amount > 0 && amount < 50000) {
-          amountBreakdown.total = amount;
-          break;
-        }
-      }
-    }
-
-    // Strategy 2: Handle multi-line totals FIRST (like Birdseye: "Total" on one line, "$4,763.00" on next)
-    const textLines = extractedText.split('\n');
-    for (let i = 0; i < textLines.length - 1; i++) {
-      const currentLine = textLines[i].trim().toLowerCase();
-      const nextLine = textLines[i + 1].trim();
-      
-      // If current line says "total" and next line has a dollar amount
-      if (/^total\s*$/.test(currentLine)) {
-        const nextLineAmount = nextLine.match(/^\$([0-9,]+\.?\d{0,2})$/);
-        if (nextLineAmount) {
-          const amount = parseAmount(nextLineAmount[1]);
-          if (!isNaN(amount) && amount > 0 && amount < 50000) {
-            amountBreakdown.total = amount;
-            console.log(`Found multi-line total: "${currentLine}" -> "${nextLine}" = $${amount}`);
-            break;
-          }
-        }
-      }
+      cb(new Error('Only .eml and .html files are allowed'));
     }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024
+  }
+});
 
-    // Strategy 3: Look for Grand Total / Final Total
-    const grandTotalRegex = /(?:grand\s*total|final\s*total|total\s*amount|amount\s*due)[\s:$€£¥]*([0-9,]+\.?\d{0,2})/gi;
-    let grandTotalMatches = extractedText.match(grandTotalRegex);
-    if (grandTotalMatches) {
-      for (const match of grandTotalMatches) {
-        const numStr = match.replace(/^[^0-9,]*/, '');
-        const amount = parseAmount(numStr);
-        if (!isNaN(amount) && amount > 0 && amount < 50000) {
-          amountBreakdown.grandTotal = amount;
-          break;
-        }
-      }
-    }
-
-    // Strategy 4: Look for Total (not grand total) - only if no payment amount found  
-    const totalRegex = /(?:^|\s|:)total[\s:$€£¥]*([0-9,]+\.?\d{0,2})/gi;
-    let totalMatches = extractedText.match(totalRegex);
-    if (totalMatches && !amountBreakdown.grandTotal && !amountBreakdown.total) {
-      for (const match of totalMatches) {
-        const numStr = match.replace(/^[^0-9,]*/, '');
-        const amount = parseAmount(numStr);
-        if (!isNaN(amount) && amount > 0 && amount < 50000) {
-          amountBreakdown.total = amount;
-          break;
-        }
-      }
-    }
-
-
-
-    // Strategy 5: Look for Subtotal
-    const subtotalRegex = /(?:sub\s*total|subtotal)[\s:$€£¥]*([0-9,]+\.?\d{0,2})/gi;
-    let subtotalMatches = extractedText.match(subtotalRegex);
-    if (subtotalMatches) {
-      for (const match of subtotalMatches) {
-        const numStr = match.replace(/^[^0-9,]*/, '');
-        const amount = parseAmount(numStr);
-        if (!isNaN(amount) && amount > 0 && amount < 50000) {
-          amountBreakdown.subtotal = amount;
-          break;
-        }
-      }
-    }
-
-    // Strategy 6: Look for Tax
-    const taxRegex = /(?:tax|vat|gst)[\s:$€£¥]*([0-9,]+\.?\d{0,2})/gi;
-    let taxMatches = extractedText.match(taxRegex);
-    if (taxMatches) {
-      for (const match of taxMatches) {
-        const numStr = match.replace(/^[^0-9,]*/, '');
-        const amount = parseAmount(numStr);
-        if (!isNaN(amount) && amount >= 0 && amount < 10000) {
-          amountBreakdown.tax = amount;
-          break;
-        }
-      }
-    }
-
-    // Strategy 7: Look for currency amounts in lines (fallback for service invoices)
-    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
-      const currencyRegex = /\$[\s]*([0-9,]+\.?\d{0,2})/g;
-      let currencyMatches = extractedText.match(currencyRegex);
-      if (currencyMatches) {
-        // Look for the largest reasonable amount
-        let bestFallbackAmount = null;
-        for (const match of currencyMatches) {
-          const numStr = match.replace(/^\$\s*/, '');
-          const amount = parseAmount(numStr);
-          if (!isNaN(amount) && amount > 0 && amount < 50000) {
-            if (!bestFallbackAmount || amount > bestFallbackAmount) {
-              bestFallbackAmount = amount;
-            }
-          }
-        }
-        if (bestFallbackAmount) {
-          amountBreakdown.total = bestFallbackAmount;
-        }
-      }
-    }
-
-    // Strategy 8: Look for standalone amounts on their own lines (common in service invoices)
-    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
-      const lines = extractedText.split('\n');
-      for (const line of lines) {
-        // Look for lines that are primarily just an amount
-        const standaloneAmountMatch = line.trim().match(/^[\$]?([0-9,]+\.?\d{2})$/);
-        if (standaloneAmountMatch) {
-          const amount = parseAmount(standaloneAmountMatch[1]);
-          if (!isNaN(amount) && amount > 0 && amount < 50000) {
-            amountBreakdown.total = amount;
-            break;
-          }
-        }
-      }
-    }
-
-    // Strategy 9: Look for specific invoice patterns (Balance Due, Amount, etc.)
-    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
-      const balanceRegex = /(?:balance\s*due|amount\s*owed|amount\s*payable|invoice\s*amount)[\s:$€£¥]*([0-9,]+\.?\d{0,2})/gi;
-      let balanceMatches = extractedText.match(balanceRegex);
-      if (balanceMatches) {
-        for (const match of balanceMatches) {
-          const numStr = match.replace(/^[^0-9,]*/, '');
-          const amount = parseAmount(numStr);
-          if (!isNaN(amount) && amount > 0 && amount < 50000) {
-            amountBreakdown.total = amount;
-            console.log(`Found balance due amount: $${amount} from "${match}"`);
-            break;
-          }
-        }
-      }
-    }
-
-    // Strategy 10: Look for amounts in billing/invoicing context with more flexible patterns
-    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
-      const lines = extractedText.split('\n');
-      let foundInBillingSection = false;
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        // Check if we're in a billing section
-        if (/bill|invoice|charge|amount|payment/i.test(line)) {
-          foundInBillingSection = true;
-        }
-        
-        // If in billing section, look for amounts more aggressively
-        if (foundInBillingSection) {
-          const flexibleAmountMatch = line.match(/([0-9,]+\.?\d{2})/);
-          if (flexibleAmountMatch) {
-            const amount = parseAmount(flexibleAmountMatch[1]);
-            if (!isNaN(amount) && amount > 1 && amount < 50000) {
-              // Skip small amounts that are likely line numbers or quantities
-              amountBreakdown.total = amount;
-              console.log(`Found flexible amount: $${amount} from line "${line}"`);
-              break;
-            }
-          }
-        }
-      }
-    }
-
-    // Determine the main amount (prefer grand total, then total, then subtotal)
-    const extractedAmount = amountBreakdown.grandTotal || amountBreakdown.total || amountBreakdown.subtotal;
-    let amountSource = '';
-    if (amountBreakdown.grandTotal) {
-      amountSource = `Grand Total: $${amountBreakdown.grandTotal}`;
-    } else if (amountBreakdown.total) {
-      amountSource = `Total: $${amountBreakdown.total}`;
-    } else if (amountBreakdown.subtotal) {
-      amountSource = `Subtotal: $${amountBreakdown.subtotal}`;
-    }
-    
-    // Special debugging for Birdseye invoices
-    if (extractedText.toLowerCase().includes('birdseye')) {
-      console.log('=== BIRDSEYE INVOICE DEBUG ===');
-      console.log('Amount breakdown:', amountBreakdown);
-      console.log('Final extracted amount:', extractedAmount);
-      console.log('Amount source:', amountSource);
-      
-      // Show all dollar amounts found in the text
-      const allAmounts = extractedText.match(/\$[\s]*([0-9,]+\.?\d{0,2})/g);
-      console.log('All dollar amounts found:', allAmounts);
-      
-      // Show lines containing numbers
-      const numberLines = extractedText.split('\n').filter(line => /\d/.test(line));
-      console.log('Lines with numbers:');
-      numberLines.forEach((line, i) => console.log(`  ${i+1}: "${line.trim()}"`));
-    }
-
-    // Enhanced date extraction
-    const dateStrategies = [
-      // Strategy 1: Invoice dates with written format
-      /(?:invoice\s*date|bill\s*date|date\s*paid)[\s:]*([a-z]+\s+\d{1,2},?\s+\d{4})/gi,
-      // Strategy 2: Date paid concatenated format (Date paidJuly 22, 2025)
-      /date\s*paid\s*([a-z]+\s+\d{1,2},?\s+\d{4})/gi,
-      // Strategy 2b: Date paid with no space between paid and month (Date paidJuly 22, 2025)
-      /date\s+paid([a-z]+\s+\d{1,2},?\s+\d{4})/gi,
-      // Strategy 3: Invoice dates with numeric format
-      /(?:invoice\s*date|bill\s*date|date)[\s:]*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/gi,
-      // Strategy 4: Due dates
-      /(?:due\s*date|payment\s*due)[\s:]*([a-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/gi,
-      // Strategy 5: General date patterns
-      /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/g,
-      // Strategy 6: Direct month name patterns (fallback)
-      /((?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2},?\s+\d{4})/gi
-    ];
-
-    let extractedDate = null;
-    let dateSource = '';
-    
-    // Look for dates in relevant lines
-    const dateLines = extractedText.split('\n').filter(line => 
-      /date|paid|invoice|due/i.test(line) && line.trim().length > 0
-    );
-    
-          for (const dateRegex of dateStrategies) {
-        const dateMatches = extractedText.match(dateRegex);
-        if (dateMatches && dateMatches.length > 0) {
-          for (const fullMatch of dateMatches) {
-            // Try to extract numeric date first
-            let dateMatch = fullMatch.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/);
-            if (dateMatch) {
-              extractedDate = dateMatch[1];
-              dateSource = fullMatch;
-              break;
-            }
-            
-            // Try to extract written date format (e.g., "April 10, 2025")
-            const writtenDateMatch = fullMatch.match(/([a-z]+\s+\d{1,2},?\s+\d{4})/i);
-            if (writtenDateMatch) {
-              // Convert written date to MM/DD/YYYY format
-              try {
-                const dateObj = new Date(writtenDateMatch[1]);
-                if (!isNaN(dateObj.getTime())) {
-                  const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-                  const day = dateObj.getDate().toString().padStart(2, '0');
-                  const year = dateObj.getFullYear();
-                  extractedDate = `${month}/${day}/${year}`;
-                  dateSource = fullMatch;
-                  break;
-                }
-              } catch (e) {
-                // Continue to next match if date parsing fails
-              }
-            }
-          }
-          if (extractedDate) break;
-        }
-      }
-
-    // Enhanced merchant name extraction
-    const lines = extractedText.split('\n').filter(line => line.trim().length > 0);
-    
-    // Words/phrases to exclude from merchant names
-    const excludePatterns = [
-      /^page\s+\d+/i,
-      /^\d+$/,
-      /^[\d\s\-()]+$/,
-      /invoice|bill|receipt|statement/i,
-      /total|subtotal|tax|amount|due/i,
-      /^(to|from|attn|attention)[:]/i,
-      /^(phone|tel|fax|email|address)/i,
-      /^(thank you|thanks)/i,
-      /^\W+$/
-    ];
-
-    // Look for merchant in different sections
-    let potentialMerchant = null;
-    let merchantSource = '';
-    
-    // Strategy 1: Look in first few lines for company names
-    for (let i = 0; i < Math.min(8, lines.length); i++) {
-      const line = lines[i].trim();
-      
-      if (line.length >= 3 && line.length <= 60 && 
-          !excludePatterns.some(pattern => pattern.test(line)) &&
-          !/^\d+[.,]\d+$/.test(line)) { // Not just a number
-        
-        // Prefer lines that look like company names
-        if (/LLC|Inc|Corp|Company|Co\.|Ltd|LTD|Construction|Services|Group/i.test(line)) {
-          potentialMerchant = line;
-          merchantSource = `Line ${i+1}: "${line}" (company indicator found)`;
-          break;
-        }
-        
-        // Or lines with proper capitalization
-        if (/^[A-Z][a-z]/.test(line) && !potentialMerchant) {
-          potentialMerchant = line;
-          merchantSource = `Line ${i+1}: "${line}" (proper capitalization)`;
-        }
-      }
+// Bulk uploads take ZIP archives as well, so the per-file cap is higher;
+// receiptUploadService still holds each receipt to 20MB. Files that aren't
+// receipts are never written to disk, but are kept on req.skippedFiles so
+// the batch can list them as rejected rather than refusing the upload.
+const MAX_BATCH_UPLOAD_FILES = 500;
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (receiptUploadService.isBatchFile(file)) {
+      cb(null, true);
+    } else {
+      req.skippedFiles = [...(req.skippedFiles || []), { originalname: file.originalname, mimetype: file.mimetype, size: 0 }];
+      cb(null, false);
     }
-    
-         // Strategy 2: Look for "Bill to" or "From" sections
-     if (!potentialMerchant) {
-       const billToMatch = extractedText.match(/(?:bill\s*to|from|vendor)[\s:]*\n([^\n]+)/i);
-       if (billToMatch && billToMatch[1]) {
-         const candidate = billToMatch[1].trim();
-         if (candidate.length >= 3 && candidate.length <= 60) {
-           potentialMerchant = candidate;
-           merchantSource = `Bill to/From section: "${candidate}"`;
-         }
-       }
-     }
-     
-     // Strategy 3: Look deeper in document for actual service provider
-     if (!potentialMerchant || potentialMerchant.includes('Chasco')) {
-       // Look for service-related terms that might indicate the real merchant
-       const servicePatterns = [
-         /(?:service\s*provider|provided\s*by|from|vendor)[\s:]*([^\n]+)/gi,
-         /(?:starlink|spacex)/gi,
-         /(?:internet|satellite|connectivity)/gi,
-         /(?:birdseye|surveillance)/gi
-       ];
-       
-       for (const pattern of servicePatterns) {
-         const serviceMatches = extractedText.match(pattern);
-         if (serviceMatches) {
-           for (const match of serviceMatches) {
-             if (/starlink|spacex/i.test(match)) {
-               potentialMerchant = 'Starlink';
-               merchantSource = `Service detection: "${match.trim()}"`;
-               break;
-             } else if (/birdseye|surveillance/i.test(match)) {
-               potentialMerchant = 'Birdseye Surveillance LLC';
-               merchantSource = `Service detection: "${match.trim()}"`;
-               break;
-             }
-           }
-           if (potentialMerchant === 'Starlink' || potentialMerchant === 'Birdseye Surveillance LLC') break;
-         }
-       }
-     }
-     
-     // Special handling for specific merchant patterns
-     if (extractedText.toLowerCase().includes('birdseye') && extractedText.toLowerCase().includes('surveillance')) {
-       potentialMerchant = 'Birdseye Surveillance LLC';
-       merchantSource = 'Document content detection: Birdseye Surveillance';
-     }
-
-         console.log(`Amount Breakdown:`, {
-       subtotal: amountBreakdown.subtotal,
-       tax: amountBreakdown.tax,
-       total: amountBreakdown.total,
-       grandTotal: amountBreakdown.grandTotal,
-       finalAmount: extractedAmount
-     });
-     console.log(`Extracted data - Amount: ${extractedAmount} ${amountSource ? `from ${amountSource}` : '(not found)'}`);
-     console.log(`Extracted data - Date: ${extractedDate || 'none'} ${dateSource ? `from "${dateSource}"` : ''}`);
-     console.log(`Extracted data - Merchant: ${potentialMerchant || 'none'} ${merchantSource ? `from ${merchantSource}` : ''}`);
-
-     return {
-       text: extractedText,
-       extractedAmount: extractedAmount,
-       extractedDate: extractedDate,
-       extractedMerchant: potentialMerchant || null,
-       amountBreakdown: amountBreakdown
-     };
-  } catch (error) {
-    console.error('OCR processing error:', error);
-    throw error;
+  },
+  limits: {
+    fileSize: 500 * 1024 * 1024
   }
-};
+});
 
 // Get all receipts
 router.get('/', (req, res) => {
@@ -696,7 +109,9 @@ router.get('/', (req, res) => {
   const query = `
     SELECT r.*, 
            COUNT(m.id) as match_count,
-           GROUP_CONCAT(t.description) as matched_transactions
+           GROUP_CONCAT(t.description) as matched_transactions,
+           (SELECT COUNT(*) FROM receipt_duplicates d
+            WHERE d.receipt_id = r.id AND d.status = 'pending') as pending_duplicate
     FROM receipts r
     LEFT JOIN matches m ON r.id = m.receipt_id AND m.user_confirmed = 1
     LEFT JOIN transactions t ON m.transaction_id = t.id
@@ -716,13 +131,21 @@ router.get('/', (req, res) => {
 
     // Count query with same filtering
     const countQuery = `SELECT COUNT(*) as total FROM receipts r ${whereClause}`;
-    db.get(countQuery, countParams, (err, countRow) => {
+    db.get(countQuery, countParams, async (err, countRow) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
 
+      let homeCurrency;
+      try {
+        homeCurrency = await currencyService.getHomeCurrency(req.companyId);
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
       res.json({
         receipts: rows,
+        homeCurrency,
         pagination: {
           page,
           limit,
@@ -734,6 +157,193 @@ router.get('/', (req, res) => {
   });
 });
 
+// Recent bulk uploads with their progress, newest first
+router.get('/batches', async (req, res) => {
+  let query = 'SELECT id FROM receipt_batches WHERE company_id = ?';
+  const queryParams = [req.companyId];
+
+  // If user is not admin, only show their own batches
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
+  }
+  query += ' ORDER BY id DESC LIMIT ?';
+  queryParams.push(parseInt(req.query.limit) || 5);
+
+  db.all(query, queryParams, async (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    try {
+      const batches = await Promise.all(rows.map(row => receiptUploadService.getProgress(row.id)));
+      res.json(batches.map(({ files, ...batch }) => batch));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// A bulk upload's progress: counts by OCR state, each file's state, and the
+// files that failed with the reason
+router.get('/batches/:id', (req, res) => {
+  let query = 'SELECT id FROM receipt_batches WHERE id = ? AND company_id = ?';
+  const queryParams = [req.params.id, req.companyId];
+
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  db.get(query, queryParams, async (err, batch) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!batch) {
+      return res.status(404).json({ error: 'Upload batch not found' });
+    }
+
+    try {
+      res.json(await receiptUploadService.getProgress(batch.id));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// Get the company's receipt email address and recently received mail
+router.get('/inbound-email', async (req, res) => {
+  try {
+    const address = await inboundEmailService.getInboundAddress(req.companyId);
+    // If user is not admin, only show the mail they sent
+    const emails = await inboundEmailService.getRecentEmails(
+      req.companyId,
+      req.user.currentRole !== 'admin' ? req.user.id : null,
+      parseInt(req.query.limit) || 10
+    );
+    res.json({ address, enabled: inboundEmailService.isEnabled(), emails });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Possible duplicate receipts waiting for review
+router.get('/duplicates', (req, res) => {
+  let whereClause = 'WHERE d.company_id = ? AND d.status = ?';
+  const queryParams = [req.companyId, req.query.status || 'pending'];
+
+  // If user is not admin, only show duplicates among their own receipts
+  if (req.user.currentRole !== 'admin') {
+    whereClause += ' AND r.created_by = ? AND o.created_by = ?';
+    queryParams.push(req.user.id, req.user.id);
+  }
+
+  const query = `
+    SELECT d.*,
+           r.original_filename, r.filename, r.upload_date, r.extracted_amount, r.extracted_date,
+           r.extracted_merchant, r.processing_status,
+           o.original_filename as duplicate_of_original_filename, o.filename as duplicate_of_filename,
+           o.upload_date as duplicate_of_upload_date, o.extracted_amount as duplicate_of_amount,
+           o.extracted_date as duplicate_of_date, o.extracted_merchant as duplicate_of_merchant,
+           (SELECT COUNT(*) FROM matches m WHERE m.receipt_id = r.id) as match_count,
+           (SELECT COUNT(*) FROM matches m WHERE m.receipt_id = o.id) as duplicate_of_match_count
+    FROM receipt_duplicates d
+    JOIN receipts r ON d.receipt_id = r.id
+    JOIN receipts o ON d.duplicate_of_id = o.id
+    ${whereClause}
+    ORDER BY r.upload_date DESC
+  `;
+
+  db.all(query, queryParams, (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(rows);
+  });
+});
+
+// Load a pending duplicate the current user may resolve; non-admins need to
+// own both receipts
+const getPendingDuplicate = (req, callback) => {
+  let query = `
+    SELECT d.*, r.processing_status, r.extracted_amount FROM receipt_duplicates d
+    JOIN receipts r ON d.receipt_id = r.id
+    JOIN receipts o ON d.duplicate_of_id = o.id
+    WHERE d.id = ? AND d.company_id = ? AND d.status = 'pending'
+  `;
+  const params = [req.params.id, req.companyId];
+
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND r.created_by = ? AND o.created_by = ?';
+    params.push(req.user.id, req.user.id);
+  }
+
+  db.get(query, params, callback);
+};
+
+// Not a duplicate: keep both receipts. Auto-matching held back for the newer
+// one runs now unless it is still flagged against another receipt.
+router.put('/duplicates/:id/keep', (req, res) => {
+  getPendingDuplicate(req, (err, duplicate) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!duplicate) {
+      return res.status(404).json({ error: 'Duplicate not found' });
+    }
+
+    db.run(`
+      UPDATE receipt_duplicates
+      SET status = 'kept', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.userId, duplicate.id], async (err) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      try {
+        if (duplicate.processing_status === 'completed' && duplicate.extracted_amount &&
+            !(await receiptDedupService.hasPendingDuplicates(duplicate.receipt_id))) {
+          matchingService.autoMatchReceipt(duplicate.receipt_id);
+        }
+        res.json({ message: 'Both receipts kept' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+  });
+});
+
+// A real duplicate: keep one receipt (the earlier one unless keepReceiptId
+// names the newer) and delete the other, moving its matches across
+router.put('/duplicates/:id/merge', (req, res) => {
+  getPendingDuplicate(req, async (err, duplicate) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!duplicate) {
+      return res.status(404).json({ error: 'Duplicate not found' });
+    }
+
+    const keepReceiptId = req.body.keepReceiptId ? parseInt(req.body.keepReceiptId) : duplicate.duplicate_of_id;
+    if (keepReceiptId !== duplicate.receipt_id && keepReceiptId !== duplicate.duplicate_of_id) {
+      return res.status(400).json({ error: 'keepReceiptId must be one of the two receipts' });
+    }
+
+    try {
+      const lockError = await receiptDedupService.mergeLockError(duplicate);
+      if (lockError) {
+        return res.status(409).json({ error: lockError });
+      }
+
+      const result = await receiptDedupService.mergeReceipts(duplicate, keepReceiptId, req.userId);
+      res.json({ message: 'Receipts merged', ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
 // Get single receipt
 router.get('/:id', (req, res) => {
   // Build query with proper user/admin filtering
@@ -757,156 +367,360 @@ router.get('/:id', (req, res) => {
     GROUP BY r.id
   `;
 
-  db.get(query, queryParams, (err, row) => {
+  db.get(query, queryParams, async (err, row) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
     if (!row) {
       return res.status(404).json({ error: 'Receipt not found' });
     }
-    res.json(row);
+
+    try {
+      const lineItems = await receiptService.getLineItems(row.id);
+      const pages = await receiptService.getPages(row.id);
+      res.json({
+        ...row,
+        amountBreakdown: {
+          subtotal: row.subtotal_amount,
+          tax: row.tax_amount,
+          tip: row.tip_amount,
+          total: row.extracted_amount
+        },
+        extraction_confidence: receiptService.parseConfidence(row.extraction_confidence),
+        processed_filename: row.processed_file_path ? path.basename(row.processed_file_path) : null,
+        has_source: Boolean(row.source_file_path),
+        preprocessing_steps: row.preprocessing_steps ? JSON.parse(row.preprocessing_steps) : [],
+        line_items: lineItems,
+        pages
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   });
 });
 
-// Upload receipt
-router.post('/upload', upload.single('receipt'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No receipt file uploaded' });
+// Download the email or HTML file a receipt was rendered from
+router.get('/:id/source', (req, res) => {
+  let query = 'SELECT source_file_path FROM receipts WHERE id = ? AND company_id = ?';
+  const queryParams = [req.params.id, req.companyId];
+
+  // If user is not admin, only allow their own receipts
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
   }
 
-  const receiptData = {
-    filename: req.file.filename,
-    original_filename: req.file.originalname,
-    file_path: req.file.path,
-    file_size: req.file.size,
-    processing_status: 'processing'
-  };
-
-  // Insert receipt record
-  db.run(`
-    INSERT INTO receipts (filename, original_filename, file_path, file_size, processing_status, company_id, created_by, updated_by)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-  `, [
-    receiptData.filename,
-    receiptData.original_filename,
-    receiptData.file_path,
-    receiptData.file_size,
-    receiptData.processing_status,
-    req.companyId,
-    req.userId,
-    req.userId
-  ], async function(err) {
+  db.get(query, queryParams, (err, receipt) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
+    if (!receipt || !receipt.source_file_path || !fs.existsSync(receipt.source_file_path)) {
+      return res.status(404).json({ error: 'Receipt source not found' });
+    }
 
-    const receiptId = this.lastID;
+    res.download(receipt.source_file_path, path.basename(receipt.source_file_path).replace(/^[0-9a-f-]{36}_/, ''));
+  });
+});
 
-    // Process OCR in background
-    try {
-      const ocrResult = await processReceiptOCR(req.file.path, req.file.mimetype);
-      
-      // Update receipt with OCR results
-      const breakdown = ocrResult.amountBreakdown || {};
-      db.run(`
-        UPDATE receipts 
-        SET ocr_text = ?, extracted_amount = ?, extracted_date = ?, 
-            extracted_merchant = ?, processing_status = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `, [
-        ocrResult.text,
-        ocrResult.extractedAmount,
-        ocrResult.extractedDate,
-        ocrResult.extractedMerchant,
-        'completed',
-        receiptId
-      ], (err) => {
-        if (err) {
-          console.error('Error updating OCR results:', err);
-        } else {
-          // Log the breakdown for debugging
-          console.log(`Stored receipt ${receiptId} with breakdown:`, {
-            subtotal: breakdown.subtotal,
-            tax: breakdown.tax,
-            total: breakdown.total,
-            grandTotal: breakdown.grandTotal,
-            finalAmount: ocrResult.extractedAmount
-          });
-          
-          // Trigger automatic matching for this receipt
-          if (ocrResult.extractedAmount) {
-            triggerAutoMatchForReceipt(receiptId);
-          }
-        }
-      });
+// Get a receipt's OCR progress, polled by the Receipts page while a receipt
+// is pending or processing
+router.get('/:id/status', (req, res) => {
+  let query = `
+    SELECT id, processing_status, processing_error, extracted_amount, extracted_date, extracted_merchant,
+           (SELECT COUNT(*) FROM receipt_duplicates d
+            WHERE d.receipt_id = receipts.id AND d.status = 'pending') as pending_duplicate
+    FROM receipts WHERE id = ? AND company_id = ?
+  `;
+  const queryParams = [req.params.id, req.companyId];
 
+  // If user is not admin, only show their own receipts
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  db.get(query, queryParams, async (err, receipt) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    try {
+      const job = await ocrQueueService.getLatestJob(receipt.id);
+      res.json({ ...receipt, job: job || null });
     } catch (error) {
-      console.error('OCR processing failed:', error);
-      
-      // Update status to failed
-      db.run(`
-        UPDATE receipts 
-        SET processing_status = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `, ['failed', receiptId]);
+      res.status(500).json({ error: error.message });
     }
+  });
+});
+
+// Upload receipt. OCR runs on the background queue; poll /:id/status for the
+// result. Earlier receipts with the same file or a near-identical photo come
+// back as possibleDuplicates and are queued for review; a match on the OCR
+// text is only found once OCR has run.
+router.post('/upload', upload.single('receipt'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No receipt file uploaded' });
+  }
 
+  try {
+    const { receiptId, possibleDuplicates } = await receiptUploadService.createReceipt(req.file, req.companyId, req.userId);
     res.json({
       message: 'Receipt uploaded successfully',
       receiptId: receiptId,
-      filename: receiptData.filename,
-      processing_status: 'processing'
+      filename: req.file.filename,
+      processing_status: 'pending',
+      possibleDuplicates
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Update receipt
-router.put('/:id', (req, res) => {
-  const { extracted_amount, extracted_date, extracted_merchant } = req.body;
-  
-  const query = `
-    UPDATE receipts 
-    SET extracted_amount = ?, extracted_date = ?, extracted_merchant = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `;
+// Upload a receipt that came as an email or web page: a saved .eml message
+// or an .html file. It is stored as a PDF receipt, with the upload kept as
+// its source and the receipt text read straight from the HTML.
+router.post('/upload/email', emailUpload.single('email'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No email or HTML file uploaded' });
+  }
+
+  try {
+    const { receiptId, possibleDuplicates } = await receiptUploadService.createFromSource(req.file, req.companyId, req.userId);
+    res.json({
+      message: 'Receipt uploaded successfully',
+      receiptId: receiptId,
+      processing_status: 'pending',
+      possibleDuplicates
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload many receipts at once: any mix of images, PDFs and ZIP archives of
+// them. Every file becomes its own receipt on the OCR queue; poll
+// /batches/:id for progress and for the files that failed and why.
+router.post('/upload/batch', batchUpload.array('receipts', MAX_BATCH_UPLOAD_FILES), async (req, res) => {
+  const files = [...(req.files || []), ...(req.skippedFiles || [])];
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No receipt files uploaded' });
+  }
+
+  try {
+    const batch = await receiptUploadService.createBatch(files, req.companyId, req.userId);
+    res.json({ message: `${batch.counts.total - batch.counts.rejected} of ${batch.counts.total} files queued for processing`, batch });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run OCR again for a receipt whose processing failed
+router.post('/:id/reprocess', (req, res) => {
+  let query = 'SELECT id, processing_status FROM receipts WHERE id = ? AND company_id = ?';
+  const queryParams = [req.params.id, req.companyId];
 
-  db.run(query, [extracted_amount, extracted_date, extracted_merchant, req.params.id], function(err) {
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  db.get(query, queryParams, (err, receipt) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    if (this.changes === 0) {
+    if (!receipt) {
       return res.status(404).json({ error: 'Receipt not found' });
     }
-    res.json({ message: 'Receipt updated successfully' });
+    if (receipt.processing_status === 'pending' || receipt.processing_status === 'processing') {
+      return res.status(400).json({ error: 'Receipt is already being processed' });
+    }
+
+    db.run(`
+      UPDATE receipts
+      SET processing_status = 'pending', processing_error = NULL, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.userId, receipt.id], async (err) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      try {
+        await ocrQueueService.enqueue(receipt.id);
+        res.json({ message: 'Receipt queued for processing', processing_status: 'pending' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
   });
 });
 
-// Delete receipt
-router.delete('/:id', (req, res) => {
-  // First get the receipt to delete the file
-  db.get('SELECT file_path FROM receipts WHERE id = ?', [req.params.id], (err, row) => {
+// Update receipt. The date is read in the user's locale and stored as
+// YYYY-MM-DD; the home-currency amount is recomputed from the edited amount,
+// date and currency.
+router.put('/:id', (req, res) => {
+  const { extracted_amount, extracted_merchant } = req.body;
+
+  let query = 'SELECT id, company_id, extraction_confidence, currency, upload_date FROM receipts WHERE id = ? AND company_id = ?';
+  const queryParams = [req.params.id, req.companyId];
+
+  // If user is not admin, only allow editing their own receipts
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  db.get(query, queryParams, async (err, receipt) => {
     if (err) {
       return res.status(500).json({ error: err.message });
     }
-    if (!row) {
+    if (!receipt) {
       return res.status(404).json({ error: 'Receipt not found' });
     }
 
-    // Delete the file if it exists
-    if (fs.existsSync(row.file_path)) {
-      fs.unlinkSync(row.file_path);
+    let extracted_date = null;
+    let converted;
+    try {
+      if (req.body.extracted_date) {
+        extracted_date = localeService.parseDate(req.body.extracted_date, await localeService.resolveLocale(req.companyId, req.userId));
+        if (!extracted_date) {
+          return res.status(400).json({ error: `Unrecognized date "${req.body.extracted_date}"` });
+        }
+      }
+
+      const convert = await currencyService.getConverter(req.companyId);
+      const currency = req.body.currency !== undefined ? req.body.currency : receipt.currency;
+      converted = await convert(extracted_amount, currency, extracted_date, receipt.upload_date);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
     }
 
-    // Delete from database
-    db.run('DELETE FROM receipts WHERE id = ?', [req.params.id], function(err) {
+    const updateQuery = `
+      UPDATE receipts 
+      SET extracted_amount = ?, extracted_date = ?, extracted_merchant = ?,
+          currency = ?, home_amount = ?, exchange_rate = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    db.run(updateQuery, [
+      extracted_amount, extracted_date, extracted_merchant,
+      converted.currency, converted.home_amount, converted.exchange_rate, receipt.id
+    ], async (err) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
-      res.json({ message: 'Receipt deleted successfully' });
+
+      // Saving the fields counts as reviewing them; differences from the OCR
+      // values are kept as corrections
+      try {
+        const corrections = await receiptService.saveReview(receipt, {
+          amount: extracted_amount,
+          date: extracted_date,
+          merchant: extracted_merchant
+        }, req.userId);
+        res.json({ message: 'Receipt updated successfully', corrections });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
   });
 });
 
+// Replace a receipt's line items and subtotal/tax/tip
+router.put('/:id/line-items', (req, res) => {
+  const { lineItems, amountBreakdown = {} } = req.body;
+
+  let lineItemsToSave;
+  try {
+    lineItemsToSave = receiptService.validateLineItems(lineItems);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  let query = 'SELECT id FROM receipts WHERE id = ? AND company_id = ?';
+  const queryParams = [req.params.id, req.companyId];
+
+  // If user is not admin, only allow editing their own receipts
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  db.get(query, queryParams, async (err, receipt) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    try {
+      await receiptService.saveLineItems(receipt.id, lineItemsToSave);
+      db.run(`
+        UPDATE receipts
+        SET subtotal_amount = ?, tax_amount = ?, tip_amount = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        receiptService.toAmount(amountBreakdown.subtotal),
+        receiptService.toAmount(amountBreakdown.tax),
+        receiptService.toAmount(amountBreakdown.tip),
+        req.userId,
+        receipt.id
+      ], async (err) => {
+        if (err) {
+          return res.status(500).json({ error: err.message });
+        }
+        res.json({
+          message: 'Line items updated successfully',
+          line_items: await receiptService.getLineItems(receipt.id)
+        });
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// Delete receipt, with everything stored against it and its files
+router.delete('/:id', (req, res) => {
+  let query = 'SELECT id FROM receipts WHERE id = ? AND company_id = ?';
+  const queryParams = [req.params.id, req.companyId];
+
+  // If user is not admin, only allow deleting their own receipts
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  db.get(query, queryParams, async (err, receipt) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    try {
+      // Deleting the receipt drops its matches, which a submitted or
+      // approved expense report relies on
+      const matches = await new Promise((resolve, reject) => {
+        db.all('SELECT transaction_id FROM matches WHERE receipt_id = ?', [receipt.id], (err, rows) => err ? reject(err) : resolve(rows));
+      });
+      const lockError = await expenseReportService.lockError(matches.map(match => match.transaction_id));
+      if (lockError) {
+        return res.status(409).json({ error: lockError });
+      }
+
+      receiptService.removeFiles(await receiptService.deleteReceipt(receipt.id));
+      res.json({ message: 'Receipt deleted successfully' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
 // Get unmatched receipts
 router.get('/unmatched/list', (req, res) => {
   // Build query with proper user/admin filtering
@@ -937,4 +751,43 @@ router.get('/unmatched/list', (req, res) => {
   });
 });
 
+// Get receipts whose OCR fields scored low enough to need a person to check them
+router.get('/review/queue', (req, res) => {
+  let whereClause = "WHERE r.company_id = ? AND r.needs_review = 1 AND r.processing_status = 'completed'";
+  const queryParams = [req.companyId];
+
+  // If user is not admin, only show their own receipts
+  if (req.user.currentRole !== 'admin') {
+    whereClause += ' AND r.created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  const query = `
+    SELECT r.id, r.original_filename, r.extracted_amount, r.extracted_date, r.extracted_merchant,
+           r.invoice_number, r.extraction_confidence, r.upload_date, r.created_by
+    FROM receipts r
+    ${whereClause}
+    ORDER BY r.upload_date
+  `;
+
+  db.all(query, queryParams, (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(rows.map(row => ({
+      ...row,
+      extraction_confidence: receiptService.parseConfidence(row.extraction_confidence)
+    })));
+  });
+});
+
+// Get how often reviewers kept each field as extracted, per extraction strategy
+router.get('/review/accuracy', async (req, res) => {
+  try {
+    res.json(await receiptService.getExtractionAccuracy(req.companyId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,11 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database/init');
-const csv = require('csv-parser');
 const fs = require('fs');
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
-const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const importService = require('../services/importService');
+const dedupService = require('../services/dedupService');
+const currencyService = require('../services/currencyService');
+const localeService = require('../services/localeService');
+const policyService = require('../services/policyService');
+const expenseReportService = require('../services/expenseReportService');
 const {
   authenticateToken,
   getUserCompanies,
@@ -19,27 +25,67 @@ router.use(getUserCompanies);
 router.use(requireCompanyAccess);
 router.use(addUserTracking);
 
-// Configure multer for CSV file uploads
+// Statement file extensions accepted for import
+const STATEMENT_EXTENSIONS = importService.listFormats().flatMap(format => format.extensions);
+
+// Configure multer for statement uploads (CSV, OFX/QFX, QIF). Statements are
+// kept outside the publicly served uploads directory, in a folder per company
+// and user so an import id from the preview step can only be committed by its
+// uploader, under a random name.
+const importsDir = path.join(os.tmpdir(), 'statement-imports');
+const userImportsDir = (req) => path.join(importsDir, `${req.companyId}_${req.userId}`);
 const csvStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const csvDir = path.join(__dirname, '../uploads/csv');
-    if (!fs.existsSync(csvDir)) {
-      fs.mkdirSync(csvDir, { recursive: true });
+    const dir = userImportsDir(req);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
     }
-    cb(null, csvDir);
+    cb(null, dir);
   },
   filename: (req, file, cb) => {
-    cb(null, `transactions_${Date.now()}.csv`);
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, `${uuidv4()}${STATEMENT_EXTENSIONS.includes(extension) ? extension : '.csv'}`);
   }
 });
 
+// Previews that are never committed or discarded are removed after a day
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+const removeStalePreviews = () => {
+  if (!fs.existsSync(importsDir)) return;
+
+  const cutoff = Date.now() - PREVIEW_TTL_MS;
+  fs.readdirSync(importsDir).forEach(userDir => {
+    const dir = path.join(importsDir, userDir);
+    fs.readdirSync(dir).forEach(name => {
+      const filePath = path.join(dir, name);
+      try {
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (error) {
+        console.error('Error removing stale statement preview:', error.message);
+      }
+    });
+  });
+};
+
+setInterval(() => {
+  try {
+    removeStalePreviews();
+  } catch (error) {
+    console.error('Error removing stale statement previews:', error.message);
+  }
+}, 60 * 60 * 1000).unref();
+
 const csvUpload = multer({ 
   storage: csvStorage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (file.mimetype === 'text/csv' || STATEMENT_EXTENSIONS.includes(extension)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'));
+      cb(new Error('Only CSV, OFX, QFX or QIF files are allowed'));
     }
   }
 });
@@ -65,7 +111,9 @@ router.get('/', (req, res) => {
   const query = `
     SELECT t.*, 
            COUNT(m.id) as receipt_count,
-           GROUP_CONCAT(r.original_filename) as receipts
+           GROUP_CONCAT(r.original_filename) as receipts,
+           (SELECT COUNT(*) FROM transaction_duplicates d
+            WHERE d.transaction_id = t.id AND d.status = 'pending') as pending_duplicate
     FROM transactions t
     LEFT JOIN matches m ON t.id = m.transaction_id AND m.user_confirmed = 1
     LEFT JOIN receipts r ON m.receipt_id = r.id
@@ -85,13 +133,24 @@ router.get('/', (req, res) => {
 
     // Get total count with same filtering
     const countQuery = `SELECT COUNT(*) as total FROM transactions t ${whereClause}`;
-    db.get(countQuery, countParams, (err, countRow) => {
+    db.get(countQuery, countParams, async (err, countRow) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
 
+      // Each transaction lists the company expense policy rules it breaks
+      let homeCurrency;
+      let transactions;
+      try {
+        homeCurrency = await currencyService.getHomeCurrency(req.companyId);
+        transactions = await policyService.checkTransactions(req.companyId, rows);
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
       res.json({
-        transactions: rows,
+        transactions,
+        homeCurrency,
         pagination: {
           page,
           limit,
@@ -103,6 +162,216 @@ router.get('/', (req, res) => {
   });
 });
 
+// List the bank CSV layouts and statement formats the importer understands
+router.get('/import-profiles', (req, res) => {
+  res.json({ profiles: importService.listProfiles(), formats: importService.listFormats() });
+});
+
+// Import history, newest first
+router.get('/import-batches', (req, res) => {
+  let whereClause = 'WHERE b.company_id = ?';
+  const queryParams = [req.companyId];
+
+  // If user is not admin, only show their own imports
+  if (req.user.currentRole !== 'admin') {
+    whereClause += ' AND b.created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  const query = `
+    SELECT b.*, u.first_name, u.last_name,
+           (SELECT COUNT(*) FROM transactions t WHERE t.import_batch_id = b.id) as remaining_transactions,
+           (SELECT COUNT(*) FROM matches m JOIN transactions t ON m.transaction_id = t.id
+            WHERE t.import_batch_id = b.id AND m.user_confirmed = 1) as confirmed_matches
+    FROM import_batches b
+    LEFT JOIN users u ON b.created_by = u.id
+    ${whereClause}
+    ORDER BY b.created_at DESC, b.id DESC
+  `;
+
+  db.all(query, queryParams, (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(rows);
+  });
+});
+
+// Roll back an import: remove its transactions, their unconfirmed matches and
+// any duplicate reviews involving them. Refused while receipts are confirmed
+// against its transactions, so reconciled work isn't lost silently.
+router.post('/import-batches/:id/rollback', async (req, res) => {
+  try {
+    let query = `SELECT * FROM import_batches WHERE id = ? AND company_id = ?`;
+    const params = [req.params.id, req.companyId];
+    if (req.user.currentRole !== 'admin') {
+      query += ' AND created_by = ?';
+      params.push(req.user.id);
+    }
+
+    const batch = await getAsync(query, params);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    if (batch.status === 'rolled_back') {
+      return res.status(400).json({ error: 'This import has already been rolled back' });
+    }
+
+    const confirmed = await getAsync(`
+      SELECT COUNT(*) as count FROM matches m
+      JOIN transactions t ON m.transaction_id = t.id
+      WHERE t.import_batch_id = ? AND m.user_confirmed = 1
+    `, [batch.id]);
+    if (confirmed.count > 0) {
+      return res.status(409).json({
+        error: `${confirmed.count} confirmed receipt matches use transactions from this import. Unmatch them before rolling back.`
+      });
+    }
+
+    const batchTransactions = 'SELECT id FROM transactions WHERE import_batch_id = ?';
+    let removedMatches = 0;
+    let removedTransactions = 0;
+    await serializedTransaction((check) => {
+      db.run(`DELETE FROM matches WHERE transaction_id IN (${batchTransactions})`, [batch.id], function(err) {
+        check(err);
+        removedMatches = err ? 0 : this.changes;
+      });
+      db.run(`DELETE FROM expense_report_items WHERE transaction_id IN (${batchTransactions})`, [batch.id], check);
+      db.run(`
+        DELETE FROM transaction_duplicates
+        WHERE transaction_id IN (${batchTransactions}) OR duplicate_of_id IN (${batchTransactions})
+      `, [batch.id, batch.id], check);
+      db.run('DELETE FROM transactions WHERE import_batch_id = ? AND company_id = ?', [batch.id, req.companyId], function(err) {
+        check(err);
+        removedTransactions = err ? 0 : this.changes;
+      });
+      db.run(`
+        UPDATE import_batches
+        SET status = 'rolled_back', rolled_back_by = ?, rolled_back_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [req.userId, batch.id], check);
+    });
+
+    res.json({
+      message: 'Import rolled back',
+      removedTransactions,
+      removedMatches
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Possible duplicates found during import, waiting for review
+router.get('/duplicates', (req, res) => {
+  let whereClause = 'WHERE d.company_id = ? AND d.status = ?';
+  const queryParams = [req.companyId, req.query.status || 'pending'];
+
+  // If user is not admin, only show duplicates among their own transactions
+  if (req.user.currentRole !== 'admin') {
+    whereClause += ' AND t.created_by = ?';
+    queryParams.push(req.user.id);
+  }
+
+  const query = `
+    SELECT d.*,
+           t.transaction_date, t.description, t.original_description, t.amount, t.created_at as imported_at,
+           o.transaction_date as original_transaction_date, o.description as original_transaction_description,
+           o.amount as original_amount, o.created_at as original_imported_at,
+           (SELECT COUNT(*) FROM matches m WHERE m.transaction_id = t.id AND m.user_confirmed = 1) as confirmed_matches
+    FROM transaction_duplicates d
+    JOIN transactions t ON d.transaction_id = t.id
+    JOIN transactions o ON d.duplicate_of_id = o.id
+    ${whereClause}
+    ORDER BY t.transaction_date DESC
+  `;
+
+  db.all(query, queryParams, (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.json(rows);
+  });
+});
+
+// Load a pending duplicate the current user may resolve
+const getPendingDuplicate = (req, callback) => {
+  let query = `
+    SELECT d.* FROM transaction_duplicates d
+    JOIN transactions t ON d.transaction_id = t.id
+    WHERE d.id = ? AND d.company_id = ? AND d.status = 'pending'
+  `;
+  const params = [req.params.id, req.companyId];
+
+  if (req.user.currentRole !== 'admin') {
+    query += ' AND t.created_by = ?';
+    params.push(req.user.id);
+  }
+
+  db.get(query, params, callback);
+};
+
+// Not a duplicate: keep both transactions
+router.put('/duplicates/:id/keep', (req, res) => {
+  getPendingDuplicate(req, (err, duplicate) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!duplicate) {
+      return res.status(404).json({ error: 'Duplicate not found' });
+    }
+
+    db.run(`
+      UPDATE transaction_duplicates
+      SET status = 'kept', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [req.userId, duplicate.id], (err) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json({ message: 'Both transactions kept' });
+    });
+  });
+});
+
+// A real duplicate: remove the newly imported transaction and its unconfirmed
+// matches. Refused if the new transaction already has confirmed matches.
+router.put('/duplicates/:id/remove', (req, res) => {
+  getPendingDuplicate(req, (err, duplicate) => {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (!duplicate) {
+      return res.status(404).json({ error: 'Duplicate not found' });
+    }
+
+    db.get('SELECT COUNT(*) as count FROM matches WHERE transaction_id = ? AND user_confirmed = 1', [duplicate.transaction_id], (err, row) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (row.count > 0) {
+        return res.status(409).json({ error: 'This transaction has confirmed receipt matches. Remove those first.' });
+      }
+
+      db.serialize(() => {
+        db.run('DELETE FROM matches WHERE transaction_id = ?', [duplicate.transaction_id]);
+        db.run('DELETE FROM expense_report_items WHERE transaction_id = ?', [duplicate.transaction_id]);
+        db.run('DELETE FROM transactions WHERE id = ? AND company_id = ?', [duplicate.transaction_id, req.companyId]);
+        db.run(`
+          UPDATE transaction_duplicates
+          SET status = 'removed', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [req.userId, duplicate.id], (err) => {
+          if (err) {
+            return res.status(500).json({ error: err.message });
+          }
+          res.json({ message: 'Duplicate transaction removed' });
+        });
+      });
+    });
+  });
+});
+
 // Get single transaction
 router.get('/:id', (req, res) => {
   // Build query with proper user/admin filtering
@@ -137,225 +406,336 @@ router.get('/:id', (req, res) => {
   });
 });
 
-// Import transactions from Chase CSV
-router.post('/import', csvUpload.single('csvFile'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No CSV file uploaded' });
+// Resolve an import id from the preview step to the stored upload, or null
+const getImportFile = (req, importId) => {
+  if (typeof importId !== 'string' || !/^[0-9a-f-]{36}\.(csv|ofx|qfx|qif)$/.test(importId)) {
+    return null;
+  }
+  const filePath = path.join(userImportsDir(req), importId);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+// Column mapping arrives as JSON, or as a JSON string in multipart uploads
+const parseMapping = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
   }
+};
 
-  const transactions = [];
-  let importCount = 0;
-  let skipCount = 0;
-
-  fs.createReadStream(req.file.path)
-    .pipe(csv())
-    .on('data', (row) => {
-      // Debug: Log CSV columns for the first row
-      if (transactions.length === 0) {
-        console.log('=== CSV IMPORT DEBUG ===');
-        console.log('CSV columns found:', Object.keys(row));
-        console.log('Sample row data:', row);
+// Promise wrappers for the multi-step import handlers
+const runAsync = (query, params) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+const getAsync = (query, params) => new Promise((resolve, reject) => {
+  db.get(query, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+// Run the writes queue(check) queues as one database transaction. They are
+// queued in a single serialized block with nothing awaited in between, so
+// other work on the shared connection can't land inside the transaction or
+// be rolled back with it. Pass check to (or call it from) each statement's
+// callback; the promise rejects with the first error.
+const serializedTransaction = (queue) => new Promise((resolve, reject) => {
+  let failure = null;
+  const check = (err) => {
+    failure = failure || err;
+  };
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION');
+    queue(check);
+    db.run('COMMIT', (err) => {
+      if (err) {
+        db.run('ROLLBACK');
+        reject(failure || err);
+      } else if (failure) {
+        reject(failure);
+      } else {
+        resolve();
       }
-      // Chase CSV format: Transaction Date, Description, Category, Type, Amount, Memo
-      // Additional fields: Post Date, Transaction ID (if available)
-      // Parse date without timezone conversion to avoid day shifts
-      let transactionDate;
-      try {
-        const dateStr = row['Transaction Date'];
-        if (!dateStr) {
-          console.warn('Missing transaction date in CSV row');
-          return;
-        }
-        
-        // Simple string-based parsing to avoid timezone issues
-        // Expected format: MM/DD/YYYY or M/D/YYYY
-        const dateMatch = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-        if (dateMatch) {
-          const [, month, day, year] = dateMatch;
-                     // Convert to YYYY-MM-DD format with zero-padding
-           transactionDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-           
-           // Debug logging for date conversion
-           if (dateStr.includes('7/22/2025') || dateStr.includes('07/22/2025')) {
-             console.log(`DEBUG: Date conversion - CSV: "${dateStr}" -> Database: "${transactionDate}"`);
-           }
-           
-           // Validate the date is reasonable
-           const testDate = new Date(transactionDate);
-           if (isNaN(testDate.getTime())) {
-             console.warn(`Invalid date parsed from CSV: "${dateStr}" -> "${transactionDate}"`);
-             return;
-           }
-        } else {
-          console.warn(`Date format not recognized in CSV: "${dateStr}"`);
-          return;
-        }
-      } catch (error) {
-        console.warn(`Date parsing error for: "${row['Transaction Date']}", error: ${error.message}`);
+    });
+  });
+});
+
+// Most recent completed import of the same file in this company, if any
+const findPreviousImport = (companyId, fileHash) => getAsync(`
+  SELECT id, file_name, created_at FROM import_batches
+  WHERE company_id = ? AND file_hash = ? AND status = 'completed'
+  ORDER BY created_at DESC LIMIT 1
+`, [companyId, fileHash]);
+
+// The id of the import batch inserted last. Valid inside writeImport's
+// serialized transaction, where no other import can insert one in between.
+const CURRENT_BATCH_ID = "(SELECT seq FROM sqlite_sequence WHERE name = 'import_batches')";
+
+// Record an import batch and insert its classified rows in one database
+// transaction, so a failure leaves no partial batch. Rows already imported
+// are skipped; rows resembling an existing transaction are inserted and
+// queued for review.
+const writeImport = async (req, batch, rows) => {
+  let batchId = null;
+  let imported = 0;
+  let skipped = 0;
+  let possibleDuplicates = 0;
+
+  await serializedTransaction((check) => {
+    db.run(`
+      INSERT INTO import_batches (company_id, file_name, file_hash, profile, total_rows, invalid_count, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [req.companyId, batch.fileName, batch.fileHash, batch.profile, batch.totalRows, batch.invalidCount, req.userId], function(err) {
+      check(err);
+      batchId = err ? null : this.lastID;
+    });
+
+    rows.forEach((row) => {
+      if (row.duplicate) {
+        skipped++;
         return;
       }
-      const description = row['Description'] || '';
-      const amount = parseFloat(row['Amount']) || 0;
-      const category = row['Category'] || '';
-      
-      // Extract additional fields if available - try multiple column name variants
-      let externalTransactionId = 
-        row['Transaction ID'] || 
-        row['Reference Number'] || 
-        row['Reference ID'] || 
-        row['Transaction Number'] || 
-        row['Confirmation Number'] || 
-        row['Auth Code'] || 
-        row['Authorization Code'] || 
-        row['ID'] || 
-        row['Ref'] || 
-        row['Ref Number'] || 
-        row['Ref#'] || '';
-
-      // If no standard ID found, look for any column that might contain ID-like values
-      if (!externalTransactionId) {
-        const columnKeys = Object.keys(row);
-        for (const key of columnKeys) {
-          const value = row[key];
-          // Look for columns with ID-like patterns (alphanumeric strings 4+ chars)
-          if (value && typeof value === 'string' && 
-              /^[A-Z0-9]{4,}$/i.test(value.trim()) && 
-              key.toLowerCase().includes('id')) {
-            externalTransactionId = value.trim();
-            console.log(`Found Transaction ID in column "${key}": ${externalTransactionId}`);
-            break;
-          }
+
+      const { transaction } = row;
+      db.run(`
+        INSERT OR IGNORE INTO transactions
+        (company_id, transaction_date, description, original_description, amount, card_last_four, category, chase_transaction_id, external_transaction_id, sales_tax, currency, home_amount, exchange_rate, import_batch_id, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${CURRENT_BATCH_ID}, ?)
+      `, [
+        req.companyId,
+        transaction.transaction_date,
+        transaction.description,
+        transaction.description,
+        transaction.amount,
+        transaction.card_last_four,
+        transaction.category,
+        transaction.chase_transaction_id,
+        transaction.external_transaction_id,
+        transaction.sales_tax,
+        transaction.currency,
+        transaction.home_amount,
+        transaction.exchange_rate,
+        req.userId
+      ], function(err) {
+        check(err);
+        if (!err && this.changes > 0) {
+          imported++;
+        } else {
+          skipped++;
         }
-      }
-        
-      const salesTax = parseFloat(
-        row['Tax Amount'] || 
-        row['Sales Tax'] || 
-        row['Tax'] || 
-        row['GST'] || 
-        row['VAT'] || 
-        row['State Tax'] || 
-        row['Local Tax'] || 
-        '' 
-      ) || null;
-      
-      // Debug: Log Transaction ID detection for first few rows
-      if (transactions.length < 3) {
-        console.log(`Row ${transactions.length + 1} Transaction ID search:`, {
-          'Available columns': Object.keys(row),
-          'Transaction ID': row['Transaction ID'],
-          'Reference Number': row['Reference Number'], 
-          'ID': row['ID'],
-          'Final selected': externalTransactionId,
-          'Sales Tax sources': {
-            'Tax Amount': row['Tax Amount'],
-            'Sales Tax': row['Sales Tax'],
-            'Final tax': salesTax
-          }
-        });
-      }
-      
-      // Create a unique identifier from the transaction data
-      const chaseTransactionId = `${transactionDate}_${description}_${Math.abs(amount)}`.replace(/[^a-zA-Z0-9]/g, '_');
-
-      transactions.push({
-        company_id: req.companyId,
-        transaction_date: transactionDate,
-        description: description,
-        amount: amount,
-        category: category,
-        chase_transaction_id: chaseTransactionId,
-        external_transaction_id: externalTransactionId,
-        sales_tax: salesTax,
-        created_by: req.userId
       });
-    })
-    .on('end', () => {
-      // Insert transactions into database
-      const stmt = db.prepare(`
-        INSERT OR IGNORE INTO transactions
-        (company_id, transaction_date, description, amount, category, chase_transaction_id, external_transaction_id, sales_tax, created_by)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      transactions.forEach((transaction) => {
-        stmt.run([
-          transaction.company_id,
-          transaction.transaction_date,
-          transaction.description,
-          transaction.amount,
-          transaction.category,
-          transaction.chase_transaction_id,
-          transaction.external_transaction_id,
-          transaction.sales_tax,
-          transaction.created_by
-        ], function(err) {
-          if (err) {
-            console.error('Error inserting transaction:', err);
-            skipCount++;
-          } else {
-            if (this.changes > 0) {
-              importCount++;
-            } else {
-              skipCount++;
-            }
-          }
+
+      if (row.possibleDuplicate) {
+        const [query, params] = dedupService.possibleDuplicateStatement(req.companyId, row.possibleDuplicate);
+        db.run(query, params, function(err) {
+          check(err);
+          possibleDuplicates += err ? 0 : this.changes;
         });
-      });
+      }
+    });
 
-      stmt.finalize((err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Error finalizing import' });
-        }
+    // The counts come from what was written, as the callbacks above haven't
+    // run yet when this is queued
+    db.run(`
+      UPDATE import_batches
+      SET imported_count = (SELECT COUNT(*) FROM transactions WHERE import_batch_id = import_batches.id),
+          skipped_count = ? - (SELECT COUNT(*) FROM transactions WHERE import_batch_id = import_batches.id),
+          possible_duplicate_count = (
+            SELECT COUNT(*) FROM transaction_duplicates
+            WHERE transaction_id IN (SELECT id FROM transactions WHERE import_batch_id = import_batches.id)
+          )
+      WHERE id = ${CURRENT_BATCH_ID}
+    `, [rows.length], check);
+  });
 
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
+  return { batchId, imported, skipped, possibleDuplicates };
+};
 
-        res.json({
-          message: 'Import completed',
-          imported: importCount,
-          skipped: skipCount,
-          total: transactions.length
-        });
-      });
-    })
-    .on('error', (err) => {
-      res.status(500).json({ error: 'Error processing CSV file: ' + err.message });
+// Parse a stored upload, record it as an import batch and insert its valid
+// rows. The file is removed whether or not the import succeeds.
+const commitImport = async (req, filePath, fileName, profileId, mapping) => {
+  try {
+    const locale = await localeService.resolveLocale(req.companyId, req.userId);
+    const { profile, rows } = await importService.parseFile(filePath, profileId, mapping, locale);
+    const errors = rows.filter(row => row.error).map(row => ({ line: row.line, error: row.error }));
+    const fileHash = await importService.hashFile(filePath);
+
+    await dedupService.classifyRows(req.companyId, rows);
+
+    const convert = await currencyService.getConverter(req.companyId);
+    for (const row of rows.filter(row => row.transaction)) {
+      Object.assign(row.transaction, await convert(row.transaction.amount, row.transaction.currency, row.transaction.transaction_date));
+    }
+
+    const { batchId, imported, skipped, possibleDuplicates } = await writeImport(req, {
+      fileName: fileName || path.basename(filePath),
+      fileHash,
+      profile: profile.id,
+      totalRows: rows.length,
+      invalidCount: errors.length
+    }, rows.filter(row => row.transaction));
+
+    return {
+      message: 'Import completed',
+      batchId,
+      profile: { id: profile.id, name: profile.name },
+      imported,
+      skipped,
+      possibleDuplicates,
+      invalid: errors.length,
+      errors,
+      total: rows.length
+    };
+  } finally {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+};
+
+// Step 1 of an import: upload a CSV (or re-read a previous upload with an
+// adjusted column mapping) and get every parsed row back, with validation
+// errors by line number and rows that would be skipped as duplicates.
+// Nothing is written until the import is committed.
+router.post('/import/preview', csvUpload.single('csvFile'), async (req, res) => {
+  const importId = req.file ? req.file.filename : req.body.importId;
+  const filePath = req.file ? req.file.path : getImportFile(req, importId);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Import not found. Please upload the file again.' });
+  }
+
+  try {
+    const mapping = parseMapping(req.body.mapping);
+    const locale = await localeService.resolveLocale(req.companyId, req.userId);
+    const { headers, profile, rows } = await importService.parseFile(filePath, req.body.profile, mapping, locale);
+    await dedupService.classifyRows(req.companyId, rows);
+    const previousImport = await findPreviousImport(req.companyId, await importService.hashFile(filePath));
+
+    res.json({
+      importId,
+      fileName: req.file ? req.file.originalname : req.body.fileName,
+      previousImport: previousImport || null,
+      profile: { id: profile.id, name: profile.name, format: profile.format },
+      headers,
+      mapping: {
+        columns: importService.effectiveColumns(profile, headers),
+        dateFormats: profile.dateFormats,
+        signConvention: profile.signConvention
+      },
+      rows,
+      summary: {
+        total: rows.length,
+        valid: rows.filter(row => row.transaction && !row.duplicate).length,
+        invalid: rows.filter(row => row.error).length,
+        duplicates: rows.filter(row => row.duplicate).length,
+        possibleDuplicates: rows.filter(row => row.possibleDuplicate).length
+      }
     });
+  } catch (err) {
+    res.status(500).json({ error: 'Error processing statement file: ' + err.message });
+  }
+});
+
+// Step 2 of an import: insert the previewed file with the confirmed mapping
+router.post('/import/commit', async (req, res) => {
+  const { importId, fileName, profile, mapping } = req.body;
+  const filePath = getImportFile(req, importId);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Import not found. Please upload the file again.' });
+  }
+
+  try {
+    res.json(await commitImport(req, filePath, fileName, profile, parseMapping(mapping)));
+  } catch (err) {
+    res.status(500).json({ error: 'Error importing statement file: ' + err.message });
+  }
+});
+
+// Discard a previewed upload without importing it
+router.delete('/import/:importId', (req, res) => {
+  const filePath = getImportFile(req, req.params.importId);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Import not found' });
+  }
+
+  fs.unlinkSync(filePath);
+  res.json({ message: 'Import discarded' });
+});
+
+// Import a statement in one step. CSV layouts come from the "profile" field,
+// or are detected from the header row when it's missing or "auto".
+router.post('/import', csvUpload.single('csvFile'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No statement file uploaded' });
+  }
+
+  try {
+    res.json(await commitImport(req, req.file.path, req.file.originalname, req.body.profile, parseMapping(req.body.mapping)));
+  } catch (err) {
+    res.status(500).json({ error: 'Error processing statement file: ' + err.message });
+  }
 });
 
-// Update transaction
-router.put('/:id', (req, res) => {
+// Update transaction. The home-currency amount is recomputed from the
+// edited amount and currency.
+router.put('/:id', async (req, res) => {
   const { description, amount, category } = req.body;
-  
-  const query = `
-    UPDATE transactions
-    SET description = ?, amount = ?, category = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE id = ? AND company_id = ?
-  `;
 
-  db.run(query, [description, amount, category, req.params.id, req.companyId], function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-    if (this.changes === 0) {
+  try {
+    const transaction = await getAsync('SELECT transaction_date, currency FROM transactions WHERE id = ? AND company_id = ?',
+      [req.params.id, req.companyId]);
+    if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
+    const lockError = await expenseReportService.lockError([req.params.id]);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    const currency = req.body.currency !== undefined ? req.body.currency : transaction.currency;
+    const convert = await currencyService.getConverter(req.companyId);
+    const converted = await convert(amount, currency, transaction.transaction_date);
+
+    // The dedup key is left alone so re-importing the statement still
+    // recognizes the edited transaction
+    await runAsync(`
+      UPDATE transactions
+      SET original_description = COALESCE(original_description, description),
+          description = ?, amount = ?, category = ?,
+          currency = ?, home_amount = ?, exchange_rate = ?,
+          updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND company_id = ?
+    `, [description, amount, category, converted.currency, converted.home_amount, converted.exchange_rate,
+      req.userId, req.params.id, req.companyId]);
+
     res.json({ message: 'Transaction updated successfully' });
-  });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Delete transaction
-router.delete('/:id', (req, res) => {
-  db.run('DELETE FROM transactions WHERE id = ? AND company_id = ?', [req.params.id, req.companyId], function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message });
+// Delete transaction, taking it off any draft, sent back or rejected
+// expense report. Refused while it is on a submitted or approved one.
+router.delete('/:id', async (req, res) => {
+  try {
+    const lockError = await expenseReportService.lockError([req.params.id]);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
     }
-    if (this.changes === 0) {
+
+    const result = await runAsync('DELETE FROM transactions WHERE id = ? AND company_id = ?', [req.params.id, req.companyId]);
+    if (result.changes === 0) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
+    await runAsync('DELETE FROM expense_report_items WHERE transaction_id = ?', [req.params.id]);
     res.json({ message: 'Transaction deleted successfully' });
-  });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
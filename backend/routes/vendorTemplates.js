@@ -0,0 +1,173 @@
+const express = require('express');
+const db = require('../database/init');
+const { authenticateToken, getUserCompanies, requireCompanyAccess, requireRole, addUserTracking } = require('../middleware/auth');
+const vendorTemplateService = require('../services/vendorTemplateService');
+const ocrService = require('../services/ocrService');
+const localeService = require('../services/localeService');
+
+const router = express.Router();
+
+// Vendor parser templates are maintained by company admins
+router.use(authenticateToken);
+router.use(getUserCompanies);
+router.use(requireCompanyAccess);
+router.use(requireRole('admin'));
+router.use(addUserTracking);
+
+// Get all vendor templates for the current company
+router.get('/', async (req, res) => {
+  try {
+    res.json(await vendorTemplateService.getTemplates(req.companyId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run a template against a receipt already processed by OCR. Takes either a
+// saved templateId or an unsaved template, so rules can be tried before saving.
+router.post('/test', (req, res) => {
+  const { receiptId, templateId, template } = req.body;
+
+  if (!receiptId) {
+    return res.status(400).json({ error: 'receiptId is required' });
+  }
+
+  db.get(
+    'SELECT id, original_filename, ocr_text, created_by FROM receipts WHERE id = ? AND company_id = ?',
+    [receiptId, req.companyId],
+    async (err, receipt) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      if (!receipt) {
+        return res.status(404).json({ error: 'Receipt not found' });
+      }
+      if (!receipt.ocr_text) {
+        return res.status(400).json({ error: 'This receipt has no OCR text yet' });
+      }
+
+      try {
+        let testTemplate;
+        if (templateId) {
+          const templates = await vendorTemplateService.getTemplates(req.companyId);
+          testTemplate = templates.find(t => t.id === parseInt(templateId));
+          if (!testTemplate) {
+            return res.status(404).json({ error: 'Vendor template not found' });
+          }
+        } else {
+          const { error, values } = vendorTemplateService.validateTemplate(template || {});
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          testTemplate = values;
+        }
+
+        // Read the receipt the way the OCR queue did, in its uploader's locale
+        const locale = await localeService.resolveLocale(req.companyId, receipt.created_by);
+        const generic = ocrService.parseReceiptText(receipt.ocr_text, [], locale);
+        res.json({
+          receipt: { id: receipt.id, original_filename: receipt.original_filename },
+          anchorFound: vendorTemplateService.matchesText(testTemplate, receipt.ocr_text),
+          result: vendorTemplateService.applyTemplate(testTemplate, receipt.ocr_text, locale),
+          generic: {
+            extractedAmount: generic.extractedAmount,
+            extractedDate: generic.extractedDate,
+            extractedMerchant: generic.extractedMerchant
+          },
+          ocrText: receipt.ocr_text
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+});
+
+// Add a template
+router.post('/', (req, res) => {
+  const { error, values } = vendorTemplateService.validateTemplate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const query = `
+    INSERT INTO vendor_templates
+    (company_id, name, anchor_text, merchant_name, date_format, rules, priority, is_active, created_by, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  db.run(query, [
+    req.companyId,
+    values.name,
+    values.anchor_text,
+    values.merchant_name,
+    values.date_format,
+    JSON.stringify(values.rules),
+    values.priority,
+    values.is_active ? 1 : 0,
+    req.userId,
+    req.userId
+  ], function(err) {
+    if (err) {
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'A template with this name already exists' });
+      }
+      return res.status(500).json({ error: err.message });
+    }
+    res.status(201).json({ id: this.lastID, ...values, message: 'Vendor template created successfully' });
+  });
+});
+
+// Edit a template
+router.put('/:id', (req, res) => {
+  const { error, values } = vendorTemplateService.validateTemplate(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const query = `
+    UPDATE vendor_templates
+    SET name = ?, anchor_text = ?, merchant_name = ?, date_format = ?, rules = ?, priority = ?, is_active = ?,
+        updated_by = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND company_id = ?
+  `;
+
+  db.run(query, [
+    values.name,
+    values.anchor_text,
+    values.merchant_name,
+    values.date_format,
+    JSON.stringify(values.rules),
+    values.priority,
+    values.is_active ? 1 : 0,
+    req.userId,
+    req.params.id,
+    req.companyId
+  ], function(err) {
+    if (err) {
+      if (err.message.includes('UNIQUE constraint failed')) {
+        return res.status(409).json({ error: 'A template with this name already exists' });
+      }
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Vendor template not found' });
+    }
+    res.json({ id: parseInt(req.params.id), ...values, message: 'Vendor template updated successfully' });
+  });
+});
+
+// Delete a template
+router.delete('/:id', (req, res) => {
+  db.run('DELETE FROM vendor_templates WHERE id = ? AND company_id = ?', [req.params.id, req.companyId], function(err) {
+    if (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    if (this.changes === 0) {
+      return res.status(404).json({ error: 'Vendor template not found' });
+    }
+    res.json({ message: 'Vendor template deleted successfully' });
+  });
+});
+
+module.exports = router;
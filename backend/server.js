@@ -8,6 +8,8 @@ require('dotenv').config();
 
 // Import database
 const db = require('./database/init');
+const ocrQueueService = require('./services/ocrQueueService');
+const inboundEmailService = require('./services/inboundEmailService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -16,6 +18,11 @@ const transactionRoutes = require('./routes/transactions');
 const receiptRoutes = require('./routes/receipts');
 const matchRoutes = require('./routes/matches');
 const exportRoutes = require('./routes/exports');
+const merchantAliasRoutes = require('./routes/merchantAliases');
+const vendorTemplateRoutes = require('./routes/vendorTemplates');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const expenseReportRoutes = require('./routes/expenseReports');
+const approvalChainRoutes = require('./routes/approvalChain');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -89,6 +96,11 @@ app.use('/api/transactions', transactionRoutes);
 app.use('/api/receipts', receiptRoutes);
 app.use('/api/matches', matchRoutes);
 app.use('/api/exports', exportRoutes);
+app.use('/api/merchant-aliases', merchantAliasRoutes);
+app.use('/api/vendor-templates', vendorTemplateRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/expense-reports', expenseReportRoutes);
+app.use('/api/approval-chain', approvalChainRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -133,4 +145,17 @@ app.listen(PORT, () => {
   console.log('  ✅ Role-Based Access Control');
   console.log('  ✅ Rate Limiting & Security');
   console.log('  ✅ Receipt OCR & Matching');
+
+  // Start OCR workers once the database tables are ready
+  setTimeout(() => {
+    ocrQueueService.start().catch(err => {
+      console.error('Error starting OCR queue:', err);
+    });
+
+    if (process.env.INBOUND_EMAIL_PORT) {
+      inboundEmailService.start().catch(err => {
+        console.error('Error starting inbound email listener:', err);
+      });
+    }
+  }, 1000);
 }); 
\ No newline at end of file
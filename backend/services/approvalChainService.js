@@ -0,0 +1,256 @@
+const moment = require('moment');
+const db = require('../database/init');
+
+// Same order as requireRole: a step for managers can be approved by admins too
+const ROLE_LEVELS = { user: 1, manager: 2, admin: 3 };
+const APPROVER_ROLES = ['manager', 'admin'];
+
+// The single sign-off a report needs when none of the company's steps apply
+// to it (or the company has not set up a chain)
+const DEFAULT_STEP = {
+  id: null,
+  name: 'Manager approval',
+  position: 0,
+  approver_role: 'manager',
+  approver_user_id: null,
+  min_total: null,
+  category: null
+};
+
+const runAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+const getAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.get(query, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+const allAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const parseDate = (value) => {
+  const date = moment(value, 'YYYY-MM-DD', true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+};
+
+class ApprovalChainService {
+  getSteps(companyId) {
+    return allAsync(`
+      SELECT s.*, u.first_name as approver_first_name, u.last_name as approver_last_name
+      FROM approval_steps s
+      LEFT JOIN users u ON u.id = s.approver_user_id
+      WHERE s.company_id = ?
+      ORDER BY s.position, s.id
+    `, [companyId]);
+  }
+
+  getStep(stepId, companyId) {
+    return getAsync('SELECT * FROM approval_steps WHERE id = ? AND company_id = ?', [stepId, companyId]);
+  }
+
+  // Active members of the company, to pick named approvers and delegates from
+  getMembers(companyId) {
+    return allAsync(`
+      SELECT u.id, u.first_name, u.last_name, u.email, uc.role
+      FROM users u
+      JOIN user_companies uc ON uc.user_id = u.id
+      WHERE uc.company_id = ? AND uc.status = 'active'
+      ORDER BY u.first_name, u.last_name
+    `, [companyId]);
+  }
+
+  findMember(companyId, userId) {
+    return getAsync(`
+      SELECT user_id, role FROM user_companies
+      WHERE company_id = ? AND user_id = ? AND status = 'active'
+    `, [companyId, userId]);
+  }
+
+  // Check a step sent by a client. A step names either a role or a user as
+  // its approver. Returns the cleaned values or throws saying what is wrong.
+  async validateStep(companyId, body) {
+    const name = (body.name || '').trim();
+    const approverRole = body.approverRole || null;
+    const approverUserId = body.approverUserId ? parseInt(body.approverUserId) : null;
+    const hasMinTotal = body.minTotal !== undefined && body.minTotal !== null && body.minTotal !== '';
+    const minTotal = hasMinTotal ? parseFloat(body.minTotal) : null;
+    const position = parseInt(body.position);
+
+    if (!name) {
+      throw new Error('Step name is required');
+    }
+    if (!approverRole === !approverUserId) {
+      throw new Error('Choose either an approver role or a named approver');
+    }
+    if (approverRole && !APPROVER_ROLES.includes(approverRole)) {
+      throw new Error('Approver role must be manager or admin');
+    }
+    if (approverUserId && !(await this.findMember(companyId, approverUserId))) {
+      throw new Error('The approver must be an active member of the company');
+    }
+    if (hasMinTotal && (!Number.isFinite(minTotal) || minTotal < 0)) {
+      throw new Error('Minimum total must be a positive amount');
+    }
+
+    return {
+      name,
+      approverRole,
+      approverUserId,
+      minTotal,
+      category: (body.category || '').trim() || null,
+      position: Number.isNaN(position) ? null : position
+    };
+  }
+
+  // Add a step; without a position it goes to the end of the chain
+  async createStep(companyId, userId, values) {
+    let { position } = values;
+    if (position === null) {
+      const last = await getAsync('SELECT MAX(position) as position FROM approval_steps WHERE company_id = ?', [companyId]);
+      position = (last.position || 0) + 1;
+    }
+
+    const result = await runAsync(`
+      INSERT INTO approval_steps (company_id, name, position, approver_role, approver_user_id, min_total, category, created_by, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [companyId, values.name, position, values.approverRole, values.approverUserId, values.minTotal, values.category, userId, userId]);
+    return result.lastID;
+  }
+
+  async updateStep(step, userId, values) {
+    await runAsync(`
+      UPDATE approval_steps
+      SET name = ?, position = ?, approver_role = ?, approver_user_id = ?, min_total = ?, category = ?,
+          updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      values.name,
+      values.position === null ? step.position : values.position,
+      values.approverRole,
+      values.approverUserId,
+      values.minTotal,
+      values.category,
+      userId,
+      step.id
+    ]);
+  }
+
+  deleteStep(stepId) {
+    return runAsync('DELETE FROM approval_steps WHERE id = ?', [stepId]);
+  }
+
+  // Delegations the user gave while out, and the ones they were given
+  getDelegations(companyId, userId) {
+    return allAsync(`
+      SELECT d.*,
+             u.first_name as user_first_name, u.last_name as user_last_name,
+             dl.first_name as delegate_first_name, dl.last_name as delegate_last_name
+      FROM approval_delegations d
+      JOIN users u ON u.id = d.user_id
+      JOIN users dl ON dl.id = d.delegate_id
+      WHERE d.company_id = ? AND (d.user_id = ? OR d.delegate_id = ?) AND d.ends_on >= ?
+      ORDER BY d.starts_on, d.id
+    `, [companyId, userId, userId, moment().format('YYYY-MM-DD')]);
+  }
+
+  async validateDelegation(companyId, userId, body) {
+    const delegateId = parseInt(body.delegateId);
+    const startsOn = parseDate(body.startsOn);
+    const endsOn = parseDate(body.endsOn);
+
+    if (!delegateId || !(await this.findMember(companyId, delegateId))) {
+      throw new Error('The delegate must be an active member of the company');
+    }
+    if (delegateId === userId) {
+      throw new Error('You cannot delegate to yourself');
+    }
+    if (!startsOn || !endsOn) {
+      throw new Error('Start and end dates (YYYY-MM-DD) are required');
+    }
+    if (endsOn < startsOn) {
+      throw new Error('The end date cannot be before the start date');
+    }
+    if (endsOn < moment().format('YYYY-MM-DD')) {
+      throw new Error('The delegation has already ended');
+    }
+    return { delegateId, startsOn, endsOn };
+  }
+
+  async createDelegation(companyId, userId, { delegateId, startsOn, endsOn }) {
+    const result = await runAsync(`
+      INSERT INTO approval_delegations (company_id, user_id, delegate_id, starts_on, ends_on)
+      VALUES (?, ?, ?, ?, ?)
+    `, [companyId, userId, delegateId, startsOn, endsOn]);
+    return result.lastID;
+  }
+
+  // Remove one of the user's own delegations; resolves to whether it existed
+  async deleteDelegation(delegationId, companyId, userId) {
+    const result = await runAsync(`
+      DELETE FROM approval_delegations WHERE id = ? AND company_id = ? AND user_id = ?
+    `, [delegationId, companyId, userId]);
+    return result.changes > 0;
+  }
+
+  // Approvers who are out today and delegated to delegateId, with their role
+  activeDelegators(companyId, delegateId, date = moment().format('YYYY-MM-DD')) {
+    return allAsync(`
+      SELECT d.user_id as id, uc.role
+      FROM approval_delegations d
+      JOIN user_companies uc ON uc.user_id = d.user_id AND uc.company_id = d.company_id AND uc.status = 'active'
+      WHERE d.company_id = ? AND d.delegate_id = ? AND ? BETWEEN d.starts_on AND d.ends_on
+    `, [companyId, delegateId, date]);
+  }
+
+  // Whether a step applies to a report with this home-currency total and
+  // these transaction categories
+  appliesTo(step, total, categories) {
+    if (step.min_total !== null && step.min_total !== undefined && !(total > step.min_total)) {
+      return false;
+    }
+    if (step.category) {
+      const category = step.category.toLowerCase();
+      return categories.some(c => (c || '').toLowerCase() === category);
+    }
+    return true;
+  }
+
+  // The steps a report needs, in order
+  requiredSteps(steps, total, categories) {
+    const required = steps.filter(step => this.appliesTo(step, total, categories));
+    return required.length > 0 ? required : [DEFAULT_STEP];
+  }
+
+  // Step approvals from the report's history since it was last submitted;
+  // sending a report back starts its chain over
+  currentApprovals(history) {
+    let submittedAt = -1;
+    history.forEach((entry, index) => {
+      if (entry.action === 'submitted') submittedAt = index;
+    });
+    return history.slice(submittedAt + 1).filter(entry => entry.action === 'approved');
+  }
+
+  canApprove(step, approver) {
+    if (step.approver_user_id) {
+      return step.approver_user_id === approver.id;
+    }
+    return (ROLE_LEVELS[approver.role] || 0) >= (ROLE_LEVELS[step.approver_role] || 0);
+  }
+
+  // How user can approve the step: { onBehalfOf: null } in their own right,
+  // { onBehalfOf: id } as the delegate of an approver who is out, or null if
+  // they can't
+  approverFor(step, user, delegators = []) {
+    if (this.canApprove(step, user)) {
+      return { onBehalfOf: null };
+    }
+    const delegator = delegators.find(d => this.canApprove(step, d));
+    return delegator ? { onBehalfOf: delegator.id } : null;
+  }
+}
+
+module.exports = new ApprovalChainService();
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const moment = require('moment');
+const db = require('../database/init');
+
+const DEFAULT_HOME_CURRENCY = 'USD';
+
+// Currency signs found on receipts. "$" is left out: it is used by too many
+// currencies to say anything on its own, so a receipt showing only "$" is
+// taken to be in the company's home currency.
+const CURRENCY_SYMBOLS = {
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₪': 'ILS',
+  '₺': 'TRY',
+  '฿': 'THB',
+  'C$': 'CAD',
+  'CA$': 'CAD',
+  'A$': 'AUD',
+  'AU$': 'AUD',
+  'NZ$': 'NZD',
+  'HK$': 'HKD',
+  'S$': 'SGD',
+  'MX$': 'MXN',
+  'R$': 'BRL'
+};
+
+// ISO codes recognized when written out on a receipt ("Total EUR 45.00")
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'NZD', 'CHF', 'CNY', 'HKD', 'SGD', 'INR', 'KRW',
+  'MXN', 'BRL', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'ILS', 'TRY', 'THB', 'ZAR', 'AED'
+];
+
+// Exchange-rate CSV columns; the first header present is used
+const RATE_COLUMNS = {
+  date: ['Date', 'Rate Date', 'rate_date'],
+  from: ['From', 'Base', 'Currency', 'base_currency'],
+  to: ['To', 'Quote', 'quote_currency'],
+  rate: ['Rate', 'Exchange Rate', 'rate']
+};
+
+const RATE_DATE_FORMATS = ['YYYY-MM-DD', 'M/D/YYYY', 'MM/DD/YYYY', 'D.M.YYYY'];
+
+// Receipt dates as stored by OCR, and transaction dates
+const AMOUNT_DATE_FORMATS = ['YYYY-MM-DD', 'YYYY-MM-DD HH:mm:ss', 'MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CurrencyService {
+  // Three-letter uppercase code, or null for anything else
+  normalizeCode(value) {
+    const code = String(value || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+  }
+
+  // Currency a receipt is written in, from ISO codes and currency signs in
+  // its text. Returns null when nothing but "$" (or nothing at all) shows up.
+  detectCurrency(text) {
+    if (!text) return null;
+
+    const counts = {};
+    const count = (code, times) => {
+      if (times > 0) counts[code] = (counts[code] || 0) + times;
+    };
+
+    CURRENCY_CODES.forEach(code => {
+      count(code, (text.match(new RegExp(`\\b${code}\\b`, 'g')) || []).length);
+    });
+
+    // Multi-character signs first, so "C$" isn't also counted as something else
+    Object.keys(CURRENCY_SYMBOLS)
+      .sort((a, b) => b.length - a.length)
+      .forEach(symbol => {
+        const pattern = new RegExp(`(?:^|[^A-Za-z])${escapeRegExp(symbol)}`, 'g');
+        count(CURRENCY_SYMBOLS[symbol], (text.match(pattern) || []).length);
+      });
+
+    // "USD" printed next to foreign prices is usually a conversion note, so
+    // it only wins when nothing else is found
+    const foreign = Object.keys(counts).filter(code => code !== 'USD');
+    if (foreign.length > 0) {
+      return foreign.sort((a, b) => counts[b] - counts[a])[0];
+    }
+    return counts.USD ? 'USD' : null;
+  }
+
+  readSettings(companyId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT settings FROM companies WHERE id = ?', [companyId], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        let settings = {};
+        if (row && row.settings) {
+          try {
+            settings = JSON.parse(row.settings);
+          } catch (parseError) {
+            console.error(`Invalid settings JSON for company ${companyId}:`, parseError.message);
+          }
+        }
+        resolve(settings);
+      });
+    });
+  }
+
+  async getHomeCurrency(companyId) {
+    const settings = await this.readSettings(companyId);
+    return this.normalizeCode(settings.homeCurrency) || DEFAULT_HOME_CURRENCY;
+  }
+
+  async setHomeCurrency(companyId, currency) {
+    const settings = await this.readSettings(companyId);
+    settings.homeCurrency = currency;
+
+    return new Promise((resolve, reject) => {
+      db.run('UPDATE companies SET settings = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [JSON.stringify(settings), companyId], (err) => err ? reject(err) : resolve(currency));
+    });
+  }
+
+  // Rate to turn one unit of `from` into `to`, from the rate closest to the
+  // date (earlier rates win ties). Rates stored the other way round are
+  // inverted.
+  findRate(companyId, from, to, date) {
+    return new Promise((resolve, reject) => {
+      db.get(`
+        SELECT rate_date,
+               CASE WHEN base_currency = ? THEN rate ELSE 1.0 / rate END as rate
+        FROM exchange_rates
+        WHERE company_id = ?
+          AND ((base_currency = ? AND quote_currency = ?) OR (base_currency = ? AND quote_currency = ?))
+        ORDER BY ABS(julianday(rate_date) - julianday(?)), rate_date
+        LIMIT 1
+      `, [from, companyId, from, to, to, from, date], (err, row) => err ? reject(err) : resolve(row || null));
+    });
+  }
+
+  // A function converting amounts into the company's home currency, at the
+  // rate for the given date (or the fallback date when the first can't be
+  // read). Returns { currency, home_amount, exchange_rate }; home_amount is
+  // null when no rate is known for a foreign currency. Rates are cached per
+  // converter.
+  async getConverter(companyId) {
+    const homeCurrency = await this.getHomeCurrency(companyId);
+    const rates = new Map();
+
+    const converter = async (amount, currency, date, fallbackDate) => {
+      const code = this.normalizeCode(currency) || homeCurrency;
+      if (amount === null || amount === undefined) {
+        return { currency: code, home_amount: null, exchange_rate: null };
+      }
+      if (code === homeCurrency) {
+        return { currency: code, home_amount: amount, exchange_rate: 1 };
+      }
+
+      const parsedDate = [date, fallbackDate, new Date()]
+        .map(value => value instanceof Date ? moment(value) : moment(value, AMOUNT_DATE_FORMATS, true))
+        .find(value => value.isValid());
+      const rateDate = parsedDate.format('YYYY-MM-DD');
+      const key = `${code}:${rateDate}`;
+      if (!rates.has(key)) {
+        const found = await this.findRate(companyId, code, homeCurrency, rateDate);
+        rates.set(key, found ? found.rate : null);
+      }
+
+      const rate = rates.get(key);
+      return {
+        currency: code,
+        home_amount: rate ? roundCents(amount * rate) : null,
+        exchange_rate: rate
+      };
+    };
+    converter.homeCurrency = homeCurrency;
+    return converter;
+  }
+
+  // Read an exchange-rate CSV with date, from, to and rate columns
+  parseRatesCsv(filePath) {
+    return new Promise((resolve, reject) => {
+      const rates = [];
+      const errors = [];
+      let lineNumber = 1;
+
+      const read = (row, candidates) => {
+        const name = candidates.map(column => column.toLowerCase()).find(column => row[column] !== undefined);
+        return name ? String(row[name]).trim() : '';
+      };
+
+      fs.createReadStream(filePath)
+        .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim().toLowerCase() }))
+        .on('data', (row) => {
+          lineNumber++;
+          const date = moment(read(row, RATE_COLUMNS.date), RATE_DATE_FORMATS, true);
+          const from = this.normalizeCode(read(row, RATE_COLUMNS.from));
+          const to = this.normalizeCode(read(row, RATE_COLUMNS.to));
+          const rate = parseFloat(read(row, RATE_COLUMNS.rate));
+
+          if (!date.isValid()) {
+            errors.push({ line: lineNumber, error: `Unrecognized date "${read(row, RATE_COLUMNS.date)}"` });
+          } else if (!from || !to) {
+            errors.push({ line: lineNumber, error: 'From and To must be three-letter currency codes' });
+          } else if (from === to) {
+            errors.push({ line: lineNumber, error: 'From and To are the same currency' });
+          } else if (isNaN(rate) || rate <= 0) {
+            errors.push({ line: lineNumber, error: 'Rate must be a positive number' });
+          } else {
+            rates.push({ rate_date: date.format('YYYY-MM-DD'), base_currency: from, quote_currency: to, rate });
+          }
+        })
+        .on('end', () => resolve({ rates, errors }))
+        .on('error', reject);
+    });
+  }
+
+  getRates(companyId) {
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT * FROM exchange_rates
+        WHERE company_id = ?
+        ORDER BY rate_date DESC, base_currency, quote_currency
+      `, [companyId], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+
+  deleteRate(companyId, id) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM exchange_rates WHERE id = ? AND company_id = ?', [id, companyId], function(err) {
+        err ? reject(err) : resolve(this.changes);
+      });
+    });
+  }
+
+  // Insert rates, replacing any already stored for the same day and pair
+  saveRates(companyId, rates, userId) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+
+        const stmt = db.prepare(`
+          INSERT INTO exchange_rates (company_id, rate_date, base_currency, quote_currency, rate, source, created_by)
+          VALUES (?, ?, ?, ?, ?, 'csv', ?)
+          ON CONFLICT(company_id, rate_date, base_currency, quote_currency) DO UPDATE SET
+            rate = excluded.rate, source = excluded.source, created_by = excluded.created_by,
+            created_at = CURRENT_TIMESTAMP
+        `);
+        rates.forEach(rate => {
+          stmt.run([companyId, rate.rate_date, rate.base_currency, rate.quote_currency, rate.rate, userId]);
+        });
+        stmt.finalize();
+
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve(rates.length);
+          }
+        });
+      });
+    });
+  }
+
+  // Recompute stored home-currency amounts after rates or the home currency
+  // change. Rows without a currency are in the home currency by definition.
+  async refreshHomeAmounts(companyId) {
+    const convert = await this.getConverter(companyId);
+    const all = (query) => new Promise((resolve, reject) => {
+      db.all(query, [companyId], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    const receipts = await all(`
+      SELECT id, extracted_amount, extracted_date, upload_date, currency FROM receipts WHERE company_id = ?
+    `);
+    const transactions = await all(`
+      SELECT id, amount, transaction_date, currency FROM transactions WHERE company_id = ?
+    `);
+
+    const updates = [];
+    for (const receipt of receipts) {
+      const converted = await convert(receipt.extracted_amount, receipt.currency, receipt.extracted_date, receipt.upload_date);
+      updates.push(['UPDATE receipts SET currency = ?, home_amount = ?, exchange_rate = ? WHERE id = ?',
+        [converted.currency, converted.home_amount, converted.exchange_rate, receipt.id]]);
+    }
+    for (const transaction of transactions) {
+      const converted = await convert(transaction.amount, transaction.currency, transaction.transaction_date);
+      updates.push(['UPDATE transactions SET currency = ?, home_amount = ?, exchange_rate = ? WHERE id = ?',
+        [converted.currency, converted.home_amount, converted.exchange_rate, transaction.id]]);
+    }
+
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        updates.forEach(([query, params]) => db.run(query, params));
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve({ receipts: receipts.length, transactions: transactions.length });
+          }
+        });
+      });
+    });
+  }
+
+  // Amount in the home currency: the amount itself when it is already in
+  // the home currency (or has none), otherwise the stored conversion, which
+  // is null when no rate was known
+  homeValue(amount, currency, homeAmount, homeCurrency = DEFAULT_HOME_CURRENCY) {
+    if (!currency || currency === homeCurrency) {
+      return amount === null || amount === undefined ? null : parseFloat(amount);
+    }
+    return homeAmount === null || homeAmount === undefined ? null : parseFloat(homeAmount);
+  }
+
+  // "$1,234.56" for US dollars, "EUR 1,234.56" for anything else
+  formatMoney(amount, currency = DEFAULT_HOME_CURRENCY) {
+    const value = parseFloat(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return !currency || currency === 'USD' ? `$${value}` : `${currency} ${value}`;
+  }
+
+  // Original amount, followed by the home-currency amount when they differ:
+  // "EUR 45.00 (USD 49.12)"
+  formatWithHome(amount, currency, homeAmount, homeCurrency = DEFAULT_HOME_CURRENCY) {
+    if (!currency || currency === homeCurrency) {
+      return this.formatMoney(amount, homeCurrency);
+    }
+    const home = homeAmount === null || homeAmount === undefined
+      ? 'no exchange rate'
+      : `${homeCurrency} ${this.formatMoney(homeAmount, null).slice(1)}`;
+    return `${this.formatMoney(amount, currency)} (${home})`;
+  }
+}
+
+module.exports = new CurrencyService();
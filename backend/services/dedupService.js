@@ -0,0 +1,119 @@
+const moment = require('moment');
+const db = require('../database/init');
+
+// Same-amount transactions at most this many days apart are flagged for review
+const POSSIBLE_DUPLICATE_DAYS = 1;
+
+// Key built from the row content; this is what chase_transaction_id has
+// always held, so earlier imports keep matching
+const contentKey = (transaction) =>
+  `${transaction.transaction_date}_${transaction.description}_${Math.abs(transaction.amount)}`;
+
+const sanitizeKey = (key) => key.replace(/[^a-zA-Z0-9]/g, '_');
+
+class DedupService {
+  // Give each parsed transaction its dedup key (stored in
+  // chase_transaction_id). Rows carrying a bank id (OFX FITID, CSV reference
+  // column) use it; the rest fall back to the content key. Identical rows
+  // within one file get an occurrence counter, so two coffees on the same day
+  // are both kept and re-importing the file still recognizes each of them.
+  assignKeys(transactions) {
+    const occurrences = new Map();
+
+    transactions.forEach(transaction => {
+      const baseKey = sanitizeKey(transaction.dedup_key || contentKey(transaction));
+      const occurrence = (occurrences.get(baseKey) || 0) + 1;
+      occurrences.set(baseKey, occurrence);
+
+      transaction.chase_transaction_id = occurrence === 1 ? baseKey : `${baseKey}_${occurrence}`;
+    });
+
+    return transactions;
+  }
+
+  // Compare parsed rows ({ line, transaction }) with the company's existing
+  // transactions and label them:
+  //   duplicate: 'existing'  - same dedup key, skipped on import
+  //   possibleDuplicate      - same amount within a day of an existing
+  //                            transaction under another key (e.g. the bank
+  //                            reworded the description); imported, then
+  //                            queued for review
+  classifyRows(companyId, rows) {
+    const validRows = rows.filter(row => row.transaction);
+    this.assignKeys(validRows.map(row => row.transaction));
+
+    return new Promise((resolve, reject) => {
+      if (validRows.length === 0) {
+        resolve(rows);
+        return;
+      }
+
+      const dates = validRows.map(row => row.transaction.transaction_date).sort();
+      const query = `
+        SELECT id, chase_transaction_id, transaction_date, description, amount
+        FROM transactions
+        WHERE company_id = ? AND transaction_date BETWEEN ? AND ?
+      `;
+      const params = [
+        companyId,
+        moment(dates[0]).subtract(POSSIBLE_DUPLICATE_DAYS, 'days').format('YYYY-MM-DD'),
+        moment(dates[dates.length - 1]).add(POSSIBLE_DUPLICATE_DAYS, 'days').format('YYYY-MM-DD')
+      ];
+
+      db.all(query, params, (err, existing) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const byKey = new Map(existing.map(transaction => [transaction.chase_transaction_id, transaction]));
+        const claimed = new Set();
+
+        validRows.forEach(row => {
+          const match = byKey.get(row.transaction.chase_transaction_id);
+          if (match) {
+            row.duplicate = 'existing';
+            claimed.add(match.id);
+          }
+        });
+
+        // Each existing transaction can explain at most one new row
+        validRows.filter(row => !row.duplicate).forEach(row => {
+          const rowDate = moment(row.transaction.transaction_date);
+          const candidate = existing.find(transaction =>
+            !claimed.has(transaction.id) &&
+            Math.abs(Math.abs(transaction.amount) - Math.abs(row.transaction.amount)) < 0.005 &&
+            Math.sign(transaction.amount) === Math.sign(row.transaction.amount) &&
+            Math.abs(moment(transaction.transaction_date).diff(rowDate, 'days')) <= POSSIBLE_DUPLICATE_DAYS
+          );
+
+          if (candidate) {
+            claimed.add(candidate.id);
+            row.possibleDuplicate = {
+              ...candidate,
+              reason: candidate.transaction_date === row.transaction.transaction_date
+                ? 'Same amount and date as an existing transaction'
+                : 'Same amount as an existing transaction one day apart'
+            };
+          }
+        });
+
+        resolve(rows);
+      });
+    });
+  }
+
+  // The [query, params] that queues an imported transaction resembling an
+  // existing one (a row's possibleDuplicate) for review. Run it straight
+  // after the transaction's INSERT OR IGNORE on the same serialized
+  // connection: it picks up the new row's id, and does nothing if the insert
+  // was ignored.
+  possibleDuplicateStatement(companyId, possibleDuplicate) {
+    return [`
+      INSERT OR IGNORE INTO transaction_duplicates (company_id, transaction_id, duplicate_of_id, reason)
+      SELECT ?, last_insert_rowid(), ?, ? WHERE changes() > 0
+    `, [companyId, possibleDuplicate.id, possibleDuplicate.reason]];
+  }
+}
+
+module.exports = new DedupService();
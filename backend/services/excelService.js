@@ -1,5 +1,6 @@
 const ExcelJS = require('exceljs');
 const moment = require('moment');
+const currencyService = require('./currencyService');
 
 class ExcelService {
   constructor() {
@@ -19,7 +20,8 @@ class ExcelService {
       includeMatched = true,
       includeUnmatched = true,
       startDate,
-      endDate
+      endDate,
+      homeCurrency = 'USD'
     } = options;
 
     const workbook = new ExcelJS.Workbook();
@@ -31,24 +33,24 @@ class ExcelService {
 
     // Summary Sheet
     const summarySheet = workbook.addWorksheet('Summary');
-    this.setupSummarySheet(summarySheet, transactions, companyName, startDate, endDate);
+    this.setupSummarySheet(summarySheet, transactions, companyName, startDate, endDate, homeCurrency);
 
     // Transactions Sheet
     const transactionsSheet = workbook.addWorksheet('Transactions');
-    this.setupTransactionsSheet(transactionsSheet, transactions, { includeMatched, includeUnmatched });
+    this.setupTransactionsSheet(transactionsSheet, transactions, { includeMatched, includeUnmatched, homeCurrency });
 
     // Matched Transactions Sheet
     const matchedTransactions = transactions.filter(t => t.receipt_count > 0);
     if (matchedTransactions.length > 0) {
       const matchedSheet = workbook.addWorksheet('Matched');
-      this.setupTransactionsSheet(matchedSheet, matchedTransactions, { title: 'Matched Transactions' });
+      this.setupTransactionsSheet(matchedSheet, matchedTransactions, { title: 'Matched Transactions', homeCurrency });
     }
 
     // Unmatched Transactions Sheet
     const unmatchedTransactions = transactions.filter(t => t.receipt_count === 0);
     if (unmatchedTransactions.length > 0) {
       const unmatchedSheet = workbook.addWorksheet('Unmatched');
-      this.setupTransactionsSheet(unmatchedSheet, unmatchedTransactions, { title: 'Unmatched Transactions' });
+      this.setupTransactionsSheet(unmatchedSheet, unmatchedTransactions, { title: 'Unmatched Transactions', homeCurrency });
     }
 
     return workbook;
@@ -60,7 +62,8 @@ class ExcelService {
       companyName = 'Company',
       includeOCRData = true,
       includeMatched = true,
-      includeUnmatched = true
+      includeUnmatched = true,
+      homeCurrency = 'USD'
     } = options;
 
     // Generate subtitle based on match status filtering
@@ -80,19 +83,19 @@ class ExcelService {
 
     // Receipts Summary
     const summarySheet = workbook.addWorksheet('Summary');
-    this.setupReceiptsSummarySheet(summarySheet, receipts, companyName, statusFilter);
+    this.setupReceiptsSummarySheet(summarySheet, receipts, companyName, statusFilter, homeCurrency);
 
     // Receipts Detail
     const detailSheet = workbook.addWorksheet('Receipts');
-    this.setupReceiptsSheet(detailSheet, receipts, { includeOCRData, statusFilter });
+    this.setupReceiptsSheet(detailSheet, receipts, { includeOCRData, statusFilter, homeCurrency });
 
     // Receipts by Merchant
     const merchantSheet = workbook.addWorksheet('By Merchant');
-    this.setupReceiptsByMerchantSheet(merchantSheet, receipts, statusFilter);
+    this.setupReceiptsByMerchantSheet(merchantSheet, receipts, statusFilter, homeCurrency);
 
     // Receipts by Month
     const monthlySheet = workbook.addWorksheet('By Month');
-    this.setupReceiptsByMonthSheet(monthlySheet, receipts, statusFilter);
+    this.setupReceiptsByMonthSheet(monthlySheet, receipts, statusFilter, homeCurrency);
 
     return workbook;
   }
@@ -171,7 +174,7 @@ class ExcelService {
   }
 
   // Setup Methods for Different Sheets
-  setupSummarySheet(sheet, transactions, companyName, startDate, endDate) {
+  setupSummarySheet(sheet, transactions, companyName, startDate, endDate, homeCurrency = 'USD') {
     // Header
     sheet.mergeCells('A1:E1');
     sheet.getCell('A1').value = `${companyName} - Transaction Summary`;
@@ -187,19 +190,23 @@ class ExcelService {
     }
 
     // Calculate statistics
-    const stats = this.calculateStats(transactions);
+    const stats = this.calculateStats(transactions, homeCurrency);
+    const money = (value) => currencyService.formatMoney(value, homeCurrency);
     
     // Summary data
     const summaryData = [
       ['Metric', 'Value'],
       ['Total Transactions', stats.total.toLocaleString()],
-      ['Total Amount', `$${stats.totalAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`],
+      ['Total Amount', money(stats.totalAmount)],
       ['Matched Transactions', `${stats.matched} (${stats.matchPercentage}%)`],
       ['Unmatched Transactions', stats.unmatched.toString()],
-      ['Average Transaction', `$${stats.averageAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`],
-      ['Highest Transaction', `$${stats.highestAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`],
-      ['Lowest Transaction', `$${stats.lowestAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`]
+      ['Average Transaction', money(stats.averageAmount)],
+      ['Highest Transaction', money(stats.highestAmount)],
+      ['Lowest Transaction', money(stats.lowestAmount)]
     ];
+    if (stats.unconverted > 0) {
+      summaryData.push(['Not in totals', `${stats.unconverted} without an exchange rate`]);
+    }
 
     // Add summary data starting from row 4
     this.addDataTable(sheet, summaryData, 4, 1, true);
@@ -212,10 +219,10 @@ class ExcelService {
   }
 
   setupTransactionsSheet(sheet, transactions, options = {}) {
-    const { title = 'Transactions', includeMatched = true, includeUnmatched = true } = options;
+    const { title = 'Transactions', includeMatched = true, includeUnmatched = true, homeCurrency = 'USD' } = options;
 
     // Header
-    sheet.mergeCells('A1:H1');
+    sheet.mergeCells('A1:J1');
     sheet.getCell('A1').value = title;
     sheet.getCell('A1').style = this.getHeaderStyle();
 
@@ -228,7 +235,9 @@ class ExcelService {
       'Transaction ID',
       'Sales Tax',
       'Status',
-      'Receipt Count'
+      'Receipt Count',
+      'Currency',
+      `Amount (${homeCurrency})`
     ];
 
     // Add headers
@@ -254,15 +263,16 @@ class ExcelService {
       sheet.getCell(rowIndex, 1).value = new Date(transaction.transaction_date);
       sheet.getCell(rowIndex, 1).numFmt = 'mm/dd/yyyy';
       
+      const currency = transaction.currency || homeCurrency;
       sheet.getCell(rowIndex, 2).value = transaction.description;
       sheet.getCell(rowIndex, 3).value = parseFloat(transaction.amount || 0);
-      sheet.getCell(rowIndex, 3).numFmt = '"$"#,##0.00';
+      sheet.getCell(rowIndex, 3).numFmt = this.getMoneyFormat(currency);
       
       sheet.getCell(rowIndex, 4).value = transaction.category || '';
       sheet.getCell(rowIndex, 5).value = transaction.external_transaction_id || '';
       
       sheet.getCell(rowIndex, 6).value = parseFloat(transaction.sales_tax || 0);
-      sheet.getCell(rowIndex, 6).numFmt = '"$"#,##0.00';
+      sheet.getCell(rowIndex, 6).numFmt = this.getMoneyFormat(currency);
       
       const status = transaction.receipt_count > 0 ? 'Matched' : 'Unmatched';
       sheet.getCell(rowIndex, 7).value = status;
@@ -276,6 +286,9 @@ class ExcelService {
       }
       
       sheet.getCell(rowIndex, 8).value = transaction.receipt_count || 0;
+      sheet.getCell(rowIndex, 9).value = currency;
+      sheet.getCell(rowIndex, 10).value = currencyService.homeValue(transaction.amount || 0, transaction.currency, transaction.home_amount, homeCurrency);
+      sheet.getCell(rowIndex, 10).numFmt = this.getMoneyFormat(homeCurrency);
     });
 
     // Auto-fit columns
@@ -287,7 +300,9 @@ class ExcelService {
       { width: 20 }, // Transaction ID
       { width: 12 }, // Sales Tax
       { width: 12 }, // Status
-      { width: 12 }  // Receipt Count
+      { width: 12 }, // Receipt Count
+      { width: 10 }, // Currency
+      { width: 15 }  // Home Amount
     ];
 
     // Add totals row
@@ -295,22 +310,33 @@ class ExcelService {
     sheet.getCell(totalRow, 1).value = 'TOTAL:';
     sheet.getCell(totalRow, 1).style = this.getTotalStyle();
     
-    const totalAmount = filteredTransactions.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
-    sheet.getCell(totalRow, 3).value = totalAmount;
-    sheet.getCell(totalRow, 3).numFmt = '"$"#,##0.00';
-    sheet.getCell(totalRow, 3).style = this.getTotalStyle();
-
-    const totalTax = filteredTransactions.reduce((sum, t) => sum + parseFloat(t.sales_tax || 0), 0);
-    sheet.getCell(totalRow, 6).value = totalTax;
-    sheet.getCell(totalRow, 6).numFmt = '"$"#,##0.00';
-    sheet.getCell(totalRow, 6).style = this.getTotalStyle();
+    // Original amounts only add up when they share a currency
+    const currencies = new Set(filteredTransactions.map(t => t.currency || homeCurrency));
+    if (currencies.size <= 1) {
+      const currency = currencies.size === 1 ? [...currencies][0] : homeCurrency;
+      const totalAmount = filteredTransactions.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
+      sheet.getCell(totalRow, 3).value = totalAmount;
+      sheet.getCell(totalRow, 3).numFmt = this.getMoneyFormat(currency);
+      sheet.getCell(totalRow, 3).style = this.getTotalStyle();
+
+      const totalTax = filteredTransactions.reduce((sum, t) => sum + parseFloat(t.sales_tax || 0), 0);
+      sheet.getCell(totalRow, 6).value = totalTax;
+      sheet.getCell(totalRow, 6).numFmt = this.getMoneyFormat(currency);
+      sheet.getCell(totalRow, 6).style = this.getTotalStyle();
+    }
+
+    const totalHomeAmount = filteredTransactions.reduce((sum, t) =>
+      sum + (currencyService.homeValue(t.amount || 0, t.currency, t.home_amount, homeCurrency) || 0), 0);
+    sheet.getCell(totalRow, 10).value = totalHomeAmount;
+    sheet.getCell(totalRow, 10).numFmt = this.getMoneyFormat(homeCurrency);
+    sheet.getCell(totalRow, 10).style = this.getTotalStyle();
   }
 
   setupReceiptsSheet(sheet, receipts, options = {}) {
-    const { includeOCRData = true, statusFilter = '' } = options;
+    const { includeOCRData = true, statusFilter = '', homeCurrency = 'USD' } = options;
 
     // Header
-    sheet.mergeCells('A1:I1');
+    sheet.mergeCells('A1:K1');
     sheet.getCell('A1').value = `Receipt Details${statusFilter}`;
     sheet.getCell('A1').style = this.getHeaderStyle();
 
@@ -324,7 +350,9 @@ class ExcelService {
       'Extracted Merchant',
       'Processing Status',
       'Match Status',
-      'OCR Confidence'
+      'OCR Confidence',
+      'Currency',
+      `Amount (${homeCurrency})`
     ];
 
     // Add headers
@@ -344,8 +372,9 @@ class ExcelService {
       
       sheet.getCell(rowIndex, 3).value = Math.round((receipt.file_size || 0) / 1024);
       
+      const currency = receipt.currency || homeCurrency;
       sheet.getCell(rowIndex, 4).value = parseFloat(receipt.extracted_amount || 0);
-      sheet.getCell(rowIndex, 4).numFmt = '"$"#,##0.00';
+      sheet.getCell(rowIndex, 4).numFmt = this.getMoneyFormat(currency);
       
       if (receipt.extracted_date) {
         sheet.getCell(rowIndex, 5).value = new Date(receipt.extracted_date);
@@ -356,6 +385,9 @@ class ExcelService {
       sheet.getCell(rowIndex, 7).value = receipt.processing_status || 'pending';
       sheet.getCell(rowIndex, 8).value = receipt.match_status || 'unmatched';
       sheet.getCell(rowIndex, 9).value = receipt.ocr_confidence || '';
+      sheet.getCell(rowIndex, 10).value = currency;
+      sheet.getCell(rowIndex, 11).value = currencyService.homeValue(receipt.extracted_amount || 0, receipt.currency, receipt.home_amount, homeCurrency);
+      sheet.getCell(rowIndex, 11).numFmt = this.getMoneyFormat(homeCurrency);
     });
 
     // Auto-fit columns
@@ -368,7 +400,9 @@ class ExcelService {
       { width: 25 }, // Merchant
       { width: 15 }, // Processing Status
       { width: 12 }, // Match Status
-      { width: 12 }  // OCR Confidence
+      { width: 12 }, // OCR Confidence
+      { width: 10 }, // Currency
+      { width: 15 }  // Home Amount
     ];
   }
 
@@ -433,8 +467,18 @@ class ExcelService {
   }
 
   // Helper Methods
-  calculateStats(transactions) {
-    const amounts = transactions.map(t => parseFloat(t.amount || 0));
+
+  // Excel number format showing the currency: "$" for US dollars, the ISO
+  // code for anything else
+  getMoneyFormat(currency) {
+    return !currency || currency === 'USD' ? '"$"#,##0.00' : `"${currency} "#,##0.00`;
+  }
+
+  // Amounts are compared in the home currency; transactions in another
+  // currency without an exchange rate are left out of the amount figures
+  calculateStats(transactions, homeCurrency = 'USD') {
+    const homeAmounts = transactions.map(t => currencyService.homeValue(t.amount || 0, t.currency, t.home_amount, homeCurrency));
+    const amounts = homeAmounts.filter(amount => amount !== null);
     const total = transactions.length;
     const totalAmount = amounts.reduce((sum, amount) => sum + amount, 0);
     const matched = transactions.filter(t => t.receipt_count > 0).length;
@@ -447,10 +491,16 @@ class ExcelService {
       matchPercentage: total > 0 ? Math.round((matched / total) * 100) : 0,
       averageAmount: total > 0 ? totalAmount / total : 0,
       highestAmount: amounts.length > 0 ? Math.max(...amounts) : 0,
-      lowestAmount: amounts.length > 0 ? Math.min(...amounts) : 0
+      lowestAmount: amounts.length > 0 ? Math.min(...amounts) : 0,
+      unconverted: homeAmounts.length - amounts.length
     };
   }
 
+  // Receipt amount in the home currency, zero when it can't be converted
+  receiptHomeAmount(receipt, homeCurrency = 'USD') {
+    return currencyService.homeValue(receipt.extracted_amount || 0, receipt.currency, receipt.home_amount, homeCurrency) || 0;
+  }
+
   addDataTable(sheet, data, startRow, startCol, hasHeaders = false) {
     data.forEach((row, rowIndex) => {
       row.forEach((cell, colIndex) => {
@@ -466,7 +516,7 @@ class ExcelService {
     });
   }
 
-  setupReceiptsSummarySheet(sheet, receipts, companyName, statusFilter) {
+  setupReceiptsSummarySheet(sheet, receipts, companyName, statusFilter, homeCurrency = 'USD') {
     // Header
     sheet.mergeCells('A1:D1');
     sheet.getCell('A1').value = `${companyName} - Receipt Summary${statusFilter}`;
@@ -474,17 +524,17 @@ class ExcelService {
 
     // Calculate receipt statistics
     const totalReceipts = receipts.length;
-    const totalAmount = receipts.reduce((sum, r) => sum + parseFloat(r.extracted_amount || 0), 0);
+    const totalAmount = receipts.reduce((sum, r) => sum + this.receiptHomeAmount(r, homeCurrency), 0);
     const processedReceipts = receipts.filter(r => r.processing_status === 'completed').length;
     const matchedReceipts = receipts.filter(r => r.match_status === 'matched').length;
 
     const summaryData = [
       ['Metric', 'Value'],
       ['Total Receipts', totalReceipts.toLocaleString()],
-      ['Total Amount', `$${totalAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`],
+      ['Total Amount', currencyService.formatMoney(totalAmount, homeCurrency)],
       ['Processed Receipts', `${processedReceipts} (${Math.round((processedReceipts / totalReceipts) * 100)}%)`],
       ['Matched Receipts', `${matchedReceipts} (${Math.round((matchedReceipts / totalReceipts) * 100)}%)`],
-      ['Average Amount', `$${totalReceipts > 0 ? (totalAmount / totalReceipts).toLocaleString('en-US', { minimumFractionDigits: 2 }) : '0.00'}`]
+      ['Average Amount', currencyService.formatMoney(totalReceipts > 0 ? totalAmount / totalReceipts : 0, homeCurrency)]
     ];
 
     this.addDataTable(sheet, summaryData, 3, 1, true);
@@ -496,7 +546,7 @@ class ExcelService {
     ];
   }
 
-  setupReceiptsByMerchantSheet(sheet, receipts, statusFilter) {
+  setupReceiptsByMerchantSheet(sheet, receipts, statusFilter, homeCurrency = 'USD') {
     // Header
     sheet.mergeCells('A1:D1');
     sheet.getCell('A1').value = `Receipts by Merchant${statusFilter}`;
@@ -510,18 +560,18 @@ class ExcelService {
         merchantGroups[merchant] = { count: 0, totalAmount: 0 };
       }
       merchantGroups[merchant].count++;
-      merchantGroups[merchant].totalAmount += parseFloat(receipt.extracted_amount || 0);
+      merchantGroups[merchant].totalAmount += this.receiptHomeAmount(receipt, homeCurrency);
     });
 
     // Convert to array and sort by total amount
     const merchantData = Object.entries(merchantGroups)
+      .sort((a, b) => b[1].totalAmount - a[1].totalAmount)
       .map(([merchant, data]) => [
         merchant,
         data.count,
-        `$${data.totalAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`,
-        `$${(data.totalAmount / data.count).toLocaleString('en-US', { minimumFractionDigits: 2 })}`
-      ])
-      .sort((a, b) => parseFloat(b[2].replace(/[$,]/g, '')) - parseFloat(a[2].replace(/[$,]/g, '')));
+        currencyService.formatMoney(data.totalAmount, homeCurrency),
+        currencyService.formatMoney(data.totalAmount / data.count, homeCurrency)
+      ]);
 
     // Add headers
     const headers = ['Merchant', 'Receipt Count', 'Total Amount', 'Average Amount'];
@@ -538,7 +588,7 @@ class ExcelService {
     ];
   }
 
-  setupReceiptsByMonthSheet(sheet, receipts, statusFilter) {
+  setupReceiptsByMonthSheet(sheet, receipts, statusFilter, homeCurrency = 'USD') {
     // Header
     sheet.mergeCells('A1:D1');
     sheet.getCell('A1').value = `Receipts by Month${statusFilter}`;
@@ -557,7 +607,7 @@ class ExcelService {
           monthGroups[month] = { count: 0, totalAmount: 0 };
         }
         monthGroups[month].count++;
-        monthGroups[month].totalAmount += parseFloat(receipt.extracted_amount || 0);
+        monthGroups[month].totalAmount += this.receiptHomeAmount(receipt, homeCurrency);
       }
     });
 
@@ -566,8 +616,8 @@ class ExcelService {
       .map(([month, data]) => [
         moment(month).format('MMMM YYYY'),
         data.count,
-        `$${data.totalAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`,
-        `$${(data.totalAmount / data.count).toLocaleString('en-US', { minimumFractionDigits: 2 })}`
+        currencyService.formatMoney(data.totalAmount, homeCurrency),
+        currencyService.formatMoney(data.totalAmount / data.count, homeCurrency)
       ])
       .sort((a, b) => moment(a[0], 'MMMM YYYY').valueOf() - moment(b[0], 'MMMM YYYY').valueOf());
 
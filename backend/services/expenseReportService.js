@@ -0,0 +1,445 @@
+const moment = require('moment');
+const db = require('../database/init');
+const currencyService = require('./currencyService');
+const approvalChainService = require('./approvalChainService');
+
+// What each workflow action does to a report: the statuses it may start
+// from and the status it leaves the report in
+const ACTIONS = {
+  submit: { from: ['draft', 'returned'], to: 'submitted' },
+  approve: { from: ['submitted'], to: 'approved' },
+  reject: { from: ['submitted'], to: 'rejected' },
+  return: { from: ['submitted'], to: 'returned' }
+};
+
+// Actions an approver takes on someone else's submitted report
+const DECISIONS = ['approve', 'reject', 'return'];
+
+// Statuses in which the owner can still change a report
+const EDITABLE_STATUSES = ['draft', 'returned'];
+
+// Statuses in which a report's transactions and their matches are frozen,
+// so what approvers signed off on can't change underneath them
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+const runAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+const getAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.get(query, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+const allAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+// "A draft report", "An approved report"
+const reportWithStatus = (status) => `${/^[aeiou]/.test(status) ? 'An' : 'A'} ${status} report`;
+
+const parseDate = (value) => {
+  const date = moment(value, 'YYYY-MM-DD', true);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+};
+
+class ExpenseReportService {
+  isEditable(report) {
+    return EDITABLE_STATUSES.includes(report.status);
+  }
+
+  // Why the owner can't change the report, or null while it is a draft or
+  // sent back
+  editError(report) {
+    return this.isEditable(report) ? null : `${reportWithStatus(report.status)} cannot be changed`;
+  }
+
+  // Why the transactions can't be edited, deleted or have their matches
+  // changed, or null when none is on a submitted or approved report
+  async lockError(transactionIds) {
+    const report = await getAsync(`
+      SELECT er.purpose, er.status
+      FROM expense_report_items i
+      JOIN expense_reports er ON er.id = i.report_id
+      WHERE i.transaction_id IN (SELECT value FROM json_each(?))
+        AND er.status IN (SELECT value FROM json_each(?))
+      LIMIT 1
+    `, [JSON.stringify(transactionIds.map(id => parseInt(id))), JSON.stringify(LOCKED_STATUSES)]);
+    if (!report) {
+      return null;
+    }
+    return `The transaction is on the ${report.status} expense report "${report.purpose}" and cannot be changed` +
+      (report.status === 'submitted' ? ' unless the report is sent back' : '');
+  }
+
+  isDecision(action) {
+    return DECISIONS.includes(action);
+  }
+
+  // Check a report's purpose and period sent by a client. Returns the cleaned
+  // values or throws with a message saying what is wrong.
+  validateReport(body) {
+    const purpose = (body.purpose || '').trim();
+    const periodStart = parseDate(body.periodStart);
+    const periodEnd = parseDate(body.periodEnd);
+
+    if (!purpose) {
+      throw new Error('Purpose is required');
+    }
+    if (!periodStart || !periodEnd) {
+      throw new Error('Period start and end dates (YYYY-MM-DD) are required');
+    }
+    if (periodEnd < periodStart) {
+      throw new Error('Period end cannot be before its start');
+    }
+    return { purpose, periodStart, periodEnd };
+  }
+
+  async createReport(companyId, userId, { purpose, periodStart, periodEnd }) {
+    const result = await runAsync(`
+      INSERT INTO expense_reports (company_id, purpose, period_start, period_end, created_by, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [companyId, purpose, periodStart, periodEnd, userId, userId]);
+
+    await this.recordHistory(result.lastID, 'created', null, 'draft', userId, null);
+    return result.lastID;
+  }
+
+  async updateReport(report, { purpose, periodStart, periodEnd }, userId) {
+    const outside = await getAsync(`
+      SELECT COUNT(*) as count
+      FROM expense_report_items i
+      JOIN transactions t ON t.id = i.transaction_id
+      WHERE i.report_id = ? AND (t.transaction_date < ? OR t.transaction_date > ?)
+    `, [report.id, periodStart, periodEnd]);
+    if (outside.count > 0) {
+      throw new Error(`${outside.count} transaction(s) on the report fall outside the new period`);
+    }
+
+    await runAsync(`
+      UPDATE expense_reports
+      SET purpose = ?, period_start = ?, period_end = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [purpose, periodStart, periodEnd, userId, report.id]);
+  }
+
+  getReport(reportId, companyId) {
+    return getAsync(`
+      SELECT er.*,
+             u.first_name as owner_first_name, u.last_name as owner_last_name, u.email as owner_email,
+             d.first_name as decided_by_first_name, d.last_name as decided_by_last_name
+      FROM expense_reports er
+      JOIN users u ON u.id = er.created_by
+      LEFT JOIN users d ON d.id = er.decided_by
+      WHERE er.id = ? AND er.company_id = ?
+    `, [reportId, companyId]);
+  }
+
+  // Reports in the company, newest first, with their transaction count and
+  // home-currency total. ownerId limits the list to one user's reports;
+  // otherwise other users' drafts are left out.
+  listReports(companyId, { ownerId = null, viewerId = null, status = null } = {}, homeCurrency = 'USD') {
+    let query = `
+      SELECT er.*, u.first_name as owner_first_name, u.last_name as owner_last_name,
+             COUNT(t.id) as item_count,
+             SUM(ABS(CASE WHEN t.currency IS NULL OR t.currency = ? THEN t.amount ELSE t.home_amount END)) as total_amount
+      FROM expense_reports er
+      JOIN users u ON u.id = er.created_by
+      LEFT JOIN expense_report_items i ON i.report_id = er.id
+      LEFT JOIN transactions t ON t.id = i.transaction_id
+      WHERE er.company_id = ?
+    `;
+    const params = [homeCurrency, companyId];
+
+    if (ownerId) {
+      query += ' AND er.created_by = ?';
+      params.push(ownerId);
+    } else {
+      query += " AND (er.status != 'draft' OR er.created_by = ?)";
+      params.push(viewerId);
+    }
+    if (status) {
+      query += ' AND er.status = ?';
+      params.push(status);
+    }
+    query += ' GROUP BY er.id ORDER BY er.updated_at DESC, er.id DESC';
+
+    return allAsync(query, params);
+  }
+
+  // The report's transactions with the receipts confirmed against them
+  getItems(reportId) {
+    return allAsync(`
+      SELECT t.id, t.transaction_date, t.description, t.amount, t.currency, t.home_amount, t.category,
+             COUNT(m.id) as receipt_count,
+             GROUP_CONCAT(r.original_filename, ', ') as receipts
+      FROM expense_report_items i
+      JOIN transactions t ON t.id = i.transaction_id
+      LEFT JOIN matches m ON m.transaction_id = t.id AND m.user_confirmed = 1
+      LEFT JOIN receipts r ON r.id = m.receipt_id
+      WHERE i.report_id = ?
+      GROUP BY t.id
+      ORDER BY t.transaction_date, t.id
+    `, [reportId]);
+  }
+
+  getHistory(reportId) {
+    return allAsync(`
+      SELECT h.*, u.first_name, u.last_name, s.name as step_name,
+             b.first_name as on_behalf_of_first_name, b.last_name as on_behalf_of_last_name
+      FROM expense_report_history h
+      LEFT JOIN users u ON u.id = h.user_id
+      LEFT JOIN approval_steps s ON s.id = h.step_id
+      LEFT JOIN users b ON b.id = h.on_behalf_of
+      WHERE h.report_id = ?
+      ORDER BY h.id
+    `, [reportId]);
+  }
+
+  // Spend on the report in the home currency. Charges in another currency
+  // without an exchange rate are counted in unconverted, not in the total.
+  totalOf(items, homeCurrency = 'USD') {
+    const values = items.map(item => currencyService.homeValue(item.amount, item.currency, item.home_amount, homeCurrency));
+    return {
+      total: Math.round(values.reduce((sum, value) => sum + Math.abs(value || 0), 0) * 100) / 100,
+      unconverted: values.filter(value => value === null).length
+    };
+  }
+
+  // Matched transactions the report's owner could add: in the report's period,
+  // with a confirmed receipt and not on another report that is still open or
+  // approved. ownOnly limits them to transactions the owner imported.
+  getAvailableTransactions(report, ownOnly) {
+    let query = `
+      SELECT t.id, t.transaction_date, t.description, t.amount, t.currency, t.home_amount, t.category,
+             COUNT(m.id) as receipt_count
+      FROM transactions t
+      JOIN matches m ON m.transaction_id = t.id AND m.user_confirmed = 1
+      WHERE t.company_id = ? AND t.transaction_date BETWEEN ? AND ?
+        AND NOT EXISTS (
+          SELECT 1 FROM expense_report_items i
+          JOIN expense_reports er ON er.id = i.report_id
+          WHERE i.transaction_id = t.id AND er.status != 'rejected'
+        )
+    `;
+    const params = [report.company_id, report.period_start, report.period_end];
+    if (ownOnly) {
+      query += ' AND t.created_by = ?';
+      params.push(report.created_by);
+    }
+    query += ' GROUP BY t.id ORDER BY t.transaction_date, t.id';
+
+    return allAsync(query, params);
+  }
+
+  // Add transactions to a report. Every one must be available to it (see
+  // getAvailableTransactions); otherwise nothing is added and this throws
+  // naming the first that isn't. Resolves to the number added.
+  async addTransactions(report, transactionIds, ownOnly) {
+    if (!Array.isArray(transactionIds) || transactionIds.length === 0) {
+      throw new Error('transactionIds must be a non-empty array');
+    }
+
+    const available = new Set((await this.getAvailableTransactions(report, ownOnly)).map(t => t.id));
+    const ids = [...new Set(transactionIds.map(id => parseInt(id)))];
+    const unavailable = ids.find(id => !available.has(id));
+    if (unavailable !== undefined) {
+      throw new Error(`Transaction ${unavailable} is not a matched transaction in this report's period, or is already on another report`);
+    }
+
+    for (const id of ids) {
+      await runAsync('INSERT OR IGNORE INTO expense_report_items (report_id, transaction_id) VALUES (?, ?)', [report.id, id]);
+    }
+    await runAsync('UPDATE expense_reports SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [report.id]);
+    return ids.length;
+  }
+
+  async removeTransaction(report, transactionId) {
+    const result = await runAsync(`
+      DELETE FROM expense_report_items WHERE report_id = ? AND transaction_id = ?
+    `, [report.id, transactionId]);
+    await runAsync('UPDATE expense_reports SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [report.id]);
+    return result.changes > 0;
+  }
+
+  // The approval steps the report needs, each with the approval that
+  // completed it since the report was last submitted, and the step now
+  // waiting for approval. Given a user ({ id, role }), acting says how they
+  // can approve that step (see approvalChainService.approverFor), or is null.
+  // The chain is worked out from the live items, which can't change while the
+  // report is submitted or approved (see lockError).
+  async getApproval(report, user = null) {
+    const [items, history, steps, homeCurrency] = await Promise.all([
+      this.getItems(report.id),
+      this.getHistory(report.id),
+      approvalChainService.getSteps(report.company_id),
+      currencyService.getHomeCurrency(report.company_id)
+    ]);
+
+    const { total } = this.totalOf(items, homeCurrency);
+    const approvals = this.isEditable(report) ? [] : approvalChainService.currentApprovals(history);
+    const chain = approvalChainService.requiredSteps(steps, total, items.map(item => item.category))
+      .map(step => ({ ...step, approval: approvals.find(a => a.step_id === step.id) || null }));
+
+    let pending = null;
+    if (report.status === 'submitted') {
+      // If the chain was changed so every step is already approved, approving
+      // its last step again completes the report
+      pending = chain.find(step => !step.approval) || chain[chain.length - 1];
+    }
+
+    let acting = null;
+    if (user && pending && report.created_by !== user.id) {
+      // An owner who is out can't have their own report approved for them
+      const delegators = (await approvalChainService.activeDelegators(report.company_id, user.id))
+        .filter(delegator => delegator.id !== report.created_by);
+      acting = approvalChainService.approverFor(pending, user, delegators);
+    }
+
+    return { steps: chain, pending, acting };
+  }
+
+  // Whether user ({ id, role }) may see the report: its owner, managers once it
+  // is submitted, and anyone who approves it or took part in deciding on it
+  async canView(report, user) {
+    if (report.created_by === user.id) {
+      return true;
+    }
+    if (report.status === 'draft') {
+      return false;
+    }
+    if (['manager', 'admin'].includes(user.role)) {
+      return true;
+    }
+    const history = await this.getHistory(report.id);
+    if (history.some(entry => entry.user_id === user.id)) {
+      return true;
+    }
+    return Boolean((await this.getApproval(report, user)).acting);
+  }
+
+  // Why user ({ id, role }) can't take action on the report, or null if they
+  // can
+  async transitionError(report, action, user, comment) {
+    const rule = ACTIONS[action];
+    if (!rule) {
+      return `Unknown action: ${action}`;
+    }
+    if (!rule.from.includes(report.status)) {
+      return `${reportWithStatus(report.status)} cannot be ${rule.to}`;
+    }
+
+    if (action === 'submit') {
+      if (report.created_by !== user.id) {
+        return 'Only the report owner can submit it';
+      }
+      const items = await this.getItems(report.id);
+      if (items.length === 0) {
+        return 'Add at least one matched transaction before submitting';
+      }
+      const unmatched = items.filter(item => item.receipt_count === 0).length;
+      if (unmatched > 0) {
+        return `${unmatched} transaction(s) on the report no longer have a matched receipt`;
+      }
+    }
+
+    if (this.isDecision(action)) {
+      if (report.created_by === user.id) {
+        return 'You cannot decide on your own report';
+      }
+      const { pending, acting } = await this.getApproval(report, user);
+      if (!acting) {
+        return `The report is waiting for ${pending.name}, which you cannot approve`;
+      }
+      if (action === 'approve') {
+        // Each step needs a different person, whether they approved it
+        // themselves or through a delegate
+        const approvers = approvalChainService.currentApprovals(await this.getHistory(report.id))
+          .flatMap(approval => [approval.user_id, approval.on_behalf_of]);
+        if (approvers.includes(user.id)) {
+          return 'You have already approved a step of this report';
+        }
+        if (acting.onBehalfOf && approvers.includes(acting.onBehalfOf)) {
+          return 'The approver you are standing in for has already approved a step of this report';
+        }
+      }
+      if (action !== 'approve' && !(comment || '').trim()) {
+        return 'A comment is required to reject or send back a report';
+      }
+    }
+    return null;
+  }
+
+  // Move the report through a workflow action and record it in its history.
+  // Approving completes the step waiting for approval; the report is only
+  // approved once every step it needs is. Call transitionError first; this
+  // only guards against the status having changed since.
+  async transition(report, action, user, comment = null) {
+    const rule = ACTIONS[action];
+    let step = {};
+
+    if (this.isDecision(action)) {
+      const { steps, pending, acting } = await this.getApproval(report, user);
+      step = { stepId: pending.id, onBehalfOf: acting ? acting.onBehalfOf : null };
+
+      const remaining = steps.filter(s => !s.approval && s !== pending);
+      if (action === 'approve' && remaining.length > 0) {
+        await this.touch(report, user.id);
+        await this.recordHistory(report.id, 'approved', report.status, report.status, user.id, comment, step);
+        return;
+      }
+    }
+
+    const decided = this.isDecision(action) && action !== 'return';
+    const result = await runAsync(`
+      UPDATE expense_reports
+      SET status = ?,
+          submitted_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE submitted_at END,
+          decided_by = ?, decided_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END,
+          updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `, [
+      rule.to,
+      action === 'submit' ? 1 : 0,
+      decided ? user.id : null,
+      decided ? 1 : 0,
+      user.id,
+      report.id,
+      report.status
+    ]);
+    if (result.changes === 0) {
+      throw new Error('The report was changed by someone else; reload it and try again');
+    }
+
+    await this.recordHistory(report.id, rule.to, report.status, rule.to, user.id, comment, step);
+  }
+
+  // Mark a report as updated without changing its status
+  async touch(report, userId) {
+    const result = await runAsync(`
+      UPDATE expense_reports SET updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `, [userId, report.id, report.status]);
+    if (result.changes === 0) {
+      throw new Error('The report was changed by someone else; reload it and try again');
+    }
+  }
+
+  // step gives the approval step an approver decided on and whose delegate
+  // they were, if anyone's
+  recordHistory(reportId, action, fromStatus, toStatus, userId, comment, { stepId = null, onBehalfOf = null } = {}) {
+    return runAsync(`
+      INSERT INTO expense_report_history (report_id, action, from_status, to_status, comment, user_id, step_id, on_behalf_of)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [reportId, action, fromStatus, toStatus, (comment || '').trim() || null, userId, stepId, onBehalfOf]);
+  }
+
+  async deleteReport(reportId) {
+    await runAsync('DELETE FROM expense_report_items WHERE report_id = ?', [reportId]);
+    await runAsync('DELETE FROM expense_report_history WHERE report_id = ?', [reportId]);
+    await runAsync('DELETE FROM expense_reports WHERE id = ?', [reportId]);
+  }
+}
+
+module.exports = new ExpenseReportService();
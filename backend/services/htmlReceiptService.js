@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const mimeService = require('./mimeService');
+
+// Email and web page receipts, kept as the source of the PDF rendered from them
+const SOURCE_MIME_TYPES = {
+  '.eml': 'message/rfc822',
+  '.html': 'text/html',
+  '.htm': 'text/html'
+};
+
+// Named entities seen in receipt emails; numeric ones are decoded generically
+const ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  euro: '€', pound: '£', yen: '¥', cent: '¢', copy: '©', reg: '®', trade: '™',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·', times: '×',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»'
+};
+
+// Tags that end a line of text
+const BLOCK_TAGS = 'address|article|blockquote|br|dd|div|dl|dt|footer|h[1-6]|header|hr|li|ol|p|pre|section|table|tbody|tfoot|thead|tr|ul';
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  const decoded = ENTITIES[name.toLowerCase()];
+  return decoded === undefined ? entity : decoded;
+});
+
+class HtmlReceiptService {
+  // Source content type for a file name, or null when it isn't an email or
+  // HTML file
+  sourceTypeFor(filename) {
+    return SOURCE_MIME_TYPES[path.extname(filename || '').toLowerCase()] || null;
+  }
+
+  isSourceType(mimeType) {
+    return Object.values(SOURCE_MIME_TYPES).includes(mimeType);
+  }
+
+  // Receipt text of a parsed email (its HTML body, or plain text when it has
+  // none) and the header details printed above it
+  messageText(message) {
+    return {
+      text: message.html ? this.htmlToText(message.html) : (message.text || '').trim(),
+      details: { From: message.from, Subject: message.subject, Date: message.date }
+    };
+  }
+
+  // Receipt text and details of a stored .eml or .html file's content
+  readSource(content, mimeType) {
+    if (mimeType === 'message/rfc822') {
+      return this.messageText(mimeService.parseMessage(content));
+    }
+
+    const html = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+    const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+    return {
+      text: this.htmlToText(html),
+      details: { Subject: title ? this.htmlToText(title[1]) : null }
+    };
+  }
+
+  // Readable text from an HTML email body: one line per block (a run of block
+  // tags is one line break), table cells on a row kept on one line so
+  // "Total ... $12.00" stays together
+  htmlToText(html) {
+    return decodeEntities((html || '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(/\s+/g, ' ')
+      .replace(new RegExp(`(?:\\s*<\\/?(?:${BLOCK_TAGS})\\b[^>]*>)+\\s*`, 'gi'), '\n')
+      .replace(/<\/t[dh]\s*>/gi, '  ')
+      .replace(/<[^>]+>/g, ''))
+      .split('\n')
+      .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // Write text as a PDF receipt, under a small header of details (e.g. the
+  // email's sender, subject and date). The PDF has a text layer, so OCR reads
+  // it directly. Resolves to outputPath.
+  renderPdf(text, details, outputPath) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, info: { Title: details.Subject || 'Receipt' } });
+      const output = fs.createWriteStream(outputPath);
+      output.on('finish', () => resolve(outputPath));
+      output.on('error', reject);
+      doc.pipe(output);
+
+      Object.entries(details).filter(([, value]) => value).forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, { continued: true })
+          .font('Helvetica').text(String(value));
+      });
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(10).text(text || '', { lineGap: 2 });
+      doc.end();
+    });
+  }
+}
+
+module.exports = new HtmlReceiptService();
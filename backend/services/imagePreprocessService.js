@@ -0,0 +1,378 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Phone photos are scaled down to this before processing; more pixels only
+// slow Tesseract down
+const MAX_DIMENSION = 2500;
+
+// The receipt outline is looked for on a grid about this many cells across
+const EDGE_GRID_SIZE = 200;
+
+// Share of the photo the receipt must cover before it is cropped to. A
+// smaller bright area is more likely glare than paper, and a larger one
+// means the photo is already cropped.
+const MIN_RECEIPT_AREA = 0.15;
+const MAX_RECEIPT_AREA = 0.9;
+
+// Paper must be at least this much brighter than the background
+const MIN_EDGE_CONTRAST = 40;
+
+// Skew angles tried, in degrees either way
+const MAX_SKEW_DEGREES = 10;
+const SKEW_STEP_DEGREES = 0.25;
+const MIN_SKEW_DEGREES = 0.5;
+
+// Adaptive threshold: a pixel is ink if it is this much darker than the
+// average of the window around it, which copes with shadows and creases
+const THRESHOLD_WINDOW_FRACTION = 1 / 16;
+const THRESHOLD_DARKNESS = 0.15;
+
+class ImagePreprocessService {
+  // Path the processed copy of a receipt is stored at, next to the original
+  processedPath(filePath) {
+    const ext = path.extname(filePath);
+    return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}.processed.png`);
+  }
+
+  // Clean up a receipt photo for OCR: EXIF rotation, grayscale, contrast
+  // stretch, perspective crop to the receipt edges, deskew and threshold.
+  // Writes the result next to the original and returns its path and the
+  // steps that were applied.
+  async preprocess(filePath) {
+    const steps = ['auto_rotate', 'grayscale', 'normalize'];
+
+    const { data, info } = await sharp(filePath)
+      .rotate()
+      .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .normalise()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    let image = { data, width: info.width, height: info.height };
+
+    const corners = this.findReceiptCorners(image);
+    if (corners) {
+      image = this.perspectiveCrop(image, corners);
+      steps.push('perspective_crop');
+    }
+
+    const skewAngle = this.estimateSkewAngle(image);
+    if (Math.abs(skewAngle) >= MIN_SKEW_DEGREES) {
+      image = await this.rotate(image, -skewAngle);
+      steps.push('deskew');
+    }
+
+    image = this.adaptiveThreshold(image);
+    steps.push('threshold');
+
+    const outputPath = this.processedPath(filePath);
+    await sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } })
+      .png()
+      .toFile(outputPath);
+
+    return { outputPath, steps, skewAngle, corners };
+  }
+
+  // Otsu's method: the gray level that best splits a histogram in two
+  otsuThreshold(histogram) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    const weightedTotal = histogram.reduce((sum, count, level) => sum + level * count, 0);
+
+    let backgroundCount = 0;
+    let backgroundSum = 0;
+    let bestThreshold = 0;
+    let bestVariance = -1;
+
+    for (let level = 0; level < 256; level++) {
+      backgroundCount += histogram[level];
+      if (backgroundCount === 0) continue;
+      const foregroundCount = total - backgroundCount;
+      if (foregroundCount === 0) break;
+
+      backgroundSum += level * histogram[level];
+      const backgroundMean = backgroundSum / backgroundCount;
+      const foregroundMean = (weightedTotal - backgroundSum) / foregroundCount;
+      const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        bestThreshold = level;
+      }
+    }
+
+    return bestThreshold;
+  }
+
+  histogram(values) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < values.length; i++) {
+      histogram[Math.round(values[i])]++;
+    }
+    return histogram;
+  }
+
+  // Find the corners of the receipt as the largest bright region of the
+  // photo, in order top-left, top-right, bottom-right, bottom-left. Returns
+  // null when there is no clear paper-on-background outline to crop to.
+  findReceiptCorners({ data, width, height }) {
+    const cellSize = Math.max(1, Math.ceil(Math.max(width, height) / EDGE_GRID_SIZE));
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+
+    // Average brightness per grid cell
+    const cells = new Float64Array(columns * rows);
+    const counts = new Uint32Array(columns * rows);
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / cellSize) * columns;
+      for (let x = 0; x < width; x++) {
+        const cell = row + Math.floor(x / cellSize);
+        cells[cell] += data[y * width + x];
+        counts[cell]++;
+      }
+    }
+    for (let i = 0; i < cells.length; i++) {
+      cells[i] /= counts[i];
+    }
+
+    const threshold = this.otsuThreshold(this.histogram(cells));
+    let brightSum = 0, brightCount = 0, darkSum = 0, darkCount = 0;
+    cells.forEach(value => {
+      if (value > threshold) {
+        brightSum += value;
+        brightCount++;
+      } else {
+        darkSum += value;
+        darkCount++;
+      }
+    });
+    if (!brightCount || !darkCount || brightSum / brightCount - darkSum / darkCount < MIN_EDGE_CONTRAST) {
+      return null;
+    }
+
+    const region = this.largestBrightRegion(cells, columns, rows, threshold);
+    const coverage = region.length / cells.length;
+    if (coverage < MIN_RECEIPT_AREA || coverage > MAX_RECEIPT_AREA) {
+      return null;
+    }
+
+    // Extreme points of the region along the diagonals
+    let topLeft, topRight, bottomRight, bottomLeft;
+    region.forEach(cell => {
+      const point = { x: (cell % columns + 0.5) * cellSize, y: (Math.floor(cell / columns) + 0.5) * cellSize };
+      if (!topLeft || point.x + point.y < topLeft.x + topLeft.y) topLeft = point;
+      if (!bottomRight || point.x + point.y > bottomRight.x + bottomRight.y) bottomRight = point;
+      if (!topRight || point.x - point.y > topRight.x - topRight.y) topRight = point;
+      if (!bottomLeft || point.x - point.y < bottomLeft.x - bottomLeft.y) bottomLeft = point;
+    });
+    const corners = [topLeft, topRight, bottomRight, bottomLeft];
+
+    // The outline should be a quadrilateral; a blob that fills much less of
+    // its corners' outline is not a receipt
+    const quadArea = Math.abs(corners.reduce((sum, point, i) => {
+      const next = corners[(i + 1) % 4];
+      return sum + point.x * next.y - next.x * point.y;
+    }, 0)) / 2;
+    const regionArea = region.length * cellSize * cellSize;
+    if (quadArea === 0 || regionArea / quadArea < 0.8) {
+      return null;
+    }
+
+    return corners.map(point => ({
+      x: Math.min(width - 1, Math.max(0, point.x)),
+      y: Math.min(height - 1, Math.max(0, point.y))
+    }));
+  }
+
+  // Cells of the largest 4-connected region brighter than the threshold
+  largestBrightRegion(cells, columns, rows, threshold) {
+    const visited = new Uint8Array(cells.length);
+    let largest = [];
+
+    for (let start = 0; start < cells.length; start++) {
+      if (visited[start] || cells[start] <= threshold) continue;
+
+      const region = [];
+      const stack = [start];
+      visited[start] = 1;
+      while (stack.length) {
+        const cell = stack.pop();
+        region.push(cell);
+        const x = cell % columns;
+        const neighbours = [
+          x > 0 ? cell - 1 : -1,
+          x < columns - 1 ? cell + 1 : -1,
+          cell >= columns ? cell - columns : -1,
+          cell < (rows - 1) * columns ? cell + columns : -1
+        ];
+        neighbours.forEach(next => {
+          if (next >= 0 && !visited[next] && cells[next] > threshold) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        });
+      }
+
+      if (region.length > largest.length) {
+        largest = region;
+      }
+    }
+
+    return largest;
+  }
+
+  // Warp the quadrilateral inside the corners to an upright rectangle
+  perspectiveCrop({ data, width, height }, corners) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const outWidth = Math.max(1, Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight))));
+    const outHeight = Math.max(1, Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight))));
+
+    const h = this.homography([
+      { x: 0, y: 0 },
+      { x: outWidth - 1, y: 0 },
+      { x: outWidth - 1, y: outHeight - 1 },
+      { x: 0, y: outHeight - 1 }
+    ], corners);
+
+    const output = Buffer.alloc(outWidth * outHeight);
+    for (let v = 0; v < outHeight; v++) {
+      for (let u = 0; u < outWidth; u++) {
+        const w = h[6] * u + h[7] * v + 1;
+        const x = (h[0] * u + h[1] * v + h[2]) / w;
+        const y = (h[3] * u + h[4] * v + h[5]) / w;
+        output[v * outWidth + u] = this.sample(data, width, height, x, y);
+      }
+    }
+
+    return { data: output, width: outWidth, height: outHeight };
+  }
+
+  // Bilinear sample, white outside the image
+  sample(data, width, height, x, y) {
+    if (x < 0 || y < 0 || x > width - 1 || y > height - 1) {
+      return 255;
+    }
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+    const dx = x - x0, dy = y - y0;
+    const top = data[y0 * width + x0] * (1 - dx) + data[y0 * width + x1] * dx;
+    const bottom = data[y1 * width + x0] * (1 - dx) + data[y1 * width + x1] * dx;
+    return Math.round(top * (1 - dy) + bottom * dy);
+  }
+
+  // Coefficients of the projective transform taking each `from` point to
+  // the matching `to` point
+  homography(from, to) {
+    const matrix = [];
+    from.forEach(({ x: u, y: v }, i) => {
+      const { x, y } = to[i];
+      matrix.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+      matrix.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+      for (let row = 0; row < 8; row++) {
+        if (row === col) continue;
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k < 9; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+      }
+    }
+
+    return matrix.map((row, i) => row[8] / row[i]);
+  }
+
+  // Angle in degrees the text lines are turned clockwise, found as the
+  // angle at which rows of ink line up best
+  estimateSkewAngle({ data, width, height }) {
+    const step = Math.max(1, Math.ceil(Math.max(width, height) / 800));
+    const threshold = this.otsuThreshold(this.histogram(data));
+
+    const ink = [];
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        if (data[y * width + x] < threshold) {
+          ink.push(x, y);
+        }
+      }
+    }
+    if (ink.length === 0) {
+      return 0;
+    }
+
+    const score = (degrees) => {
+      const radians = degrees * Math.PI / 180;
+      const sin = Math.sin(radians), cos = Math.cos(radians);
+      const rows = new Map();
+      for (let i = 0; i < ink.length; i += 2) {
+        const row = Math.round((ink[i + 1] * cos - ink[i] * sin) / step);
+        rows.set(row, (rows.get(row) || 0) + 1);
+      }
+      let sum = 0;
+      rows.forEach(count => { sum += count * count; });
+      return sum;
+    };
+
+    let bestAngle = 0;
+    let bestScore = score(0);
+    for (let degrees = -MAX_SKEW_DEGREES; degrees <= MAX_SKEW_DEGREES; degrees += SKEW_STEP_DEGREES) {
+      const current = score(degrees);
+      if (current > bestScore) {
+        bestScore = current;
+        bestAngle = degrees;
+      }
+    }
+
+    return bestAngle;
+  }
+
+  // Rotate clockwise by `degrees`, filling the new corners with white
+  async rotate({ data, width, height }, degrees) {
+    const { data: rotated, info } = await sharp(data, { raw: { width, height, channels: 1 } })
+      .rotate(degrees, { background: '#ffffff' })
+      .extractChannel(0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data: rotated, width: info.width, height: info.height };
+  }
+
+  // Black text on white: a pixel is ink when it is clearly darker than its
+  // neighbourhood (Bradley's method, using an integral image)
+  adaptiveThreshold({ data, width, height }) {
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += data[y * width + x];
+        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+      }
+    }
+
+    const half = Math.max(1, Math.round(Math.max(width, height) * THRESHOLD_WINDOW_FRACTION / 2));
+    const output = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      const top = Math.max(0, y - half), bottom = Math.min(height, y + half + 1);
+      for (let x = 0; x < width; x++) {
+        const left = Math.max(0, x - half), right = Math.min(width, x + half + 1);
+        const sum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right] -
+          integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left];
+        const area = (bottom - top) * (right - left);
+        output[y * width + x] = data[y * width + x] * area <= sum * (1 - THRESHOLD_DARKNESS) ? 0 : 255;
+      }
+    }
+
+    return { data: output, width, height };
+  }
+}
+
+module.exports = new ImagePreprocessService();
@@ -0,0 +1,569 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const csv = require('csv-parser');
+const moment = require('moment');
+const localeService = require('./localeService');
+
+// Bank statement CSV layouts. Column entries may list several header names;
+// the first one present in the file is used. Sign conventions:
+//   negative_debits - charges are negative, payments positive (Chase, BofA)
+//   positive_debits - charges are positive, payments negative (Amex)
+//   split_columns   - separate Debit and Credit columns (Capital One, Citi)
+// Transactions are always stored with charges negative. Bank layouts keep
+// the date formats their bank writes; `localized` ones (generic CSV, QIF)
+// read dates and amounts in the importing user's locale.
+const IMPORT_PROFILES = {
+  chase: {
+    name: 'Chase',
+    detect: ['Transaction Date', 'Post Date', 'Description', 'Type', 'Amount'],
+    columns: {
+      date: 'Transaction Date',
+      description: 'Description',
+      amount: 'Amount',
+      category: 'Category'
+    },
+    dateFormats: ['M/D/YYYY'],
+    signConvention: 'negative_debits'
+  },
+  amex: {
+    name: 'American Express',
+    detect: ['Date', 'Description', 'Amount', 'Extended Details'],
+    columns: {
+      date: 'Date',
+      description: 'Description',
+      amount: 'Amount',
+      category: 'Category',
+      externalId: 'Reference'
+    },
+    dateFormats: ['M/D/YYYY'],
+    signConvention: 'positive_debits'
+  },
+  capital_one: {
+    name: 'Capital One',
+    detect: ['Transaction Date', 'Posted Date', 'Card No.', 'Description', 'Debit', 'Credit'],
+    columns: {
+      date: 'Transaction Date',
+      description: 'Description',
+      debit: 'Debit',
+      credit: 'Credit',
+      category: 'Category',
+      cardLastFour: 'Card No.'
+    },
+    dateFormats: ['YYYY-MM-DD', 'M/D/YYYY'],
+    signConvention: 'split_columns'
+  },
+  citi: {
+    name: 'Citi',
+    detect: ['Status', 'Date', 'Description', 'Debit', 'Credit'],
+    columns: {
+      date: 'Date',
+      description: 'Description',
+      debit: 'Debit',
+      credit: 'Credit'
+    },
+    dateFormats: ['M/D/YYYY'],
+    signConvention: 'split_columns'
+  },
+  bank_of_america: {
+    name: 'Bank of America',
+    detect: ['Posted Date', 'Reference Number', 'Payee', 'Amount'],
+    columns: {
+      date: 'Posted Date',
+      description: 'Payee',
+      amount: 'Amount',
+      externalId: 'Reference Number'
+    },
+    dateFormats: ['M/D/YYYY'],
+    signConvention: 'negative_debits'
+  },
+  generic: {
+    name: 'Generic CSV',
+    detect: [],
+    columns: {
+      date: ['Transaction Date', 'Date', 'Posted Date', 'Post Date'],
+      description: ['Description', 'Payee', 'Merchant', 'Name', 'Memo'],
+      amount: ['Amount', 'Transaction Amount'],
+      debit: ['Debit', 'Withdrawal'],
+      credit: ['Credit', 'Deposit'],
+      category: ['Category']
+    },
+    dateFormats: ['M/D/YYYY', 'YYYY-MM-DD', 'M/D/YY', 'D MMM YYYY', 'MMM D, YYYY'],
+    signConvention: 'negative_debits',
+    localized: true
+  }
+};
+
+// Optional columns looked up in every file when the profile doesn't name them
+const EXTERNAL_ID_COLUMNS = [
+  'Transaction ID', 'Reference Number', 'Reference ID', 'Reference', 'Transaction Number',
+  'Confirmation Number', 'Auth Code', 'Authorization Code', 'ID', 'Ref', 'Ref Number', 'Ref#'
+];
+// Quicken/Money statement formats. These carry their own structure, so they
+// are recognized from the file itself rather than through a column mapping.
+const STATEMENT_FORMATS = {
+  ofx: {
+    name: 'OFX / QFX (Quicken, Money)',
+    extensions: ['.ofx', '.qfx'],
+    dateFormats: ['YYYYMMDD'],
+    signConvention: 'negative_debits'
+  },
+  qif: {
+    name: 'QIF (Quicken Interchange)',
+    extensions: ['.qif'],
+    dateFormats: ['M/D/YYYY', 'M/D/YY', 'YYYY-MM-DD'],
+    signConvention: 'negative_debits',
+    localized: true
+  }
+};
+
+// QIF sections that hold transactions (others list accounts, categories, ...)
+const QIF_TRANSACTION_TYPES = ['bank', 'ccard', 'cash', 'oth a', 'oth l'];
+
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Text of each leaf element in an OFX aggregate. Works for SGML (OFX 1.x,
+// leaf tags left unclosed) and XML (OFX 2.x) files alike.
+const readOfxFields = (block) => {
+  const fields = {};
+  const pattern = /<([A-Z0-9.]+)>([^<\r\n]*)/gi;
+  let match;
+  while ((match = pattern.exec(block)) !== null) {
+    const value = decodeEntities(match[2].trim());
+    if (value) fields[match[1].toUpperCase()] = value;
+  }
+  return fields;
+};
+
+// 1-based line number of a character offset
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// Profile columns a user can remap in the import wizard
+const MAPPABLE_COLUMNS = ['date', 'description', 'amount', 'debit', 'credit', 'category', 'externalId', 'cardLastFour', 'salesTax', 'currency'];
+const SIGN_CONVENTIONS = ['negative_debits', 'positive_debits', 'split_columns'];
+
+const SALES_TAX_COLUMNS = ['Tax Amount', 'Sales Tax', 'Tax', 'GST', 'VAT', 'State Tax', 'Local Tax'];
+
+const CURRENCY_COLUMNS = ['Currency', 'Currency Code', 'CCY'];
+
+// Fallback column names for optional fields no profile names
+const OPTIONAL_COLUMNS = {
+  externalId: EXTERNAL_ID_COLUMNS,
+  salesTax: SALES_TAX_COLUMNS,
+  currency: CURRENCY_COLUMNS
+};
+
+// Three-letter currency code, or null (the company's home currency)
+const parseCurrency = (value) => {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+// Parse "1,234.56", "$12.00", "(12.00)" or, in a decimal-comma locale,
+// "1.234,56" into a number; null when empty
+const parseAmount = (value, locale) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = localeService.parseAmount(text.replace(/-/g, ''), locale);
+  if (number === null) return null;
+  return negative ? -number : number;
+};
+
+class ImportService {
+  constructor() {
+    this.profiles = IMPORT_PROFILES;
+  }
+
+  // Profiles in the shape the import page needs
+  listProfiles() {
+    return Object.entries(IMPORT_PROFILES).map(([id, profile]) => ({
+      id,
+      name: profile.name,
+      format: 'csv',
+      columns: profile.columns,
+      dateFormats: profile.dateFormats,
+      signConvention: profile.signConvention
+    }));
+  }
+
+  // Statement file formats the importer understands, for upload validation
+  // and the import page
+  listFormats() {
+    return [
+      { id: 'csv', name: 'CSV', extensions: ['.csv'] },
+      ...Object.entries(STATEMENT_FORMATS).map(([id, format]) => ({ id, name: format.name, extensions: format.extensions }))
+    ];
+  }
+
+  // Format of a statement file from its extension, sniffing the content for
+  // files saved under another name
+  detectFormat(fileName, text = '') {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const byExtension = Object.keys(STATEMENT_FORMATS).find(id => STATEMENT_FORMATS[id].extensions.includes(extension));
+    if (byExtension) return byExtension;
+
+    const head = text.slice(0, 1000);
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/^\s*!(Type|Account|Option)/i.test(head)) return 'qif';
+    return 'csv';
+  }
+
+  // Pick the profile whose signature headers all appear in the file, preferring
+  // the most specific signature. Falls back to the generic profile.
+  detectProfile(headers) {
+    const present = new Set(headers.map(header => header.trim()));
+    const match = Object.entries(IMPORT_PROFILES)
+      .filter(([, profile]) => profile.detect.length > 0 && profile.detect.every(header => present.has(header)))
+      .sort((a, b) => b[1].detect.length - a[1].detect.length)[0];
+
+    return match ? match[0] : 'generic';
+  }
+
+  // Resolve a requested profile id against the file headers; "auto" or an
+  // unknown id triggers detection
+  resolveProfile(profileId, headers) {
+    const id = IMPORT_PROFILES[profileId] ? profileId : this.detectProfile(headers);
+    return { id, ...IMPORT_PROFILES[id] };
+  }
+
+  // Date formats and number style of the user's locale for profiles that
+  // follow it, e.g. D/M/YYYY and "12,50" for de-DE
+  localizeProfile(profile, locale) {
+    if (!profile.localized || !locale) return profile;
+    const dateFormats = [...localeService.numericDateFormats(locale), 'YYYY-MM-DD', 'D MMM YYYY', 'MMM D, YYYY'];
+    return { ...profile, locale, dateFormats: [...new Set(dateFormats)] };
+  }
+
+  // Apply user adjustments from the import wizard on top of a profile:
+  // mapping.columns maps a field to a header (or null for "not present"),
+  // mapping.dateFormat and mapping.signConvention override the profile's
+  applyMapping(profile, mapping) {
+    if (!mapping || typeof mapping !== 'object') return profile;
+
+    const columns = { ...profile.columns };
+    Object.entries(mapping.columns || {}).forEach(([field, header]) => {
+      if (!MAPPABLE_COLUMNS.includes(field)) return;
+      columns[field] = header ? String(header) : null;
+    });
+
+    return {
+      ...profile,
+      columns,
+      dateFormats: mapping.dateFormat ? [String(mapping.dateFormat)] : profile.dateFormats,
+      signConvention: SIGN_CONVENTIONS.includes(mapping.signConvention) ? mapping.signConvention : profile.signConvention
+    };
+  }
+
+  // The header each field actually reads in this file, for showing the
+  // mapping back to the user
+  effectiveColumns(profile, headers) {
+    const result = {};
+    MAPPABLE_COLUMNS.forEach(field => {
+      const fallback = OPTIONAL_COLUMNS[field];
+      const configured = profile.columns[field] !== undefined ? profile.columns[field] : fallback;
+      const candidates = configured ? (Array.isArray(configured) ? configured : [configured]) : [];
+      result[field] = candidates.find(header => headers.includes(header)) || null;
+    });
+    return result;
+  }
+
+  // SHA-256 of a file, used to recognize a statement imported before
+  async hashFile(filePath) {
+    const content = await fs.promises.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Read a statement file and map every transaction in it. CSV files use the
+  // requested (or detected) profile and mapping; OFX/QFX and QIF carry their
+  // own structure. `locale` is the importing user's, for localized profiles.
+  // Resolves to
+  // { headers, profile, rows: [{ line, transaction } | { line, error }] }
+  async parseFile(filePath, profileId, mapping, locale) {
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const format = this.detectFormat(filePath, text);
+
+    if (format === 'csv') {
+      return this.parseCsvFile(filePath, profileId, mapping, locale);
+    }
+
+    const profile = this.localizeProfile({ id: format, format, columns: {}, ...STATEMENT_FORMATS[format] }, locale);
+    if (mapping && mapping.dateFormat) {
+      profile.dateFormats = [String(mapping.dateFormat)];
+    }
+
+    const rows = format === 'ofx' ? this.parseOfx(text) : this.parseQif(text, profile.dateFormats, profile.locale);
+    return { headers: [], profile, rows };
+  }
+
+  // Map the STMTTRN records of an OFX/QFX statement. The FITID is the bank's
+  // own transaction id and becomes the dedup key.
+  parseOfx(text) {
+    const rows = [];
+    const statements = [];
+    const statementPattern = /<(CCSTMTRS|STMTRS)>([\s\S]*?)<\/\1>/gi;
+    let statement;
+    while ((statement = statementPattern.exec(text)) !== null) {
+      statements.push({ body: statement[2], offset: statement.index + statement[0].indexOf(statement[2]) });
+    }
+    if (statements.length === 0) {
+      statements.push({ body: text, offset: 0 });
+    }
+
+    statements.forEach(({ body, offset }) => {
+      const accountBlock = body.match(/<(CCACCTFROM|BANKACCTFROM)>([\s\S]*?)<\/\1>/i);
+      const accountId = accountBlock ? readOfxFields(accountBlock[2]).ACCTID : null;
+      const currencyMatch = body.match(/<CURDEF>\s*([A-Z]{3})/i);
+      const statementCurrency = currencyMatch ? currencyMatch[1].toUpperCase() : null;
+
+      const transactionPattern = /<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi;
+      let record;
+      while ((record = transactionPattern.exec(body)) !== null) {
+        const line = lineAt(text, offset + record.index);
+        rows.push({ line, ...this.mapOfxTransaction(readOfxFields(record[1]), accountId, statementCurrency) });
+      }
+    });
+
+    return rows;
+  }
+
+  // A transaction billed in another currency carries its own CURSYM inside
+  // a CURRENCY or ORIGCURRENCY aggregate; otherwise the statement's CURDEF
+  // applies
+  mapOfxTransaction(fields, accountId, statementCurrency = null) {
+    const rawDate = fields.DTUSER || fields.DTPOSTED;
+    if (!rawDate) {
+      return { error: 'Missing transaction date' };
+    }
+
+    const transactionDate = this.parseDate(rawDate.slice(0, 8), ['YYYYMMDD']);
+    if (!transactionDate) {
+      return { error: `Unrecognized date "${rawDate}"` };
+    }
+
+    const description = fields.NAME || fields.MEMO || '';
+    if (!description) {
+      return { error: 'Missing description' };
+    }
+
+    // Some European banks write TRNAMT with a decimal comma
+    const rawAmount = fields.TRNAMT && !fields.TRNAMT.includes('.') ? fields.TRNAMT.replace(',', '.') : fields.TRNAMT;
+    const amount = parseAmount(rawAmount);
+    if (amount === null) {
+      return { error: 'Missing or invalid amount' };
+    }
+
+    const fitId = fields.FITID || '';
+    return {
+      transaction: {
+        transaction_date: transactionDate,
+        description,
+        amount,
+        category: '',
+        card_last_four: accountId ? accountId.replace(/\D/g, '').slice(-4) || null : null,
+        external_transaction_id: fitId,
+        sales_tax: null,
+        currency: parseCurrency(fields.CURSYM) || statementCurrency,
+        dedup_key: fitId ? `ofx_${accountId || ''}_${fitId}` : null
+      }
+    };
+  }
+
+  // Map the records of a QIF file. Records are blocks of one-letter field
+  // lines ending with "^"; amounts are already signed with charges negative.
+  parseQif(text, dateFormats, locale) {
+    const rows = [];
+    const lines = text.split(/\r?\n/);
+    let section = null;
+    let record = {};
+    let recordLine = null;
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      if (line.startsWith('!')) {
+        const type = line.match(/^!Type:(.*)$/i);
+        section = type ? type[1].trim().toLowerCase() : line.slice(1).toLowerCase();
+        record = {};
+        recordLine = null;
+        return;
+      }
+
+      if (line === '^') {
+        if (recordLine !== null && QIF_TRANSACTION_TYPES.includes(section)) {
+          rows.push({ line: recordLine, ...this.mapQifRecord(record, dateFormats, locale) });
+        }
+        record = {};
+        recordLine = null;
+        return;
+      }
+
+      if (recordLine === null) recordLine = index + 1;
+      const code = line[0];
+      // Split transactions repeat S/E/$ lines; only the first of each field counts
+      if (record[code] === undefined) {
+        record[code] = line.slice(1).trim();
+      }
+    });
+
+    // Tolerate a missing "^" after the last record
+    if (recordLine !== null && QIF_TRANSACTION_TYPES.includes(section)) {
+      rows.push({ line: recordLine, ...this.mapQifRecord(record, dateFormats, locale) });
+    }
+
+    return rows;
+  }
+
+  mapQifRecord(record, dateFormats, locale) {
+    if (!record.D) {
+      return { error: 'Missing transaction date' };
+    }
+
+    // Quicken writes dates like "7/22'25" or " 7/ 2/2025"
+    const transactionDate = this.parseDate(record.D.replace(/'/g, '/').replace(/\s+/g, ''), dateFormats);
+    if (!transactionDate) {
+      return { error: `Unrecognized date "${record.D}" (expected ${dateFormats.join(' or ')})` };
+    }
+
+    const description = record.P || record.M || '';
+    if (!description) {
+      return { error: 'Missing description' };
+    }
+
+    const amount = parseAmount(record.T !== undefined ? record.T : record.U, locale);
+    if (amount === null) {
+      return { error: 'Missing or invalid amount' };
+    }
+
+    return {
+      transaction: {
+        transaction_date: transactionDate,
+        description,
+        amount,
+        category: record.L ? record.L.replace(/^\[|\]$/g, '') : '',
+        card_last_four: null,
+        external_transaction_id: record.N || '',
+        sales_tax: null,
+        currency: null,
+        // Check numbers aren't unique enough to identify a transaction
+        dedup_key: null
+      }
+    };
+  }
+
+  // Read a CSV file and map every row with the resolved profile
+  parseCsvFile(filePath, profileId, mapping, locale) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      let headers = [];
+      let profile = null;
+      let lineNumber = 1; // header row
+
+      fs.createReadStream(filePath)
+        .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+        .on('headers', (fileHeaders) => {
+          headers = fileHeaders;
+          profile = this.applyMapping(this.localizeProfile(this.resolveProfile(profileId, fileHeaders), locale), mapping);
+        })
+        .on('data', (row) => {
+          lineNumber++;
+          rows.push({ line: lineNumber, ...this.mapRow(row, profile) });
+        })
+        .on('end', () => resolve({ headers, profile: { format: 'csv', ...(profile || this.resolveProfile(profileId, [])) }, rows }))
+        .on('error', reject);
+    });
+  }
+
+  // Value of the first column in candidates that exists in the row
+  readColumn(row, candidates) {
+    if (!candidates) return undefined;
+    const names = Array.isArray(candidates) ? candidates : [candidates];
+    const name = names.find(column => row[column] !== undefined);
+    return name ? row[name] : undefined;
+  }
+
+  // Parse a statement date into YYYY-MM-DD using the profile's formats,
+  // without going through Date so no timezone can shift the day
+  parseDate(value, dateFormats) {
+    if (!value || !String(value).trim()) return null;
+    const parsed = moment(String(value).trim(), localeService.expandDateFormats(dateFormats), true);
+    return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+  }
+
+  // Amount with charges negative, whatever the profile's convention
+  normalizeAmount(row, profile) {
+    const { columns, signConvention, locale } = profile;
+
+    if (signConvention === 'split_columns') {
+      const debit = parseAmount(this.readColumn(row, columns.debit), locale);
+      const credit = parseAmount(this.readColumn(row, columns.credit), locale);
+      if (debit === null && credit === null) return null;
+      return -Math.abs(debit || 0) + Math.abs(credit || 0);
+    }
+
+    const amount = parseAmount(this.readColumn(row, columns.amount), locale);
+    if (amount === null) {
+      // Generic files may still use debit/credit columns
+      if (columns.debit) {
+        return this.normalizeAmount(row, { ...profile, signConvention: 'split_columns' });
+      }
+      return null;
+    }
+    return signConvention === 'positive_debits' ? -amount : amount;
+  }
+
+  // Map one CSV row to transaction fields. Returns { transaction } or
+  // { error } describing why the row can't be imported.
+  mapRow(row, profile) {
+    const { columns } = profile;
+
+    const rawDate = this.readColumn(row, columns.date);
+    if (!rawDate || !String(rawDate).trim()) {
+      return { error: 'Missing transaction date' };
+    }
+
+    const transactionDate = this.parseDate(rawDate, profile.dateFormats);
+    if (!transactionDate) {
+      return { error: `Unrecognized date "${rawDate}" (expected ${profile.dateFormats.join(' or ')})` };
+    }
+
+    const description = (this.readColumn(row, columns.description) || '').trim();
+    if (!description) {
+      return { error: 'Missing description' };
+    }
+
+    const amount = this.normalizeAmount(row, profile);
+    if (amount === null) {
+      return { error: 'Missing or invalid amount' };
+    }
+
+    const cardNumber = this.readColumn(row, columns.cardLastFour);
+    const rawExternalId = this.readColumn(row, columns.externalId !== undefined ? columns.externalId : EXTERNAL_ID_COLUMNS);
+    const externalId = rawExternalId ? String(rawExternalId).trim() : '';
+
+    return {
+      transaction: {
+        transaction_date: transactionDate,
+        description,
+        amount,
+        category: (this.readColumn(row, columns.category) || '').trim(),
+        card_last_four: cardNumber ? String(cardNumber).replace(/\D/g, '').slice(-4) || null : null,
+        external_transaction_id: externalId,
+        sales_tax: parseAmount(this.readColumn(row, columns.salesTax !== undefined ? columns.salesTax : SALES_TAX_COLUMNS), profile.locale),
+        currency: parseCurrency(this.readColumn(row, columns.currency !== undefined ? columns.currency : CURRENCY_COLUMNS)),
+        // Reference numbers are only unique per day at some banks (auth codes)
+        dedup_key: externalId ? `ref_${transactionDate}_${externalId}` : null
+      }
+    };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,464 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/init');
+const mimeService = require('./mimeService');
+const htmlReceiptService = require('./htmlReceiptService');
+const receiptUploadService = require('./receiptUploadService');
+
+const RECEIPTS_DIR = path.join(__dirname, '../uploads/receipts');
+const EMAILS_DIR = path.join(__dirname, '../uploads/emails');
+
+// Largest message accepted, announced to senders in EHLO
+const MAX_MESSAGE_SIZE = 30 * 1024 * 1024;
+
+// RFC 5321 limits a command or message line to 1000 octets with its CRLF
+const MAX_LINE_LENGTH = 1000;
+
+// Connections that send nothing for this long are dropped
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Company mailboxes are receipts+<token>@<INBOUND_EMAIL_DOMAIN>
+const ADDRESS_PREFIX = 'receipts';
+
+const runAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+const getAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.get(query, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+// Attachment and subject text made safe to use in a file name
+const safeName = (name) => path.basename(name).replace(/[^\w.\- ]+/g, '_').trim().slice(0, 100) || 'receipt';
+
+// One SMTP conversation. It covers what a relay or a local mail client needs
+// to hand over a message; there is no AUTH or STARTTLS, so run the listener
+// behind the MX or on a private network.
+class SmtpSession {
+  constructor(socket, service) {
+    this.socket = socket;
+    this.service = service;
+    this.buffer = '';
+    this.busy = false;
+    this.closed = false;
+    this.data = null;
+    this.reset();
+
+    // latin1 keeps 8-bit message bytes intact until the MIME parser decodes them
+    socket.setEncoding('latin1');
+    socket.on('data', chunk => {
+      if (this.closed) return;
+      this.buffer += chunk;
+
+      // A line still without its newline can't be longer than the limit
+      if (this.buffer.length - (this.buffer.lastIndexOf('\n') + 1) > MAX_LINE_LENGTH) {
+        this.close(this.data ? 552 : 500, 'Line too long');
+        return;
+      }
+      this.drain();
+    });
+    socket.on('error', () => socket.destroy());
+    socket.setTimeout(IDLE_TIMEOUT_MS);
+    socket.on('timeout', () => {
+      this.reply(421, `${service.inboundDomain()} Timeout, closing connection`);
+      socket.destroy();
+    });
+
+    this.reply(220, `${service.inboundDomain()} ESMTP Expense Matcher`);
+  }
+
+  reset() {
+    this.mailStarted = false;
+    this.sender = null;
+    this.recipients = [];
+  }
+
+  reply(code, text) {
+    if (!this.socket.destroyed) {
+      this.socket.write(`${code} ${text}\r\n`);
+    }
+  }
+
+  // Reply and hang up, ignoring anything the client still sends
+  close(code, text) {
+    this.closed = true;
+    this.buffer = '';
+    this.data = null;
+    this.reply(code, text);
+    this.socket.end();
+  }
+
+  // Handle buffered lines one at a time, so a client that sends several
+  // commands at once still gets its replies in order. The socket is paused
+  // meanwhile, so nothing piles up while a message is being stored.
+  async drain() {
+    if (this.busy) return;
+    this.busy = true;
+    this.socket.pause();
+
+    try {
+      let index;
+      while (!this.closed && (index = this.buffer.indexOf('\n')) !== -1) {
+        if (index + 1 > MAX_LINE_LENGTH) {
+          this.close(this.data ? 552 : 500, 'Line too long');
+          break;
+        }
+        const line = this.buffer.slice(0, index).replace(/\r$/, '');
+        this.buffer = this.buffer.slice(index + 1);
+
+        if (this.data) {
+          await this.readData(line);
+        } else {
+          await this.command(line);
+        }
+      }
+    } catch (error) {
+      console.error('Inbound email error:', error);
+      this.reply(451, 'Local error, try again later');
+    } finally {
+      this.busy = false;
+      if (!this.closed) {
+        this.socket.resume();
+      }
+    }
+  }
+
+  async command(line) {
+    const verb = line.split(' ')[0].toUpperCase();
+
+    switch (verb) {
+      case 'EHLO':
+        this.socket.write(`250-${this.service.inboundDomain()}\r\n250-SIZE ${MAX_MESSAGE_SIZE}\r\n250 8BITMIME\r\n`);
+        return;
+      case 'HELO':
+        this.reply(250, this.service.inboundDomain());
+        return;
+      case 'MAIL': {
+        const match = line.match(/^MAIL FROM:\s*<([^>]*)>(.*)$/i);
+        if (!match) {
+          this.reply(501, 'Syntax: MAIL FROM:<address>');
+          return;
+        }
+        const size = match[2].match(/SIZE=(\d+)/i);
+        if (size && parseInt(size[1]) > MAX_MESSAGE_SIZE) {
+          this.reply(552, 'Message too large');
+          return;
+        }
+        this.reset();
+        this.mailStarted = true;
+        this.sender = match[1].toLowerCase() || null;
+        this.reply(250, 'OK');
+        return;
+      }
+      case 'RCPT': {
+        const match = line.match(/^RCPT TO:\s*<([^>]+)>/i);
+        if (!match) {
+          this.reply(501, 'Syntax: RCPT TO:<address>');
+          return;
+        }
+        if (!this.mailStarted) {
+          this.reply(503, 'Need MAIL command first');
+          return;
+        }
+        const company = await this.service.findCompanyByAddress(match[1]);
+        if (!company) {
+          this.reply(550, 'No such mailbox');
+          return;
+        }
+        this.recipients.push(match[1].toLowerCase());
+        this.reply(250, 'OK');
+        return;
+      }
+      case 'DATA':
+        if (this.recipients.length === 0) {
+          this.reply(503, 'Need RCPT command first');
+          return;
+        }
+        this.data = { lines: [], size: 0 };
+        this.reply(354, 'End data with <CR><LF>.<CR><LF>');
+        return;
+      case 'RSET':
+        this.reset();
+        this.reply(250, 'OK');
+        return;
+      case 'NOOP':
+        this.reply(250, 'OK');
+        return;
+      case 'VRFY':
+        this.reply(252, 'Cannot verify user');
+        return;
+      case 'QUIT':
+        this.reply(221, 'Bye');
+        this.socket.end();
+        return;
+      default:
+        this.reply(502, 'Command not implemented');
+    }
+  }
+
+  // Collect message lines until the lone "." that ends DATA, undoing the
+  // sender's dot-stuffing. A message over the size limit ends the connection.
+  async readData(line) {
+    if (line !== '.') {
+      const text = line.startsWith('..') ? line.slice(1) : line;
+      this.data.size += text.length + 2;
+      if (this.data.size > MAX_MESSAGE_SIZE) {
+        this.close(552, 'Message too large');
+        return;
+      }
+      this.data.lines.push(text);
+      return;
+    }
+
+    const { lines } = this.data;
+    this.data = null;
+
+    const raw = Buffer.from(`${lines.join('\r\n')}\r\n`, 'latin1');
+    const results = await this.service.receive(raw, { sender: this.sender, recipients: this.recipients });
+    const accepted = results.filter(result => result.status === 'processed');
+
+    if (accepted.length > 0) {
+      const count = accepted.reduce((sum, result) => sum + result.receiptCount, 0);
+      this.reply(250, `OK: ${count} receipt(s) created`);
+    } else {
+      this.reply(550, (results[0] && results[0].error) || 'Message rejected');
+    }
+    this.reset();
+  }
+}
+
+class InboundEmailService {
+  constructor() {
+    this.server = null;
+  }
+
+  inboundDomain() {
+    return process.env.INBOUND_EMAIL_DOMAIN || 'localhost';
+  }
+
+  isEnabled() {
+    return Boolean(this.server);
+  }
+
+  addressFor(token) {
+    return `${ADDRESS_PREFIX}+${token}@${this.inboundDomain()}`;
+  }
+
+  tokenFromAddress(address) {
+    const localPart = (address || '').toLowerCase().split('@')[0];
+    const match = localPart.match(new RegExp(`^${ADDRESS_PREFIX}\\+([a-f0-9]+)$`));
+    return match ? match[1] : null;
+  }
+
+  findCompanyByAddress(address) {
+    const token = this.tokenFromAddress(address);
+    if (!token) {
+      return Promise.resolve(null);
+    }
+    return getAsync('SELECT id, name FROM companies WHERE inbound_email_token = ?', [token]);
+  }
+
+  // The company's receipt address, created on first use
+  async getInboundAddress(companyId) {
+    const company = await getAsync('SELECT inbound_email_token FROM companies WHERE id = ?', [companyId]);
+    if (!company) {
+      return null;
+    }
+    if (company.inbound_email_token) {
+      return this.addressFor(company.inbound_email_token);
+    }
+    return this.regenerateAddress(companyId);
+  }
+
+  // Give the company a new receipt address; mail to the old one bounces
+  async regenerateAddress(companyId) {
+    const token = crypto.randomBytes(10).toString('hex');
+    await runAsync(`
+      UPDATE companies SET inbound_email_token = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [token, companyId]);
+    return this.addressFor(token);
+  }
+
+  // Active member of the company with this email address
+  findMember(companyId, email) {
+    return getAsync(`
+      SELECT u.id, u.email
+      FROM users u
+      JOIN user_companies uc ON uc.user_id = u.id
+      WHERE LOWER(u.email) = ? AND uc.company_id = ? AND uc.status = 'active'
+    `, [email.toLowerCase(), companyId]);
+  }
+
+  // Recent mail for the company, or only what userId sent
+  getRecentEmails(companyId, userId = null, limit = 20) {
+    let query = `
+      SELECT id, user_id, from_address, subject, status, error, receipt_count, created_at
+      FROM inbound_emails WHERE company_id = ?
+    `;
+    const params = [companyId];
+    if (userId) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    }
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+
+  // Make receipts from a received message for every company mailbox it was
+  // sent to. Resolves to one { companyId, status, error, receiptCount } per
+  // company.
+  async receive(raw, { sender = null, recipients } = {}) {
+    const message = mimeService.parseMessage(raw);
+    const companyIds = [];
+    for (const recipient of recipients || message.to) {
+      const company = await this.findCompanyByAddress(recipient);
+      if (company && !companyIds.includes(company.id)) {
+        companyIds.push(company.id);
+      }
+    }
+
+    const results = [];
+    for (const companyId of companyIds) {
+      results.push(await this.ingest(companyId, raw, message, sender));
+    }
+    return results;
+  }
+
+  // Store the message and make its receipts under the sender's account. The
+  // sender is the From header (whoever forwarded the mail), falling back to
+  // the envelope sender, and must be an active member of the company. Both
+  // can be forged, so the envelope sender must at least agree with the From
+  // header; the mailbox token is what really authorizes the mail, and a
+  // regenerated address shuts out anyone who learned the old one.
+  async ingest(companyId, raw, message, envelopeSender) {
+    const fromAddress = message.from || envelopeSender || null;
+    const senderMismatch = Boolean(fromAddress) && (!envelopeSender || envelopeSender.toLowerCase() !== fromAddress.toLowerCase());
+    const user = fromAddress && !senderMismatch ? await this.findMember(companyId, fromAddress) : null;
+
+    await fs.promises.mkdir(EMAILS_DIR, { recursive: true });
+    const emlPath = path.join(EMAILS_DIR, `${uuidv4()}.eml`);
+    await fs.promises.writeFile(emlPath, raw);
+
+    const email = await runAsync(`
+      INSERT INTO inbound_emails (company_id, user_id, from_address, subject, message_id, file_path)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [companyId, user ? user.id : null, fromAddress, message.subject, message.messageId, emlPath]);
+    const inboundEmailId = email.lastID;
+
+    const finish = async (status, error, receiptCount = 0) => {
+      await runAsync(`
+        UPDATE inbound_emails SET status = ?, error = ?, receipt_count = ? WHERE id = ?
+      `, [status, error, receiptCount, inboundEmailId]);
+      return { companyId, inboundEmailId, status, error, receiptCount };
+    };
+
+    if (senderMismatch) {
+      return finish('rejected', `The envelope sender ${envelopeSender || '<>'} does not match the From address ${fromAddress}`);
+    }
+    if (!user) {
+      return finish('rejected', `${fromAddress || 'The sender'} is not a member of this company`);
+    }
+
+    const files = await this.receiptFiles(message, emlPath);
+    if (files.length === 0) {
+      return finish('rejected', 'No PDF or image attachments and no message body to use as a receipt');
+    }
+
+    let receiptCount = 0;
+    const errors = [];
+    for (const file of files) {
+      try {
+        const { receiptId } = await receiptUploadService.createReceipt(file, companyId, user.id);
+        await runAsync('UPDATE receipts SET inbound_email_id = ? WHERE id = ?', [inboundEmailId, receiptId]);
+        receiptCount++;
+      } catch (error) {
+        errors.push(`${file.originalname}: ${error.message}`);
+      }
+    }
+
+    return finish(receiptCount > 0 ? 'processed' : 'rejected', errors.join('; ') || null, receiptCount);
+  }
+
+  // Files to make receipts from: the PDF and image attachments, or when there
+  // are none, the message body rendered to a PDF. Images embedded in the
+  // body (logos, tracking pixels) are skipped.
+  async receiptFiles(message, emlPath) {
+    const files = [];
+
+    for (const attachment of message.attachments) {
+      const mimetype = attachment.contentType === 'application/pdf' || attachment.contentType.startsWith('image/')
+        ? attachment.contentType
+        : receiptUploadService.mimeTypeFor(attachment.filename);
+      const embedded = attachment.disposition === 'inline' ||
+        (attachment.contentId && attachment.disposition !== 'attachment');
+      if (!mimetype || (embedded && mimetype !== 'application/pdf')) {
+        continue;
+      }
+
+      const originalname = safeName(attachment.filename || `attachment${mimetype === 'application/pdf' ? '.pdf' : ''}`);
+      const filename = `${uuidv4()}_${originalname}`;
+      const filePath = path.join(RECEIPTS_DIR, filename);
+      await fs.promises.mkdir(RECEIPTS_DIR, { recursive: true });
+      await fs.promises.writeFile(filePath, attachment.content);
+      files.push({ filename, originalname, path: filePath, size: attachment.content.length, mimetype });
+    }
+
+    if (files.length === 0) {
+      const body = await this.renderBody(message, emlPath);
+      if (body) {
+        files.push(body);
+      }
+    }
+    return files;
+  }
+
+  // The message's HTML (or plain text) body as a PDF receipt whose source is
+  // the stored .eml, or null when the body is empty
+  async renderBody(message, emlPath) {
+    const { text, details } = htmlReceiptService.messageText(message);
+    if (!text) {
+      return null;
+    }
+
+    const pdf = await receiptUploadService.renderPdf(text, details, `${safeName(message.subject || 'Email receipt')}.pdf`);
+    return { ...pdf, source: { path: emlPath, mimetype: 'message/rfc822' } };
+  }
+
+  // Listen for mail on INBOUND_EMAIL_PORT (or the given port)
+  start({ port, host } = {}) {
+    const listenPort = port !== undefined ? port : parseInt(process.env.INBOUND_EMAIL_PORT);
+    const listenHost = host || process.env.INBOUND_EMAIL_HOST || '0.0.0.0';
+
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer(socket => new SmtpSession(socket, this));
+      this.server.once('error', reject);
+      this.server.listen(listenPort, listenHost, () => {
+        const address = this.server.address();
+        console.log(`Inbound email listening on ${listenHost}:${address.port} for ${this.addressFor('<token>')}`);
+        resolve(address);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+module.exports = new InboundEmailService();
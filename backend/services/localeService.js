@@ -0,0 +1,170 @@
+const moment = require('moment');
+const db = require('../database/init');
+const currencyService = require('./currencyService');
+
+const DEFAULT_LOCALE = 'en-US';
+
+// How dates and amounts are written where a company or user works. dateOrder
+// settles "03/04/2025"; decimalSeparator settles "1,234" vs "1,23".
+const LOCALES = {
+  'en-US': { name: 'English (United States)', dateOrder: 'MDY', decimalSeparator: '.' },
+  'en-CA': { name: 'English (Canada)', dateOrder: 'DMY', decimalSeparator: '.' },
+  'en-GB': { name: 'English (United Kingdom)', dateOrder: 'DMY', decimalSeparator: '.' },
+  'en-IE': { name: 'English (Ireland)', dateOrder: 'DMY', decimalSeparator: '.' },
+  'en-AU': { name: 'English (Australia)', dateOrder: 'DMY', decimalSeparator: '.' },
+  'en-NZ': { name: 'English (New Zealand)', dateOrder: 'DMY', decimalSeparator: '.' },
+  'en-IN': { name: 'English (India)', dateOrder: 'DMY', decimalSeparator: '.' },
+  'de-DE': { name: 'Deutsch (Deutschland)', dateOrder: 'DMY', decimalSeparator: ',' },
+  'fr-FR': { name: 'Français (France)', dateOrder: 'DMY', decimalSeparator: ',' },
+  'es-ES': { name: 'Español (España)', dateOrder: 'DMY', decimalSeparator: ',' },
+  'es-MX': { name: 'Español (México)', dateOrder: 'DMY', decimalSeparator: '.' },
+  'it-IT': { name: 'Italiano (Italia)', dateOrder: 'DMY', decimalSeparator: ',' },
+  'nl-NL': { name: 'Nederlands (Nederland)', dateOrder: 'DMY', decimalSeparator: ',' },
+  'pt-BR': { name: 'Português (Brasil)', dateOrder: 'DMY', decimalSeparator: ',' },
+  'sv-SE': { name: 'Svenska (Sverige)', dateOrder: 'YMD', decimalSeparator: ',' },
+  'ja-JP': { name: '日本語 (日本)', dateOrder: 'YMD', decimalSeparator: '.' },
+  'zh-CN': { name: '中文 (中国)', dateOrder: 'YMD', decimalSeparator: '.' }
+};
+
+// Numeric layouts for each day/month/year order
+const NUMERIC_DATE_FORMATS = {
+  MDY: ['M/D/YYYY', 'M-D-YYYY', 'M.D.YYYY', 'M/D/YY', 'M-D-YY', 'M.D.YY'],
+  DMY: ['D/M/YYYY', 'D-M-YYYY', 'D.M.YYYY', 'D/M/YY', 'D-M-YY', 'D.M.YY'],
+  YMD: ['YYYY-M-D', 'YYYY/M/D', 'YYYY.M.D']
+};
+
+// Unambiguous whatever the locale
+const WRITTEN_DATE_FORMATS = [
+  'YYYY-MM-DD', 'YYYY-MM-DD HH:mm:ss',
+  'MMMM D, YYYY', 'MMMM D YYYY', 'MMM D, YYYY', 'MMM D YYYY', 'MMM. D, YYYY',
+  'D MMMM YYYY', 'D MMM YYYY', 'D. MMMM YYYY', 'D-MMM-YYYY', 'D-MMM-YY'
+];
+
+const ISO_DATE = 'YYYY-MM-DD';
+
+// Strict moment parsing wants "M" and "MM" spelled out separately, so accept
+// zero-padded and unpadded months/days for every format
+const expandDateFormats = (formats) => [...new Set(formats.flatMap(format => {
+  const months = /\bM\b/.test(format) ? [format, format.replace(/\bM\b/, 'MM')] : [format];
+  return months.flatMap(variant => /\bD\b/.test(variant) ? [variant, variant.replace(/\bD\b/, 'DD')] : [variant]);
+}))];
+
+class LocaleService {
+  // Supported locales for the settings pages
+  listLocales() {
+    return Object.entries(LOCALES).map(([code, locale]) => ({ code, ...locale }));
+  }
+
+  isSupported(code) {
+    return Boolean(code && LOCALES[code]);
+  }
+
+  getLocale(code) {
+    const resolved = this.isSupported(code) ? code : DEFAULT_LOCALE;
+    return { code: resolved, ...LOCALES[resolved] };
+  }
+
+  async getCompanyLocale(companyId) {
+    const settings = await currencyService.readSettings(companyId);
+    return this.isSupported(settings.locale) ? settings.locale : DEFAULT_LOCALE;
+  }
+
+  async setCompanyLocale(companyId, locale) {
+    const settings = await currencyService.readSettings(companyId);
+    settings.locale = locale;
+
+    return new Promise((resolve, reject) => {
+      db.run('UPDATE companies SET settings = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [JSON.stringify(settings), companyId], (err) => err ? reject(err) : resolve(locale));
+    });
+  }
+
+  // The user's own locale wins; otherwise the company's, otherwise en-US
+  async resolveLocale(companyId, userId) {
+    const user = userId ? await new Promise((resolve, reject) => {
+      db.get('SELECT locale FROM users WHERE id = ?', [userId], (err, row) => err ? reject(err) : resolve(row));
+    }) : null;
+
+    if (user && this.isSupported(user.locale)) {
+      return user.locale;
+    }
+    return companyId ? this.getCompanyLocale(companyId) : DEFAULT_LOCALE;
+  }
+
+  // Formats to try, the locale's own order first. The other orders follow so
+  // that a date only one of them can read (e.g. 04/23/2025 under en-GB)
+  // still parses.
+  dateFormats(code) {
+    const { dateOrder } = this.getLocale(code);
+    const others = Object.keys(NUMERIC_DATE_FORMATS).filter(order => order !== dateOrder);
+    return expandDateFormats([
+      ...WRITTEN_DATE_FORMATS,
+      ...NUMERIC_DATE_FORMATS[dateOrder],
+      ...others.flatMap(order => NUMERIC_DATE_FORMATS[order])
+    ]);
+  }
+
+  // Numeric formats in the locale's order only, for files that use one
+  // layout throughout (statement imports)
+  numericDateFormats(code) {
+    return NUMERIC_DATE_FORMATS[this.getLocale(code).dateOrder];
+  }
+
+  expandDateFormats(formats) {
+    return expandDateFormats(formats);
+  }
+
+  // Date text as YYYY-MM-DD, or null when it isn't a date
+  parseDate(value, code) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    if (!text) return null;
+
+    for (const format of this.dateFormats(code)) {
+      const parsed = moment(text, format, true);
+      if (parsed.isValid()) {
+        return parsed.format(ISO_DATE);
+      }
+    }
+    return null;
+  }
+
+  // Amount text as a number, or null. When both separators appear the last
+  // one is the decimal point. A lone separator is a decimal point if it is
+  // the locale's, or if it isn't followed by groups of three digits.
+  parseAmount(value, code) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return value;
+
+    let text = String(value).replace(/[^\d.,-]/g, '');
+    if (!/\d/.test(text)) return null;
+
+    const { decimalSeparator } = this.getLocale(code);
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    let decimal = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const groups = text.split(separator).slice(1);
+      const thousands = groups.every(group => /^\d{3}$/.test(group));
+      if (separator === decimalSeparator ? groups.length === 1 : !thousands) {
+        decimal = separator;
+      }
+    }
+
+    if (decimal) {
+      const index = text.lastIndexOf(decimal);
+      text = `${text.slice(0, index).replace(/[.,]/g, '')}.${text.slice(index + 1)}`;
+    } else {
+      text = text.replace(/[.,]/g, '');
+    }
+
+    const amount = parseFloat(text);
+    return isNaN(amount) ? null : amount;
+  }
+}
+
+module.exports = new LocaleService();
@@ -0,0 +1,832 @@
+const moment = require('moment');
+const db = require('../database/init');
+const currencyService = require('./currencyService');
+
+// Default matching configuration. Companies can override any of these values
+// through the "matching" key of companies.settings.
+const DEFAULT_MATCHING_SETTINGS = {
+  amount: {
+    exactPoints: 60,
+    veryClosePoints: 40,
+    veryCloseTolerance: 1,
+    closePoints: 20,
+    closeTolerance: 5,
+    approximatePoints: 10,
+    approximateTolerance: 10
+  },
+  date: {
+    sameDayPoints: 25,
+    oneDayPoints: 15,
+    nearbyPoints: 5,
+    nearbyDays: 3
+  },
+  merchant: {
+    keywordPoints: 15,
+    significantWordBonus: 5,
+    maxPoints: 20,
+    // Awarded when the description matches an alias learned from confirmed matches
+    aliasPoints: 20
+  },
+  // Split matches: one receipt covering several transactions (hotel folio)
+  // or several receipts covering one transaction (one charge, many invoices)
+  split: {
+    maxParts: 4,
+    amountTolerance: 0.01,
+    dateWindowDays: 7,
+    partPenalty: 5
+  },
+  // Receipts in another currency than the card charge are compared in the
+  // home currency; card issuers add fees and use their own rates, so amounts
+  // this many percent apart still count as the same
+  currency: {
+    fxTolerancePercent: 3
+  },
+  minimumConfidence: 10,
+  autoMatchThreshold: 70
+};
+
+// Common company suffixes ignored when comparing merchant names
+const MERCHANT_STOP_WORDS = ['llc', 'inc', 'corp', 'ltd', 'company', 'co'];
+
+// Card processor prefixes on bank descriptions ("SQ *", "TST* ", "PAYPAL *")
+const PROCESSOR_PREFIX = /^[a-z0-9]{2,6}\s?\*\s*/;
+
+// Extracted receipt dates are stored as YYYY-MM-DD; OCR used to store US
+// dates, which the startup migration rewrites but are still understood here
+const RECEIPT_DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'MM/DD/YY', 'M/D/YYYY', 'M/D/YY'];
+
+// How much of transaction t its confirmed matches cover, in its own
+// currency. Matches from before split allocations cover all of it.
+const CONFIRMED_COVERAGE = `(
+  SELECT COALESCE(SUM(COALESCE(cm.allocated_amount, ABS(t.amount))), 0)
+  FROM matches cm
+  WHERE cm.transaction_id = t.id AND cm.user_confirmed = 1
+)`;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Upper bound on subset-sum search steps so a long candidate list can't
+// stall a request
+const MAX_SUBSET_SEARCH_STEPS = 20000;
+
+// Find groups of two or more entries ({ item, value }) whose values add up to
+// target within tolerance. Largest values are tried first.
+const findSubsetSums = (entries, target, maxParts, tolerance) => {
+  const sorted = [...entries].sort((a, b) => b.value - a.value);
+  const groups = [];
+  let steps = 0;
+
+  const search = (start, remaining, chosen) => {
+    if (steps++ > MAX_SUBSET_SEARCH_STEPS) return;
+    if (chosen.length >= 2 && Math.abs(remaining) <= tolerance) {
+      groups.push(chosen.map(entry => entry.item));
+      return;
+    }
+    if (chosen.length >= maxParts) return;
+
+    for (let i = start; i < sorted.length; i++) {
+      if (sorted[i].value - remaining > tolerance) continue;
+      chosen.push(sorted[i]);
+      search(i + 1, remaining - sorted[i].value, chosen);
+      chosen.pop();
+    }
+  };
+
+  search(0, target, []);
+  return groups;
+};
+
+// Solve a maximum-weight assignment with the Hungarian algorithm.
+// weights is a rows x cols matrix (rows <= cols); returns, for each row, the
+// column it is assigned to.
+const solveAssignment = (weights) => {
+  const rowCount = weights.length;
+  const colCount = weights[0].length;
+  const maxWeight = Math.max(...weights.map(row => Math.max(...row)));
+
+  // Work on 1-indexed costs so the classic potentials formulation applies
+  const cost = (i, j) => maxWeight - weights[i - 1][j - 1];
+  const u = new Array(rowCount + 1).fill(0);
+  const v = new Array(colCount + 1).fill(0);
+  const assignedRow = new Array(colCount + 1).fill(0);
+  const way = new Array(colCount + 1).fill(0);
+
+  for (let i = 1; i <= rowCount; i++) {
+    assignedRow[0] = i;
+    let j0 = 0;
+    const minv = new Array(colCount + 1).fill(Infinity);
+    const used = new Array(colCount + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = assignedRow[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= colCount; j++) {
+        if (!used[j]) {
+          const current = cost(i0, j) - u[i0] - v[j];
+          if (current < minv[j]) {
+            minv[j] = current;
+            way[j] = j0;
+          }
+          if (minv[j] < delta) {
+            delta = minv[j];
+            j1 = j;
+          }
+        }
+      }
+
+      for (let j = 0; j <= colCount; j++) {
+        if (used[j]) {
+          u[assignedRow[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (assignedRow[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      assignedRow[j0] = assignedRow[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Array(rowCount).fill(-1);
+  for (let j = 1; j <= colCount; j++) {
+    if (assignedRow[j] !== 0) {
+      assignment[assignedRow[j] - 1] = j - 1;
+    }
+  }
+  return assignment;
+};
+
+class MatchingService {
+  constructor() {
+    this.defaultSettings = DEFAULT_MATCHING_SETTINGS;
+  }
+
+  // Merge stored company overrides onto the defaults, ignoring anything that
+  // is not a non-negative number so a bad value can't break scoring
+  resolveSettings(overrides = {}) {
+    const merge = (defaults, values) => {
+      const result = {};
+      Object.keys(defaults).forEach(key => {
+        const defaultValue = defaults[key];
+        const value = values ? values[key] : undefined;
+
+        if (defaultValue !== null && typeof defaultValue === 'object') {
+          result[key] = merge(defaultValue, value && typeof value === 'object' ? value : {});
+        } else {
+          const number = parseFloat(value);
+          result[key] = value !== undefined && value !== null && value !== '' && !isNaN(number) && number >= 0
+            ? number
+            : defaultValue;
+        }
+      });
+      return result;
+    };
+
+    return merge(DEFAULT_MATCHING_SETTINGS, overrides || {});
+  }
+
+  // Load the resolved matching settings for a company
+  getCompanySettings(companyId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT settings FROM companies WHERE id = ?', [companyId], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        let companySettings = {};
+        if (row && row.settings) {
+          try {
+            companySettings = JSON.parse(row.settings);
+          } catch (parseError) {
+            console.error(`Invalid settings JSON for company ${companyId}:`, parseError.message);
+          }
+        }
+
+        resolve(this.resolveSettings(companySettings.matching));
+      });
+    });
+  }
+
+  // Load resolved settings plus the company's learned merchant aliases and
+  // home currency, which is everything the scoring methods need
+  async getScoringSettings(companyId) {
+    const [settings, merchantAliases, homeCurrency] = await Promise.all([
+      this.getCompanySettings(companyId),
+      this.getMerchantAliases(companyId),
+      currencyService.getHomeCurrency(companyId)
+    ]);
+    return { ...settings, merchantAliases, homeCurrency };
+  }
+
+  // Receipt merchant names are compared lowercase without punctuation or
+  // company suffixes
+  normalizeMerchant(name) {
+    if (!name) return '';
+    return name.toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !MERCHANT_STOP_WORDS.includes(word))
+      .join(' ');
+  }
+
+  // Bank descriptions drop processor prefixes, store/reference numbers and
+  // punctuation so the same merchant normalizes to the same pattern
+  normalizeDescription(description) {
+    if (!description) return '';
+    return description.toLowerCase()
+      .trim()
+      .replace(PROCESSOR_PREFIX, '')
+      .replace(/#\s*\d+/g, ' ')
+      .replace(/\d{3,}/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // All merchant aliases for a company, most confirmed first
+  getMerchantAliases(companyId) {
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT * FROM merchant_aliases
+        WHERE company_id = ?
+        ORDER BY confirmed_count DESC, merchant_name
+      `, [companyId], (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+  }
+
+  // Find the alias linking a receipt merchant to a transaction description
+  findMerchantAlias(merchant, description, aliases = []) {
+    const merchantName = this.normalizeMerchant(merchant);
+    const normalizedDescription = this.normalizeDescription(description);
+    if (!merchantName || !normalizedDescription) return null;
+
+    return aliases.find(alias =>
+      alias.merchant_name === merchantName && normalizedDescription.includes(alias.description_pattern)
+    ) || null;
+  }
+
+  // Record that a receipt merchant was confirmed against a bank description.
+  // An existing alias whose pattern already covers the description (possibly
+  // shortened by an admin) is reinforced instead of adding a new one.
+  recordMerchantAlias(companyId, merchant, description, userId) {
+    const merchantName = this.normalizeMerchant(merchant);
+    const pattern = this.normalizeDescription(description);
+
+    return new Promise((resolve, reject) => {
+      if (!merchantName || !pattern) {
+        resolve(null);
+        return;
+      }
+
+      db.all('SELECT * FROM merchant_aliases WHERE company_id = ? AND merchant_name = ?',
+        [companyId, merchantName], (err, aliases) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          const existing = aliases.find(alias => pattern.includes(alias.description_pattern));
+          if (existing) {
+            db.run(`
+              UPDATE merchant_aliases
+              SET confirmed_count = confirmed_count + 1, last_confirmed_at = CURRENT_TIMESTAMP,
+                  updated_by = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?
+            `, [userId, existing.id], (err) => err ? reject(err) : resolve(existing.id));
+            return;
+          }
+
+          db.run(`
+            INSERT INTO merchant_aliases (company_id, merchant_name, description_pattern, created_by, updated_by)
+            VALUES (?, ?, ?, ?, ?)
+          `, [companyId, merchantName, pattern, userId, userId], function(err) {
+            err ? reject(err) : resolve(this.lastID);
+          });
+        });
+    });
+  }
+
+  // Points for how far apart the receipt and transaction amounts are
+  scoreAmountDifference(amountDiff, settings = DEFAULT_MATCHING_SETTINGS) {
+    const rules = settings.amount;
+    const result = { points: 0, reason: null, difference: Math.round(amountDiff * 100) / 100 };
+
+    if (amountDiff === 0) {
+      result.points = rules.exactPoints;
+      result.reason = 'Exact amount match';
+    } else if (amountDiff <= rules.veryCloseTolerance) {
+      result.points = rules.veryClosePoints;
+      result.reason = 'Very close amount match';
+    } else if (amountDiff <= rules.closeTolerance) {
+      result.points = rules.closePoints;
+      result.reason = 'Close amount match';
+    } else if (amountDiff <= rules.approximateTolerance) {
+      result.points = rules.approximatePoints;
+      result.reason = 'Approximate amount match';
+    }
+
+    return result;
+  }
+
+  // Amount of a receipt or transaction in the home currency: the amount
+  // itself when it is already in the home currency (or has no currency),
+  // otherwise the stored conversion, which is null when no rate was known
+  homeAmount(record, amount, settings = DEFAULT_MATCHING_SETTINGS) {
+    const homeCurrency = settings.homeCurrency || 'USD';
+    if (!record.currency || record.currency === homeCurrency) {
+      return amount;
+    }
+    return record.home_amount === null || record.home_amount === undefined ? null : Math.abs(record.home_amount);
+  }
+
+  // Amount factor for a receipt and a transaction. Amounts in the same
+  // currency are compared directly; otherwise both are converted to the home
+  // currency and anything within the FX tolerance counts as a match.
+  scoreAmount(receipt, transaction, settings = DEFAULT_MATCHING_SETTINGS) {
+    const homeCurrency = settings.homeCurrency || 'USD';
+    const receiptCurrency = receipt.currency || homeCurrency;
+    const transactionCurrency = transaction.currency || homeCurrency;
+
+    if (receiptCurrency === transactionCurrency) {
+      return this.scoreAmountDifference(Math.abs(Math.abs(transaction.amount) - receipt.extracted_amount), settings);
+    }
+
+    const receiptHome = this.homeAmount(receipt, receipt.extracted_amount, settings);
+    const transactionHome = this.homeAmount(transaction, Math.abs(transaction.amount), settings);
+    const conversion = `${receiptCurrency} → ${transactionCurrency}`;
+    if (receiptHome === null || transactionHome === null) {
+      return { points: 0, reason: null, difference: null, conversion };
+    }
+
+    const amountDiff = Math.abs(transactionHome - receiptHome);
+    const percentDiff = amountDiff / Math.max(transactionHome, receiptHome, 0.01) * 100;
+    if (percentDiff <= settings.currency.fxTolerancePercent) {
+      return {
+        points: settings.amount.exactPoints,
+        reason: `Amount matches after currency conversion (${conversion}, ${Math.round(percentDiff * 10) / 10}% apart)`,
+        difference: Math.round(amountDiff * 100) / 100,
+        conversion
+      };
+    }
+
+    return { ...this.scoreAmountDifference(amountDiff, settings), conversion };
+  }
+
+  // Score a single transaction against a receipt. Each factor records the
+  // points it contributed and why, so the score can be explained later.
+  scoreTransaction(receipt, transaction, settings = DEFAULT_MATCHING_SETTINGS) {
+    const { date: dateRules, merchant: merchantRules } = settings;
+    const breakdown = {
+      amount: { points: 0, reason: null, difference: null },
+      date: { points: 0, reason: null, daysDiff: null },
+      merchant: { points: 0, reason: null, matchedWords: [] }
+    };
+
+    // Amount matching (most important factor)
+    breakdown.amount = this.scoreAmount(receipt, transaction, settings);
+    const amountDiff = breakdown.amount.difference;
+
+    // Date matching
+    if (receipt.extracted_date && transaction.transaction_date) {
+      const receiptDate = moment(receipt.extracted_date, RECEIPT_DATE_FORMATS);
+      const transactionDate = moment(transaction.transaction_date);
+
+      if (receiptDate.isValid() && transactionDate.isValid()) {
+        const daysDiff = Math.abs(receiptDate.diff(transactionDate, 'days'));
+        breakdown.date.daysDiff = daysDiff;
+
+        if (daysDiff === 0) {
+          breakdown.date.points = dateRules.sameDayPoints;
+          breakdown.date.reason = 'Same date';
+        } else if (daysDiff <= 1) {
+          breakdown.date.points = dateRules.oneDayPoints;
+          breakdown.date.reason = 'Within 1 day';
+        } else if (daysDiff <= dateRules.nearbyDays) {
+          breakdown.date.points = dateRules.nearbyPoints;
+          breakdown.date.reason = `Within ${dateRules.nearbyDays} days`;
+        }
+      }
+    }
+
+    // Merchant/description matching
+    if (receipt.extracted_merchant && transaction.description) {
+      const merchantWords = receipt.extracted_merchant.toLowerCase().split(/\s+/)
+        .filter(word => word.length > 2 && !MERCHANT_STOP_WORDS.includes(word));
+      const descriptionLower = transaction.description.toLowerCase();
+
+      const matchedWords = merchantWords.filter(word => descriptionLower.includes(word));
+      // Give extra credit for longer, more specific words (like "openai")
+      const significantWordMatches = matchedWords.filter(word => word.length >= 5).length;
+
+      if (matchedWords.length > 0) {
+        const baseMatchPoints = (matchedWords.length / merchantWords.length) * merchantRules.keywordPoints;
+        const bonusPoints = significantWordMatches * merchantRules.significantWordBonus;
+
+        breakdown.merchant.points = Math.round(Math.min(baseMatchPoints + bonusPoints, merchantRules.maxPoints) * 100) / 100;
+        breakdown.merchant.reason = `Merchant keywords match (${matchedWords.length} words, ${significantWordMatches} significant)`;
+        breakdown.merchant.matchedWords = matchedWords;
+      }
+
+      // A learned alias vouches for merchants whose bank description shares
+      // no words with the receipt ("AMZN MKTP" vs "Amazon.com")
+      const alias = this.findMerchantAlias(receipt.extracted_merchant, transaction.description, settings.merchantAliases);
+      if (alias && merchantRules.aliasPoints > breakdown.merchant.points) {
+        breakdown.merchant.points = merchantRules.aliasPoints;
+        breakdown.merchant.reason = `Learned merchant alias (confirmed ${alias.confirmed_count} time${alias.confirmed_count === 1 ? '' : 's'})`;
+        breakdown.merchant.aliasId = alias.id;
+      }
+    }
+
+    const confidence = breakdown.amount.points + breakdown.date.points + breakdown.merchant.points;
+    const reasons = [breakdown.amount.reason, breakdown.date.reason, breakdown.merchant.reason].filter(Boolean);
+
+    return {
+      transaction,
+      confidence: Math.round(confidence),
+      reasons,
+      amountDiff,
+      breakdown
+    };
+  }
+
+  // A company's transactions that confirmed matches don't fully cover yet,
+  // newest first. A transaction split with receipts that cover only part of
+  // it comes back with amount (and home_amount) reduced to the part still
+  // uncovered, so it is scored against what is left; covered_amount says how
+  // much is already covered. exclusion is an extra SQL condition on t, with
+  // its own params, ruling out more transactions.
+  getOpenTransactions(companyId, { exclusion = null, params = [], limit = null } = {}) {
+    const query = `
+      SELECT * FROM (
+        SELECT t.*, ${CONFIRMED_COVERAGE} as covered_amount
+        FROM transactions t
+        WHERE t.company_id = ?${exclusion ? ` AND ${exclusion}` : ''}
+      ) t
+      WHERE t.covered_amount < ABS(t.amount) - 0.005
+      ORDER BY t.transaction_date DESC
+      ${limit ? `LIMIT ${parseInt(limit)}` : ''}
+    `;
+
+    return new Promise((resolve, reject) => {
+      db.all(query, [companyId, ...params], (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows.map(row => this.uncoveredPart(row)));
+      });
+    });
+  }
+
+  // The transaction with its amounts scaled down to the part its confirmed
+  // matches (covered_amount) don't cover yet
+  uncoveredPart(transaction) {
+    if (!transaction.covered_amount) {
+      return transaction;
+    }
+    const share = 1 - transaction.covered_amount / Math.abs(transaction.amount);
+    return {
+      ...transaction,
+      amount: roundCents(transaction.amount * share),
+      home_amount: transaction.home_amount === null || transaction.home_amount === undefined
+        ? transaction.home_amount
+        : roundCents(transaction.home_amount * share)
+    };
+  }
+
+  // Score every transaction against a receipt and return the candidates
+  // above the minimum confidence, best first
+  findPotentialMatches(receipt, transactions, settings = DEFAULT_MATCHING_SETTINGS) {
+    if (!receipt.extracted_amount || !transactions || transactions.length === 0) {
+      return [];
+    }
+
+    return transactions
+      .map(transaction => this.scoreTransaction(receipt, transaction, settings))
+      .filter(match => match.confidence >= settings.minimumConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  // Split groups add amounts up in the home currency; amounts that can't be
+  // converted count as zero and so never join a group
+  splitValue(record, amount, settings = DEFAULT_MATCHING_SETTINGS) {
+    const value = this.homeAmount(record, amount, settings);
+    return value === null ? 0 : value;
+  }
+
+  // What a receipt covers of a transaction, in the transaction's currency.
+  // Receipts in another currency are converted through their home amounts;
+  // when either side has no exchange rate, the receipt gets an even share
+  // (1 / parts) of the transaction.
+  allocationFor(receipt, transaction, parts, settings = DEFAULT_MATCHING_SETTINGS) {
+    const homeCurrency = settings.homeCurrency || 'USD';
+    const transactionAmount = Math.abs(transaction.amount);
+    if ((receipt.currency || homeCurrency) === (transaction.currency || homeCurrency)) {
+      return receipt.extracted_amount;
+    }
+
+    const receiptHome = this.homeAmount(receipt, receipt.extracted_amount, settings);
+    const transactionHome = this.homeAmount(transaction, transactionAmount, settings);
+    if (receiptHome === null || !transactionHome) {
+      return roundCents(transactionAmount / parts);
+    }
+    return roundCents(receiptHome / transactionHome * transactionAmount);
+  }
+
+  // Score a split group where either one receipt covers several transactions
+  // or several receipts cover one transaction. The amount factor compares the
+  // group totals; date and merchant points are averaged over the pairs.
+  scoreSplit(receipts, transactions, settings = DEFAULT_MATCHING_SETTINGS) {
+    const receiptTotal = receipts.reduce((sum, receipt) => sum + this.splitValue(receipt, receipt.extracted_amount, settings), 0);
+    const transactionTotal = transactions.reduce((sum, transaction) => sum + this.splitValue(transaction, Math.abs(transaction.amount), settings), 0);
+    const oneReceipt = receipts.length === 1;
+
+    const pairs = oneReceipt
+      ? transactions.map(transaction => ({ receipt: receipts[0], transaction }))
+      : receipts.map(receipt => ({ receipt, transaction: transactions[0] }));
+    const pairScores = pairs.map(pair => this.scoreTransaction(pair.receipt, pair.transaction, settings));
+    const average = (factor) => Math.round(
+      pairScores.reduce((sum, score) => sum + score.breakdown[factor].points, 0) / pairScores.length * 100
+    ) / 100;
+
+    const parts = pairs.length;
+    const penalty = (parts - 1) * settings.split.partPenalty;
+    const amount = this.scoreAmountDifference(Math.abs(receiptTotal - transactionTotal), settings);
+    if (amount.reason) {
+      amount.reason = `${amount.reason} across ${parts} ${oneReceipt ? 'transactions' : 'receipts'}`;
+    }
+
+    const breakdown = {
+      amount,
+      date: { points: average('date'), reason: average('date') > 0 ? 'Average date match across split' : null },
+      merchant: { points: average('merchant'), reason: average('merchant') > 0 ? 'Average merchant match across split' : null },
+      split: { parts, penalty, reason: `Split across ${parts} ${oneReceipt ? 'transactions' : 'receipts'}` }
+    };
+
+    const confidence = Math.max(0, amount.points + breakdown.date.points + breakdown.merchant.points - penalty);
+    const reasons = [amount.reason, breakdown.date.reason, breakdown.merchant.reason, breakdown.split.reason].filter(Boolean);
+
+    return {
+      split: true,
+      receipts,
+      transactions,
+      confidence: Math.round(confidence),
+      reasons,
+      breakdown,
+      // Portion of each transaction attributed to each receipt
+      allocations: pairs.map(pair => ({
+        receipt: pair.receipt,
+        transaction: pair.transaction,
+        allocated_amount: oneReceipt
+          ? Math.abs(pair.transaction.amount)
+          : this.allocationFor(pair.receipt, pair.transaction, parts, settings)
+      }))
+    };
+  }
+
+  // Find groups of transactions whose amounts add up to a single receipt
+  findSplitMatches(receipt, transactions, settings = DEFAULT_MATCHING_SETTINGS) {
+    if (!receipt.extracted_amount || !transactions || transactions.length < 2) {
+      return [];
+    }
+
+    const receiptAmount = this.splitValue(receipt, receipt.extracted_amount, settings);
+    const receiptDate = receipt.extracted_date ? moment(receipt.extracted_date, RECEIPT_DATE_FORMATS) : null;
+    const entries = transactions
+      .map(transaction => ({ item: transaction, value: this.splitValue(transaction, Math.abs(transaction.amount), settings) }))
+      .filter(entry => entry.value > 0 && entry.value < receiptAmount)
+      .filter(entry => !receiptDate || !receiptDate.isValid() ||
+        Math.abs(receiptDate.diff(moment(entry.item.transaction_date), 'days')) <= settings.split.dateWindowDays);
+
+    return findSubsetSums(entries, receiptAmount, settings.split.maxParts, settings.split.amountTolerance)
+      .map(group => this.scoreSplit([receipt], group, settings))
+      .filter(match => match.confidence >= settings.minimumConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  // Find groups of receipts whose amounts add up to a single transaction
+  findSplitReceiptMatches(transaction, receipts, settings = DEFAULT_MATCHING_SETTINGS) {
+    const transactionAmount = this.splitValue(transaction, Math.abs(transaction.amount), settings);
+    if (!transactionAmount || !receipts || receipts.length < 2) {
+      return [];
+    }
+
+    const transactionDate = moment(transaction.transaction_date);
+    const entries = receipts
+      .map(receipt => ({ item: receipt, value: this.splitValue(receipt, receipt.extracted_amount, settings) }))
+      .filter(entry => entry.value > 0 && entry.value < transactionAmount)
+      .filter(entry => {
+        const receiptDate = entry.item.extracted_date ? moment(entry.item.extracted_date, RECEIPT_DATE_FORMATS) : null;
+        return !receiptDate || !receiptDate.isValid() ||
+          Math.abs(receiptDate.diff(transactionDate, 'days')) <= settings.split.dateWindowDays;
+      });
+
+    return findSubsetSums(entries, transactionAmount, settings.split.maxParts, settings.split.amountTolerance)
+      .map(group => this.scoreSplit(group, [transaction], settings))
+      .filter(match => match.confidence >= settings.minimumConfidence)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  // Assign receipts to transactions as a whole, so each transaction is used
+  // at most once (unless split) and the total confidence is maximized.
+  // Only pairs scoring at least the threshold are eligible; rejectedPairs is
+  // a Set of "receiptId:transactionId" keys that must never be proposed.
+  findOptimalAssignment(receipts, transactions, settings = DEFAULT_MATCHING_SETTINGS, threshold = settings.autoMatchThreshold, rejectedPairs = new Set()) {
+    // Collect eligible candidate pairs
+    const candidates = [];
+    receipts.forEach(receipt => {
+      this.findPotentialMatches(receipt, transactions, settings)
+        .filter(match => match.confidence >= threshold && !rejectedPairs.has(`${receipt.id}:${match.transaction.id}`))
+        .forEach(match => candidates.push({ receipt, ...match }));
+    });
+
+    // Split the candidate graph into independent components so each
+    // assignment problem stays small
+    const parent = new Map();
+    const find = (key) => {
+      while (parent.get(key) !== key) {
+        parent.set(key, parent.get(parent.get(key)));
+        key = parent.get(key);
+      }
+      return key;
+    };
+    const union = (a, b) => {
+      [a, b].forEach(key => { if (!parent.has(key)) parent.set(key, key); });
+      parent.set(find(a), find(b));
+    };
+    candidates.forEach(candidate => union(`r${candidate.receipt.id}`, `t${candidate.transaction.id}`));
+
+    const components = new Map();
+    candidates.forEach(candidate => {
+      const root = find(`r${candidate.receipt.id}`);
+      if (!components.has(root)) components.set(root, []);
+      components.get(root).push(candidate);
+    });
+
+    const assignments = [];
+    components.forEach(componentCandidates => {
+      const receiptIds = [...new Set(componentCandidates.map(c => c.receipt.id))];
+      const transactionIds = [...new Set(componentCandidates.map(c => c.transaction.id))];
+      const transposed = receiptIds.length > transactionIds.length;
+      const rowIds = transposed ? transactionIds : receiptIds;
+      const colIds = transposed ? receiptIds : transactionIds;
+
+      const byPair = new Map();
+      componentCandidates.forEach(c => byPair.set(`${c.receipt.id}:${c.transaction.id}`, c));
+      const pairFor = (rowId, colId) => byPair.get(transposed ? `${colId}:${rowId}` : `${rowId}:${colId}`);
+
+      const weights = rowIds.map(rowId => colIds.map(colId => {
+        const candidate = pairFor(rowId, colId);
+        return candidate ? candidate.confidence : 0;
+      }));
+
+      solveAssignment(weights).forEach((colIndex, rowIndex) => {
+        const candidate = colIndex >= 0 ? pairFor(rowIds[rowIndex], colIds[colIndex]) : null;
+        if (candidate) {
+          assignments.push({
+            ...candidate,
+            split: false,
+            receipts: [candidate.receipt],
+            transactions: [candidate.transaction],
+            allocations: [{
+              receipt: candidate.receipt,
+              transaction: candidate.transaction,
+              allocated_amount: Math.abs(candidate.transaction.amount)
+            }]
+          });
+        }
+      });
+    });
+
+    // Whatever is left over may still be covered by a split: one receipt for
+    // several transactions or several receipts for one transaction
+    const usedReceipts = new Set(assignments.map(a => a.receipt.id));
+    const usedTransactions = new Set(assignments.map(a => a.transaction.id));
+    const remainingReceipts = receipts.filter(receipt => !usedReceipts.has(receipt.id));
+    const remainingTransactions = transactions.filter(transaction => !usedTransactions.has(transaction.id));
+
+    const splitCandidates = [
+      ...remainingReceipts.flatMap(receipt => this.findSplitMatches(receipt, remainingTransactions, settings)),
+      ...remainingTransactions.flatMap(transaction => this.findSplitReceiptMatches(transaction, remainingReceipts, settings))
+    ]
+      .filter(group => group.confidence >= threshold)
+      .filter(group => group.allocations.every(a => !rejectedPairs.has(`${a.receipt.id}:${a.transaction.id}`)))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    splitCandidates.forEach(group => {
+      const overlaps = group.receipts.some(receipt => usedReceipts.has(receipt.id)) ||
+        group.transactions.some(transaction => usedTransactions.has(transaction.id));
+      if (overlaps) return;
+
+      group.receipts.forEach(receipt => usedReceipts.add(receipt.id));
+      group.transactions.forEach(transaction => usedTransactions.add(transaction.id));
+      assignments.push({ ...group, receipt: group.receipts[0], transaction: group.transactions[0] });
+    });
+
+    return assignments.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  // Auto-match a receipt whose OCR just finished against the company's open
+  // transactions, if the best candidate reaches the auto-match threshold
+  autoMatchReceipt(receiptId) {
+    console.log(`Triggering auto-match for receipt ${receiptId}`);
+
+    // Get receipt details to determine company context
+    db.get('SELECT * FROM receipts WHERE id = ?', [receiptId], (err, receipt) => {
+      if (err || !receipt) {
+        console.error('Error getting receipt for auto-match:', err);
+        return;
+      }
+
+      // Get the company's open transactions, skipping any already
+      // auto-matched to another receipt or rejected for this one
+      this.getOpenTransactions(receipt.company_id, {
+        exclusion: `t.id NOT IN (
+          SELECT transaction_id FROM matches
+          WHERE (match_status = 'auto_matched' AND receipt_id != ?)
+             OR (match_status = 'rejected' AND receipt_id = ?)
+        )`,
+        params: [receiptId, receiptId],
+        limit: 100
+      }).then(async (transactions) => {
+        let matchingSettings;
+        try {
+          matchingSettings = await this.getScoringSettings(receipt.company_id);
+        } catch (settingsError) {
+          console.error('Error loading matching settings for auto-match:', settingsError);
+          return;
+        }
+
+        const potentialMatches = this.findPotentialMatches(receipt, transactions, matchingSettings);
+
+        // Auto-match if confidence meets the company's auto-match threshold
+        if (potentialMatches.length > 0 && potentialMatches[0].confidence >= matchingSettings.autoMatchThreshold) {
+          const bestMatch = potentialMatches[0];
+
+          // Create the match
+          db.run(`
+            INSERT OR REPLACE INTO matches 
+            (transaction_id, receipt_id, match_confidence, match_details, allocated_amount, match_status, user_confirmed)
+            VALUES (?, ?, ?, ?, ?, 'auto_matched', 0)
+          `, [
+            bestMatch.transaction.id,
+            receiptId,
+            bestMatch.confidence,
+            this.serializeDetails(bestMatch),
+            Math.abs(bestMatch.transaction.amount)
+          ], function(err) {
+            if (err) {
+              console.error('Error creating auto-match:', err);
+            } else {
+              console.log(`Auto-matched receipt ${receiptId} with transaction ${bestMatch.transaction.id} (confidence: ${bestMatch.confidence}%)`);
+            }
+          });
+        } else {
+          if (potentialMatches.length > 0) {
+            const bestMatch = potentialMatches[0];
+            console.log(`No high-confidence matches found for receipt ${receiptId}.`);
+            console.log(`Best match: ${bestMatch.confidence}% - Transaction: "${bestMatch.transaction.description}" (${bestMatch.transaction.transaction_date}, $${Math.abs(bestMatch.transaction.amount)})`);
+            console.log(`Match reasons: ${bestMatch.reasons.join(', ')}`);
+          } else {
+            console.log(`No matches found for receipt ${receiptId}`);
+          }
+        }
+      }).catch((err) => {
+        console.error('Error getting transactions for auto-match:', err);
+      });
+    });
+  }
+
+  // Serialize a scored match for the matches.match_details column
+  serializeDetails(match) {
+    return JSON.stringify({
+      ...match.breakdown,
+      reasons: match.reasons,
+      total: match.confidence
+    });
+  }
+
+  // Parse the match_details column of a matches row back into an object
+  parseDetails(row) {
+    if (!row.match_details) {
+      return { ...row, match_details: null };
+    }
+
+    try {
+      return { ...row, match_details: JSON.parse(row.match_details) };
+    } catch (error) {
+      return { ...row, match_details: null };
+    }
+  }
+}
+
+module.exports = new MatchingService();
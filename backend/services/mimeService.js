@@ -0,0 +1,200 @@
+// Reads raw email (RFC 5322 / MIME) into its headers, bodies and attachments.
+// Handles what forwarded receipts use: nested multiparts, forwarded
+// message/rfc822 parts, base64 and quoted-printable, and encoded header words
+// and filenames.
+
+const decodeCharset = (buffer, charset) => {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+const decodeQuotedPrintable = (text) => {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.substr(i + 1, 2))) {
+      bytes.push(parseInt(source.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// "=?utf-8?Q?Caf=C3=A9?=" and "=?utf-8?B?...?=" words in header values
+const decodeWords = (value) => (value || '')
+  .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+  .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '));
+    return decodeCharset(bytes, charset.replace(/\*.*$/, ''));
+  });
+
+// Header block to { name: value }, names lowercased, folded lines joined.
+// Repeated headers keep their first value.
+const parseHeaders = (text) => {
+  const headers = {};
+  text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      const name = line.slice(0, colon).trim().toLowerCase();
+      if (!(name in headers)) {
+        headers[name] = line.slice(colon + 1).trim();
+      }
+    }
+  });
+  return headers;
+};
+
+// "text/html; charset=utf-8" to { value, params }, including RFC 2231
+// parameters (filename*=utf-8''..., filename*0*=...)
+const parseHeaderValue = (header) => {
+  const [value, ...rest] = (header || '').split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  const extended = {};
+
+  rest.forEach(param => {
+    const equals = param.indexOf('=');
+    if (equals === -1) return;
+    const key = param.slice(0, equals).trim().toLowerCase();
+    const raw = param.slice(equals + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    const match = key.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (match && (match[2] !== undefined || match[3])) {
+      extended[match[1]] = extended[match[1]] || [];
+      extended[match[1]][parseInt(match[2] || '0')] = { text: raw, encoded: Boolean(match[3]) };
+    } else {
+      params[key] = decodeWords(raw);
+    }
+  });
+
+  Object.entries(extended).forEach(([key, pieces]) => {
+    let charset = 'utf-8';
+    const bytes = [];
+    pieces.filter(Boolean).forEach((piece, index) => {
+      let text = piece.text;
+      if (index === 0 && piece.encoded) {
+        const [declared, , encodedText] = text.split("'");
+        charset = declared || charset;
+        text = encodedText === undefined ? text : encodedText;
+      }
+      bytes.push(piece.encoded
+        ? Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+        : Buffer.from(text, 'latin1'));
+    });
+    params[key] = decodeCharset(Buffer.concat(bytes), charset);
+  });
+
+  return { value: value.trim().toLowerCase(), params };
+};
+
+const splitHeaderAndBody = (text) => {
+  const match = text.match(/\r?\n\r?\n/);
+  if (!match) {
+    return { headerText: text, bodyText: '' };
+  }
+  return { headerText: text.slice(0, match.index), bodyText: text.slice(match.index + match[0].length) };
+};
+
+const decodeBody = (text, transferEncoding) => {
+  switch ((transferEncoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(text.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(text);
+    default:
+      return Buffer.from(text, 'latin1');
+  }
+};
+
+class MimeService {
+  // Parse a raw message (Buffer or binary string) into
+  // { headers, from, to, subject, date, messageId, text, html, attachments },
+  // where attachments are { filename, contentType, disposition, contentId, content }
+  parseMessage(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+    const { headerText, bodyText } = splitHeaderAndBody(text);
+    const headers = parseHeaders(headerText);
+    const leaves = [];
+    this.collectParts(headers, bodyText, leaves);
+
+    const bodies = leaves.filter(part => !part.filename && part.disposition !== 'attachment');
+    const longest = (type) => bodies
+      .filter(part => part.contentType === type)
+      .map(part => decodeCharset(part.content, part.charset))
+      .sort((a, b) => b.length - a.length)[0] || null;
+
+    return {
+      headers,
+      from: this.parseAddress(decodeWords(headers.from)),
+      to: this.parseAddressList(decodeWords(headers.to)),
+      subject: decodeWords(headers.subject || ''),
+      date: headers.date || null,
+      messageId: headers['message-id'] || null,
+      // A forwarded message carries the receipt in its own body, usually the
+      // longest one in the mail
+      text: longest('text/plain'),
+      html: longest('text/html'),
+      attachments: leaves.filter(part => !bodies.includes(part)).map(({ charset, ...part }) => part)
+    };
+  }
+
+  // Walk a part, adding every leaf (non-multipart part) to leaves
+  collectParts(headers, bodyText, leaves) {
+    const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+    const disposition = parseHeaderValue(headers['content-disposition'] || '');
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+      const delimiter = `--${contentType.params.boundary}`;
+      const sections = bodyText.split(new RegExp(`\\r?\\n?${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?\\n?`));
+      // Text before the first boundary and after the closing one is filler;
+      // a message cut off before its closing boundary keeps its last part
+      const closed = bodyText.includes(`${delimiter}--`);
+      sections.slice(1, closed ? -1 : undefined).forEach(section => {
+        const part = splitHeaderAndBody(section);
+        this.collectParts(parseHeaders(part.headerText), part.bodyText, leaves);
+      });
+      return;
+    }
+
+    // Receipts forwarded "as attachment" arrive as message/rfc822 parts
+    if (contentType.value === 'message/rfc822') {
+      const inner = splitHeaderAndBody(decodeBody(bodyText, headers['content-transfer-encoding']).toString('latin1'));
+      this.collectParts(parseHeaders(inner.headerText), inner.bodyText, leaves);
+      return;
+    }
+
+    leaves.push({
+      contentType: contentType.value,
+      charset: contentType.params.charset,
+      disposition: disposition.value || null,
+      filename: disposition.params.filename || contentType.params.name || null,
+      contentId: headers['content-id'] ? headers['content-id'].replace(/^<|>$/g, '') : null,
+      content: decodeBody(bodyText, headers['content-transfer-encoding'])
+    });
+  }
+
+  // First email address in a header value, lowercased
+  parseAddress(value) {
+    return this.parseAddressList(value)[0] || null;
+  }
+
+  parseAddressList(value) {
+    return (value || '')
+      .replace(/"[^"]*"/g, '')
+      .split(/[,;]/)
+      .map(entry => {
+        const bracketed = entry.match(/<([^>]+)>/);
+        const address = bracketed ? bracketed[1] : (entry.match(/[^\s<>]+@[^\s<>]+/) || [])[0];
+        return address ? address.trim().toLowerCase() : null;
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = new MimeService();
@@ -0,0 +1,276 @@
+const path = require('path');
+const db = require('../database/init');
+const ocrService = require('./ocrService');
+const matchingService = require('./matchingService');
+const receiptService = require('./receiptService');
+const vendorTemplateService = require('./vendorTemplateService');
+const currencyService = require('./currencyService');
+const localeService = require('./localeService');
+const receiptDedupService = require('./receiptDedupService');
+
+// How often idle workers look for due jobs
+const POLL_INTERVAL_MS = 2000;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// First retry after 30s, then 60s, 120s, ...
+const RETRY_BASE_SECONDS = 30;
+
+// Receipts uploaded before mime_type was stored
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.webp': 'image/webp'
+};
+
+const runAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+const getAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.get(query, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+class OcrQueueService {
+  constructor() {
+    this.running = false;
+    this.active = 0;
+    this.concurrency = 1;
+    this.timer = null;
+  }
+
+  // Queue OCR for a stored receipt and nudge the workers
+  async enqueue(receiptId, maxAttempts = DEFAULT_MAX_ATTEMPTS) {
+    const result = await runAsync(`
+      INSERT INTO ocr_jobs (receipt_id, max_attempts) VALUES (?, ?)
+    `, [receiptId, maxAttempts]);
+
+    this.wake();
+    return result.lastID;
+  }
+
+  // Start polling for jobs. Jobs a previous process left mid-run are queued
+  // again, since their work was lost with it.
+  async start({ concurrency } = {}) {
+    this.concurrency = concurrency || parseInt(process.env.OCR_WORKERS) || 1;
+
+    await runAsync(`
+      UPDATE ocr_jobs
+      SET status = 'queued', next_run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'processing'
+    `);
+
+    this.running = true;
+    this.timer = setInterval(() => this.wake(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.wake();
+
+    console.log(`OCR queue started with ${this.concurrency} worker(s)`);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Fill free worker slots. Each worker keeps taking due jobs until none are
+  // left; the poll timer brings them back for retries that come due later.
+  wake() {
+    while (this.running && this.active < this.concurrency) {
+      this.active++;
+      this.work()
+        .catch(error => console.error('OCR worker error:', error))
+        .finally(() => {
+          this.active--;
+        });
+    }
+  }
+
+  async work() {
+    let job;
+    while (this.running && (job = await this.claimNext())) {
+      await this.processJob(job);
+    }
+  }
+
+  // Take the oldest due job. The status check in the UPDATE keeps two
+  // workers from running the same job.
+  async claimNext() {
+    const job = await getAsync(`
+      SELECT * FROM ocr_jobs
+      WHERE status = 'queued' AND next_run_at <= CURRENT_TIMESTAMP
+      ORDER BY next_run_at, id
+      LIMIT 1
+    `);
+    if (!job) {
+      return null;
+    }
+
+    const claimed = await runAsync(`
+      UPDATE ocr_jobs
+      SET status = 'processing', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'queued'
+    `, [job.id]);
+
+    if (claimed.changes === 0) {
+      return this.claimNext();
+    }
+    return { ...job, status: 'processing', attempts: job.attempts + 1 };
+  }
+
+  async processJob(job) {
+    const receipt = await getAsync('SELECT * FROM receipts WHERE id = ?', [job.receipt_id]);
+    if (!receipt) {
+      await runAsync(`
+        UPDATE ocr_jobs SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `, ['Receipt no longer exists', job.id]);
+      return;
+    }
+
+    await runAsync(`
+      UPDATE receipts SET processing_status = 'processing', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [receipt.id]);
+
+    try {
+      const mimeType = receipt.mime_type || MIME_TYPES[path.extname(receipt.file_path).toLowerCase()];
+      const templates = await vendorTemplateService.getTemplates(receipt.company_id, { activeOnly: true });
+      // Dates and amounts are read the way the uploader writes them
+      const locale = await localeService.resolveLocale(receipt.company_id, receipt.created_by);
+      // A receipt rendered from an email or HTML file is read from that source
+      const ocrResult = receipt.source_file_path
+        ? await ocrService.processReceipt(receipt.source_file_path, receipt.source_mime_type, templates, locale)
+        : await ocrService.processReceipt(receipt.file_path, mimeType, templates, locale);
+      const breakdown = ocrResult.amountBreakdown || {};
+      const preprocessing = ocrResult.preprocessing;
+      const convert = await currencyService.getConverter(receipt.company_id);
+      const converted = await convert(ocrResult.extractedAmount, ocrResult.currency, ocrResult.extractedDate, receipt.upload_date);
+      const textFingerprint = receiptDedupService.textFingerprint(ocrResult.text);
+
+      await receiptService.saveLineItems(receipt.id, ocrResult.lineItems || []);
+      await receiptService.savePages(receipt.id, ocrResult.pages || []);
+      // Corrections made against an earlier OCR run no longer apply
+      await runAsync('DELETE FROM receipt_corrections WHERE receipt_id = ?', [receipt.id]);
+      await runAsync(`
+        UPDATE receipts
+        SET ocr_text = ?, extracted_amount = ?, extracted_date = ?, extracted_merchant = ?,
+            invoice_number = ?, vendor_template_id = ?,
+            subtotal_amount = ?, tax_amount = ?, tip_amount = ?,
+            currency = ?, home_amount = ?, exchange_rate = ?,
+            extraction_confidence = ?, needs_review = ?, reviewed_by = NULL, reviewed_at = NULL,
+            processed_file_path = ?, preprocessing_steps = ?, page_count = ?, text_fingerprint = ?,
+            processing_status = 'completed', processing_error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        ocrResult.text,
+        ocrResult.extractedAmount,
+        ocrResult.extractedDate,
+        ocrResult.extractedMerchant,
+        ocrResult.invoiceNumber,
+        ocrResult.vendorTemplateId,
+        breakdown.subtotal,
+        breakdown.tax,
+        breakdown.tip,
+        converted.currency,
+        converted.home_amount,
+        converted.exchange_rate,
+        JSON.stringify(ocrResult.fieldConfidence),
+        receiptService.needsReview(ocrResult.fieldConfidence) ? 1 : 0,
+        preprocessing ? preprocessing.outputPath : null,
+        preprocessing ? JSON.stringify(preprocessing.steps) : null,
+        (ocrResult.pages || []).length,
+        textFingerprint,
+        receipt.id
+      ]);
+
+      await runAsync(`
+        UPDATE ocr_jobs
+        SET status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [job.id]);
+
+      console.log(`OCR job ${job.id} completed for receipt ${receipt.id}`);
+
+      // The job is done; a failure from here on must not send it back for
+      // another attempt. The same receipt uploaded twice (e.g. a photo and an
+      // emailed PDF) reads the same once OCR has run, even when the files
+      // differ. Automatic matching waits for the duplicate review, and is
+      // skipped if the check fails.
+      try {
+        await receiptDedupService.flagDuplicates({
+          ...receipt,
+          text_fingerprint: textFingerprint,
+          extracted_amount: ocrResult.extractedAmount,
+          extracted_date: ocrResult.extractedDate
+        });
+
+        if (ocrResult.extractedAmount && !(await receiptDedupService.hasPendingDuplicates(receipt.id))) {
+          matchingService.autoMatchReceipt(receipt.id);
+        }
+      } catch (error) {
+        console.error('Error checking for duplicate receipts:', error);
+      }
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  // Retry with exponential backoff until the job runs out of attempts, then
+  // mark the receipt failed
+  async handleFailure(job, error) {
+    const message = error.message || String(error);
+
+    if (job.attempts >= job.max_attempts) {
+      console.error(`OCR job ${job.id} failed after ${job.attempts} attempts:`, message);
+
+      await runAsync(`
+        UPDATE ocr_jobs SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `, [message, job.id]);
+      await runAsync(`
+        UPDATE receipts
+        SET processing_status = 'failed', processing_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [message, job.receipt_id]);
+      return;
+    }
+
+    const delay = this.retryDelaySeconds(job.attempts);
+    console.warn(`OCR job ${job.id} attempt ${job.attempts} failed, retrying in ${delay}s:`, message);
+
+    await runAsync(`
+      UPDATE ocr_jobs
+      SET status = 'queued', last_error = ?, next_run_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [message, `+${delay} seconds`, job.id]);
+    await runAsync(`
+      UPDATE receipts
+      SET processing_status = 'pending', processing_error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [message, job.receipt_id]);
+  }
+
+  retryDelaySeconds(attempts) {
+    return RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+  }
+
+  // Latest job for a receipt
+  getLatestJob(receiptId) {
+    return getAsync(`
+      SELECT id, status, attempts, max_attempts, next_run_at, last_error, started_at, completed_at, created_at
+      FROM ocr_jobs
+      WHERE receipt_id = ?
+      ORDER BY id DESC
+      LIMIT 1
+    `, [receiptId]);
+  }
+}
+
+module.exports = new OcrQueueService();
@@ -0,0 +1,712 @@
+const fs = require('fs');
+const moment = require('moment');
+const Tesseract = require('tesseract.js');
+const pdfParse = require('pdf-parse');
+const vendorTemplateService = require('./vendorTemplateService');
+const imagePreprocessService = require('./imagePreprocessService');
+const pdfRasterService = require('./pdfRasterService');
+const currencyService = require('./currencyService');
+const localeService = require('./localeService');
+const htmlReceiptService = require('./htmlReceiptService');
+
+// How far each extraction strategy is trusted, 0-100
+const STRATEGY_CONFIDENCE = {
+  vendor_template: 98,
+  // amount
+  grand_total: 95,
+  total_label: 85,
+  multiline_total: 85,
+  payment_label: 80,
+  usd_label: 80,
+  balance_due: 75,
+  subtotal: 50,
+  largest_currency_amount: 40,
+  standalone_amount: 35,
+  billing_section: 30,
+  // date
+  invoice_date: 90,
+  date_paid: 85,
+  labeled_date: 80,
+  due_date: 55,
+  numeric_date: 50,
+  month_name_date: 45,
+  // merchant
+  company_indicator: 75,
+  bill_to_section: 55,
+  capitalized_line: 45
+};
+
+// Source names for the date patterns, in the order they are tried
+const DATE_STRATEGIES = [
+  'invoice_date', 'date_paid', 'date_paid', 'labeled_date', 'due_date', 'numeric_date', 'month_name_date'
+];
+
+// "03/04/2025", "3.4.25" or "2025-04-03"; read in the receipt's locale
+const NUMERIC_DATE = /(\d{4}[\/\-.]\d{1,2}[\/\-.]\d{1,2}|\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/;
+
+// "April 10, 2025", "Apr. 10 2025" or "10 April 2025"
+const WRITTEN_DATE = /((?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\.?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{4})/i;
+
+// Template result keys for the fields parseReceiptText returns
+const TEMPLATE_RESULT_KEYS = {
+  amount: 'extractedAmount',
+  date: 'extractedDate',
+  merchant: 'extractedMerchant',
+  invoiceNumber: 'invoiceNumber'
+};
+
+// Lines where itemization ends and the totals block begins
+const TOTALS_LINE = /\b(?:sub\s*total|total|amount\s*due|balance\s*due)\b/i;
+
+// Lines with an amount that are not purchased items
+const NON_ITEM_LINE = /\b(?:tax|vat|gst|tip|gratuity|change|cash|visa|mastercard|amex|discover|debit|credit|card|tender|payment|balance|discount)\b/i;
+
+// One or two amounts at the end of a line: "... 9.00" or "... 4.50 9.00"
+const LINE_AMOUNTS = /\s\$?(\d[\d,]*\.\d{2})(?:\s+\$?(\d[\d,]*\.\d{2}))?\s*$/;
+
+const parseMoney = (value) => parseFloat(value.replace(/,/g, ''));
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// PDF pages with less text than this are treated as scans and OCR'd
+const MIN_PAGE_TEXT_LENGTH = 10;
+
+// pdf-parse's own page renderer, which it doesn't export: text items with
+// a line break wherever the baseline moves
+const renderPdfPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : '\n' + item.str;
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
+class OcrService {
+  // Read each page of a PDF: the embedded text layer where there is one, and
+  // Tesseract on a rendered image of the page where it is a scan
+  async extractPdfPages(filePath) {
+    console.log('Processing PDF file:', filePath);
+
+    const pageTexts = [];
+    const dataBuffer = fs.readFileSync(filePath);
+    const pdfData = await pdfParse(dataBuffer, {
+      pagerender: async (pageData) => {
+        const text = await renderPdfPage(pageData);
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+
+    const pages = [];
+    for (let i = 0; i < pdfData.numpages; i++) {
+      pages.push({ pageNumber: i + 1, text: pageTexts[i] || '', method: 'text_layer' });
+    }
+
+    const scannedPages = pages.filter(page => page.text.trim().length < MIN_PAGE_TEXT_LENGTH);
+    if (scannedPages.length > 0) {
+      console.log(`PDF pages ${scannedPages.map(page => page.pageNumber).join(', ')} have no text layer, running OCR`);
+      const { outDir, pages: images } = await pdfRasterService.rasterizePages(
+        filePath,
+        scannedPages.map(page => page.pageNumber)
+      );
+
+      try {
+        for (const { pageNumber, imagePath } of images) {
+          const preprocessing = await this.preprocessImage(imagePath);
+          const page = pages[pageNumber - 1];
+          page.text = await this.recognizeImage(preprocessing ? preprocessing.outputPath : imagePath);
+          page.method = 'ocr';
+        }
+      } finally {
+        pdfRasterService.cleanup(outDir);
+      }
+    }
+
+    const extractedText = pages.map(page => page.text).join('\n\n');
+    console.log(`Extracted ${extractedText.length} characters from ${pages.length} PDF page(s)`);
+
+    // Debug: Show first few lines of extracted text
+    const debugLines = extractedText.split('\n').slice(0, 15).filter(line => line.trim());
+    console.log('First 15 lines of extracted text:');
+    debugLines.forEach((line, i) => console.log(`  ${i+1}: "${line.trim()}"`));
+
+    // Also show lines containing dollar signs for debugging amount extraction
+    const amountLines = extractedText.split('\n').filter(line => 
+      line.includes('$') || /\d+\.\d{2}/.test(line) || 
+      /payment|charge|amount|total/i.test(line)
+    );
+    if (amountLines.length > 0) {
+      console.log('Lines with potential amounts:');
+      amountLines.forEach((line, i) => console.log(`  ${i+1}: "${line.trim()}"`));
+    }
+
+    return pages;
+  }
+
+  async recognizeImage(filePath) {
+    console.log('Processing image file:', filePath);
+    const { data: { text } } = await Tesseract.recognize(filePath, 'eng', {
+      logger: m => console.log(`Image OCR: ${m.status}`)
+    });
+    return text;
+  }
+
+  // Pull amount, date and merchant out of receipt text. A company vendor
+  // template whose anchor text appears is tried first; the generic strategies
+  // below only fill the fields it leaves empty.
+  // `locale` (e.g. "en-GB") decides how ambiguous dates like 03/04/2025 and
+  // amounts like 1,234 are read. Dates come back as YYYY-MM-DD.
+  parseReceiptText(extractedText, templates = [], locale) {
+    const template = vendorTemplateService.findTemplate(extractedText, templates);
+    const templateResult = template ? vendorTemplateService.applyTemplate(template, extractedText, locale) : {};
+
+    // Enhanced amount extraction with multiple strategies
+    let totalStrategy = null;
+    const amountBreakdown = {
+      subtotal: null,
+      tax: null,
+      tip: null,
+      total: null,
+      grandTotal: null
+    };
+    
+    // Helper function to parse amounts in the receipt's locale ("1.234,56" in de-DE)
+    const parseAmount = (amountStr) => {
+      const amount = localeService.parseAmount(amountStr, locale);
+      return amount === null ? NaN : amount;
+    };
+
+    // Strategy 1: Look for Payment/Service specific amounts (service invoices)
+    // Handle both "Payment USD 202.55" and "PaymentUSD 202.55" formats
+    const paymentRegex = /(?:payment|payment\s*amount|monthly\s*charge|service\s*charge|bill\s*amount|charge|amount|total\s*charges)(?:\s*USD\s*|\s*[\s:$€£¥]*)?(\d[\d.,]*\d|\d)/gi;
+    let paymentMatches = extractedText.match(paymentRegex);
+    if (paymentMatches) {
+      for (const match of paymentMatches) {
+        const numStr = match.replace(/^[^0-9,]*/, '');
+        const amount = parseAmount(numStr);
+        if (!isNaN(amount) && amount > 0 && amount < 50000) {
+          // For service invoices, treat payment amount as the main total
+          amountBreakdown.total = amount;
+          totalStrategy = 'payment_label';
+          break;
+        }
+      }
+    }
+
+    // Strategy 1b: Specific USD format patterns (PaymentUSD 202.55, Total ChargesUSD 202.55)
+    const usdRegex = /(?:payment|total\s*charges|subtotal|total\s*tax)USD\s*(\d[\d.,]*\d|\d)/gi;
+    let usdMatches = extractedText.match(usdRegex);
+    if (usdMatches && !amountBreakdown.total) {
+      for (const match of usdMatches) {
+        const numStr = match.replace(/^[^0-9,]*/, '');
+        const amount = parseAmount(numStr);
+        if (!isNaN(amount) && amount > 0 && amount < 50000) {
+          amountBreakdown.total = amount;
+          totalStrategy = 'usd_label';
+          break;
+        }
+      }
+    }
+
+    // Strategy 2: Handle multi-line totals FIRST ("Total" on one line, "$4,763.00" on next)
+    const textLines = extractedText.split('\n');
+    for (let i = 0; i < textLines.length - 1; i++) {
+      const currentLine = textLines[i].trim().toLowerCase();
+      const nextLine = textLines[i + 1].trim();
+      
+      // If current line says "total" and next line has a dollar amount
+      if (/^total\s*$/.test(currentLine)) {
+        const nextLineAmount = nextLine.match(/^\$(\d[\d.,]*\d|\d)$/);
+        if (nextLineAmount) {
+          const amount = parseAmount(nextLineAmount[1]);
+          if (!isNaN(amount) && amount > 0 && amount < 50000) {
+            amountBreakdown.total = amount;
+            totalStrategy = 'multiline_total';
+            console.log(`Found multi-line total: "${currentLine}" -> "${nextLine}" = $${amount}`);
+            break;
+          }
+        }
+      }
+    }
+
+    // Strategy 3: Look for Grand Total / Final Total
+    const grandTotalRegex = /(?:grand\s*total|final\s*total|total\s*amount|amount\s*due)[\s:$€£¥]*(\d[\d.,]*\d|\d)/gi;
+    let grandTotalMatches = extractedText.match(grandTotalRegex);
+    if (grandTotalMatches) {
+      for (const match of grandTotalMatches) {
+        const numStr = match.replace(/^[^0-9,]*/, '');
+        const amount = parseAmount(numStr);
+        if (!isNaN(amount) && amount > 0 && amount < 50000) {
+          amountBreakdown.grandTotal = amount;
+          break;
+        }
+      }
+    }
+
+    // Strategy 4: Look for Total (not grand total) - only if no payment amount found  
+    const totalRegex = /(?:^|\s|:)total[\s:$€£¥]*(\d[\d.,]*\d|\d)/gi;
+    let totalMatches = extractedText.match(totalRegex);
+    if (totalMatches && !amountBreakdown.grandTotal && !amountBreakdown.total) {
+      for (const match of totalMatches) {
+        const numStr = match.replace(/^[^0-9,]*/, '');
+        const amount = parseAmount(numStr);
+        if (!isNaN(amount) && amount > 0 && amount < 50000) {
+          amountBreakdown.total = amount;
+          totalStrategy = 'total_label';
+          break;
+        }
+      }
+    }
+
+
+
+    // Strategy 5: Look for Subtotal
+    const subtotalRegex = /(?:sub\s*total|subtotal)[\s:$€£¥]*(\d[\d.,]*\d|\d)/gi;
+    let subtotalMatches = extractedText.match(subtotalRegex);
+    if (subtotalMatches) {
+      for (const match of subtotalMatches) {
+        const numStr = match.replace(/^[^0-9,]*/, '');
+        const amount = parseAmount(numStr);
+        if (!isNaN(amount) && amount > 0 && amount < 50000) {
+          amountBreakdown.subtotal = amount;
+          break;
+        }
+      }
+    }
+
+    // Strategy 6: Look for Tax
+    const taxRegex = /(?:tax|vat|gst)[\s:$€£¥]*(\d[\d.,]*\d|\d)/gi;
+    let taxMatches = extractedText.match(taxRegex);
+    if (taxMatches) {
+      for (const match of taxMatches) {
+        const numStr = match.replace(/^[^0-9,]*/, '');
+        const amount = parseAmount(numStr);
+        if (!isNaN(amount) && amount >= 0 && amount < 10000) {
+          amountBreakdown.tax = amount;
+          break;
+        }
+      }
+    }
+
+    // Strategy 6b: Look for Tip / Gratuity
+    const tipRegex = /\b(?:tip|gratuity)\b[\s:$€£¥]*(\d[\d.,]*\d|\d)/gi;
+    let tipMatches = extractedText.match(tipRegex);
+    if (tipMatches) {
+      for (const match of tipMatches) {
+        const numStr = match.replace(/^[^0-9,]*/, '');
+        const amount = parseAmount(numStr);
+        if (!isNaN(amount) && amount >= 0 && amount < 10000) {
+          amountBreakdown.tip = amount;
+          break;
+        }
+      }
+    }
+
+    // Strategy 7: Look for currency amounts in lines (fallback for service invoices)
+    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
+      const currencyRegex = /\$[\s]*(\d[\d.,]*\d|\d)/g;
+      let currencyMatches = extractedText.match(currencyRegex);
+      if (currencyMatches) {
+        // Look for the largest reasonable amount
+        let bestFallbackAmount = null;
+        for (const match of currencyMatches) {
+          const numStr = match.replace(/^\$\s*/, '');
+          const amount = parseAmount(numStr);
+          if (!isNaN(amount) && amount > 0 && amount < 50000) {
+            if (!bestFallbackAmount || amount > bestFallbackAmount) {
+              bestFallbackAmount = amount;
+            }
+          }
+        }
+        if (bestFallbackAmount) {
+          amountBreakdown.total = bestFallbackAmount;
+          totalStrategy = 'largest_currency_amount';
+        }
+      }
+    }
+
+    // Strategy 8: Look for standalone amounts on their own lines (common in service invoices)
+    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
+      const lines = extractedText.split('\n');
+      for (const line of lines) {
+        // Look for lines that are primarily just an amount
+        const standaloneAmountMatch = line.trim().match(/^[\$]?(\d[\d.,]*\d{2})$/);
+        if (standaloneAmountMatch) {
+          const amount = parseAmount(standaloneAmountMatch[1]);
+          if (!isNaN(amount) && amount > 0 && amount < 50000) {
+            amountBreakdown.total = amount;
+            totalStrategy = 'standalone_amount';
+            break;
+          }
+        }
+      }
+    }
+
+    // Strategy 9: Look for specific invoice patterns (Balance Due, Amount, etc.)
+    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
+      const balanceRegex = /(?:balance\s*due|amount\s*owed|amount\s*payable|invoice\s*amount)[\s:$€£¥]*(\d[\d.,]*\d|\d)/gi;
+      let balanceMatches = extractedText.match(balanceRegex);
+      if (balanceMatches) {
+        for (const match of balanceMatches) {
+          const numStr = match.replace(/^[^0-9,]*/, '');
+          const amount = parseAmount(numStr);
+          if (!isNaN(amount) && amount > 0 && amount < 50000) {
+            amountBreakdown.total = amount;
+            totalStrategy = 'balance_due';
+            console.log(`Found balance due amount: $${amount} from "${match}"`);
+            break;
+          }
+        }
+      }
+    }
+
+    // Strategy 10: Look for amounts in billing/invoicing context with more flexible patterns
+    if (!amountBreakdown.total && !amountBreakdown.grandTotal) {
+      const lines = extractedText.split('\n');
+      let foundInBillingSection = false;
+      
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        
+        // Check if we're in a billing section
+        if (/bill|invoice|charge|amount|payment/i.test(line)) {
+          foundInBillingSection = true;
+        }
+        
+        // If in billing section, look for amounts more aggressively
+        if (foundInBillingSection) {
+          const flexibleAmountMatch = line.match(/(\d[\d.,]*\d{2})/);
+          if (flexibleAmountMatch) {
+            const amount = parseAmount(flexibleAmountMatch[1]);
+            if (!isNaN(amount) && amount > 1 && amount < 50000) {
+              // Skip small amounts that are likely line numbers or quantities
+              amountBreakdown.total = amount;
+              totalStrategy = 'billing_section';
+              console.log(`Found flexible amount: $${amount} from line "${line}"`);
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    // Determine the main amount (prefer grand total, then total, then subtotal)
+    const extractedAmount = amountBreakdown.grandTotal || amountBreakdown.total || amountBreakdown.subtotal;
+    let amountSource = '';
+    if (amountBreakdown.grandTotal) {
+      amountSource = `Grand Total: $${amountBreakdown.grandTotal}`;
+    } else if (amountBreakdown.total) {
+      amountSource = `Total: $${amountBreakdown.total}`;
+    } else if (amountBreakdown.subtotal) {
+      amountSource = `Subtotal: $${amountBreakdown.subtotal}`;
+    }
+    
+    // Enhanced date extraction
+    const dateStrategies = [
+      // Strategy 1: Invoice dates with written format
+      /(?:invoice\s*date|bill\s*date|date\s*paid)[\s:]*([a-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}\.?\s+[a-z]+\s+\d{4})/gi,
+      // Strategy 2: Date paid concatenated format (Date paidJuly 22, 2025)
+      /date\s*paid\s*([a-z]+\s+\d{1,2},?\s+\d{4})/gi,
+      // Strategy 2b: Date paid with no space between paid and month (Date paidJuly 22, 2025)
+      /date\s+paid([a-z]+\s+\d{1,2},?\s+\d{4})/gi,
+      // Strategy 3: Invoice dates with numeric format
+      /(?:invoice\s*date|bill\s*date|date)[\s:]*(\d{4}[\/\-.]\d{1,2}[\/\-.]\d{1,2}|\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/gi,
+      // Strategy 4: Due dates
+      /(?:due\s*date|payment\s*due)[\s:]*([a-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/gi,
+      // Strategy 5: General date patterns
+      /(\d{4}[\/\-.]\d{1,2}[\/\-.]\d{1,2}|\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4})/g,
+      // Strategy 6: Direct month name patterns (fallback)
+      new RegExp(WRITTEN_DATE.source, 'gi')
+    ];
+
+    let extractedDate = null;
+    let dateSource = '';
+    let dateStrategy = null;
+    
+    // Look for dates in relevant lines
+    const dateLines = extractedText.split('\n').filter(line => 
+      /date|paid|invoice|due/i.test(line) && line.trim().length > 0
+    );
+    
+          for (const [strategyIndex, dateRegex] of dateStrategies.entries()) {
+        const dateMatches = extractedText.match(dateRegex);
+        if (dateMatches && dateMatches.length > 0) {
+          for (const fullMatch of dateMatches) {
+            // Numeric dates first, then written ones (e.g., "April 10, 2025");
+            // anything that isn't a real date in the locale is skipped
+            const dateMatch = fullMatch.match(NUMERIC_DATE) || fullMatch.match(WRITTEN_DATE);
+            const parsedDate = dateMatch ? localeService.parseDate(dateMatch[1], locale) : null;
+            if (parsedDate) {
+              extractedDate = parsedDate;
+              dateStrategy = DATE_STRATEGIES[strategyIndex];
+              dateSource = fullMatch;
+              break;
+            }
+          }
+          if (extractedDate) break;
+        }
+      }
+
+    // Enhanced merchant name extraction
+    const lines = extractedText.split('\n').filter(line => line.trim().length > 0);
+    
+    // Words/phrases to exclude from merchant names
+    const excludePatterns = [
+      /^page\s+\d+/i,
+      /^\d+$/,
+      /^[\d\s\-()]+$/,
+      /invoice|bill|receipt|statement/i,
+      /total|subtotal|tax|amount|due/i,
+      /^(to|from|attn|attention)[:]/i,
+      /^(phone|tel|fax|email|address)/i,
+      /^(thank you|thanks)/i,
+      /^\W+$/
+    ];
+
+    // Look for merchant in different sections
+    let potentialMerchant = null;
+    let merchantSource = '';
+    let merchantStrategy = null;
+    
+    // Strategy 1: Look in first few lines for company names
+    for (let i = 0; i < Math.min(8, lines.length); i++) {
+      const line = lines[i].trim();
+      
+      if (line.length >= 3 && line.length <= 60 && 
+          !excludePatterns.some(pattern => pattern.test(line)) &&
+          !/^\d+[.,]\d+$/.test(line)) { // Not just a number
+        
+        // Prefer lines that look like company names
+        if (/LLC|Inc|Corp|Company|Co\.|Ltd|LTD|Construction|Services|Group/i.test(line)) {
+          potentialMerchant = line;
+          merchantStrategy = 'company_indicator';
+          merchantSource = `Line ${i+1}: "${line}" (company indicator found)`;
+          break;
+        }
+        
+        // Or lines with proper capitalization
+        if (/^[A-Z][a-z]/.test(line) && !potentialMerchant) {
+          potentialMerchant = line;
+          merchantStrategy = 'capitalized_line';
+          merchantSource = `Line ${i+1}: "${line}" (proper capitalization)`;
+        }
+      }
+    }
+    
+         // Strategy 2: Look for "Bill to" or "From" sections
+     if (!potentialMerchant) {
+       const billToMatch = extractedText.match(/(?:bill\s*to|from|vendor)[\s:]*\n([^\n]+)/i);
+       if (billToMatch && billToMatch[1]) {
+         const candidate = billToMatch[1].trim();
+         if (candidate.length >= 3 && candidate.length <= 60) {
+           potentialMerchant = candidate;
+           merchantStrategy = 'bill_to_section';
+           merchantSource = `Bill to/From section: "${candidate}"`;
+         }
+       }
+     }
+     
+         console.log(`Amount Breakdown:`, {
+       subtotal: amountBreakdown.subtotal,
+       tax: amountBreakdown.tax,
+       total: amountBreakdown.total,
+       grandTotal: amountBreakdown.grandTotal,
+       finalAmount: extractedAmount
+     });
+     console.log(`Extracted data - Amount: ${extractedAmount} ${amountSource ? `from ${amountSource}` : '(not found)'}`);
+     console.log(`Extracted data - Date: ${extractedDate || 'none'} ${dateSource ? `from "${dateSource}"` : ''}`);
+     console.log(`Extracted data - Merchant: ${potentialMerchant || 'none'} ${merchantSource ? `from ${merchantSource}` : ''}`);
+
+     // Each field keeps the strategy that produced it; template values win
+     const amountStrategy = amountBreakdown.grandTotal ? 'grand_total' :
+       amountBreakdown.total ? totalStrategy :
+       amountBreakdown.subtotal ? 'subtotal' : null;
+     const fields = {
+       amount: { value: extractedAmount || null, source: amountStrategy },
+       date: { value: extractedDate, source: dateStrategy },
+       merchant: { value: potentialMerchant || null, source: merchantStrategy },
+       invoiceNumber: { value: null, source: null }
+     };
+
+     if (template) {
+       console.log(`Vendor template "${template.name}" matched:`, templateResult.fields);
+       Object.entries(TEMPLATE_RESULT_KEYS).forEach(([field, key]) => {
+         if (templateResult[key] !== null && templateResult[key] !== undefined) {
+           fields[field] = { value: templateResult[key], source: 'vendor_template' };
+         }
+       });
+     }
+
+     return {
+       text: extractedText,
+       extractedAmount: fields.amount.value,
+       extractedDate: fields.date.value,
+       extractedMerchant: fields.merchant.value,
+       invoiceNumber: fields.invoiceNumber.value,
+       currency: currencyService.detectCurrency(extractedText),
+       vendorTemplateId: template ? template.id : null,
+       fieldConfidence: this.scoreFields(fields, amountBreakdown),
+       amountBreakdown: amountBreakdown,
+       lineItems: this.extractLineItems(extractedText)
+     };
+  }
+
+  // Confidence (0-100) for the amount, date and merchant, starting from how
+  // reliable their strategy is and adjusted by sanity checks: an amount equal
+  // to subtotal + tax (+ tip) is trusted more, an unparseable or implausible
+  // date less.
+  scoreFields(fields, amountBreakdown = {}) {
+    const scores = {};
+
+    ['amount', 'date', 'merchant'].forEach(field => {
+      const { value, source } = fields[field];
+      scores[field] = {
+        value,
+        source,
+        confidence: value === null || value === undefined ? 0 : (STRATEGY_CONFIDENCE[source] || 50)
+      };
+    });
+
+    const amount = scores.amount;
+    const { subtotal, tax, tip } = amountBreakdown;
+    if (amount.value && amount.source !== 'subtotal' && subtotal && tax !== null && tax !== undefined &&
+        Math.abs(subtotal + tax + (tip || 0) - amount.value) < 0.02) {
+      amount.confidence = Math.min(99, amount.confidence + 15);
+    }
+
+    const date = scores.date;
+    if (date.value) {
+      const parsed = moment(date.value, 'YYYY-MM-DD', true);
+      if (!parsed.isValid()) {
+        date.confidence = Math.min(date.confidence, 20);
+      } else if (parsed.isAfter(moment().add(1, 'day')) || parsed.isBefore(moment().subtract(3, 'years'))) {
+        date.confidence = Math.max(10, date.confidence - 30);
+      }
+    }
+
+    return scores;
+  }
+
+  // Itemized lines above the totals block, e.g. "2 x Latte 9.00",
+  // "Latte 2 @ 4.50", "Latte 4.50 9.00" or "Sandwich $8.25"
+  extractLineItems(extractedText) {
+    const lines = extractedText.split('\n').map(line => line.trim()).filter(Boolean);
+    const totalsStart = lines.findIndex(line => TOTALS_LINE.test(line));
+    const itemLines = totalsStart === -1 ? lines : lines.slice(0, totalsStart);
+
+    const items = [];
+    itemLines.forEach(line => {
+      const item = this.parseLineItem(line);
+      if (item) {
+        items.push({ line_number: items.length + 1, ...item });
+      }
+    });
+    return items;
+  }
+
+  parseLineItem(line) {
+    if (NON_ITEM_LINE.test(line)) {
+      return null;
+    }
+
+    const amounts = line.match(LINE_AMOUNTS);
+    if (!amounts) {
+      return null;
+    }
+
+    let description = line.slice(0, amounts.index).trim();
+    let quantity = null;
+    let priceEach = false;
+
+    // Quantity before the description ("2 x Latte", "2 Latte") or after it
+    // ("Latte 2 @", "Latte x2"); "@" means the amount is the unit price
+    const leading = description.match(/^(\d{1,3})\s*(?:x\s+|\s)(.+)$/i);
+    const trailing = description.match(/^(.+?)\s+(?:(\d{1,3})\s*([x@])|x\s*(\d{1,3}))$/i);
+    if (leading) {
+      quantity = parseInt(leading[1]);
+      description = leading[2].trim();
+    } else if (trailing) {
+      quantity = parseInt(trailing[2] || trailing[4]);
+      priceEach = trailing[3] === '@';
+      description = trailing[1].trim();
+    }
+
+    if (!/[a-z]{2}/i.test(description) || quantity === 0) {
+      return null;
+    }
+
+    const first = parseMoney(amounts[1]);
+    const second = amounts[2] ? parseMoney(amounts[2]) : null;
+    let unitPrice;
+    let total;
+
+    if (second !== null) {
+      unitPrice = first;
+      total = second;
+      if (!quantity && unitPrice > 0 && Number.isInteger(roundCents(total / unitPrice))) {
+        quantity = roundCents(total / unitPrice);
+      }
+    } else if (priceEach) {
+      unitPrice = first;
+      total = roundCents(first * quantity);
+    } else {
+      total = first;
+    }
+
+    quantity = quantity || 1;
+    return {
+      description,
+      quantity,
+      unit_price: unitPrice !== undefined ? unitPrice : roundCents(total / quantity),
+      total
+    };
+  }
+
+  // Photos are cleaned up before OCR; if that fails the original is read as is
+  async preprocessImage(filePath) {
+    try {
+      return await imagePreprocessService.preprocess(filePath);
+    } catch (error) {
+      console.warn(`Image preprocessing failed for ${filePath}, using the original:`, error.message);
+      return null;
+    }
+  }
+
+  // OCR a receipt file and parse it. The result includes the text of each
+  // page and, for photos, the preprocessed copy that was read.
+  async processReceipt(filePath, mimeType, templates = [], locale) {
+    try {
+      let preprocessing = null;
+      let pages;
+
+      if (mimeType === 'application/pdf') {
+        pages = await this.extractPdfPages(filePath);
+      } else if (htmlReceiptService.isSourceType(mimeType)) {
+        // Emailed and HTML receipts are read from their markup, not from the
+        // PDF rendered for them
+        const { text } = htmlReceiptService.readSource(fs.readFileSync(filePath), mimeType);
+        pages = [{ pageNumber: 1, text, method: 'html' }];
+      } else {
+        preprocessing = await this.preprocessImage(filePath);
+        const text = await this.recognizeImage(preprocessing ? preprocessing.outputPath : filePath);
+        pages = [{ pageNumber: 1, text, method: 'ocr' }];
+      }
+
+      let extractedText = pages.map(page => page.text).join('\n\n');
+      if (mimeType === 'application/pdf' && extractedText.trim().length < MIN_PAGE_TEXT_LENGTH) {
+        console.log('PDF has minimal text even after OCR');
+        extractedText = 'No extractable text found in PDF';
+      }
+
+      return { ...this.parseReceiptText(extractedText, templates, locale), preprocessing, pages };
+    } catch (error) {
+      console.error('OCR processing error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new OcrService();
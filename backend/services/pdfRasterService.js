@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Pages are rendered with their long side at this many pixels, about 300dpi
+// for a letter-size page, which is what Tesseract reads best
+const RENDER_SIZE = 3300;
+
+// pdf-poppler ships poppler binaries for macOS and Windows only, and exits
+// the process when required anywhere else
+const BUNDLED_POPPLER_PLATFORMS = ['darwin', 'win32'];
+
+class PdfRasterService {
+  // Render pages of a PDF to PNG images in a new temp directory. Returns the
+  // directory, for the caller to remove, and one image path per page.
+  async rasterizePages(filePath, pageNumbers) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-pages-'));
+    const pages = [];
+
+    try {
+      for (const pageNumber of pageNumbers) {
+        const prefix = `page-${pageNumber}`;
+        await this.convertPage(filePath, pageNumber, outDir, prefix);
+
+        // pdftocairo adds the page number to the prefix, zero-padded to the
+        // width of the page count
+        const image = fs.readdirSync(outDir).find(name => name.startsWith(`${prefix}-`) && name.endsWith('.png'));
+        if (!image) {
+          throw new Error(`Page ${pageNumber} could not be rendered`);
+        }
+        pages.push({ pageNumber, imagePath: path.join(outDir, image) });
+      }
+    } catch (error) {
+      this.cleanup(outDir);
+      throw error;
+    }
+
+    return { outDir, pages };
+  }
+
+  convertPage(filePath, pageNumber, outDir, prefix) {
+    if (BUNDLED_POPPLER_PLATFORMS.includes(os.platform())) {
+      const poppler = require('pdf-poppler');
+      return poppler.convert(filePath, {
+        format: 'png',
+        scale: RENDER_SIZE,
+        out_dir: outDir,
+        out_prefix: prefix,
+        page: pageNumber
+      });
+    }
+
+    // Elsewhere use poppler-utils from the system, the same tool pdf-poppler wraps
+    const args = ['-png', '-f', pageNumber, '-l', pageNumber, '-scale-to', RENDER_SIZE, filePath, path.join(outDir, prefix)];
+    return new Promise((resolve, reject) => {
+      execFile('pdftocairo', args.map(String), (err) => {
+        if (err && err.code === 'ENOENT') {
+          reject(new Error('Scanned PDFs need poppler-utils (pdftocairo) installed to be read'));
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  cleanup(outDir) {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = new PdfRasterService();
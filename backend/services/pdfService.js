@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const moment = require('moment');
 const { PDFDocument: PDFLib, rgb } = require('pdf-lib');
+const currencyService = require('./currencyService');
 
 class PDFService {
   constructor() {
@@ -25,7 +26,8 @@ class PDFService {
       endDate,
       title = 'Transaction Summary Report',
       includeMatched = true,
-      includeUnmatched = true
+      includeUnmatched = true,
+      homeCurrency = 'USD'
     } = options;
 
     const doc = new PDFDocument({ margin: this.pageMargin });
@@ -40,13 +42,14 @@ class PDFService {
     }
 
     // Statistics Summary
-    const stats = this.calculateTransactionStats(transactions);
-    yPosition = this.addStatsSummary(doc, stats, yPosition);
+    const stats = this.calculateTransactionStats(transactions, homeCurrency);
+    yPosition = this.addStatsSummary(doc, stats, yPosition, homeCurrency);
 
     // Transactions Table
     yPosition = this.addTransactionsTable(doc, transactions, yPosition, {
       includeMatched,
-      includeUnmatched
+      includeUnmatched,
+      homeCurrency
     });
 
     // Footer
@@ -63,7 +66,8 @@ class PDFService {
       groupBy = 'date', // 'date', 'merchant', 'amount'
       includeMatched = true,
       includeUnmatched = true,
-      maxPagesPerReceipt = null // null = all pages, number = limit pages per PDF
+      maxPagesPerReceipt = null, // null = all pages, number = limit pages per PDF
+      homeCurrency = 'USD'
     } = options;
 
     const doc = new PDFDocument({ margin: this.pageMargin });
@@ -106,7 +110,7 @@ class PDFService {
     } else {
       // Add grouped receipt sections
       for (const [groupKey, groupReceipts] of Object.entries(groupedReceipts)) {
-        yPosition = this.addReceiptGroup(doc, groupKey, groupReceipts, yPosition);
+        yPosition = this.addReceiptGroup(doc, groupKey, groupReceipts, yPosition, homeCurrency);
       }
     }
 
@@ -116,13 +120,13 @@ class PDFService {
     // If there are PDF receipts to embed, merge them into the final document
     if (doc._pdfReceiptsToEmbed && doc._pdfReceiptsToEmbed.length > 0) {
       console.log(`Embedding ${doc._pdfReceiptsToEmbed.length} PDF receipts into the report`);
-      return await this.embedPdfReceipts(doc, doc._pdfReceiptsToEmbed, maxPagesPerReceipt);
+      return await this.embedPdfReceipts(doc, doc._pdfReceiptsToEmbed, maxPagesPerReceipt, homeCurrency);
     }
 
     return doc;
   }
 
-  async embedPdfReceipts(mainDoc, pdfReceipts, maxPagesPerReceipt = null) {
+  async embedPdfReceipts(mainDoc, pdfReceipts, maxPagesPerReceipt = null, homeCurrency = 'USD') {
     try {
       // End the main document and get its buffer
       mainDoc.end();
@@ -237,7 +241,8 @@ class PDFService {
             }
 
             if (pdfReceipt.receiptData.extracted_amount) {
-              titlePage.drawText(`Amount: $${parseFloat(pdfReceipt.receiptData.extracted_amount).toFixed(2)}`, {
+              const { extracted_amount, currency, home_amount } = pdfReceipt.receiptData;
+              titlePage.drawText(`Amount: ${this.formatAmount(extracted_amount, currency, home_amount, homeCurrency)}`, {
                 x: 50,
                 y: height - 170,
                 size: 12,
@@ -331,7 +336,8 @@ class PDFService {
     const {
       companyName = 'Company',
       title = 'Reconciliation Report',
-      period
+      period,
+      homeCurrency = 'USD'
     } = options;
 
     const doc = new PDFDocument({ margin: this.pageMargin });
@@ -344,18 +350,61 @@ class PDFService {
     yPosition = this.addReconciliationSummary(doc, data, yPosition);
 
     // Matched Items
-    yPosition = this.addMatchedItems(doc, data.matched, yPosition);
+    yPosition = this.addMatchedItems(doc, data.matched, yPosition, homeCurrency);
+
+    // Partially Matched Transactions
+    if (data.partiallyMatchedTransactions?.length > 0) {
+      yPosition = this.addPartiallyMatchedSection(doc, data.partiallyMatchedTransactions, yPosition, homeCurrency);
+    }
 
     // Unmatched Transactions
     if (data.unmatchedTransactions?.length > 0) {
-      yPosition = this.addUnmatchedSection(doc, 'Unmatched Transactions', data.unmatchedTransactions, yPosition);
+      yPosition = this.addUnmatchedSection(doc, 'Unmatched Transactions', data.unmatchedTransactions, yPosition, homeCurrency);
     }
 
     // Unmatched Receipts
     if (data.unmatchedReceipts?.length > 0) {
-      yPosition = this.addUnmatchedSection(doc, 'Unmatched Receipts', data.unmatchedReceipts, yPosition);
+      yPosition = this.addUnmatchedSection(doc, 'Unmatched Receipts', data.unmatchedReceipts, yPosition, homeCurrency);
     }
 
+    // Expense Policy Violations
+    if (data.policyViolations?.length > 0) {
+      yPosition = this.addPolicyViolationsSection(doc, data.policyViolations, yPosition, homeCurrency);
+    }
+
+    // Footer
+    this.addFooter(doc);
+
+    return doc;
+  }
+
+  // Generate an expense report: its purpose, period and approval, the
+  // matched transactions on it and its status history
+  async generateExpenseReport(report, items, history, options = {}) {
+    const {
+      companyName = 'Company',
+      homeCurrency = 'USD',
+      totals = { total: 0, unconverted: 0 }
+    } = options;
+
+    const doc = new PDFDocument({ margin: this.pageMargin });
+    let yPosition = this.pageMargin;
+
+    // Header
+    yPosition = this.addHeader(doc, 'Expense Report', companyName, yPosition);
+
+    // Date Range
+    yPosition = this.addDateRange(doc, report.period_start, report.period_end, yPosition);
+
+    // Report Summary
+    yPosition = this.addExpenseReportSummary(doc, report, items.length, totals, yPosition, homeCurrency);
+
+    // Transactions
+    yPosition = this.addExpenseReportItems(doc, items, yPosition, homeCurrency);
+
+    // Status History
+    this.addExpenseReportHistory(doc, history, yPosition);
+
     // Footer
     this.addFooter(doc);
 
@@ -363,6 +412,12 @@ class PDFService {
   }
 
   // Helper Methods
+
+  // "$45.00" for amounts in the home currency, "EUR 45.00 (USD 49.12)" for
+  // amounts in another one
+  formatAmount(amount, currency, homeAmount, homeCurrency = 'USD') {
+    return currencyService.formatWithHome(amount, currency, homeAmount, homeCurrency);
+  }
   addHeader(doc, title, companyName, yPosition) {
     // Company Name
     doc.fontSize(12)
@@ -409,7 +464,7 @@ class PDFService {
     return yPosition + 30;
   }
 
-  addStatsSummary(doc, stats, yPosition) {
+  addStatsSummary(doc, stats, yPosition, homeCurrency = 'USD') {
     doc.fontSize(16)
        .fillColor(this.colors.text)
        .font('Helvetica-Bold')
@@ -419,11 +474,14 @@ class PDFService {
 
     const summaryData = [
       ['Total Transactions:', stats.totalTransactions.toLocaleString()],
-      ['Total Amount:', `$${stats.totalAmount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`],
+      ['Total Amount:', currencyService.formatMoney(stats.totalAmount, homeCurrency)],
       ['Matched Transactions:', `${stats.matchedTransactions} (${stats.matchPercentage}%)`],
       ['Unmatched Transactions:', stats.unmatchedTransactions.toString()],
-      ['Average Transaction:', `$${stats.averageTransaction.toLocaleString('en-US', { minimumFractionDigits: 2 })}`]
+      ['Average Transaction:', currencyService.formatMoney(stats.averageTransaction, homeCurrency)]
     ];
+    if (stats.unconvertedTransactions > 0) {
+      summaryData.push(['Not in totals:', `${stats.unconvertedTransactions} without an exchange rate`]);
+    }
 
     summaryData.forEach(([label, value]) => {
       doc.fontSize(11)
@@ -447,8 +505,9 @@ class PDFService {
     yPosition += 25;
 
     // Table Headers
-    const headers = ['Date', 'Description', 'Amount', 'Status'];
-    const columnWidths = [80, 280, 80, 60];
+    const homeCurrency = options.homeCurrency || 'USD';
+    const headers = ['Date', 'Description', 'Amount', `Amount (${homeCurrency})`, 'Status'];
+    const columnWidths = [55, 185, 85, 80, 55];
     let xPosition = this.pageMargin;
 
     doc.fontSize(10)
@@ -482,15 +541,18 @@ class PDFService {
       }
 
       xPosition = this.pageMargin;
+      const currency = transaction.currency || homeCurrency;
+      const homeAmount = currencyService.homeValue(transaction.amount, transaction.currency, transaction.home_amount, homeCurrency);
       const rowData = [
         moment(transaction.transaction_date).format('MM/DD/YY'),
-        transaction.description.substring(0, 35) + (transaction.description.length > 35 ? '...' : ''),
-        `$${parseFloat(transaction.amount).toLocaleString('en-US', { minimumFractionDigits: 2 })}`,
+        transaction.description.substring(0, 30) + (transaction.description.length > 30 ? '...' : ''),
+        currencyService.formatMoney(transaction.amount, currency),
+        homeAmount === null ? 'No rate' : currencyService.formatMoney(homeAmount, homeCurrency),
         transaction.receipt_count > 0 ? 'Matched' : 'Unmatched'
       ];
 
       rowData.forEach((data, index) => {
-        const color = index === 3 ? (data === 'Matched' ? this.colors.accent : this.colors.danger) : this.colors.text;
+        const color = index === 4 ? (data === 'Matched' ? this.colors.accent : this.colors.danger) : this.colors.text;
         doc.fillColor(color)
            .text(data, xPosition, yPosition, { width: columnWidths[index] });
         xPosition += columnWidths[index] + 10;
@@ -510,7 +572,7 @@ class PDFService {
     return yPosition + 20;
   }
 
-  addReceiptGroup(doc, groupKey, receipts, yPosition) {
+  addReceiptGroup(doc, groupKey, receipts, yPosition, homeCurrency = 'USD') {
     if (yPosition > doc.page.height - 150) {
       doc.addPage();
       yPosition = this.pageMargin;
@@ -546,7 +608,7 @@ class PDFService {
 
       const details = [
         `Date: ${formattedDate}`,
-        `Amount: $${parseFloat(receipt.extracted_amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`,
+        `Amount: ${this.formatAmount(receipt.extracted_amount, receipt.currency, receipt.home_amount, homeCurrency)}`,
         `Merchant: ${receipt.extracted_merchant || 'Unknown'}`,
         `Status: ${receipt.match_status || 'Unmatched'}`
       ];
@@ -713,14 +775,18 @@ class PDFService {
              this.pageMargin, footerY, { align: 'center' });
   }
 
-  calculateTransactionStats(transactions) {
+  // Amounts are totalled in the home currency; transactions in another
+  // currency without an exchange rate are counted but left out of the totals
+  calculateTransactionStats(transactions, homeCurrency = 'USD') {
     const total = transactions.length;
-    const totalAmount = transactions.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
+    const homeAmounts = transactions.map(t => currencyService.homeValue(t.amount || 0, t.currency, t.home_amount, homeCurrency));
+    const totalAmount = homeAmounts.reduce((sum, amount) => sum + (amount || 0), 0);
     const matched = transactions.filter(t => t.receipt_count > 0).length;
     
     return {
       totalTransactions: total,
       totalAmount,
+      unconvertedTransactions: homeAmounts.filter(amount => amount === null).length,
       matchedTransactions: matched,
       unmatchedTransactions: total - matched,
       matchPercentage: total > 0 ? Math.round((matched / total) * 100) : 0,
@@ -839,8 +905,11 @@ class PDFService {
 
     const summary = [
       ['Total Matches:', data.matched?.length || 0],
+      ['Fully Matched Transactions:', data.fullyMatchedCount || 0],
+      ['Partially Matched Transactions:', data.partiallyMatchedTransactions?.length || 0],
       ['Unmatched Transactions:', data.unmatchedTransactions?.length || 0],
       ['Unmatched Receipts:', data.unmatchedReceipts?.length || 0],
+      ['Policy Violations:', data.policyViolations?.length || 0],
       ['Match Rate:', `${data.matchRate || 0}%`]
     ];
 
@@ -850,14 +919,14 @@ class PDFService {
          .font('Helvetica')
          .text(label, this.pageMargin, yPosition)
          .font('Helvetica-Bold')
-         .text(value.toString(), this.pageMargin + 150, yPosition);
+         .text(value.toString(), this.pageMargin + 190, yPosition);
       yPosition += 18;
     });
 
     return yPosition + 20;
   }
 
-  addMatchedItems(doc, matches, yPosition) {
+  addMatchedItems(doc, matches, yPosition, homeCurrency = 'USD') {
     if (!matches || matches.length === 0) return yPosition;
 
     doc.fontSize(14)
@@ -876,15 +945,23 @@ class PDFService {
       doc.fontSize(10)
          .fillColor(this.colors.text)
          .font('Helvetica-Bold')
-         .text(`${match.transaction_description} - $${parseFloat(match.amount).toLocaleString('en-US', { minimumFractionDigits: 2 })}`, 
+         .text(`${match.transaction_description} - ${this.formatAmount(match.amount, match.currency, match.home_amount, homeCurrency)}`, 
                this.pageMargin, yPosition);
       
       yPosition += 12;
       
+      // Split matches show the share of the transaction this receipt covers
+      const allocation = match.split_group && match.allocated_amount !== null
+        ? `, allocated ${currencyService.formatMoney(match.allocated_amount, match.currency || homeCurrency)}`
+        : '';
+      const receiptAmount = match.extracted_amount !== null
+        ? ` - ${this.formatAmount(match.extracted_amount, match.receipt_currency, match.receipt_home_amount, homeCurrency)}`
+        : '';
+
       doc.fontSize(9)
          .fillColor(this.colors.lightText)
          .font('Helvetica')
-         .text(`Receipt: ${match.receipt_filename} (${match.match_confidence}% confidence)`, 
+         .text(`Receipt: ${match.receipt_filename}${receiptAmount} (${match.match_confidence}% confidence${allocation})`, 
                this.pageMargin + 10, yPosition);
       
       yPosition += 20;
@@ -893,7 +970,44 @@ class PDFService {
     return yPosition + 10;
   }
 
-  addUnmatchedSection(doc, title, items, yPosition) {
+  addPartiallyMatchedSection(doc, transactions, yPosition, homeCurrency = 'USD') {
+    doc.fontSize(14)
+       .fillColor(this.colors.secondary)
+       .font('Helvetica-Bold')
+       .text('Partially Matched Transactions', this.pageMargin, yPosition);
+
+    yPosition += 20;
+
+    transactions.slice(0, 15).forEach(transaction => {
+      if (yPosition > doc.page.height - 80) {
+        doc.addPage();
+        yPosition = this.pageMargin;
+      }
+
+      // Coverage is allocated in the transaction's own currency
+      const formatMoney = (value) => currencyService.formatMoney(value, transaction.currency || homeCurrency);
+
+      doc.fontSize(10)
+         .fillColor(this.colors.text)
+         .font('Helvetica-Bold')
+         .text(`${transaction.description} - ${this.formatAmount(Math.abs(transaction.amount), transaction.currency,
+           transaction.home_amount === null ? null : Math.abs(transaction.home_amount), homeCurrency)}`, this.pageMargin, yPosition);
+
+      yPosition += 12;
+
+      doc.fontSize(9)
+         .fillColor(this.colors.lightText)
+         .font('Helvetica')
+         .text(`Covered ${formatMoney(transaction.covered_amount)} by ${transaction.receipt_count} receipt(s), ${formatMoney(transaction.remaining_amount)} remaining`,
+               this.pageMargin + 10, yPosition);
+
+      yPosition += 20;
+    });
+
+    return yPosition + 10;
+  }
+
+  addUnmatchedSection(doc, title, items, yPosition, homeCurrency = 'USD') {
     if (!items || items.length === 0) return yPosition;
 
     doc.fontSize(14)
@@ -915,7 +1029,7 @@ class PDFService {
       doc.fontSize(10)
          .fillColor(this.colors.text)
          .font('Helvetica')
-         .text(`${description} - $${amount.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, 
+         .text(`${description} - ${this.formatAmount(amount, item.currency, item.home_amount, homeCurrency)}`, 
                this.pageMargin, yPosition);
       
       yPosition += 15;
@@ -923,6 +1037,165 @@ class PDFService {
 
     return yPosition + 20;
   }
+
+  // Transactions that break the expense policy, each with the rules it breaks
+  addPolicyViolationsSection(doc, transactions, yPosition, homeCurrency = 'USD') {
+    if (yPosition > doc.page.height - 120) {
+      doc.addPage();
+      yPosition = this.pageMargin;
+    }
+
+    doc.fontSize(14)
+       .fillColor(this.colors.danger)
+       .font('Helvetica-Bold')
+       .text('Expense Policy Violations', this.pageMargin, yPosition);
+
+    yPosition += 20;
+
+    transactions.forEach(transaction => {
+      if (yPosition > doc.page.height - 80) {
+        doc.addPage();
+        yPosition = this.pageMargin;
+      }
+
+      doc.fontSize(10)
+         .fillColor(this.colors.text)
+         .font('Helvetica-Bold')
+         .text(`${moment(transaction.transaction_date).format('MM/DD/YYYY')}  ${transaction.description} - ${this.formatAmount(Math.abs(transaction.amount), transaction.currency,
+           transaction.home_amount === null ? null : Math.abs(transaction.home_amount), homeCurrency)}`, this.pageMargin, yPosition);
+
+      yPosition += 12;
+
+      transaction.violations.forEach(violation => {
+        doc.fontSize(9)
+           .fillColor(this.colors.lightText)
+           .font('Helvetica')
+           .text(violation.message, this.pageMargin + 10, yPosition);
+        yPosition += 12;
+      });
+
+      yPosition += 8;
+    });
+
+    return yPosition + 10;
+  }
+
+  // totals is { total, unconverted } in the home currency, as
+  // expenseReportService.totalOf returns it
+  addExpenseReportSummary(doc, report, itemCount, totals, yPosition, homeCurrency = 'USD') {
+    doc.fontSize(16)
+       .fillColor(this.colors.text)
+       .font('Helvetica-Bold')
+       .text('Summary', this.pageMargin, yPosition);
+
+    yPosition += 25;
+
+    const name = (first, last) => [first, last].filter(Boolean).join(' ');
+    const summary = [
+      ['Purpose:', report.purpose],
+      ['Submitted by:', name(report.owner_first_name, report.owner_last_name) || report.owner_email],
+      ['Submitted on:', report.submitted_at ? moment(report.submitted_at).format('MMMM DD, YYYY') : '-'],
+      ['Status:', report.status.charAt(0).toUpperCase() + report.status.slice(1)],
+      ['Transactions:', itemCount.toString()],
+      ['Total Amount:', currencyService.formatMoney(totals.total, homeCurrency)]
+    ];
+    if (report.decided_by) {
+      summary.push([`${report.status === 'rejected' ? 'Rejected' : 'Approved'} by:`,
+        `${name(report.decided_by_first_name, report.decided_by_last_name)} on ${moment(report.decided_at).format('MMMM DD, YYYY')}`]);
+    }
+    if (totals.unconverted > 0) {
+      summary.push(['Not in totals:', `${totals.unconverted} without an exchange rate`]);
+    }
+
+    summary.forEach(([label, value]) => {
+      doc.fontSize(11)
+         .fillColor(this.colors.text)
+         .font('Helvetica')
+         .text(label, this.pageMargin, yPosition)
+         .font('Helvetica-Bold')
+         .text(value, this.pageMargin + 150, yPosition, { width: doc.page.width - this.pageMargin * 2 - 150 });
+      yPosition = Math.max(yPosition + 18, doc.y + 4);
+    });
+
+    return yPosition + 20;
+  }
+
+  addExpenseReportItems(doc, items, yPosition, homeCurrency = 'USD') {
+    doc.fontSize(14)
+       .fillColor(this.colors.accent)
+       .font('Helvetica-Bold')
+       .text('Transactions', this.pageMargin, yPosition);
+
+    yPosition += 20;
+
+    items.forEach(item => {
+      if (yPosition > doc.page.height - 80) {
+        doc.addPage();
+        yPosition = this.pageMargin;
+      }
+
+      doc.fontSize(10)
+         .fillColor(this.colors.text)
+         .font('Helvetica-Bold')
+         .text(`${moment(item.transaction_date).format('MM/DD/YYYY')}  ${item.description} - ${this.formatAmount(Math.abs(item.amount), item.currency,
+           item.home_amount === null ? null : Math.abs(item.home_amount), homeCurrency)}`, this.pageMargin, yPosition);
+
+      yPosition += 12;
+
+      doc.fontSize(9)
+         .fillColor(this.colors.lightText)
+         .font('Helvetica')
+         .text(`${item.category ? `${item.category} • ` : ''}Receipt: ${item.receipts || 'none'}`, this.pageMargin + 10, yPosition);
+
+      yPosition += 20;
+    });
+
+    return yPosition + 10;
+  }
+
+  addExpenseReportHistory(doc, history, yPosition) {
+    if (!history || history.length === 0) return yPosition;
+
+    if (yPosition > doc.page.height - 120) {
+      doc.addPage();
+      yPosition = this.pageMargin;
+    }
+
+    doc.fontSize(14)
+       .fillColor(this.colors.secondary)
+       .font('Helvetica-Bold')
+       .text('Status History', this.pageMargin, yPosition);
+
+    yPosition += 20;
+
+    history.forEach(entry => {
+      if (yPosition > doc.page.height - 60) {
+        doc.addPage();
+        yPosition = this.pageMargin;
+      }
+
+      let who = [entry.first_name, entry.last_name].filter(Boolean).join(' ') || 'Unknown user';
+      if (entry.on_behalf_of) {
+        who += ` for ${[entry.on_behalf_of_first_name, entry.on_behalf_of_last_name].filter(Boolean).join(' ')}`;
+      }
+      const step = entry.step_name ? ` (${entry.step_name})` : '';
+      doc.fontSize(10)
+         .fillColor(this.colors.text)
+         .font('Helvetica')
+         .text(`${moment(entry.created_at).format('MM/DD/YYYY h:mm A')}  ${entry.action.charAt(0).toUpperCase() + entry.action.slice(1)}${step} by ${who}`,
+               this.pageMargin, yPosition);
+      yPosition += 14;
+
+      if (entry.comment) {
+        doc.fontSize(9)
+           .fillColor(this.colors.lightText)
+           .text(`"${entry.comment}"`, this.pageMargin + 10, yPosition, { width: doc.page.width - this.pageMargin * 2 - 10 });
+        yPosition = doc.y + 6;
+      }
+    });
+
+    return yPosition + 20;
+  }
 }
 
 module.exports = new PDFService(); 
\ No newline at end of file
@@ -0,0 +1,219 @@
+const moment = require('moment');
+const db = require('../database/init');
+const currencyService = require('./currencyService');
+
+// A company's expense policy, stored in companies.settings.policy. Amounts
+// are in the home currency; every rule is off until an admin sets it.
+const DEFAULT_POLICY = {
+  // Most a single charge in a category may be: [{ category, limit }]
+  categoryCaps: [],
+  // Most one cardholder may spend in a day, on these categories (all if empty)
+  perDiem: { limit: null, categories: [] },
+  // Charges over this need a confirmed receipt
+  receiptRequiredAbove: null,
+  flagWeekends: false,
+  flagAlcohol: false,
+  // Charges whose bank description or receipt merchant contains one of these
+  blockedMerchants: []
+};
+
+// Words on a receipt line item or bank description that mean alcohol was
+// bought. Only those are checked: the full OCR text of a receipt is too noisy
+// for short words like "gin" or "ale".
+const ALCOHOL_TERMS = [
+  'alcohol', 'beer', 'wine', 'liquor', 'spirits', 'vodka', 'whiskey', 'whisky', 'bourbon', 'scotch',
+  'tequila', 'rum', 'gin', 'brandy', 'cognac', 'champagne', 'prosecco', 'cocktail', 'margarita',
+  'mojito', 'sangria', 'ale', 'lager', 'ipa', 'stout', 'pilsner', 'cider', 'sake'
+];
+const ALCOHOL_PATTERN = new RegExp(`\\b(${ALCOHOL_TERMS.join('|')})\\b`, 'i');
+
+// The cardholder and day a charge counts toward for the per-diem limit.
+// Statements for several cards are often imported by one person, so the card
+// identifies who spent it; the importer only stands in when there is no card.
+const cardholderDay = (transaction) => {
+  const cardholder = transaction.card_last_four ? `card:${transaction.card_last_four}` : `user:${transaction.created_by}`;
+  return `${cardholder}|${transaction.transaction_date}`;
+};
+
+const allAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const amountOrNull = (value) => {
+  const number = parseFloat(value);
+  return value !== undefined && value !== null && value !== '' && !isNaN(number) && number >= 0 ? number : null;
+};
+
+const cleanList = (values) => (Array.isArray(values) ? values : [])
+  .map(value => String(value || '').trim())
+  .filter(Boolean);
+
+class PolicyService {
+  constructor() {
+    this.defaultPolicy = DEFAULT_POLICY;
+  }
+
+  // Clean a policy sent by a client or read from settings, dropping anything
+  // malformed so a bad value can't break the checks
+  resolvePolicy(overrides = {}) {
+    const values = overrides && typeof overrides === 'object' ? overrides : {};
+    const perDiem = values.perDiem && typeof values.perDiem === 'object' ? values.perDiem : {};
+
+    return {
+      categoryCaps: (Array.isArray(values.categoryCaps) ? values.categoryCaps : [])
+        .map(cap => ({ category: String(cap?.category || '').trim(), limit: amountOrNull(cap?.limit) }))
+        .filter(cap => cap.category && cap.limit !== null),
+      perDiem: {
+        limit: amountOrNull(perDiem.limit),
+        categories: cleanList(perDiem.categories)
+      },
+      receiptRequiredAbove: amountOrNull(values.receiptRequiredAbove),
+      flagWeekends: values.flagWeekends === true,
+      flagAlcohol: values.flagAlcohol === true,
+      blockedMerchants: cleanList(values.blockedMerchants)
+    };
+  }
+
+  async getCompanyPolicy(companyId) {
+    const settings = await currencyService.readSettings(companyId);
+    return this.resolvePolicy(settings.policy);
+  }
+
+  async setCompanyPolicy(companyId, policy) {
+    const settings = await currencyService.readSettings(companyId);
+    settings.policy = this.resolvePolicy(policy);
+
+    return new Promise((resolve, reject) => {
+      db.run('UPDATE companies SET settings = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [JSON.stringify(settings), companyId], (err) => err ? reject(err) : resolve(settings.policy));
+    });
+  }
+
+  isActive(policy) {
+    return policy.categoryCaps.length > 0 || policy.perDiem.limit !== null || policy.receiptRequiredAbove !== null ||
+      policy.flagWeekends || policy.flagAlcohol || policy.blockedMerchants.length > 0;
+  }
+
+  inPerDiem(policy, category) {
+    const categories = policy.perDiem.categories.map(c => c.toLowerCase());
+    return categories.length === 0 || categories.includes((category || '').toLowerCase());
+  }
+
+  // What the policy needs to know beyond the transactions themselves: their
+  // confirmed receipts (merchant and line items) and, for the per-diem limit, what
+  // each cardholder spent on each of the days
+  async loadContext(companyId, transactions, policy, homeCurrency) {
+    const context = { homeCurrency, receipts: new Map(), dailySpend: new Map() };
+    if (transactions.length === 0) {
+      return context;
+    }
+
+    // Ids and dates go in as one JSON array, so there is no limit on how many
+    const ids = JSON.stringify(transactions.map(t => t.id));
+    const receipts = await allAsync(`
+      SELECT m.transaction_id, r.id, r.extracted_merchant,
+             (SELECT GROUP_CONCAT(li.description, '\n') FROM receipt_line_items li WHERE li.receipt_id = r.id) as line_items
+      FROM matches m
+      JOIN receipts r ON r.id = m.receipt_id
+      WHERE m.user_confirmed = 1 AND m.transaction_id IN (SELECT value FROM json_each(?))
+    `, [ids]);
+    receipts.forEach(receipt => {
+      const list = context.receipts.get(receipt.transaction_id) || [];
+      list.push(receipt);
+      context.receipts.set(receipt.transaction_id, list);
+    });
+
+    if (policy.perDiem.limit !== null) {
+      const dates = JSON.stringify([...new Set(transactions.map(t => t.transaction_date))]);
+      const spend = await allAsync(`
+        SELECT card_last_four, created_by, transaction_date, category, currency, amount, home_amount
+        FROM transactions
+        WHERE company_id = ? AND amount < 0 AND transaction_date IN (SELECT value FROM json_each(?))
+      `, [companyId, dates]);
+      spend.filter(t => this.inPerDiem(policy, t.category)).forEach(t => {
+        const value = currencyService.homeValue(t.amount, t.currency, t.home_amount, homeCurrency);
+        const key = cardholderDay(t);
+        context.dailySpend.set(key, (context.dailySpend.get(key) || 0) + Math.abs(value || 0));
+      });
+    }
+
+    return context;
+  }
+
+  // The policy rules a charge breaks: [{ rule, message }]. Refunds and other
+  // credits are never flagged; amount rules are skipped for charges in
+  // another currency that have no exchange rate.
+  evaluate(transaction, policy, context) {
+    if (transaction.amount >= 0) {
+      return [];
+    }
+
+    const { homeCurrency } = context;
+    const money = (value) => currencyService.formatMoney(value, homeCurrency);
+    const homeValue = currencyService.homeValue(transaction.amount, transaction.currency, transaction.home_amount, homeCurrency);
+    const amount = homeValue === null ? null : Math.abs(homeValue);
+    const receipts = context.receipts.get(transaction.id) || [];
+    const category = (transaction.category || '').toLowerCase();
+    const violations = [];
+
+    const cap = policy.categoryCaps.find(c => c.category.toLowerCase() === category);
+    if (cap && amount !== null && amount > cap.limit) {
+      violations.push({
+        rule: 'category_cap',
+        message: `${money(amount)} is over the ${cap.category} limit of ${money(cap.limit)}`
+      });
+    }
+
+    if (policy.perDiem.limit !== null && this.inPerDiem(policy, transaction.category)) {
+      const spent = context.dailySpend.get(cardholderDay(transaction)) || 0;
+      if (spent > policy.perDiem.limit) {
+        violations.push({
+          rule: 'per_diem',
+          message: `${money(spent)} spent that day is over the per-diem limit of ${money(policy.perDiem.limit)}`
+        });
+      }
+    }
+
+    if (policy.receiptRequiredAbove !== null && amount !== null && amount > policy.receiptRequiredAbove && receipts.length === 0) {
+      violations.push({
+        rule: 'receipt_required',
+        message: `Charges over ${money(policy.receiptRequiredAbove)} need a receipt`
+      });
+    }
+
+    if (policy.flagWeekends && [0, 6].includes(moment(transaction.transaction_date, 'YYYY-MM-DD').day())) {
+      violations.push({ rule: 'weekend', message: 'Charged on a weekend' });
+    }
+
+    if (policy.flagAlcohol) {
+      const texts = [transaction.description, ...receipts.map(r => r.line_items)];
+      const match = texts.map(text => (text || '').match(ALCOHOL_PATTERN)).find(Boolean);
+      if (match) {
+        violations.push({ rule: 'alcohol', message: `Alcohol on the charge or its receipt ("${match[1].toLowerCase()}")` });
+      }
+    }
+
+    const merchants = [transaction.description, ...receipts.map(r => r.extracted_merchant)]
+      .map(name => (name || '').toLowerCase());
+    const blocked = policy.blockedMerchants.find(term => merchants.some(name => name.includes(term.toLowerCase())));
+    if (blocked) {
+      violations.push({ rule: 'blocked_merchant', message: `${blocked} is a blocked merchant` });
+    }
+
+    return violations;
+  }
+
+  // The transactions with the policy violations of each added as violations
+  async checkTransactions(companyId, transactions) {
+    const policy = await this.getCompanyPolicy(companyId);
+    if (!this.isActive(policy)) {
+      return transactions.map(transaction => ({ ...transaction, violations: [] }));
+    }
+
+    const homeCurrency = await currencyService.getHomeCurrency(companyId);
+    const context = await this.loadContext(companyId, transactions, policy, homeCurrency);
+    return transactions.map(transaction => ({ ...transaction, violations: this.evaluate(transaction, policy, context) }));
+  }
+}
+
+module.exports = new PolicyService();
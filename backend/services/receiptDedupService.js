@@ -0,0 +1,264 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('../database/init');
+const receiptService = require('./receiptService');
+const expenseReportService = require('./expenseReportService');
+
+// Photos are shrunk to (HASH_SIZE + 1) x HASH_SIZE grey pixels; each bit of
+// the hash says whether a pixel is darker than its right-hand neighbour
+const HASH_SIZE = 16;
+const PERCEPTUAL_HASH_BITS = HASH_SIZE * HASH_SIZE;
+const TEXT_FINGERPRINT_BITS = 64;
+
+// Hashes at most this many bits apart count as the same receipt. A re-shot or
+// re-scanned photo moves a few bits; another receipt moves far more.
+const PERCEPTUAL_MAX_DISTANCE = 20;
+// OCR reads the same receipt a little differently each time, so text
+// fingerprints get more slack but must also agree on amount and date
+const TEXT_MAX_DISTANCE = 10;
+
+// Texts shorter than this say too little to fingerprint
+const MIN_FINGERPRINT_WORDS = 5;
+
+const runAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+const allAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const toHex = (bits) => {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+};
+
+const popCount = (nibble) => (nibble & 1) + ((nibble >> 1) & 1) + ((nibble >> 2) & 1) + ((nibble >> 3) & 1);
+
+const sameAmount = (a, b) =>
+  a !== null && a !== undefined && b !== null && b !== undefined && Math.abs(a - b) < 0.005;
+
+class ReceiptDedupService {
+  async hashFile(filePath) {
+    const content = await fs.promises.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Difference hash of a photo as hex, or null for PDFs. Survives resizing,
+  // recompression and small brightness changes, unlike the file hash.
+  async perceptualHash(filePath, mimeType) {
+    if (!mimeType || !mimeType.startsWith('image/')) {
+      return null;
+    }
+
+    const { data, info } = await sharp(filePath)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+    const bits = [];
+    for (let y = 0; y < HASH_SIZE; y++) {
+      for (let x = 0; x < HASH_SIZE; x++) {
+        bits.push(pixel(x, y) < pixel(x + 1, y) ? 1 : 0);
+      }
+    }
+    return toHex(bits);
+  }
+
+  // Simhash of the words in OCR text as hex. Texts that share most of their
+  // words get fingerprints a few bits apart, so OCR noise doesn't hide a
+  // duplicate the way an exact text hash would.
+  textFingerprint(text) {
+    const words = (text || '').toLowerCase().match(/[a-z0-9]{2,}/g) || [];
+    if (new Set(words).size < MIN_FINGERPRINT_WORDS) {
+      return null;
+    }
+
+    const weights = new Array(TEXT_FINGERPRINT_BITS).fill(0);
+    words.forEach(word => {
+      const digest = crypto.createHash('md5').update(word).digest();
+      for (let bit = 0; bit < TEXT_FINGERPRINT_BITS; bit++) {
+        weights[bit] += (digest[bit >> 3] >> (7 - (bit & 7))) & 1 ? 1 : -1;
+      }
+    });
+    return toHex(weights.map(weight => (weight > 0 ? 1 : 0)));
+  }
+
+  // Number of differing bits between two hex hashes of the same length
+  hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return Infinity;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += popCount(parseInt(a[i], 16) ^ parseInt(b[i], 16));
+    }
+    return distance;
+  }
+
+  // File and photo hashes for a new upload. A photo sharp can't read still
+  // gets its file hash.
+  async fingerprintFile(filePath, mimeType) {
+    const fileHash = await this.hashFile(filePath);
+    let perceptualHash = null;
+    try {
+      perceptualHash = await this.perceptualHash(filePath, mimeType);
+    } catch (error) {
+      console.warn(`Could not compute perceptual hash for ${filePath}:`, error.message);
+    }
+    return { fileHash, perceptualHash };
+  }
+
+  // How receipt resembles an earlier candidate, strongest evidence first:
+  // { method, similarity, reason }, or null when they look different
+  compare(receipt, candidate) {
+    if (receipt.file_hash && receipt.file_hash === candidate.file_hash) {
+      return { method: 'file_hash', similarity: 1, reason: 'Same file as an earlier upload' };
+    }
+
+    const imageDistance = this.hammingDistance(receipt.perceptual_hash, candidate.perceptual_hash);
+    if (imageDistance <= PERCEPTUAL_MAX_DISTANCE) {
+      return {
+        method: 'perceptual_hash',
+        similarity: 1 - imageDistance / PERCEPTUAL_HASH_BITS,
+        reason: 'Looks like the same photo as an earlier upload'
+      };
+    }
+
+    const textDistance = this.hammingDistance(receipt.text_fingerprint, candidate.text_fingerprint);
+    const sameDate = !receipt.extracted_date || !candidate.extracted_date ||
+      receipt.extracted_date === candidate.extracted_date;
+    if (textDistance <= TEXT_MAX_DISTANCE && sameAmount(receipt.extracted_amount, candidate.extracted_amount) && sameDate) {
+      return {
+        method: 'text_fingerprint',
+        similarity: 1 - textDistance / TEXT_FINGERPRINT_BITS,
+        reason: 'Same text, amount and date as an earlier upload'
+      };
+    }
+
+    return null;
+  }
+
+  // Earlier receipts in the company that receipt looks like. receipt needs
+  // id, company_id and whichever of file_hash, perceptual_hash,
+  // text_fingerprint, extracted_amount and extracted_date it has so far.
+  async findDuplicates(receipt) {
+    const candidates = await allAsync(`
+      SELECT id, original_filename, upload_date, file_hash, perceptual_hash, text_fingerprint,
+             extracted_amount, extracted_date
+      FROM receipts
+      WHERE company_id = ? AND id < ?
+        AND (file_hash = ? OR perceptual_hash IS NOT NULL OR text_fingerprint IS NOT NULL)
+    `, [receipt.company_id, receipt.id, receipt.file_hash || null]);
+
+    return candidates
+      .map(candidate => {
+        const match = this.compare(receipt, candidate);
+        return match && {
+          duplicateOfId: candidate.id,
+          originalFilename: candidate.original_filename,
+          uploadDate: candidate.upload_date,
+          ...match
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  // Queue the receipt's likely duplicates for review. Pairs already reviewed
+  // are left as they were.
+  async flagDuplicates(receipt) {
+    const duplicates = await this.findDuplicates(receipt);
+    for (const duplicate of duplicates) {
+      await runAsync(`
+        INSERT OR IGNORE INTO receipt_duplicates (company_id, receipt_id, duplicate_of_id, method, similarity, reason)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [receipt.company_id, receipt.id, duplicate.duplicateOfId, duplicate.method, duplicate.similarity, duplicate.reason]);
+    }
+    return duplicates;
+  }
+
+  hasPendingDuplicates(receiptId) {
+    return new Promise((resolve, reject) => {
+      db.get(`
+        SELECT COUNT(*) as count FROM receipt_duplicates WHERE receipt_id = ? AND status = 'pending'
+      `, [receiptId], (err, row) => err ? reject(err) : resolve(row.count > 0));
+    });
+  }
+
+  // Why the pair can't be merged, or null. Merging moves or deletes the
+  // matches of both receipts, so neither may be matched to a transaction on
+  // a submitted or approved expense report.
+  async mergeLockError(duplicate) {
+    const matches = await allAsync(`
+      SELECT DISTINCT transaction_id FROM matches WHERE receipt_id IN (?, ?)
+    `, [duplicate.receipt_id, duplicate.duplicate_of_id]);
+    return expenseReportService.lockError(matches.map(match => match.transaction_id));
+  }
+
+  // Keep one receipt of a duplicate pair and delete the other, moving its
+  // matches to the one kept. Where both are matched to the same transaction
+  // the kept receipt's match wins, unless only the other one was confirmed.
+  // Resolves to the number of matches moved.
+  async mergeReceipts(duplicate, keepReceiptId, userId) {
+    const removeReceiptId = keepReceiptId === duplicate.receipt_id ? duplicate.duplicate_of_id : duplicate.receipt_id;
+    const files = await receiptService.getReceiptFiles(removeReceiptId) || [];
+
+    // Every write is queued in one serialized block with nothing awaited in
+    // between, so other work on the shared connection can't land inside the
+    // transaction or be rolled back with it
+    const moved = await new Promise((resolve, reject) => {
+      let moved = 0;
+      let failure = null;
+      const check = (err) => {
+        failure = failure || err;
+      };
+
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        db.run(`
+          DELETE FROM matches
+          WHERE receipt_id = ? AND user_confirmed = 0 AND transaction_id IN (
+            SELECT transaction_id FROM matches WHERE receipt_id = ? AND user_confirmed = 1
+          )
+        `, [keepReceiptId, removeReceiptId], check);
+        db.run('UPDATE OR IGNORE matches SET receipt_id = ? WHERE receipt_id = ?', [keepReceiptId, removeReceiptId], function(err) {
+          check(err);
+          moved = err ? 0 : this.changes;
+        });
+        db.run(`
+          UPDATE receipt_duplicates
+          SET status = 'merged', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [userId, duplicate.id], check);
+        receiptService.deleteStatements(removeReceiptId).forEach(([query, params]) => db.run(query, params, check));
+
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            reject(failure || err);
+          } else if (failure) {
+            reject(failure);
+          } else {
+            resolve(moved);
+          }
+        });
+      });
+    });
+
+    receiptService.removeFiles(files);
+    return { keptReceiptId: keepReceiptId, removedReceiptId: removeReceiptId, movedMatches: moved };
+  }
+}
+
+module.exports = new ReceiptDedupService();
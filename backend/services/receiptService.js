@@ -0,0 +1,324 @@
+const fs = require('fs');
+const db = require('../database/init');
+
+// Receipts with any OCR field scored below this go to the review queue
+const REVIEW_CONFIDENCE_THRESHOLD = 60;
+
+// Rows stored against a receipt, removed along with it
+const RECEIPT_CHILD_TABLES = ['ocr_jobs', 'receipt_line_items', 'receipt_corrections', 'receipt_pages', 'matches'];
+
+const runAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+// Receipt columns holding each reviewed field
+const REVIEW_FIELDS = {
+  amount: 'extracted_amount',
+  date: 'extracted_date',
+  merchant: 'extracted_merchant'
+};
+
+class ReceiptService {
+  // Optional amount from a request body; blank means not set
+  toAmount(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+
+  parseConfidence(value) {
+    if (!value) {
+      return null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  needsReview(fieldConfidence) {
+    return Object.keys(REVIEW_FIELDS).some(field => {
+      const score = fieldConfidence && fieldConfidence[field];
+      return !score || score.confidence < REVIEW_CONFIDENCE_THRESHOLD;
+    });
+  }
+
+  // Compare a user's values to what OCR extracted. Returns one entry per
+  // field the user changed, ready to store in receipt_corrections.
+  diffCorrections(fieldConfidence, values) {
+    const corrections = [];
+
+    Object.keys(REVIEW_FIELDS).forEach(field => {
+      const extracted = fieldConfidence && fieldConfidence[field];
+      if (!extracted || values[field] === undefined) {
+        return;
+      }
+
+      const before = extracted.value === null || extracted.value === undefined ? '' : String(extracted.value).trim();
+      const after = values[field] === null ? '' : String(values[field]).trim();
+      const changed = field === 'amount'
+        ? this.toAmount(before) !== this.toAmount(after)
+        : before.toLowerCase() !== after.toLowerCase();
+
+      corrections.push({
+        field,
+        changed,
+        extracted_value: before || null,
+        corrected_value: after || null,
+        source: extracted.source,
+        confidence: extracted.confidence
+      });
+    });
+
+    return corrections;
+  }
+
+  // Record a review: changed fields are upserted as corrections, fields the
+  // user confirmed drop any earlier correction
+  saveReview(receipt, values, userId) {
+    const corrections = this.diffCorrections(this.parseConfidence(receipt.extraction_confidence), values);
+
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        corrections.forEach(correction => {
+          if (correction.changed) {
+            db.run(`
+              INSERT INTO receipt_corrections
+              (receipt_id, company_id, field, extracted_value, corrected_value, source, confidence, corrected_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+              ON CONFLICT(receipt_id, field) DO UPDATE SET
+                corrected_value = excluded.corrected_value,
+                corrected_by = excluded.corrected_by,
+                created_at = CURRENT_TIMESTAMP
+            `, [
+              receipt.id, receipt.company_id, correction.field, correction.extracted_value,
+              correction.corrected_value, correction.source, correction.confidence, userId
+            ]);
+          } else {
+            db.run('DELETE FROM receipt_corrections WHERE receipt_id = ? AND field = ?', [receipt.id, correction.field]);
+          }
+        });
+        db.run(`
+          UPDATE receipts SET needs_review = 0, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [userId, receipt.id]);
+
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve(corrections.filter(correction => correction.changed));
+          }
+        });
+      });
+    });
+  }
+
+  // Share of reviewed fields OCR got right, per field and extraction strategy
+  getExtractionAccuracy(companyId) {
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT r.id, r.extraction_confidence, GROUP_CONCAT(rc.field) as corrected_fields
+        FROM receipts r
+        LEFT JOIN receipt_corrections rc ON rc.receipt_id = r.id
+        WHERE r.company_id = ? AND r.reviewed_at IS NOT NULL AND r.extraction_confidence IS NOT NULL
+        GROUP BY r.id
+      `, [companyId], (err, rows) => {
+        if (err) {
+          return reject(err);
+        }
+
+        const stats = {};
+        rows.forEach(row => {
+          const fieldConfidence = this.parseConfidence(row.extraction_confidence) || {};
+          const corrected = (row.corrected_fields || '').split(',');
+
+          Object.keys(REVIEW_FIELDS).forEach(field => {
+            const source = (fieldConfidence[field] && fieldConfidence[field].source) || 'none';
+            const key = `${field}:${source}`;
+            stats[key] = stats[key] || { field, source, reviewed: 0, corrected: 0 };
+            stats[key].reviewed++;
+            if (corrected.includes(field)) {
+              stats[key].corrected++;
+            }
+          });
+        });
+
+        resolve(Object.values(stats)
+          .map(stat => ({ ...stat, accuracy: Math.round(((stat.reviewed - stat.corrected) / stat.reviewed) * 100) }))
+          .sort((a, b) => a.field.localeCompare(b.field) || b.reviewed - a.reviewed));
+      });
+    });
+  }
+
+  getPages(receiptId) {
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT page_number, ocr_text, extraction_method
+        FROM receipt_pages
+        WHERE receipt_id = ?
+        ORDER BY page_number
+      `, [receiptId], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+
+  // Replace the stored per-page text after an OCR run
+  savePages(receiptId, pages) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        db.run('DELETE FROM receipt_pages WHERE receipt_id = ?', [receiptId]);
+
+        const stmt = db.prepare(`
+          INSERT INTO receipt_pages (receipt_id, page_number, ocr_text, extraction_method)
+          VALUES (?, ?, ?, ?)
+        `);
+        pages.forEach(page => {
+          stmt.run([receiptId, page.pageNumber, page.text, page.method]);
+        });
+        stmt.finalize();
+
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve(pages.length);
+          }
+        });
+      });
+    });
+  }
+
+  getLineItems(receiptId) {
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT id, line_number, description, quantity, unit_price, total
+        FROM receipt_line_items
+        WHERE receipt_id = ?
+        ORDER BY line_number, id
+      `, [receiptId], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+
+  // Check line items sent by a client. Returns cleaned items or throws with a
+  // message naming the bad row.
+  validateLineItems(items) {
+    if (!Array.isArray(items)) {
+      throw new Error('lineItems must be an array');
+    }
+
+    return items.map((item, index) => {
+      const description = (item.description || '').trim();
+      const quantity = this.toAmount(item.quantity) === null ? 1 : this.toAmount(item.quantity);
+      const unitPrice = this.toAmount(item.unit_price);
+      let total = this.toAmount(item.total);
+
+      if (!description) {
+        throw new Error(`Line ${index + 1}: description is required`);
+      }
+      if (quantity <= 0) {
+        throw new Error(`Line ${index + 1}: quantity must be positive`);
+      }
+      if (total === null && unitPrice === null) {
+        throw new Error(`Line ${index + 1}: enter a unit price or total`);
+      }
+      if (total === null) {
+        total = Math.round(unitPrice * quantity * 100) / 100;
+      }
+
+      return {
+        line_number: index + 1,
+        description,
+        quantity,
+        unit_price: unitPrice === null ? Math.round((total / quantity) * 100) / 100 : unitPrice,
+        total
+      };
+    });
+  }
+
+  // Replace a receipt's line items, used both after OCR and for manual edits
+  saveLineItems(receiptId, items) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN TRANSACTION');
+        db.run('DELETE FROM receipt_line_items WHERE receipt_id = ?', [receiptId]);
+
+        const stmt = db.prepare(`
+          INSERT INTO receipt_line_items (receipt_id, line_number, description, quantity, unit_price, total)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        items.forEach(item => {
+          stmt.run([receiptId, item.line_number, item.description, item.quantity, item.unit_price, item.total]);
+        });
+        stmt.finalize();
+
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK');
+            reject(err);
+          } else {
+            resolve(items.length);
+          }
+        });
+      });
+    });
+  }
+
+  // A receipt's files, or null when there is no such receipt
+  async getReceiptFiles(receiptId) {
+    const receipt = await new Promise((resolve, reject) => {
+      db.get('SELECT file_path, processed_file_path, source_file_path, inbound_email_id FROM receipts WHERE id = ?', [receiptId],
+        (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!receipt) {
+      return null;
+    }
+
+    // An emailed receipt's .eml stays with the inbound email it came from
+    const sourcePath = receipt.inbound_email_id ? null : receipt.source_file_path;
+    return [receipt.file_path, receipt.processed_file_path, sourcePath].filter(Boolean);
+  }
+
+  // [query, params] pairs deleting a receipt with its line items, pages,
+  // corrections, matches, OCR jobs and pending duplicate flags, so callers
+  // can run them inside their own transaction
+  deleteStatements(receiptId) {
+    return [
+      ...RECEIPT_CHILD_TABLES.map(table => [`DELETE FROM ${table} WHERE receipt_id = ?`, [receiptId]]),
+      [`DELETE FROM receipt_duplicates WHERE (receipt_id = ? OR duplicate_of_id = ?) AND status = 'pending'`, [receiptId, receiptId]],
+      ['DELETE FROM receipts WHERE id = ?', [receiptId]]
+    ];
+  }
+
+  // Delete a receipt and everything stored with it. Resolves to the
+  // receipt's files, for the caller to remove once the delete has gone through.
+  async deleteReceipt(receiptId) {
+    const files = await this.getReceiptFiles(receiptId);
+    if (!files) {
+      return [];
+    }
+
+    for (const [query, params] of this.deleteStatements(receiptId)) {
+      await runAsync(query, params);
+    }
+    return files;
+  }
+
+  removeFiles(filePaths) {
+    filePaths.forEach(filePath => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const unzipper = require('unzipper');
+const db = require('../database/init');
+const ocrQueueService = require('./ocrQueueService');
+const receiptDedupService = require('./receiptDedupService');
+const htmlReceiptService = require('./htmlReceiptService');
+
+const RECEIPTS_DIR = path.join(__dirname, '../uploads/receipts');
+
+// Same cap as a single upload
+const MAX_RECEIPT_SIZE = 20 * 1024 * 1024;
+const TOO_LARGE = 'File is larger than 20 MB';
+
+// Receipts one batch may create, counting each file inside an archive
+const MAX_BATCH_FILES = 500;
+
+// Receipt types by extension, for files that carry no usable content type
+// (entries in an archive, email attachments sent as octet-stream)
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.webp': 'image/webp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff'
+};
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+const runAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.run(query, params, function(err) {
+    err ? reject(err) : resolve(this);
+  });
+});
+
+const allAsync = (query, params = []) => new Promise((resolve, reject) => {
+  db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const isReceiptType = (mimeType) => Boolean(mimeType) && (mimeType.startsWith('image/') || mimeType === 'application/pdf');
+
+const isArchive = (file) =>
+  ZIP_MIME_TYPES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+
+// Folders, macOS resource forks and hidden files inside an archive
+const isSkippedEntry = (entry) =>
+  entry.type !== 'File' || entry.path.startsWith('__MACOSX/') || path.basename(entry.path).startsWith('.');
+
+// Pass a stream through, failing once more than maxBytes have gone by, so an
+// archive entry can't inflate to more than its header claims
+const byteLimit = (maxBytes) => {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      callback(total > maxBytes ? new Error(TOO_LARGE) : null, chunk);
+    }
+  });
+};
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+class ReceiptUploadService {
+  // Receipt content type for a file name, or null when it isn't one
+  mimeTypeFor(filename) {
+    return MIME_TYPES[path.extname(filename || '').toLowerCase()] || null;
+  }
+
+  // Whether a bulk upload file is worth writing to disk: a receipt, an email
+  // or HTML receipt, or a ZIP archive of them
+  isBatchFile(file) {
+    return isArchive(file) || isReceiptType(file.mimetype) || Boolean(htmlReceiptService.sourceTypeFor(file.originalname));
+  }
+
+  // Store an uploaded file as a receipt and queue it for OCR. file has
+  // multer's shape (filename, originalname, path, size, mimetype), plus an
+  // optional source { path, mimetype } for a PDF rendered from an email or
+  // HTML file. Resolves to { receiptId, possibleDuplicates }.
+  async createReceipt(file, companyId, userId) {
+    const fingerprints = await receiptDedupService.fingerprintFile(file.path, file.mimetype);
+    const source = file.source || {};
+
+    const result = await runAsync(`
+      INSERT INTO receipts (filename, original_filename, file_path, file_size, mime_type, processing_status,
+                            file_hash, perceptual_hash, source_file_path, source_mime_type,
+                            company_id, created_by, updated_by)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      file.filename,
+      file.originalname,
+      file.path,
+      file.size,
+      file.mimetype,
+      fingerprints.fileHash,
+      fingerprints.perceptualHash,
+      source.path || null,
+      source.mimetype || null,
+      companyId,
+      userId,
+      userId
+    ]);
+    const receiptId = result.lastID;
+
+    let possibleDuplicates = [];
+    try {
+      possibleDuplicates = await receiptDedupService.flagDuplicates({
+        id: receiptId,
+        company_id: companyId,
+        file_hash: fingerprints.fileHash,
+        perceptual_hash: fingerprints.perceptualHash
+      });
+    } catch (error) {
+      console.error('Error checking for duplicate receipts:', error);
+    }
+
+    try {
+      await ocrQueueService.enqueue(receiptId);
+    } catch (error) {
+      console.error('Error queueing OCR job:', error);
+      throw new Error('Receipt saved but OCR could not be queued: ' + error.message);
+    }
+
+    return { receiptId, possibleDuplicates };
+  }
+
+  // Store an uploaded .eml or .html file as a receipt: its content is
+  // rendered to a PDF, which becomes the receipt file, and the upload is kept
+  // as the receipt's source, which OCR reads the text from. An upload with
+  // no receipt text is removed. Resolves like createReceipt.
+  async createFromSource(file, companyId, userId) {
+    const mimetype = htmlReceiptService.sourceTypeFor(file.originalname);
+    const { text, details } = mimetype
+      ? htmlReceiptService.readSource(await fs.promises.readFile(file.path), mimetype)
+      : {};
+    if (!text) {
+      removeFile(file.path);
+      throw new Error(mimetype ? 'The file has no receipt text' : 'Only .eml and .html files are allowed');
+    }
+
+    const baseName = path.basename(file.originalname, path.extname(file.originalname));
+    const pdf = await this.renderPdf(text, details, `${baseName}.pdf`);
+    return this.createReceipt({ ...pdf, source: { path: file.path, mimetype } }, companyId, userId);
+  }
+
+  // Render receipt text to a PDF in the receipts folder, as a multer-shaped
+  // file named originalname
+  async renderPdf(text, details, originalname) {
+    const filename = `${uuidv4()}_${originalname}`;
+    const filePath = path.join(RECEIPTS_DIR, filename);
+    await fs.promises.mkdir(RECEIPTS_DIR, { recursive: true });
+    await htmlReceiptService.renderPdf(text, details, filePath);
+
+    const { size } = await fs.promises.stat(filePath);
+    return { filename, originalname, path: filePath, size, mimetype: 'application/pdf' };
+  }
+
+  // Turn a bulk upload into receipts. ZIP archives are expanded and each
+  // receipt inside them is stored on its own. Files that aren't receipts,
+  // are too large or can't be read are recorded with the reason instead of
+  // failing the batch. Resolves to the batch progress (see getProgress).
+  async createBatch(files, companyId, userId) {
+    const batch = await runAsync('INSERT INTO receipt_batches (company_id, created_by) VALUES (?, ?)', [companyId, userId]);
+    const batchId = batch.lastID;
+    let accepted = 0;
+
+    const record = (originalFilename, archiveName, receiptId, error) => runAsync(`
+      INSERT INTO receipt_batch_files (batch_id, original_filename, archive_name, receipt_id, error)
+      VALUES (?, ?, ?, ?, ?)
+    `, [batchId, originalFilename, archiveName, receiptId, error]);
+
+    const rejectionFor = (file) => {
+      if (!isReceiptType(file.mimetype) && !htmlReceiptService.sourceTypeFor(file.originalname)) {
+        return 'Only image, PDF, .eml and .html files are allowed';
+      }
+      if (file.size > MAX_RECEIPT_SIZE) {
+        return TOO_LARGE;
+      }
+      if (accepted >= MAX_BATCH_FILES) {
+        return `Batch limit of ${MAX_BATCH_FILES} receipts reached`;
+      }
+      return null;
+    };
+
+    // Make one file (an upload or an extracted archive entry) a receipt, or
+    // record why not. The file is removed if it isn't kept.
+    const addFile = async (file, archiveName, rejection = rejectionFor(file)) => {
+      let error = rejection;
+      if (!error) {
+        try {
+          const { receiptId } = htmlReceiptService.sourceTypeFor(file.originalname)
+            ? await this.createFromSource(file, companyId, userId)
+            : await this.createReceipt(file, companyId, userId);
+          accepted++;
+          await record(file.originalname, archiveName, receiptId, null);
+          return;
+        } catch (createError) {
+          error = createError.message;
+        }
+      }
+
+      removeFile(file.path);
+      await record(file.originalname, archiveName, null, error);
+    };
+
+    for (const file of files) {
+      if (!isArchive(file)) {
+        await addFile(file, null);
+        continue;
+      }
+
+      try {
+        await this.expandArchive(file, addFile, () => accepted >= MAX_BATCH_FILES);
+      } catch (error) {
+        await record(file.originalname, null, null, `Could not read ZIP archive: ${error.message}`);
+      } finally {
+        removeFile(file.path);
+      }
+    }
+
+    const [{ count }] = await allAsync('SELECT COUNT(*) as count FROM receipt_batch_files WHERE batch_id = ?', [batchId]);
+    await runAsync('UPDATE receipt_batches SET file_count = ? WHERE id = ?', [count, batchId]);
+
+    return this.getProgress(batchId);
+  }
+
+  // Extract each receipt in a ZIP archive next to the other uploads and hand
+  // it to addFile. Entries past the batch limit aren't extracted at all, and
+  // an entry is cut off as soon as it grows past the size limit, whatever
+  // its header says.
+  async expandArchive(archive, addFile, isFull) {
+    const directory = await unzipper.Open.file(archive.path);
+
+    for (const entry of directory.files.filter(entry => !isSkippedEntry(entry))) {
+      const name = path.basename(entry.path);
+      const extension = path.extname(name).toLowerCase();
+      const file = { originalname: name, mimetype: this.mimeTypeFor(name), size: entry.uncompressedSize };
+
+      if (extension === '.zip') {
+        await addFile(file, archive.originalname, 'Archives inside archives are not supported');
+        continue;
+      }
+      const supported = isReceiptType(file.mimetype) || htmlReceiptService.sourceTypeFor(name);
+      if (!supported || file.size > MAX_RECEIPT_SIZE || isFull()) {
+        await addFile(file, archive.originalname);
+        continue;
+      }
+
+      file.filename = `${uuidv4()}_${name}`;
+      file.path = path.join(RECEIPTS_DIR, file.filename);
+      try {
+        await pipeline(entry.stream(), byteLimit(MAX_RECEIPT_SIZE), fs.createWriteStream(file.path));
+        file.size = (await fs.promises.stat(file.path)).size;
+      } catch (error) {
+        await addFile(file, archive.originalname, error.message === TOO_LARGE ? TOO_LARGE : `Could not extract file: ${error.message}`);
+        continue;
+      }
+      await addFile(file, archive.originalname);
+    }
+  }
+
+  // A batch's files with the state of each receipt's OCR, and counts for the
+  // progress bar. Files are 'rejected' when no receipt could be made from
+  // them, 'failed' when OCR gave up on the receipt.
+  async getProgress(batchId) {
+    const batch = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM receipt_batches WHERE id = ?', [batchId], (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!batch) {
+      return null;
+    }
+
+    const files = await allAsync(`
+      SELECT f.id, f.original_filename, f.archive_name, f.receipt_id, f.error,
+             r.processing_status, r.processing_error
+      FROM receipt_batch_files f
+      LEFT JOIN receipts r ON f.receipt_id = r.id
+      WHERE f.batch_id = ?
+      ORDER BY f.id
+    `, [batchId]);
+
+    const counts = { total: files.length, pending: 0, processing: 0, completed: 0, failed: 0, rejected: 0, deleted: 0 };
+    const failures = [];
+
+    const withStatus = files.map(file => {
+      let status = file.processing_status;
+      if (file.error) {
+        status = 'rejected';
+        failures.push({ filename: file.original_filename, archiveName: file.archive_name, stage: 'upload', error: file.error });
+      } else if (!status) {
+        status = 'deleted';
+      } else if (status === 'failed') {
+        failures.push({ filename: file.original_filename, archiveName: file.archive_name, stage: 'ocr', error: file.processing_error });
+      }
+      counts[status] = (counts[status] || 0) + 1;
+      return { ...file, status };
+    });
+
+    return {
+      ...batch,
+      counts,
+      done: counts.pending === 0 && counts.processing === 0,
+      failures,
+      files: withStatus
+    };
+  }
+}
+
+module.exports = new ReceiptUploadService();
@@ -0,0 +1,191 @@
+const moment = require('moment');
+const db = require('../database/init');
+const localeService = require('./localeService');
+
+// Fields a template can read, mapped to the OCR result keys they fill
+const TEMPLATE_FIELDS = {
+  amount: 'extractedAmount',
+  date: 'extractedDate',
+  merchant: 'extractedMerchant',
+  invoice_number: 'invoiceNumber'
+};
+
+// regex:       first capture group (or the whole match) of a pattern
+// after_label: text after a label on its line, or the next line if empty
+// line:        a fixed line of the receipt; negative numbers count from the end
+const RULE_TYPES = ['regex', 'after_label', 'line'];
+
+class VendorTemplateService {
+  getTemplates(companyId, { activeOnly = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM vendor_templates
+        WHERE company_id = ? ${activeOnly ? 'AND is_active = 1' : ''}
+        ORDER BY priority DESC, name
+      `;
+
+      db.all(query, [companyId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseRow(row)));
+        }
+      });
+    });
+  }
+
+  parseRow(row) {
+    let rules = {};
+    try {
+      rules = JSON.parse(row.rules || '{}');
+    } catch (error) {
+      rules = {};
+    }
+    return { ...row, rules, is_active: Boolean(row.is_active) };
+  }
+
+  // Validate a template payload; returns an error message or the values
+  validateTemplate(body) {
+    const name = (body.name || '').trim();
+    const anchorText = (body.anchor_text || '').trim();
+    const merchantName = (body.merchant_name || '').trim() || null;
+    const rules = {};
+
+    if (!name || !anchorText) {
+      return { error: 'Template name and anchor text are required' };
+    }
+
+    for (const [field, rule] of Object.entries(body.rules || {})) {
+      if (!rule || !rule.type) {
+        continue;
+      }
+      if (!TEMPLATE_FIELDS[field]) {
+        return { error: `Unknown template field "${field}"` };
+      }
+      if (!RULE_TYPES.includes(rule.type)) {
+        return { error: `Unknown rule type "${rule.type}" for ${field}` };
+      }
+
+      if (rule.type === 'regex') {
+        if (!rule.pattern) {
+          return { error: `A pattern is required for ${field}` };
+        }
+        try {
+          new RegExp(rule.pattern, 'im');
+        } catch (error) {
+          return { error: `Invalid ${field} pattern: ${error.message}` };
+        }
+        rules[field] = { type: 'regex', pattern: rule.pattern };
+      } else if (rule.type === 'after_label') {
+        if (!rule.label || !rule.label.trim()) {
+          return { error: `A label is required for ${field}` };
+        }
+        rules[field] = { type: 'after_label', label: rule.label.trim() };
+      } else {
+        const line = parseInt(rule.line);
+        if (!line) {
+          return { error: `A line number is required for ${field}` };
+        }
+        rules[field] = { type: 'line', line };
+      }
+    }
+
+    if (Object.keys(rules).length === 0 && !merchantName) {
+      return { error: 'Add at least one field rule or a fixed merchant name' };
+    }
+
+    return {
+      values: {
+        name,
+        anchor_text: anchorText,
+        merchant_name: merchantName,
+        date_format: (body.date_format || '').trim() || null,
+        rules,
+        priority: parseInt(body.priority) || 0,
+        is_active: body.is_active === undefined ? true : Boolean(body.is_active)
+      }
+    };
+  }
+
+  matchesText(template, text) {
+    return Boolean(text) && text.toLowerCase().includes(template.anchor_text.toLowerCase());
+  }
+
+  // First active template whose anchor text appears in the receipt
+  findTemplate(text, templates = []) {
+    return templates.find(template => template.is_active && this.matchesText(template, text)) || null;
+  }
+
+  applyRule(rule, text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    if (rule.type === 'regex') {
+      const match = text.match(new RegExp(rule.pattern, 'im'));
+      if (!match) return null;
+      return (match[1] !== undefined ? match[1] : match[0]).trim();
+    }
+
+    if (rule.type === 'after_label') {
+      const label = rule.label.toLowerCase();
+      const index = lines.findIndex(line => line.toLowerCase().includes(label));
+      if (index === -1) return null;
+
+      const line = lines[index];
+      const rest = line.slice(line.toLowerCase().indexOf(label) + label.length).replace(/^[\s:#-]+/, '').trim();
+      return rest || lines[index + 1] || null;
+    }
+
+    const position = rule.line > 0 ? rule.line - 1 : lines.length + rule.line;
+    return lines[position] || null;
+  }
+
+  parseAmount(value, locale) {
+    const amount = localeService.parseAmount(value, locale);
+    return amount === null ? null : Math.abs(amount);
+  }
+
+  // Dates come out as YYYY-MM-DD, like the generic extraction. Without a
+  // template date format the receipt's locale decides the order.
+  parseDate(value, dateFormat, locale) {
+    if (!dateFormat) {
+      return localeService.parseDate(value, locale);
+    }
+    const date = moment(value.trim(), dateFormat, true);
+    const parsed = date.isValid() ? date : moment(value.trim(), dateFormat);
+    return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+  }
+
+  // Run a template's rules against receipt text. Fields it can't read are
+  // null; `fields` keeps the raw text each rule found, for the test endpoint.
+  applyTemplate(template, text, locale) {
+    const result = {
+      extractedAmount: null,
+      extractedDate: null,
+      extractedMerchant: template.merchant_name || null,
+      invoiceNumber: null,
+      fields: {}
+    };
+
+    Object.entries(template.rules || {}).forEach(([field, rule]) => {
+      const raw = this.applyRule(rule, text);
+      result.fields[field] = raw;
+
+      // A fixed merchant name wins over the merchant rule
+      if (raw === null || (field === 'merchant' && template.merchant_name)) {
+        return;
+      }
+
+      if (field === 'amount') {
+        result[TEMPLATE_FIELDS[field]] = this.parseAmount(raw, locale);
+      } else if (field === 'date') {
+        result[TEMPLATE_FIELDS[field]] = this.parseDate(raw, template.date_format, locale);
+      } else {
+        result[TEMPLATE_FIELDS[field]] = raw;
+      }
+    });
+
+    return result;
+  }
+}
+
+module.exports = new VendorTemplateService();
@@ -0,0 +1,73 @@
+jest.mock('../database/init', () => ({}));
+
+const approvalChainService = require('../services/approvalChainService');
+
+const step = (values = {}) => ({
+  id: 1,
+  name: 'Step',
+  approver_role: 'manager',
+  approver_user_id: null,
+  min_total: null,
+  category: null,
+  ...values
+});
+
+describe('approvalChainService.requiredSteps', () => {
+  const chain = [
+    step({ id: 1, name: 'Manager' }),
+    step({ id: 2, name: 'Department head', approver_role: null, approver_user_id: 7, min_total: 1000 }),
+    step({ id: 3, name: 'Finance', approver_role: 'admin', min_total: 5000 }),
+    step({ id: 4, name: 'Travel desk', category: 'Travel' })
+  ];
+  const names = (steps) => steps.map(s => s.name);
+
+  test('adds steps as the report total goes over their thresholds', () => {
+    expect(names(approvalChainService.requiredSteps(chain, 1000, []))).toEqual(['Manager']);
+    expect(names(approvalChainService.requiredSteps(chain, 1000.01, []))).toEqual(['Manager', 'Department head']);
+    expect(names(approvalChainService.requiredSteps(chain, 7500, []))).toEqual(['Manager', 'Department head', 'Finance']);
+  });
+
+  test('adds category steps when the report has spend in the category', () => {
+    expect(names(approvalChainService.requiredSteps(chain, 20, ['Meals', 'travel']))).toEqual(['Manager', 'Travel desk']);
+  });
+
+  test('falls back to one manager approval when no step applies', () => {
+    const required = approvalChainService.requiredSteps([chain[2]], 200, []);
+    expect(required).toEqual([expect.objectContaining({ id: null, approver_role: 'manager' })]);
+  });
+});
+
+describe('approvalChainService.currentApprovals', () => {
+  test('only counts approvals since the report was last submitted', () => {
+    const history = [
+      { action: 'created' },
+      { action: 'submitted' },
+      { action: 'approved', step_id: 1 },
+      { action: 'returned', step_id: 2 },
+      { action: 'submitted' },
+      { action: 'approved', step_id: 1, user_id: 9 }
+    ];
+
+    expect(approvalChainService.currentApprovals(history)).toEqual([{ action: 'approved', step_id: 1, user_id: 9 }]);
+  });
+});
+
+describe('approvalChainService.approverFor', () => {
+  test('lets higher roles approve a role step and only the named user approve theirs', () => {
+    expect(approvalChainService.approverFor(step(), { id: 1, role: 'admin' })).toEqual({ onBehalfOf: null });
+    expect(approvalChainService.approverFor(step(), { id: 2, role: 'user' })).toBeNull();
+
+    const named = step({ approver_role: null, approver_user_id: 7 });
+    expect(approvalChainService.approverFor(named, { id: 7, role: 'user' })).toEqual({ onBehalfOf: null });
+    expect(approvalChainService.approverFor(named, { id: 1, role: 'admin' })).toBeNull();
+  });
+
+  test('lets a delegate approve for an approver who is out', () => {
+    const named = step({ approver_role: null, approver_user_id: 7 });
+    const delegate = { id: 3, role: 'user' };
+
+    expect(approvalChainService.approverFor(named, delegate, [{ id: 7, role: 'manager' }])).toEqual({ onBehalfOf: 7 });
+    expect(approvalChainService.approverFor(step(), delegate, [{ id: 7, role: 'manager' }])).toEqual({ onBehalfOf: 7 });
+    expect(approvalChainService.approverFor(step({ approver_role: 'admin' }), delegate, [{ id: 7, role: 'manager' }])).toBeNull();
+  });
+});
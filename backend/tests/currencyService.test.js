@@ -0,0 +1,94 @@
+jest.mock('../database/init', () => ({ get: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../database/init');
+const currencyService = require('../services/currencyService');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('currencyService.detectCurrency', () => {
+  test('reads currency signs and ISO codes', () => {
+    expect(currencyService.detectCurrency('Hotel Adlon\nTotal € 245,00')).toBe('EUR');
+    expect(currencyService.detectCurrency('Pret A Manger\nTOTAL £8.45')).toBe('GBP');
+    expect(currencyService.detectCurrency('Tim Hortons\nTotal C$ 12.40')).toBe('CAD');
+    expect(currencyService.detectCurrency('Amount due: 1,200.00 CHF')).toBe('CHF');
+  });
+
+  test('prefers the foreign currency over a USD conversion note', () => {
+    expect(currencyService.detectCurrency('Total EUR 45.00\nApprox. USD 49.12')).toBe('EUR');
+    expect(currencyService.detectCurrency('Total USD 45.00')).toBe('USD');
+  });
+
+  test('says nothing for receipts showing only "$"', () => {
+    expect(currencyService.detectCurrency('Starbucks\nTotal $5.75')).toBeNull();
+    expect(currencyService.detectCurrency('')).toBeNull();
+  });
+});
+
+describe('currencyService.getConverter', () => {
+  const mockCompany = (homeCurrency, rate) => {
+    db.get.mockImplementation((query, params, callback) => {
+      if (/FROM companies/.test(query)) {
+        callback(null, { settings: JSON.stringify({ homeCurrency }) });
+      } else {
+        callback(null, rate === null ? undefined : { rate_date: '2025-07-21', rate });
+      }
+    });
+  };
+
+  test('converts foreign amounts with the rate nearest the date', async () => {
+    mockCompany('USD', 1.0915);
+    const convert = await currencyService.getConverter(1);
+
+    expect(await convert(45, 'EUR', '07/22/2025')).toEqual({ currency: 'EUR', home_amount: 49.12, exchange_rate: 1.0915 });
+    const [, params] = db.get.mock.calls.find(([query]) => /exchange_rates/.test(query));
+    expect(params).toEqual(['EUR', 1, 'EUR', 'USD', 'USD', 'EUR', '2025-07-22']);
+  });
+
+  test('keeps home-currency amounts and flags missing rates', async () => {
+    mockCompany('USD', null);
+    const convert = await currencyService.getConverter(1);
+
+    expect(await convert(12, null, '2025-07-22')).toEqual({ currency: 'USD', home_amount: 12, exchange_rate: 1 });
+    expect(await convert(12, 'GBP', '2025-07-22')).toEqual({ currency: 'GBP', home_amount: null, exchange_rate: null });
+  });
+});
+
+describe('currencyService.parseRatesCsv', () => {
+  test('reads rates and reports bad rows by line', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+    const filePath = path.join(dir, 'rates.csv');
+    fs.writeFileSync(filePath, [
+      'Date,From,To,Rate',
+      '2025-07-22,eur,USD,1.0915',
+      '7/23/2025,GBP,USD,1.27',
+      '2025-07-24,EUR,EUR,1',
+      'someday,EUR,USD,1.09',
+      '2025-07-25,EUR,USD,-2'
+    ].join('\n'));
+
+    try {
+      const { rates, errors } = await currencyService.parseRatesCsv(filePath);
+
+      expect(rates).toEqual([
+        { rate_date: '2025-07-22', base_currency: 'EUR', quote_currency: 'USD', rate: 1.0915 },
+        { rate_date: '2025-07-23', base_currency: 'GBP', quote_currency: 'USD', rate: 1.27 }
+      ]);
+      expect(errors.map(error => error.line)).toEqual([4, 5, 6]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('currencyService.formatWithHome', () => {
+  test('shows the home amount next to foreign amounts', () => {
+    expect(currencyService.formatWithHome(45, 'EUR', 49.12, 'USD')).toBe('EUR 45.00 (USD 49.12)');
+    expect(currencyService.formatWithHome(45, 'EUR', null, 'USD')).toBe('EUR 45.00 (no exchange rate)');
+    expect(currencyService.formatWithHome(1234.5, null, null, 'USD')).toBe('$1,234.50');
+  });
+});
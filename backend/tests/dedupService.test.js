@@ -0,0 +1,58 @@
+jest.mock('../database/init', () => ({ all: jest.fn() }));
+
+const db = require('../database/init');
+const dedupService = require('../services/dedupService');
+
+const row = (line, transaction_date, description, amount, extra = {}) => ({
+  line,
+  transaction: { transaction_date, description, amount, dedup_key: null, ...extra }
+});
+
+describe('dedupService.assignKeys', () => {
+  test('keeps identical rows apart with occurrence counters', () => {
+    const transactions = dedupService.assignKeys([
+      { transaction_date: '2025-07-22', description: 'BLUE BOTTLE', amount: -4.5 },
+      { transaction_date: '2025-07-22', description: 'BLUE BOTTLE', amount: -4.5 }
+    ]);
+
+    expect(transactions.map(t => t.chase_transaction_id)).toEqual([
+      '2025_07_22_BLUE_BOTTLE_4_5',
+      '2025_07_22_BLUE_BOTTLE_4_5_2'
+    ]);
+  });
+
+  test('prefers the bank id when the file has one', () => {
+    const [transaction] = dedupService.assignKeys([
+      { transaction_date: '2025-07-22', description: 'BLUE BOTTLE', amount: -4.5, dedup_key: 'ofx_1234_FIT99' }
+    ]);
+
+    expect(transaction.chase_transaction_id).toBe('ofx_1234_FIT99');
+  });
+});
+
+describe('dedupService.classifyRows', () => {
+  afterEach(() => db.all.mockReset());
+
+  test('skips exact key matches and flags same-amount lookalikes for review', async () => {
+    db.all.mockImplementation((query, params, callback) => callback(null, [
+      { id: 1, chase_transaction_id: '2025_07_22_BLUE_BOTTLE_4_5', transaction_date: '2025-07-22', description: 'BLUE BOTTLE', amount: -4.5 },
+      { id: 2, chase_transaction_id: '2025_07_23_UBER_TRIP_18', transaction_date: '2025-07-23', description: 'Uber to airport', amount: -18 }
+    ]));
+
+    const rows = await dedupService.classifyRows(1, [
+      row(2, '2025-07-22', 'BLUE BOTTLE', -4.5),
+      row(3, '2025-07-22', 'BLUE BOTTLE', -4.5),
+      row(4, '2025-07-24', 'UBER *TRIP HELP.UBER.COM', -18),
+      { line: 5, error: 'Missing description' }
+    ]);
+
+    // First coffee was imported before; the second one is new
+    expect(rows[0].duplicate).toBe('existing');
+    expect(rows[1].duplicate).toBeUndefined();
+    expect(rows[1].possibleDuplicate).toBeUndefined();
+
+    // Reworded description one day later
+    expect(rows[2].possibleDuplicate).toMatchObject({ id: 2 });
+    expect(rows[2].possibleDuplicate.reason).toMatch(/one day apart/);
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../database/init', () => ({}));
+
+const db = require('../database/init');
+const expenseReportService = require('../services/expenseReportService');
+
+const report = (values = {}) => ({ id: 1, status: 'submitted', created_by: 5, ...values });
+const owner = { id: 5, role: 'user' };
+const manager = { id: 9, role: 'manager' };
+
+describe('expenseReportService.validateReport', () => {
+  test('returns the trimmed purpose and period', () => {
+    expect(expenseReportService.validateReport({
+      purpose: '  Client visit ',
+      periodStart: '2025-07-01',
+      periodEnd: '2025-07-31'
+    })).toEqual({ purpose: 'Client visit', periodStart: '2025-07-01', periodEnd: '2025-07-31' });
+  });
+
+  test('rejects a missing purpose, malformed dates and a reversed period', () => {
+    expect(() => expenseReportService.validateReport({ periodStart: '2025-07-01', periodEnd: '2025-07-31' }))
+      .toThrow('Purpose is required');
+    expect(() => expenseReportService.validateReport({ purpose: 'Trip', periodStart: '07/01/2025', periodEnd: '2025-07-31' }))
+      .toThrow(/YYYY-MM-DD/);
+    expect(() => expenseReportService.validateReport({ purpose: 'Trip', periodStart: '2025-07-31', periodEnd: '2025-07-01' }))
+      .toThrow('Period end cannot be before its start');
+  });
+});
+
+describe('expenseReportService.transitionError', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only lets a report move from the statuses its action starts from', async () => {
+    expect(await expenseReportService.transitionError(report({ status: 'approved' }), 'reject', manager, 'No'))
+      .toBe('An approved report cannot be rejected');
+    expect(await expenseReportService.transitionError(report(), 'submit', owner))
+      .toBe('A submitted report cannot be submitted');
+  });
+
+  test('needs the owner and matched transactions to submit', async () => {
+    const getItems = jest.spyOn(expenseReportService, 'getItems').mockResolvedValue([]);
+    const draft = report({ status: 'draft' });
+
+    expect(await expenseReportService.transitionError(draft, 'submit', manager)).toBe('Only the report owner can submit it');
+    expect(await expenseReportService.transitionError(draft, 'submit', owner)).toMatch(/at least one matched transaction/);
+
+    getItems.mockResolvedValue([{ id: 3, receipt_count: 1 }, { id: 4, receipt_count: 0 }]);
+    expect(await expenseReportService.transitionError(draft, 'submit', owner)).toMatch(/^1 transaction\(s\)/);
+
+    getItems.mockResolvedValue([{ id: 3, receipt_count: 1 }]);
+    expect(await expenseReportService.transitionError(draft, 'submit', owner)).toBeNull();
+  });
+
+  test('stops approvers deciding on their own report and asks for a comment to reject or send back', async () => {
+    jest.spyOn(expenseReportService, 'getApproval').mockResolvedValue({ pending: { name: 'Manager' }, acting: { onBehalfOf: null } });
+    jest.spyOn(expenseReportService, 'getHistory').mockResolvedValue([]);
+
+    expect(await expenseReportService.transitionError(report(), 'approve', owner)).toBe('You cannot decide on your own report');
+    expect(await expenseReportService.transitionError(report(), 'reject', manager, '  ')).toMatch(/comment is required/);
+    expect(await expenseReportService.transitionError(report(), 'return', manager, 'Add the hotel receipt')).toBeNull();
+    expect(await expenseReportService.transitionError(report(), 'approve', manager)).toBeNull();
+  });
+
+  test('only lets the approvers of the step the report is waiting for decide on it', async () => {
+    jest.spyOn(expenseReportService, 'getApproval').mockResolvedValue({ pending: { name: 'Finance' }, acting: null });
+
+    expect(await expenseReportService.transitionError(report(), 'approve', manager))
+      .toBe('The report is waiting for Finance, which you cannot approve');
+  });
+
+  test('needs a different person for each step since the report was last submitted', async () => {
+    const getApproval = jest.spyOn(expenseReportService, 'getApproval')
+      .mockResolvedValue({ pending: { name: 'Finance' }, acting: { onBehalfOf: null } });
+    const getHistory = jest.spyOn(expenseReportService, 'getHistory').mockResolvedValue([
+      { action: 'submitted', user_id: 5 },
+      { action: 'approved', user_id: 9, on_behalf_of: null }
+    ]);
+
+    expect(await expenseReportService.transitionError(report(), 'approve', manager))
+      .toBe('You have already approved a step of this report');
+
+    // Approving as someone's delegate counts for both of them
+    getHistory.mockResolvedValue([
+      { action: 'submitted', user_id: 5 },
+      { action: 'approved', user_id: 12, on_behalf_of: 9 }
+    ]);
+    expect(await expenseReportService.transitionError(report(), 'approve', manager))
+      .toBe('You have already approved a step of this report');
+
+    getHistory.mockResolvedValue([
+      { action: 'submitted', user_id: 5 },
+      { action: 'approved', user_id: 12, on_behalf_of: null }
+    ]);
+    getApproval.mockResolvedValue({ pending: { name: 'Finance' }, acting: { onBehalfOf: 12 } });
+    expect(await expenseReportService.transitionError(report(), 'approve', manager))
+      .toBe('The approver you are standing in for has already approved a step of this report');
+
+    // Sending the report back starts the chain over
+    getHistory.mockResolvedValue([
+      { action: 'submitted', user_id: 5 },
+      { action: 'approved', user_id: 9, on_behalf_of: null },
+      { action: 'returned', user_id: 12 },
+      { action: 'submitted', user_id: 5 }
+    ]);
+    getApproval.mockResolvedValue({ pending: { name: 'Manager' }, acting: { onBehalfOf: null } });
+    expect(await expenseReportService.transitionError(report(), 'approve', manager)).toBeNull();
+  });
+});
+
+describe('expenseReportService.lockError', () => {
+  afterEach(() => {
+    delete db.get;
+  });
+
+  test('refuses changes to transactions on a submitted or approved report', async () => {
+    db.get = jest.fn((query, params, callback) => callback(null, { purpose: 'Client visit', status: 'submitted' }));
+
+    expect(await expenseReportService.lockError(['3', 4]))
+      .toBe('The transaction is on the submitted expense report "Client visit" and cannot be changed unless the report is sent back');
+    expect(db.get.mock.calls[0][1]).toEqual(['[3,4]', '["submitted","approved"]']);
+
+    db.get = jest.fn((query, params, callback) => callback(null, { purpose: 'Client visit', status: 'approved' }));
+    expect(await expenseReportService.lockError([3]))
+      .toBe('The transaction is on the approved expense report "Client visit" and cannot be changed');
+  });
+
+  test('allows changes to transactions on no report or an editable one', async () => {
+    db.get = jest.fn((query, params, callback) => callback(null, undefined));
+
+    expect(await expenseReportService.lockError([3])).toBeNull();
+  });
+});
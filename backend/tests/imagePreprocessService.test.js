@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const imagePreprocessService = require('../services/imagePreprocessService');
+
+// White page with rows of dashed black text-like lines
+const textImage = () => {
+  const width = 600, height = 400;
+  const data = Buffer.alloc(width * height, 255);
+  for (let line = 40; line < 360; line += 30) {
+    for (let y = line; y < line + 6; y++) {
+      for (let x = 50; x < 550; x++) {
+        if ((x >> 3) % 3) data[y * width + x] = 0;
+      }
+    }
+  }
+  return { data, width, height };
+};
+
+// Light tilted quadrilateral, like a receipt photographed on a dark table
+const photoImage = (corners) => {
+  const width = 800, height = 1000;
+  const data = Buffer.alloc(width * height, 40);
+  const inside = (x, y) => corners.every((a, i) => {
+    const b = corners[(i + 1) % 4];
+    return (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x) >= 0;
+  });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (inside(x, y)) data[y * width + x] = 230;
+    }
+  }
+  return { data, width, height };
+};
+
+describe('imagePreprocessService.estimateSkewAngle', () => {
+  test('measures how far text lines are turned', async () => {
+    const image = textImage();
+
+    expect(imagePreprocessService.estimateSkewAngle(image)).toBe(0);
+    expect(imagePreprocessService.estimateSkewAngle(await imagePreprocessService.rotate(image, 5))).toBe(5);
+    expect(imagePreprocessService.estimateSkewAngle(await imagePreprocessService.rotate(image, -3))).toBe(-3);
+  });
+});
+
+describe('imagePreprocessService.findReceiptCorners', () => {
+  test('finds the corners of a receipt on a darker background', () => {
+    const corners = [{ x: 150, y: 100 }, { x: 620, y: 160 }, { x: 650, y: 900 }, { x: 120, y: 850 }];
+    const found = imagePreprocessService.findReceiptCorners(photoImage(corners));
+
+    found.forEach((point, i) => {
+      expect(Math.abs(point.x - corners[i].x)).toBeLessThan(10);
+      expect(Math.abs(point.y - corners[i].y)).toBeLessThan(10);
+    });
+
+    const cropped = imagePreprocessService.perspectiveCrop(photoImage(corners), found);
+    expect(cropped.data.every(value => value > 128)).toBe(true);
+  });
+
+  test('leaves already-cropped scans alone', () => {
+    expect(imagePreprocessService.findReceiptCorners(textImage())).toBeNull();
+  });
+});
+
+describe('imagePreprocessService.preprocess', () => {
+  test('writes a thresholded copy next to the original', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-'));
+    const filePath = path.join(dir, 'receipt.jpg');
+    const { data, width, height } = textImage();
+    await sharp(data, { raw: { width, height, channels: 1 } }).rotate(4, { background: '#ffffff' }).jpeg().toFile(filePath);
+
+    try {
+      const result = await imagePreprocessService.preprocess(filePath);
+
+      expect(result.outputPath).toBe(path.join(dir, 'receipt.processed.png'));
+      expect(result.steps).toEqual(['auto_rotate', 'grayscale', 'normalize', 'deskew', 'threshold']);
+      expect(result.skewAngle).toBe(4);
+
+      const { data: output } = await sharp(result.outputPath).raw().toBuffer({ resolveWithObject: true });
+      expect(output.every(value => value === 0 || value === 255)).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../database/init', () => ({}));
+
+const path = require('path');
+const importService = require('../services/importService');
+
+describe('importService.detectProfile', () => {
+  test('recognizes bank layouts from their header rows', () => {
+    expect(importService.detectProfile(['Transaction Date', 'Post Date', 'Description', 'Category', 'Type', 'Amount', 'Memo'])).toBe('chase');
+    expect(importService.detectProfile(['Transaction Date', 'Posted Date', 'Card No.', 'Description', 'Category', 'Debit', 'Credit'])).toBe('capital_one');
+    expect(importService.detectProfile(['Status', 'Date', 'Description', 'Debit', 'Credit'])).toBe('citi');
+    expect(importService.detectProfile(['Posted Date', 'Reference Number', 'Payee', 'Address', 'Amount'])).toBe('bank_of_america');
+    expect(importService.detectProfile(['Date', 'Description', 'Amount', 'Extended Details', 'Reference'])).toBe('amex');
+  });
+
+  test('falls back to the generic profile', () => {
+    expect(importService.detectProfile(['When', 'What', 'How Much'])).toBe('generic');
+  });
+
+  test('an explicit profile wins over detection', () => {
+    expect(importService.resolveProfile('amex', ['Transaction Date', 'Post Date', 'Description', 'Type', 'Amount']).id).toBe('amex');
+    expect(importService.resolveProfile('auto', ['Status', 'Date', 'Description', 'Debit', 'Credit']).id).toBe('citi');
+  });
+});
+
+describe('importService.mapRow', () => {
+  test('stores charges as negative amounts for every sign convention', () => {
+    const amex = importService.resolveProfile('amex', []);
+    const citi = importService.resolveProfile('citi', []);
+
+    expect(importService.mapRow({ Date: '07/22/2025', Description: 'UBER', Amount: '18.40' }, amex).transaction.amount).toBe(-18.4);
+    expect(importService.mapRow({ Date: '07/22/2025', Description: 'UBER', Debit: '18.40', Credit: '' }, citi).transaction.amount).toBe(-18.4);
+    expect(importService.mapRow({ Date: '07/22/2025', Description: 'PAYMENT', Debit: '', Credit: '500.00' }, citi).transaction.amount).toBe(500);
+  });
+
+  test('parses each profile date format to ISO', () => {
+    const capitalOne = importService.resolveProfile('capital_one', []);
+    const { transaction } = importService.mapRow({
+      'Transaction Date': '2025-07-22', 'Card No.': '1234', Description: 'DELTA', Debit: '1,204.10', Credit: ''
+    }, capitalOne);
+
+    expect(transaction.transaction_date).toBe('2025-07-22');
+    expect(transaction.amount).toBe(-1204.1);
+    expect(transaction.card_last_four).toBe('1234');
+  });
+
+  test('reports rows with unrecognized dates instead of dropping them silently', () => {
+    const chase = importService.resolveProfile('chase', []);
+    const { error } = importService.mapRow({ 'Transaction Date': '22.07.2025', Description: 'CAFE', Amount: '-4' }, chase);
+
+    expect(error).toMatch(/Unrecognized date "22.07.2025"/);
+  });
+
+  test('reads an optional currency column', () => {
+    const generic = importService.resolveProfile('generic', []);
+    const row = { Date: '7/22/2025', Description: 'HOTEL ADLON', Amount: '-245.00' };
+
+    expect(importService.mapRow({ ...row, Currency: 'eur' }, generic).transaction.currency).toBe('EUR');
+    expect(importService.mapRow(row, generic).transaction.currency).toBeNull();
+  });
+});
+
+describe('importService.localizeProfile', () => {
+  test('reads generic files in the user\'s locale but leaves bank layouts alone', () => {
+    const generic = importService.localizeProfile(importService.resolveProfile('generic', []), 'de-DE');
+    const { transaction } = importService.mapRow({ Date: '03.04.2025', Description: 'HOTEL', Amount: '-1.234,50' }, generic);
+
+    expect(transaction.transaction_date).toBe('2025-04-03');
+    expect(transaction.amount).toBe(-1234.5);
+
+    const chase = importService.localizeProfile(importService.resolveProfile('chase', []), 'de-DE');
+    expect(chase.dateFormats).toEqual(['M/D/YYYY']);
+  });
+});
+
+describe('importService.applyMapping', () => {
+  test('overrides profile columns, date format and sign convention', () => {
+    const profile = importService.applyMapping(importService.resolveProfile('generic', []), {
+      columns: { date: 'Booked', description: 'Text', amount: 'Value' },
+      dateFormat: 'DD.MM.YYYY',
+      signConvention: 'positive_debits'
+    });
+
+    const { transaction } = importService.mapRow({ Booked: '22.07.2025', Text: 'HOTEL', Value: '120.00' }, profile);
+
+    expect(transaction.transaction_date).toBe('2025-07-22');
+    expect(transaction.amount).toBe(-120);
+  });
+
+  test('reports the header each field reads from', () => {
+    const profile = importService.resolveProfile('generic', []);
+    const columns = importService.effectiveColumns(profile, ['Date', 'Payee', 'Amount', 'Ref']);
+
+    expect(columns).toMatchObject({ date: 'Date', description: 'Payee', amount: 'Amount', externalId: 'Ref', debit: null });
+  });
+});
+
+describe('importService statement formats', () => {
+  const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+  test('reads OFX transactions with the FITID as the dedup key', async () => {
+    const { profile, rows } = await importService.parseFile(fixture('statement.ofx'));
+
+    expect(profile.format).toBe('ofx');
+    expect(rows).toHaveLength(3);
+    expect(rows[0].transaction).toMatchObject({
+      transaction_date: '2025-07-22',
+      description: 'BLUE BOTTLE COFFEE & TEA',
+      amount: -42.5,
+      card_last_four: '4321',
+      external_transaction_id: '2025072200001',
+      currency: 'USD'
+    });
+
+    // Two identical coffees on the same day stay distinct
+    const keys = rows.map(row => row.transaction.dedup_key);
+    expect(keys[0]).toBe('ofx_4111111111114321_2025072200001');
+    expect(new Set(keys).size).toBe(3);
+  });
+
+  test('reads QIF records and reports bad dates by line', async () => {
+    const { profile, rows } = await importService.parseFile(fixture('statement.qif'));
+
+    expect(profile.format).toBe('qif');
+    expect(rows[0].transaction).toMatchObject({ transaction_date: '2025-07-22', amount: -42.5, category: 'Dining' });
+    expect(rows[1].transaction.external_transaction_id).toBe('10045');
+    expect(rows[2]).toMatchObject({ line: 12, error: expect.stringMatching(/Unrecognized date/) });
+  });
+});
+
+describe('importService.hashFile', () => {
+  test('gives the same statement the same hash', async () => {
+    const ofx = path.join(__dirname, 'fixtures', 'statement.ofx');
+    const qif = path.join(__dirname, 'fixtures', 'statement.qif');
+
+    expect(await importService.hashFile(ofx)).toMatch(/^[0-9a-f]{64}$/);
+    expect(await importService.hashFile(ofx)).toBe(await importService.hashFile(ofx));
+    expect(await importService.hashFile(ofx)).not.toBe(await importService.hashFile(qif));
+  });
+});
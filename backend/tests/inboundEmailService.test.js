@@ -0,0 +1,144 @@
+jest.mock('../database/init', () => ({ run: jest.fn(), get: jest.fn(), all: jest.fn() }));
+jest.mock('../services/receiptUploadService', () => ({
+  createReceipt: jest.fn(),
+  mimeTypeFor: jest.fn(() => null)
+}));
+
+const fs = require('fs');
+const net = require('net');
+const db = require('../database/init');
+const inboundEmailService = require('../services/inboundEmailService');
+
+// Send SMTP commands one at a time, resolving to each reply
+const smtpClient = (port) => new Promise((resolve, reject) => {
+  const socket = net.connect(port, '127.0.0.1');
+  let buffer = '';
+  let waiting = null;
+
+  socket.setEncoding('utf8');
+  socket.on('error', reject);
+  socket.on('data', chunk => {
+    buffer += chunk;
+    // Replies end with a line whose code is followed by a space
+    const match = buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+    if (match && waiting) {
+      const reply = buffer;
+      buffer = '';
+      const done = waiting;
+      waiting = null;
+      done(reply);
+    }
+  });
+
+  const nextReply = () => new Promise(done => { waiting = done; });
+  const send = (text) => {
+    const reply = nextReply();
+    socket.write(`${text}\r\n`);
+    return reply;
+  };
+
+  nextReply().then(greeting => resolve({ greeting, send, close: () => socket.end() }));
+});
+
+describe('inboundEmailService addresses', () => {
+  test('reads the company token from receipts+<token> addresses only', () => {
+    expect(inboundEmailService.tokenFromAddress('Receipts+ab12@receipts.example.com')).toBe('ab12');
+    expect(inboundEmailService.tokenFromAddress('receipts@receipts.example.com')).toBeNull();
+    expect(inboundEmailService.tokenFromAddress('ann+ab12@example.com')).toBeNull();
+  });
+});
+
+describe('inboundEmailService.ingest', () => {
+  beforeEach(() => {
+    jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+    jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+    db.run.mockImplementation(function(query, params, callback) {
+      callback.call({ lastID: 4, changes: 1 }, null);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects mail whose envelope sender does not match the From header', async () => {
+    const findMember = jest.spyOn(inboundEmailService, 'findMember').mockResolvedValue({ id: 3, email: 'ann@example.com' });
+    const message = { from: 'ann@example.com', subject: 'Lunch', attachments: [] };
+
+    const result = await inboundEmailService.ingest(7, Buffer.from(''), message, 'eve@example.com');
+
+    expect(result).toMatchObject({
+      status: 'rejected',
+      error: 'The envelope sender eve@example.com does not match the From address ann@example.com'
+    });
+    expect(findMember).not.toHaveBeenCalled();
+  });
+});
+
+describe('inboundEmailService SMTP listener', () => {
+  let port;
+
+  beforeAll(async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ port } = await inboundEmailService.start({ port: 0, host: '127.0.0.1' }));
+    log.mockRestore();
+  });
+
+  afterAll(async () => {
+    await inboundEmailService.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(inboundEmailService, 'findCompanyByAddress').mockImplementation(async (address) =>
+      address === 'receipts+abc@localhost' ? { id: 7, name: 'Acme' } : null
+    );
+    jest.spyOn(inboundEmailService, 'receive').mockResolvedValue([
+      { companyId: 7, status: 'processed', error: null, receiptCount: 2 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts mail for a company mailbox and hands over the unstuffed message', async () => {
+    const client = await smtpClient(port);
+    expect(client.greeting).toMatch(/^220 /);
+
+    expect(await client.send('EHLO mail.example.com')).toMatch(/250-SIZE \d+/);
+    expect(await client.send('DATA')).toMatch(/^503 /);
+    expect(await client.send('MAIL FROM:<ann@example.com>')).toMatch(/^250 /);
+    expect(await client.send('RCPT TO:<nobody@localhost>')).toMatch(/^550 /);
+    expect(await client.send('RCPT TO:<receipts+abc@localhost>')).toMatch(/^250 /);
+    expect(await client.send('DATA')).toMatch(/^354 /);
+    const reply = await client.send('From: ann@example.com\r\nSubject: Lunch\r\n\r\n..dotted line\r\n.');
+    expect(reply).toBe('250 OK: 2 receipt(s) created\r\n');
+    expect(await client.send('QUIT')).toMatch(/^221 /);
+    client.close();
+
+    const [raw, envelope] = inboundEmailService.receive.mock.calls[0];
+    expect(raw.toString()).toBe('From: ann@example.com\r\nSubject: Lunch\r\n\r\n.dotted line\r\n');
+    expect(envelope).toEqual({ sender: 'ann@example.com', recipients: ['receipts+abc@localhost'] });
+  });
+
+  test('hangs up on a line longer than the SMTP limit', async () => {
+    const client = await smtpClient(port);
+
+    expect(await client.send(`HELO ${'x'.repeat(1200)}`)).toBe('500 Line too long\r\n');
+    client.close();
+  });
+
+  test('bounces mail that no company accepted', async () => {
+    inboundEmailService.receive.mockResolvedValue([
+      { companyId: 7, status: 'rejected', error: 'eve@example.com is not a member of this company', receiptCount: 0 }
+    ]);
+    const client = await smtpClient(port);
+
+    expect(await client.send('RCPT TO:<receipts+abc@localhost>')).toMatch(/^503 /);
+    await client.send('MAIL FROM:<eve@example.com>');
+    await client.send('RCPT TO:<receipts+abc@localhost>');
+    await client.send('DATA');
+    expect(await client.send('Subject: hi\r\n\r\nhello\r\n.')).toBe('550 eve@example.com is not a member of this company\r\n');
+    client.close();
+  });
+});
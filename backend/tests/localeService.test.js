@@ -0,0 +1,44 @@
+jest.mock('../database/init', () => ({ get: jest.fn(), run: jest.fn() }));
+
+const db = require('../database/init');
+const localeService = require('../services/localeService');
+
+describe('localeService.parseDate', () => {
+  test('reads ambiguous numeric dates in the locale\'s order', () => {
+    expect(localeService.parseDate('03/04/2025', 'en-US')).toBe('2025-03-04');
+    expect(localeService.parseDate('03/04/2025', 'en-GB')).toBe('2025-04-03');
+    expect(localeService.parseDate('3.4.25', 'de-DE')).toBe('2025-04-03');
+  });
+
+  test('falls back to another order only when the locale\'s can\'t be a date', () => {
+    expect(localeService.parseDate('04/23/2025', 'en-GB')).toBe('2025-04-23');
+    expect(localeService.parseDate('22 Jul 2025', 'en-US')).toBe('2025-07-22');
+    expect(localeService.parseDate('13/45/2025', 'en-US')).toBeNull();
+  });
+});
+
+describe('localeService.parseAmount', () => {
+  test('uses the locale\'s decimal separator for a lone separator', () => {
+    expect(localeService.parseAmount('1,234', 'en-US')).toBe(1234);
+    expect(localeService.parseAmount('12,50', 'en-US')).toBe(12.5);
+    expect(localeService.parseAmount('1.234', 'de-DE')).toBe(1234);
+    expect(localeService.parseAmount('12,5', 'de-DE')).toBe(12.5);
+  });
+
+  test('takes the last separator as the decimal point when both appear', () => {
+    expect(localeService.parseAmount('$1,234.56', 'de-DE')).toBe(1234.56);
+    expect(localeService.parseAmount('1.234,56 €', 'en-US')).toBe(1234.56);
+  });
+});
+
+describe('localeService.resolveLocale', () => {
+  test('prefers the user\'s locale over the company\'s', async () => {
+    db.get.mockImplementation((query, params, callback) => callback(null,
+      /FROM users/.test(query) ? { locale: null } : { settings: JSON.stringify({ locale: 'fr-FR' }) }));
+    expect(await localeService.resolveLocale(1, 2)).toBe('fr-FR');
+
+    db.get.mockImplementation((query, params, callback) => callback(null,
+      /FROM users/.test(query) ? { locale: 'en-GB' } : { settings: JSON.stringify({ locale: 'fr-FR' }) }));
+    expect(await localeService.resolveLocale(1, 2)).toBe('en-GB');
+  });
+});
@@ -0,0 +1,236 @@
+jest.mock('../database/init', () => ({}));
+
+const matchingService = require('../services/matchingService');
+
+const receipt = {
+  extracted_amount: 42.5,
+  extracted_date: '07/22/2025',
+  extracted_merchant: 'Blue Bottle Coffee'
+};
+
+describe('matchingService.findPotentialMatches', () => {
+  test('scores an exact amount, same day and merchant match with the default weights', () => {
+    const [match] = matchingService.findPotentialMatches(receipt, [
+      { id: 1, amount: -42.5, transaction_date: '2025-07-22', description: 'BLUE BOTTLE COFFEE OAKLAND' }
+    ]);
+
+    expect(match.transaction.id).toBe(1);
+    expect(match.confidence).toBe(105);
+    expect(match.reasons).toEqual(expect.arrayContaining(['Exact amount match', 'Same date']));
+  });
+
+  test('sorts candidates by confidence and drops those below the minimum', () => {
+    const matches = matchingService.findPotentialMatches(receipt, [
+      { id: 1, amount: -45, transaction_date: '2025-07-25', description: 'GAS STATION' },
+      { id: 2, amount: -42.5, transaction_date: '2025-07-23', description: 'SQ *BLUE BOTTLE' },
+      { id: 3, amount: -900, transaction_date: '2024-01-01', description: 'AIRLINE' }
+    ]);
+
+    expect(matches.map(m => m.transaction.id)).toEqual([2, 1]);
+  });
+
+  test('applies company overrides for weights and tolerances', () => {
+    const settings = matchingService.resolveSettings({
+      amount: { closePoints: 50, closeTolerance: 3 },
+      date: { nearbyDays: 5 }
+    });
+
+    const [match] = matchingService.findPotentialMatches(receipt, [
+      { id: 1, amount: -45, transaction_date: '2025-07-26', description: 'GAS STATION' }
+    ], settings);
+
+    expect(match.confidence).toBe(55);
+    expect(match.reasons).toContain('Within 5 days');
+  });
+});
+
+describe('matchingService.scoreTransaction', () => {
+  test('records the points and reason contributed by each factor', () => {
+    const match = matchingService.scoreTransaction(receipt, {
+      id: 1, amount: -43, transaction_date: '2025-07-23', description: 'SQ *BLUE BOTTLE'
+    });
+
+    expect(match.breakdown.amount).toEqual({ points: 40, reason: 'Very close amount match', difference: 0.5 });
+    expect(match.breakdown.date).toEqual({ points: 15, reason: 'Within 1 day', daysDiff: 1 });
+    expect(match.breakdown.merchant.points).toBe(15);
+    expect(match.breakdown.merchant.matchedWords).toEqual(['blue', 'bottle']);
+
+    const details = JSON.parse(matchingService.serializeDetails(match));
+    expect(details.total).toBe(70);
+    expect(details.reasons).toHaveLength(3);
+  });
+
+  test('compares foreign-currency receipts to card charges in the home currency', () => {
+    const euroReceipt = { ...receipt, extracted_amount: 39, currency: 'EUR', home_amount: 42.57 };
+    const charge = { id: 1, amount: -43.8, currency: 'USD', transaction_date: '2025-07-22', description: 'BLUE BOTTLE BERLIN' };
+
+    const match = matchingService.scoreTransaction(euroReceipt, charge);
+    expect(match.breakdown.amount.points).toBe(60);
+    expect(match.breakdown.amount.reason).toBe('Amount matches after currency conversion (EUR → USD, 2.8% apart)');
+
+    const strict = matchingService.resolveSettings({ currency: { fxTolerancePercent: 1 } });
+    expect(matchingService.scoreTransaction(euroReceipt, charge, strict).breakdown.amount.reason).toBe('Close amount match');
+
+    const noRate = matchingService.scoreTransaction({ ...euroReceipt, home_amount: null }, charge);
+    expect(noRate.breakdown.amount.points).toBe(0);
+  });
+});
+
+describe('matchingService.findOptimalAssignment', () => {
+  const settings = matchingService.resolveSettings({});
+
+  test('never assigns the same transaction to two receipts', () => {
+    const receipts = [
+      { id: 1, extracted_amount: 20, extracted_date: '03/01/2025', extracted_merchant: 'Cafe' },
+      { id: 2, extracted_amount: 20, extracted_date: '03/02/2025', extracted_merchant: 'Cafe' }
+    ];
+    const transactions = [
+      { id: 10, amount: -20, transaction_date: '2025-03-01', description: 'CAFE' },
+      { id: 11, amount: -20, transaction_date: '2025-03-02', description: 'CAFE' }
+    ];
+
+    const assignments = matchingService.findOptimalAssignment(receipts, transactions, settings, 70);
+    const pairs = assignments.map(a => [a.receipt.id, a.transaction.id]).sort();
+
+    expect(pairs).toEqual([[1, 10], [2, 11]]);
+  });
+
+  test('maximizes total confidence rather than each receipt greedily', () => {
+    // Receipt 1 slightly prefers transaction 10, but receipt 2 can only use 10
+    const receipts = [
+      { id: 1, extracted_amount: 50, extracted_date: '03/01/2025' },
+      { id: 2, extracted_amount: 50.5, extracted_date: '03/01/2025' }
+    ];
+    const transactions = [
+      { id: 10, amount: -50, transaction_date: '2025-03-01', description: 'STORE' },
+      { id: 11, amount: -50, transaction_date: '2025-03-02', description: 'STORE' }
+    ];
+
+    const assignments = matchingService.findOptimalAssignment(receipts, transactions, settings, 60);
+    const pairs = assignments.map(a => [a.receipt.id, a.transaction.id]).sort();
+
+    expect(pairs).toEqual([[1, 11], [2, 10]]);
+  });
+
+  test('skips rejected pairs', () => {
+    const receipts = [{ id: 1, extracted_amount: 20, extracted_date: '03/01/2025' }];
+    const transactions = [{ id: 10, amount: -20, transaction_date: '2025-03-01', description: 'CAFE' }];
+
+    const assignments = matchingService.findOptimalAssignment(receipts, transactions, settings, 70, new Set(['1:10']));
+
+    expect(assignments).toEqual([]);
+  });
+});
+
+describe('matchingService split matching', () => {
+  test('finds transactions that add up to one receipt', () => {
+    const folio = { id: 1, extracted_amount: 412.35, extracted_date: '05/10/2025', extracted_merchant: 'Grand Hotel' };
+    const transactions = [
+      { id: 10, amount: -289.0, transaction_date: '2025-05-09', description: 'GRAND HOTEL ROOM' },
+      { id: 11, amount: -123.35, transaction_date: '2025-05-10', description: 'GRAND HOTEL RESTAURANT' },
+      { id: 12, amount: -55.1, transaction_date: '2025-05-10', description: 'TAXI' }
+    ];
+
+    const [split] = matchingService.findSplitMatches(folio, transactions);
+
+    expect(split.transactions.map(t => t.id).sort()).toEqual([10, 11]);
+    expect(split.allocations.map(a => a.allocated_amount).sort()).toEqual([123.35, 289]);
+    expect(split.breakdown.split.parts).toBe(2);
+  });
+
+  test('finds receipts that add up to one transaction', () => {
+    const charge = { id: 20, amount: -90, transaction_date: '2025-06-01', description: 'AMAZON MKTPL' };
+    const receipts = [
+      { id: 1, extracted_amount: 30, extracted_date: '06/01/2025', extracted_merchant: 'Amazon' },
+      { id: 2, extracted_amount: 45, extracted_date: '06/01/2025', extracted_merchant: 'Amazon' },
+      { id: 3, extracted_amount: 15, extracted_date: '05/31/2025', extracted_merchant: 'Amazon' }
+    ];
+
+    const [split] = matchingService.findSplitReceiptMatches(charge, receipts);
+
+    expect(split.receipts.map(r => r.id).sort()).toEqual([1, 2, 3]);
+    expect(split.allocations.reduce((sum, a) => sum + a.allocated_amount, 0)).toBe(90);
+  });
+
+  test('stores each receipt share of a charge in the currency of the charge', () => {
+    const charge = { id: 20, amount: -110, currency: 'USD', transaction_date: '2025-06-01', description: 'HOTEL PARIS' };
+    const receipts = [
+      { id: 1, extracted_amount: 50, currency: 'EUR', home_amount: 55, extracted_date: '06/01/2025' },
+      { id: 2, extracted_amount: 55, currency: 'USD', extracted_date: '06/01/2025' },
+      { id: 3, extracted_amount: 40, currency: 'GBP', home_amount: null, extracted_date: '06/01/2025' }
+    ];
+
+    const split = matchingService.scoreSplit(receipts, [charge], matchingService.resolveSettings({}));
+
+    expect(split.allocations.map(a => a.allocated_amount)).toEqual([55, 55, 36.67]);
+  });
+
+  test('only offers the part of a split charge that confirmed receipts leave uncovered', () => {
+    const charge = { id: 20, amount: -90, home_amount: -99, covered_amount: 30, currency: 'EUR' };
+
+    expect(matchingService.uncoveredPart(charge)).toMatchObject({ amount: -60, home_amount: -66, covered_amount: 30 });
+    expect(matchingService.uncoveredPart({ ...charge, covered_amount: 0 })).toMatchObject({ amount: -90, home_amount: -99 });
+
+    const [match] = matchingService.findPotentialMatches(
+      { extracted_amount: 60, currency: 'EUR', extracted_date: '06/01/2025' },
+      [{ ...matchingService.uncoveredPart(charge), transaction_date: '2025-06-01', description: 'AMAZON' }]
+    );
+    expect(match.reasons).toContain('Exact amount match');
+  });
+
+  test('auto-assignment falls back to splits for leftovers', () => {
+    const receipts = [{ id: 1, extracted_amount: 100, extracted_date: '05/10/2025' }];
+    const transactions = [
+      { id: 10, amount: -60, transaction_date: '2025-05-10', description: 'HOTEL' },
+      { id: 11, amount: -40, transaction_date: '2025-05-10', description: 'HOTEL' }
+    ];
+
+    const [assignment] = matchingService.findOptimalAssignment(receipts, transactions, matchingService.resolveSettings({}), 70);
+
+    expect(assignment.split).toBe(true);
+    expect(assignment.allocations).toHaveLength(2);
+  });
+});
+
+describe('matchingService.resolveSettings', () => {
+  test('falls back to defaults for missing or invalid values', () => {
+    const settings = matchingService.resolveSettings({
+      autoMatchThreshold: '85',
+      amount: { exactPoints: 'abc', closePoints: -4 }
+    });
+
+    expect(settings.autoMatchThreshold).toBe(85);
+    expect(settings.amount.exactPoints).toBe(60);
+    expect(settings.amount.closePoints).toBe(20);
+    expect(settings.merchant.maxPoints).toBe(20);
+  });
+});
+
+describe('matchingService merchant aliases', () => {
+  const aliases = [
+    { id: 1, merchant_name: 'amazon com', description_pattern: 'amzn mktp', confirmed_count: 3 }
+  ];
+  const amazonReceipt = { extracted_amount: 25, extracted_date: '06/01/2025', extracted_merchant: 'Amazon.com' };
+
+  test('normalizes processor prefixes and store numbers out of descriptions', () => {
+    expect(matchingService.normalizeDescription('SQ *BLUE BOTTLE #0412 OAKLAND')).toBe('blue bottle oakland');
+    expect(matchingService.normalizeMerchant('Amazon.com, Inc.')).toBe('amazon com');
+  });
+
+  test('awards alias points when the description matches a learned alias', () => {
+    const settings = { ...matchingService.resolveSettings({}), merchantAliases: aliases };
+
+    const match = matchingService.scoreTransaction(amazonReceipt, {
+      id: 1, amount: -25, transaction_date: '2025-06-01', description: 'AMZN Mktp US*2K3LP1'
+    }, settings);
+
+    expect(match.breakdown.merchant.points).toBe(20);
+    expect(match.breakdown.merchant.reason).toBe('Learned merchant alias (confirmed 3 times)');
+    expect(match.breakdown.merchant.aliasId).toBe(1);
+  });
+
+  test('ignores aliases for other merchants', () => {
+    const alias = matchingService.findMerchantAlias('Target', 'AMZN MKTP US', aliases);
+    expect(alias).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+const mimeService = require('../services/mimeService');
+const htmlReceiptService = require('../services/htmlReceiptService');
+
+const message = (lines) => lines.join('\r\n');
+
+describe('mimeService.parseMessage', () => {
+  test('reads headers, a quoted-printable HTML body and a base64 PDF attachment', () => {
+    const pdf = Buffer.from('%PDF-1.4 uber receipt');
+    const parsed = mimeService.parseMessage(message([
+      'From: "Ann Lee" <Ann@Example.com>',
+      'To: receipts+abc123@receipts.example.com, other@example.com',
+      'Subject: =?utf-8?Q?Fwd:_Caf=C3=A9_receipt?=',
+      'Message-ID: <1@example.com>',
+      'Content-Type: multipart/mixed; boundary="outer"',
+      '',
+      '--outer',
+      'Content-Type: multipart/alternative; boundary=inner',
+      '',
+      '--inner',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      'Total 12.00',
+      '--inner',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '<p>Caf=C3=A9 total: =',
+      '<b>12.00</b></p>',
+      '--inner--',
+      '--outer',
+      'Content-Type: application/pdf; name="ride.pdf"',
+      'Content-Disposition: attachment; filename="ride.pdf"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      pdf.toString('base64'),
+      '--outer--',
+      ''
+    ]));
+
+    expect(parsed.from).toBe('ann@example.com');
+    expect(parsed.to).toEqual(['receipts+abc123@receipts.example.com', 'other@example.com']);
+    expect(parsed.subject).toBe('Fwd: Café receipt');
+    expect(parsed.messageId).toBe('<1@example.com>');
+    expect(parsed.text).toBe('Total 12.00');
+    expect(parsed.html).toBe('<p>Café total: <b>12.00</b></p>');
+    expect(parsed.attachments).toHaveLength(1);
+    expect(parsed.attachments[0]).toMatchObject({ contentType: 'application/pdf', disposition: 'attachment', filename: 'ride.pdf' });
+    expect(parsed.attachments[0].content.equals(pdf)).toBe(true);
+  });
+
+  test('decodes RFC 2231 filenames and walks messages forwarded as attachments', () => {
+    const parsed = mimeService.parseMessage(message([
+      'From: bob@example.com',
+      'Content-Type: multipart/mixed; boundary=b1',
+      '',
+      '--b1',
+      'Content-Type: message/rfc822',
+      'Content-Disposition: attachment',
+      '',
+      'From: orders@shop.example',
+      'Subject: Your order',
+      'Content-Type: multipart/mixed; boundary=b2',
+      '',
+      '--b2',
+      'Content-Type: text/html',
+      '',
+      '<table><tr><td>Total</td><td>$40.00</td></tr></table>',
+      '--b2',
+      'Content-Type: image/jpeg',
+      "Content-Disposition: attachment; filename*=utf-8''re%C3%A7u.jpg",
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('jpeg').toString('base64'),
+      '--b2--',
+      '--b1--'
+    ]));
+
+    expect(parsed.from).toBe('bob@example.com');
+    expect(parsed.html).toContain('$40.00');
+    expect(parsed.attachments.map(a => a.filename)).toEqual(['reçu.jpg']);
+  });
+});
+
+describe('htmlReceiptService.htmlToText', () => {
+  test('keeps table rows on one line and drops markup, styles and entities', () => {
+    const text = htmlReceiptService.htmlToText(`
+      <html><head><style>td { color: red; }</style></head>
+      <body><h1>Thanks&nbsp;for riding</h1>
+      <table><tr><td>Trip fare</td><td>&#36;18.20</td></tr>
+      <tr><td>Total</td><td>&euro;21.00</td></tr></table>
+      <!-- tracking --><p>See you soon</p></body></html>
+    `);
+
+    expect(text).toBe('Thanks for riding\nTrip fare $18.20\nTotal €21.00\nSee you soon');
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../database/init', () => ({ run: jest.fn(), get: jest.fn() }));
+jest.mock('../services/ocrService', () => ({ processReceipt: jest.fn() }));
+jest.mock('../services/matchingService', () => ({ autoMatchReceipt: jest.fn() }));
+jest.mock('../services/receiptService', () => ({
+  saveLineItems: jest.fn().mockResolvedValue(0),
+  savePages: jest.fn().mockResolvedValue(0),
+  needsReview: jest.fn().mockReturnValue(true)
+}));
+jest.mock('../services/vendorTemplateService', () => ({ getTemplates: jest.fn().mockResolvedValue([]) }));
+jest.mock('../services/currencyService', () => ({
+  getConverter: jest.fn().mockResolvedValue(async (amount, currency) => ({
+    currency: currency || 'USD', home_amount: amount, exchange_rate: 1
+  }))
+}));
+jest.mock('../services/localeService', () => ({ resolveLocale: jest.fn().mockResolvedValue('en-GB') }));
+jest.mock('../services/receiptDedupService', () => ({
+  textFingerprint: jest.fn().mockReturnValue('0f0f0f0f0f0f0f0f'),
+  flagDuplicates: jest.fn().mockResolvedValue([]),
+  hasPendingDuplicates: jest.fn().mockResolvedValue(false)
+}));
+
+const db = require('../database/init');
+const ocrService = require('../services/ocrService');
+const matchingService = require('../services/matchingService');
+const receiptService = require('../services/receiptService');
+const receiptDedupService = require('../services/receiptDedupService');
+const ocrQueueService = require('../services/ocrQueueService');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.run.mockImplementation(function(query, params, callback) {
+    callback.call({ changes: 1, lastID: 1 }, null);
+  });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.warn.mockRestore();
+  console.error.mockRestore();
+});
+
+const job = (attempts, maxAttempts = 3) => ({ id: 7, receipt_id: 42, attempts, max_attempts: maxAttempts });
+
+describe('ocrQueueService retries', () => {
+  test('backs off exponentially', () => {
+    expect([1, 2, 3].map(attempt => ocrQueueService.retryDelaySeconds(attempt))).toEqual([30, 60, 120]);
+  });
+
+  test('requeues a failed attempt while attempts remain', async () => {
+    await ocrQueueService.handleFailure(job(1), new Error('Tesseract crashed'));
+
+    const [jobQuery, jobParams] = db.run.mock.calls[0];
+    expect(jobQuery).toMatch(/status = 'queued'/);
+    expect(jobParams).toEqual(['Tesseract crashed', '+30 seconds', 7]);
+    expect(db.run.mock.calls[1][0]).toMatch(/processing_status = 'pending'/);
+  });
+
+  test('marks the receipt failed after the last attempt', async () => {
+    await ocrQueueService.handleFailure(job(3), new Error('Unreadable file'));
+
+    expect(db.run.mock.calls[0][0]).toMatch(/status = 'failed'/);
+    expect(db.run.mock.calls[1][0]).toMatch(/processing_status = 'failed'/);
+    expect(db.run.mock.calls[1][1]).toEqual(['Unreadable file', 42]);
+  });
+});
+
+describe('ocrQueueService.processJob', () => {
+  test('stores the OCR result and auto-matches the receipt', async () => {
+    db.get.mockImplementation((query, params, callback) => callback(null, {
+      id: 42, file_path: '/uploads/receipts/a.pdf', mime_type: null
+    }));
+    const lineItems = [{ line_number: 1, description: 'Latte', quantity: 2, unit_price: 4.5, total: 9 }];
+    const pages = [{ pageNumber: 1, text: 'Total $12.00', method: 'text_layer' }];
+    const fieldConfidence = { amount: { value: 12, source: 'total_label', confidence: 85 } };
+    ocrService.processReceipt.mockResolvedValue({
+      text: 'Total $12.00', extractedAmount: 12, extractedDate: '07/22/2025', extractedMerchant: 'Cafe',
+      invoiceNumber: 'INV-9', vendorTemplateId: 3,
+      amountBreakdown: { subtotal: 10, tax: 0.8, tip: 1.2 },
+      lineItems,
+      fieldConfidence,
+      preprocessing: null,
+      pages
+    });
+
+    await ocrQueueService.processJob(job(1));
+
+    expect(ocrService.processReceipt).toHaveBeenCalledWith('/uploads/receipts/a.pdf', 'application/pdf', [], 'en-GB');
+    expect(receiptService.saveLineItems).toHaveBeenCalledWith(42, lineItems);
+    expect(receiptService.savePages).toHaveBeenCalledWith(42, pages);
+    const update = db.run.mock.calls.find(([query]) => /processing_status = 'completed'/.test(query));
+    expect(update[1]).toEqual([
+      'Total $12.00', 12, '07/22/2025', 'Cafe', 'INV-9', 3, 10, 0.8, 1.2, 'USD', 12, 1,
+      JSON.stringify(fieldConfidence), 1, null, null, 1, '0f0f0f0f0f0f0f0f', 42
+    ]);
+    expect(receiptService.needsReview).toHaveBeenCalledWith(fieldConfidence);
+    expect(receiptDedupService.flagDuplicates).toHaveBeenCalledWith(expect.objectContaining({
+      id: 42, text_fingerprint: '0f0f0f0f0f0f0f0f', extracted_amount: 12, extracted_date: '07/22/2025'
+    }));
+    expect(matchingService.autoMatchReceipt).toHaveBeenCalledWith(42);
+  });
+
+  test('holds back auto-matching while the receipt may be a duplicate', async () => {
+    db.get.mockImplementation((query, params, callback) => callback(null, {
+      id: 42, file_path: '/uploads/receipts/a.pdf', mime_type: 'application/pdf'
+    }));
+    ocrService.processReceipt.mockResolvedValue({ text: 'Total $12.00', extractedAmount: 12, fieldConfidence: {} });
+    receiptDedupService.hasPendingDuplicates.mockResolvedValueOnce(true);
+
+    await ocrQueueService.processJob(job(1));
+
+    expect(matchingService.autoMatchReceipt).not.toHaveBeenCalled();
+  });
+
+  test('keeps the job completed when the duplicate check fails', async () => {
+    db.get.mockImplementation((query, params, callback) => callback(null, {
+      id: 42, file_path: '/uploads/receipts/a.pdf', mime_type: 'application/pdf'
+    }));
+    ocrService.processReceipt.mockResolvedValue({ text: 'Total $12.00', extractedAmount: 12, fieldConfidence: {} });
+    receiptDedupService.flagDuplicates.mockRejectedValueOnce(new Error('database is locked'));
+
+    await ocrQueueService.processJob(job(1));
+
+    const queries = db.run.mock.calls.map(([query]) => query);
+    expect(queries.some(query => /status = 'completed'/.test(query))).toBe(true);
+    expect(queries.some(query => /status = 'queued'|status = 'failed'|processing_status = 'pending'/.test(query))).toBe(false);
+    expect(matchingService.autoMatchReceipt).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Error checking for duplicate receipts:', expect.any(Error));
+  });
+
+  test('reads a rendered receipt from its email or HTML source', async () => {
+    db.get.mockImplementation((query, params, callback) => callback(null, {
+      id: 42, file_path: '/uploads/receipts/order.pdf', mime_type: 'application/pdf',
+      source_file_path: '/uploads/receipts/order.eml', source_mime_type: 'message/rfc822'
+    }));
+    ocrService.processReceipt.mockResolvedValue({ text: 'Total $43.20', extractedAmount: 43.2, fieldConfidence: {} });
+
+    await ocrQueueService.processJob(job(1));
+
+    expect(ocrService.processReceipt).toHaveBeenCalledWith('/uploads/receipts/order.eml', 'message/rfc822', [], 'en-GB');
+  });
+
+  test('hands OCR errors to the retry logic', async () => {
+    db.get.mockImplementation((query, params, callback) => callback(null, {
+      id: 42, file_path: '/uploads/receipts/a.png', mime_type: 'image/png'
+    }));
+    ocrService.processReceipt.mockRejectedValue(new Error('Out of memory'));
+
+    await ocrQueueService.processJob(job(1));
+
+    expect(db.run.mock.calls.some(([query]) => /status = 'queued'/.test(query))).toBe(true);
+    expect(matchingService.autoMatchReceipt).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../database/init', () => ({}));
+jest.mock('pdf-parse', () => jest.fn());
+jest.mock('tesseract.js', () => ({ recognize: jest.fn() }));
+jest.mock('../services/pdfRasterService', () => ({ rasterizePages: jest.fn(), cleanup: jest.fn() }));
+jest.mock('../services/imagePreprocessService', () => ({ preprocess: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const Tesseract = require('tesseract.js');
+const pdfRasterService = require('../services/pdfRasterService');
+const imagePreprocessService = require('../services/imagePreprocessService');
+const ocrService = require('../services/ocrService');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+// A PDF page as pdf-parse hands it to its page renderer
+const pdfPage = (pageIndex, lines) => ({
+  pageIndex,
+  getTextContent: async () => ({
+    items: lines.map((str, i) => ({ str, transform: [1, 0, 0, 1, 0, 700 - i * 20] }))
+  })
+});
+
+const receiptText = [
+  'Blue Cafe',
+  '123 Main St',
+  '07/22/2025',
+  '2 x Latte 9.00',
+  'Croissant 2 @ 3.25',
+  'Sandwich $8.25',
+  'Water 1.50 3.00',
+  'Subtotal 26.75',
+  'Tax 2.10',
+  'Tip 5.00',
+  'Total 33.85',
+  'VISA 1234 33.85'
+].join('\n');
+
+describe('ocrService.extractLineItems', () => {
+  test('reads quantity, unit price and total from item lines', () => {
+    expect(ocrService.extractLineItems(receiptText)).toEqual([
+      { line_number: 1, description: 'Latte', quantity: 2, unit_price: 4.5, total: 9 },
+      { line_number: 2, description: 'Croissant', quantity: 2, unit_price: 3.25, total: 6.5 },
+      { line_number: 3, description: 'Sandwich', quantity: 1, unit_price: 8.25, total: 8.25 },
+      { line_number: 4, description: 'Water', quantity: 2, unit_price: 1.5, total: 3 }
+    ]);
+  });
+
+  test('ignores payment lines and anything after the totals', () => {
+    const items = ocrService.extractLineItems('Cash 20.00\nTotal 12.00\nRefund slip 4.00');
+    expect(items).toEqual([]);
+  });
+});
+
+describe('ocrService.parseReceiptText', () => {
+  test('separates subtotal, tax and tip', () => {
+    const result = ocrService.parseReceiptText(receiptText);
+
+    expect(result.amountBreakdown).toMatchObject({ subtotal: 26.75, tax: 2.1, tip: 5, total: 33.85 });
+    expect(result.extractedAmount).toBe(33.85);
+    expect(result.lineItems).toHaveLength(4);
+  });
+
+  test('reads dates and amounts in the receipt\'s locale and returns ISO dates', () => {
+    const text = 'Bäckerei Schmidt GmbH\nDatum: 03.04.2025\nTotal 1.234,56 EUR';
+
+    expect(ocrService.parseReceiptText(text, [], 'de-DE')).toMatchObject({ extractedDate: '2025-04-03', extractedAmount: 1234.56 });
+    expect(ocrService.parseReceiptText('Cafe\nDate: 03/04/2025\nTotal 4.50', [], 'en-US').extractedDate).toBe('2025-03-04');
+  });
+});
+
+describe('ocrService.scoreFields', () => {
+  test('trusts an amount that equals subtotal plus tax and tip', () => {
+    const scores = ocrService.scoreFields({
+      amount: { value: 33.85, source: 'total_label' },
+      date: { value: null, source: null },
+      merchant: { value: 'Blue Cafe', source: 'capitalized_line' }
+    }, { subtotal: 26.75, tax: 2.1, tip: 5 });
+
+    expect(scores.amount).toEqual({ value: 33.85, source: 'total_label', confidence: 99 });
+    expect(scores.date.confidence).toBe(0);
+    expect(scores.merchant.confidence).toBe(45);
+  });
+
+  test('lowers confidence in dates that do not parse or are implausible', () => {
+    const score = (value) => ocrService.scoreFields({
+      amount: { value: null, source: null },
+      date: { value, source: 'invoice_date' },
+      merchant: { value: null, source: null }
+    }).date.confidence;
+
+    expect(score('13/45/2025')).toBe(20);
+    expect(score('2001-01-01')).toBe(60);
+  });
+});
+
+describe('ocrService.extractPdfPages', () => {
+  test('OCRs only the pages without a text layer', async () => {
+    pdfParse.mockImplementation(async (buffer, options) => {
+      await options.pagerender(pdfPage(0, ['Blue Cafe', 'Invoice 42']));
+      await options.pagerender(pdfPage(1, []));
+      return { numpages: 2 };
+    });
+    pdfRasterService.rasterizePages.mockResolvedValue({
+      outDir: '/tmp/pages',
+      pages: [{ pageNumber: 2, imagePath: '/tmp/pages/page-2-2.png' }]
+    });
+    imagePreprocessService.preprocess.mockResolvedValue({ outputPath: '/tmp/pages/page-2-2.processed.png' });
+    Tesseract.recognize.mockResolvedValue({ data: { text: 'Total 12.00' } });
+
+    const pages = await ocrService.extractPdfPages(__filename);
+
+    expect(pages).toEqual([
+      { pageNumber: 1, text: 'Blue Cafe\nInvoice 42', method: 'text_layer' },
+      { pageNumber: 2, text: 'Total 12.00', method: 'ocr' }
+    ]);
+    expect(pdfRasterService.rasterizePages).toHaveBeenCalledWith(__filename, [2]);
+    expect(Tesseract.recognize.mock.calls[0][0]).toBe('/tmp/pages/page-2-2.processed.png');
+    expect(pdfRasterService.cleanup).toHaveBeenCalledWith('/tmp/pages');
+  });
+});
+
+describe('ocrService.processReceipt', () => {
+  test('reads emailed receipts from their HTML, without OCR', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-eml-'));
+    const emlPath = path.join(dir, 'order.eml');
+    fs.writeFileSync(emlPath, [
+      'From: orders@shop.example',
+      'Subject: Your order',
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      '<h1>Shop Example</h1><table><tr><td>Subtotal</td><td>$40.00</td></tr>',
+      '<tr><td>Total</td><td>$43.20</td></tr></table>'
+    ].join('\r\n'));
+
+    jest.clearAllMocks();
+    try {
+      const result = await ocrService.processReceipt(emlPath, 'message/rfc822', [], 'en-US');
+
+      expect(result.pages).toEqual([
+        { pageNumber: 1, text: 'Shop Example\nSubtotal $40.00\nTotal $43.20', method: 'html' }
+      ]);
+      expect(result.extractedAmount).toBe(43.2);
+      expect(pdfParse).not.toHaveBeenCalled();
+      expect(Tesseract.recognize).not.toHaveBeenCalled();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
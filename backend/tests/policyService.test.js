@@ -0,0 +1,128 @@
+jest.mock('../database/init', () => ({}));
+
+const db = require('../database/init');
+const policyService = require('../services/policyService');
+
+const policy = (values = {}) => policyService.resolvePolicy(values);
+const context = (values = {}) => ({ homeCurrency: 'USD', receipts: new Map(), dailySpend: new Map(), ...values });
+// 2025-07-02 is a Wednesday
+const charge = (values = {}) => ({
+  id: 1, amount: -50, currency: 'USD', category: 'Meals', description: 'Corner Bistro',
+  transaction_date: '2025-07-02', created_by: 5, ...values
+});
+const rules = (violations) => violations.map(violation => violation.rule);
+
+describe('policyService.resolvePolicy', () => {
+  test('turns every rule off by default', () => {
+    expect(policy()).toEqual(policyService.defaultPolicy);
+    expect(policyService.isActive(policy())).toBe(false);
+  });
+
+  test('drops malformed caps, amounts and blank list entries', () => {
+    expect(policy({
+      categoryCaps: [{ category: ' Meals ', limit: '75' }, { category: '', limit: 10 }, { category: 'Travel', limit: -5 }, null],
+      perDiem: { limit: 'lots', categories: ['Meals', ' ', null] },
+      receiptRequiredAbove: '25',
+      flagWeekends: 'yes',
+      blockedMerchants: 'casino'
+    })).toEqual({
+      categoryCaps: [{ category: 'Meals', limit: 75 }],
+      perDiem: { limit: null, categories: ['Meals'] },
+      receiptRequiredAbove: 25,
+      flagWeekends: false,
+      flagAlcohol: false,
+      blockedMerchants: []
+    });
+  });
+});
+
+describe('policyService.evaluate', () => {
+  test('flags a charge over its category limit, case-insensitively', () => {
+    const caps = policy({ categoryCaps: [{ category: 'meals', limit: 40 }] });
+
+    expect(policyService.evaluate(charge(), caps, context())).toEqual([
+      { rule: 'category_cap', message: '$50.00 is over the meals limit of $40.00' }
+    ]);
+    expect(policyService.evaluate(charge({ amount: -40 }), caps, context())).toEqual([]);
+  });
+
+  test('checks the per-diem limit against what the person spent that day', () => {
+    const perDiem = policy({ perDiem: { limit: 100, categories: ['Meals'] } });
+    const spent = context({ dailySpend: new Map([['user:5|2025-07-02', 120]]) });
+
+    expect(rules(policyService.evaluate(charge(), perDiem, spent))).toEqual(['per_diem']);
+    expect(policyService.evaluate(charge({ category: 'Travel' }), perDiem, spent)).toEqual([]);
+    expect(policyService.evaluate(charge({ created_by: 6 }), perDiem, spent)).toEqual([]);
+  });
+
+  test('counts per-diem spend per card, not per person who imported it', async () => {
+    db.all = jest.fn((query, params, callback) => callback(null, /FROM matches/.test(query) ? [] : [
+      charge({ card_last_four: '1111', amount: -60 }),
+      charge({ card_last_four: '1111', amount: -30 }),
+      charge({ card_last_four: '2222', amount: -70 })
+    ]));
+    const perDiem = policy({ perDiem: { limit: 80, categories: ['Meals'] } });
+    const first = charge({ card_last_four: '1111' });
+    const second = charge({ card_last_four: '2222' });
+
+    const spent = await policyService.loadContext(1, [first, second], perDiem, 'USD');
+    delete db.all;
+
+    expect(rules(policyService.evaluate(first, perDiem, spent))).toEqual(['per_diem']);
+    expect(policyService.evaluate(second, perDiem, spent)).toEqual([]);
+  });
+
+  test('needs a confirmed receipt above the threshold', () => {
+    const receiptRequired = policy({ receiptRequiredAbove: 25 });
+    const withReceipt = context({ receipts: new Map([[1, [{ extracted_merchant: 'Corner Bistro' }]]]) });
+
+    expect(rules(policyService.evaluate(charge(), receiptRequired, context()))).toEqual(['receipt_required']);
+    expect(policyService.evaluate(charge(), receiptRequired, withReceipt)).toEqual([]);
+    expect(policyService.evaluate(charge({ amount: -20 }), receiptRequired, context())).toEqual([]);
+  });
+
+  test('skips amount rules for foreign charges without an exchange rate', () => {
+    const amounts = policy({ categoryCaps: [{ category: 'Meals', limit: 10 }], receiptRequiredAbove: 10 });
+
+    expect(policyService.evaluate(charge({ currency: 'EUR', home_amount: null }), amounts, context())).toEqual([]);
+    expect(rules(policyService.evaluate(charge({ currency: 'EUR', home_amount: -54 }), amounts, context())))
+      .toEqual(['category_cap', 'receipt_required']);
+  });
+
+  test('flags weekend charges, alcohol on receipt lines and blocked merchants', () => {
+    const flags = policy({ flagWeekends: true, flagAlcohol: true, blockedMerchants: ['Lucky Star'] });
+    const receipts = context({
+      receipts: new Map([[1, [{ extracted_merchant: 'Lucky Star Casino', line_items: 'Burger\nHouse wine' }]]])
+    });
+
+    expect(policyService.evaluate(charge(), flags, context())).toEqual([]);
+    expect(policyService.evaluate(charge({ transaction_date: '2025-07-05' }), flags, receipts)).toEqual([
+      { rule: 'weekend', message: 'Charged on a weekend' },
+      { rule: 'alcohol', message: 'Alcohol on the charge or its receipt ("wine")' },
+      { rule: 'blocked_merchant', message: 'Lucky Star is a blocked merchant' }
+    ]);
+  });
+
+  test('only matches whole alcohol words', () => {
+    const alcohol = policy({ flagAlcohol: true });
+
+    expect(policyService.evaluate(charge({ description: 'Ginger Rummage Sale' }), alcohol, context())).toEqual([]);
+    expect(rules(policyService.evaluate(charge({ description: 'Craft Beer Hall' }), alcohol, context()))).toEqual(['alcohol']);
+  });
+
+  test('checks receipt line items for alcohol, not the whole receipt text', () => {
+    const alcohol = policy({ flagAlcohol: true });
+    const receipts = (lineItems) => context({
+      receipts: new Map([[1, [{ extracted_merchant: 'Corner Bistro', line_items: lineItems, ocr_text: 'Ale St Plaza\nGin Lane 4\nSoup 6.00' }]]])
+    });
+
+    expect(policyService.evaluate(charge(), alcohol, receipts('Soup'))).toEqual([]);
+    expect(rules(policyService.evaluate(charge(), alcohol, receipts('Soup\nGin and tonic')))).toEqual(['alcohol']);
+  });
+
+  test('never flags refunds and other credits', () => {
+    const everything = policy({ categoryCaps: [{ category: 'Meals', limit: 1 }], receiptRequiredAbove: 1, flagWeekends: true });
+
+    expect(policyService.evaluate(charge({ amount: 500, transaction_date: '2025-07-05' }), everything, context())).toEqual([]);
+  });
+});
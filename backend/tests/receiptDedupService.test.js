@@ -0,0 +1,142 @@
+jest.mock('../database/init', () => ({ run: jest.fn(), get: jest.fn(), all: jest.fn(), serialize: jest.fn(callback => callback()) }));
+jest.mock('../services/receiptService', () => ({
+  getReceiptFiles: jest.fn().mockResolvedValue(['/uploads/receipts/b.jpg']),
+  deleteStatements: jest.fn(receiptId => [['DELETE FROM receipts WHERE id = ?', [receiptId]]]),
+  removeFiles: jest.fn()
+}));
+jest.mock('../services/expenseReportService', () => ({ lockError: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const db = require('../database/init');
+const receiptService = require('../services/receiptService');
+const expenseReportService = require('../services/expenseReportService');
+const receiptDedupService = require('../services/receiptDedupService');
+
+const receiptText = [
+  'Blue Bottle Coffee', '300 Webster St Oakland CA', '07/22/2025 08:14',
+  'Latte 4.50', 'Croissant 3.75', 'Subtotal 8.25', 'Tax 0.76', 'Total 9.01', 'Visa ending 4321'
+].join('\n');
+
+// Grey gradient with a dark band, standing in for a receipt photo
+const writeImage = async (filePath, { width, height, band }) => {
+  const data = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = y >= band[0] * height && y < band[1] * height ? 20 : Math.round(255 * x / width);
+    }
+  }
+  await sharp(data, { raw: { width, height, channels: 1 } }).jpeg({ quality: 80 }).toFile(filePath);
+};
+
+describe('receiptDedupService hashes', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-dedup-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('gives a resized copy of a photo a nearby perceptual hash', async () => {
+    const original = path.join(dir, 'original.jpg');
+    const resized = path.join(dir, 'resized.jpg');
+    const other = path.join(dir, 'other.jpg');
+    await writeImage(original, { width: 600, height: 900, band: [0.2, 0.3] });
+    await writeImage(resized, { width: 300, height: 450, band: [0.2, 0.3] });
+    await writeImage(other, { width: 600, height: 900, band: [0.6, 0.9] });
+
+    const hash = await receiptDedupService.perceptualHash(original, 'image/jpeg');
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(await receiptDedupService.hashFile(original)).not.toBe(await receiptDedupService.hashFile(resized));
+    expect(receiptDedupService.hammingDistance(hash, await receiptDedupService.perceptualHash(resized, 'image/jpeg'))).toBeLessThanOrEqual(20);
+    expect(receiptDedupService.hammingDistance(hash, await receiptDedupService.perceptualHash(other, 'image/jpeg'))).toBeGreaterThan(20);
+    expect(await receiptDedupService.perceptualHash(original, 'application/pdf')).toBeNull();
+  });
+
+  test('fingerprints OCR text so small misreads stay close', () => {
+    const fingerprint = receiptDedupService.textFingerprint(receiptText);
+    const misread = receiptDedupService.textFingerprint(receiptText.replace('Croissant', 'Cr0issant'));
+    const other = receiptDedupService.textFingerprint('Shell Station 42\nUnleaded 12.4 gal\nPump 7\nTotal 48.10\nMastercard');
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(receiptDedupService.hammingDistance(fingerprint, misread)).toBeLessThanOrEqual(10);
+    expect(receiptDedupService.hammingDistance(fingerprint, other)).toBeGreaterThan(10);
+    expect(receiptDedupService.textFingerprint('Total 5.00')).toBeNull();
+  });
+});
+
+describe('receiptDedupService.compare', () => {
+  const fingerprint = receiptDedupService.textFingerprint(receiptText);
+
+  test('prefers an identical file over looser evidence', () => {
+    expect(receiptDedupService.compare({ file_hash: 'abc' }, { file_hash: 'abc' }))
+      .toMatchObject({ method: 'file_hash', similarity: 1 });
+  });
+
+  test('needs the same amount and date to call matching text a duplicate', () => {
+    const receipt = { text_fingerprint: fingerprint, extracted_amount: 9.01, extracted_date: '2025-07-22' };
+
+    expect(receiptDedupService.compare(receipt, { ...receipt })).toMatchObject({ method: 'text_fingerprint', similarity: 1 });
+    expect(receiptDedupService.compare(receipt, { ...receipt, extracted_amount: 19.01 })).toBeNull();
+    expect(receiptDedupService.compare(receipt, { ...receipt, extracted_date: '2025-07-23' })).toBeNull();
+  });
+});
+
+describe('receiptDedupService.mergeReceipts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.run.mockImplementation(function(query, params, callback) {
+      const done = typeof params === 'function' ? params : callback;
+      if (done) {
+        done.call({ changes: 2 }, null);
+      }
+    });
+  });
+
+  test('refuses to merge receipts matched to a transaction on a locked expense report', async () => {
+    db.all.mockImplementation((query, params, callback) => callback(null, [{ transaction_id: 3 }, { transaction_id: 4 }]));
+    expenseReportService.lockError.mockResolvedValue('The transaction is on the approved expense report "Trip" and cannot be changed');
+
+    expect(await receiptDedupService.mergeLockError({ id: 5, receipt_id: 12, duplicate_of_id: 9 }))
+      .toMatch(/approved expense report/);
+    expect(db.all.mock.calls[0][1]).toEqual([12, 9]);
+    expect(expenseReportService.lockError).toHaveBeenCalledWith([3, 4]);
+  });
+
+  test('moves matches to the kept receipt and deletes the other', async () => {
+    const duplicate = { id: 5, receipt_id: 12, duplicate_of_id: 9 };
+
+    const result = await receiptDedupService.mergeReceipts(duplicate, 9, 1);
+
+    expect(result).toEqual({ keptReceiptId: 9, removedReceiptId: 12, movedMatches: 2 });
+    const queries = db.run.mock.calls.map(([query]) => query.replace(/\s+/g, ' ').trim());
+    expect(queries[0]).toBe('BEGIN TRANSACTION');
+    expect(queries).toContain('UPDATE OR IGNORE matches SET receipt_id = ? WHERE receipt_id = ?');
+    expect(queries).toContain('DELETE FROM receipts WHERE id = ?');
+    expect(queries[queries.length - 1]).toBe('COMMIT');
+    expect(db.serialize).toHaveBeenCalledTimes(1);
+    expect(receiptService.deleteStatements).toHaveBeenCalledWith(12);
+    expect(receiptService.removeFiles).toHaveBeenCalledWith(['/uploads/receipts/b.jpg']);
+  });
+
+  test('rolls back and keeps the files when the commit fails', async () => {
+    db.run.mockImplementation(function(query, params, callback) {
+      const done = typeof params === 'function' ? params : callback;
+      if (done) {
+        done.call({ changes: 1 }, query === 'COMMIT' ? new Error('disk I/O error') : null);
+      }
+    });
+
+    await expect(receiptDedupService.mergeReceipts({ id: 5, receipt_id: 12, duplicate_of_id: 9 }, 12, 1))
+      .rejects.toThrow('disk I/O error');
+
+    expect(receiptService.deleteStatements).toHaveBeenCalledWith(9);
+    expect(db.run.mock.calls[db.run.mock.calls.length - 1][0]).toBe('ROLLBACK');
+    expect(receiptService.removeFiles).not.toHaveBeenCalled();
+  });
+});
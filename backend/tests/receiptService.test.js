@@ -0,0 +1,42 @@
+jest.mock('../database/init', () => ({}));
+
+const receiptService = require('../services/receiptService');
+
+const confidence = (amount, date, merchant) => ({
+  amount: { value: 12.5, source: 'total_label', confidence: amount },
+  date: { value: '07/22/2025', source: 'labeled_date', confidence: date },
+  merchant: { value: 'Blue Cafe', source: 'capitalized_line', confidence: merchant }
+});
+
+describe('receiptService.needsReview', () => {
+  test('flags receipts with any field below the threshold', () => {
+    expect(receiptService.needsReview(confidence(85, 80, 75))).toBe(false);
+    expect(receiptService.needsReview(confidence(85, 80, 45))).toBe(true);
+  });
+
+  test('flags receipts processed without confidence scores', () => {
+    expect(receiptService.needsReview(null)).toBe(true);
+  });
+});
+
+describe('receiptService.diffCorrections', () => {
+  test('marks only the fields the user changed', () => {
+    const corrections = receiptService.diffCorrections(confidence(85, 80, 45), {
+      amount: '12.50',
+      date: '07/22/2025',
+      merchant: 'Blue Cafe Downtown'
+    });
+
+    expect(corrections.map(c => [c.field, c.changed])).toEqual([
+      ['amount', false],
+      ['date', false],
+      ['merchant', true]
+    ]);
+    expect(corrections[2]).toMatchObject({
+      extracted_value: 'Blue Cafe',
+      corrected_value: 'Blue Cafe Downtown',
+      source: 'capitalized_line',
+      confidence: 45
+    });
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../database/init', () => ({}));
+jest.mock('../services/ocrQueueService', () => ({ enqueue: jest.fn() }));
+jest.mock('../services/receiptDedupService', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const receiptUploadService = require('../services/receiptUploadService');
+
+const writeZip = (zipPath, entries) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(zipPath);
+  const archive = archiver('zip');
+  output.on('close', resolve);
+  archive.on('error', reject);
+  archive.pipe(output);
+  entries.forEach(([name, content]) => archive.append(content, { name }));
+  archive.finalize();
+});
+
+describe('receiptUploadService.expandArchive', () => {
+  let dir;
+  const added = [];
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipt-zip-'));
+  });
+
+  afterAll(() => {
+    added.forEach(({ file }) => file.path && fs.rmSync(file.path, { force: true }));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('extracts receipts and passes on everything else to be rejected', async () => {
+    const zipPath = path.join(dir, 'july.zip');
+    await writeZip(zipPath, [
+      ['july/uber.pdf', Buffer.from('%PDF-1.4 receipt')],
+      ['july/lunch.JPG', Buffer.from('jpeg bytes')],
+      ['july/notes.txt', 'not a receipt'],
+      ['july/older.zip', Buffer.from('PK')],
+      ['__MACOSX/july/._uber.pdf', Buffer.from('resource fork')],
+      ['july/.DS_Store', Buffer.from('finder')]
+    ]);
+
+    await receiptUploadService.expandArchive(
+      { path: zipPath, originalname: 'july.zip' },
+      async (file, archiveName, rejection) => added.push({ file, archiveName, rejection }),
+      () => false
+    );
+
+    expect(added.map(({ file }) => file.originalname)).toEqual(['uber.pdf', 'lunch.JPG', 'notes.txt', 'older.zip']);
+    expect(added.every(({ archiveName }) => archiveName === 'july.zip')).toBe(true);
+
+    const [pdf, jpg, txt, nested] = added;
+    expect(pdf.file).toMatchObject({ mimetype: 'application/pdf', size: 16 });
+    expect(fs.readFileSync(pdf.file.path, 'utf8')).toBe('%PDF-1.4 receipt');
+    expect(jpg.file.mimetype).toBe('image/jpeg');
+    expect(txt.file).toMatchObject({ mimetype: null });
+    expect(txt.file.path).toBeUndefined();
+    expect(nested.rejection).toMatch(/inside archives/);
+  });
+
+  test('cuts off an entry that inflates past the size limit, whatever its header says', async () => {
+    const zipPath = path.join(dir, 'bomb.zip');
+    await writeZip(zipPath, [['huge.pdf', Buffer.alloc(21 * 1024 * 1024)]]);
+
+    // Claim the entry is 16 bytes in the central directory
+    const zip = fs.readFileSync(zipPath);
+    const central = zip.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt32LE(16, central + 24);
+    fs.writeFileSync(zipPath, zip);
+
+    const files = [];
+    await receiptUploadService.expandArchive(
+      { path: zipPath, originalname: 'bomb.zip' },
+      async (file, archiveName, rejection) => files.push({ file, rejection }),
+      () => false
+    );
+
+    expect(files).toHaveLength(1);
+    expect(files[0].file.size).toBe(16);
+    expect(files[0].rejection).toBe('File is larger than 20 MB');
+    fs.rmSync(files[0].file.path, { force: true });
+  });
+
+  test('only writes receipts, email and HTML receipts and ZIP archives from a bulk upload', () => {
+    expect(receiptUploadService.isBatchFile({ originalname: 'a.pdf', mimetype: 'application/pdf' })).toBe(true);
+    expect(receiptUploadService.isBatchFile({ originalname: 'july.zip', mimetype: 'application/octet-stream' })).toBe(true);
+    expect(receiptUploadService.isBatchFile({ originalname: 'order.html', mimetype: 'text/html' })).toBe(true);
+    expect(receiptUploadService.isBatchFile({ originalname: 'setup.exe', mimetype: 'application/octet-stream' })).toBe(false);
+  });
+
+  test('stops extracting once the batch is full', async () => {
+    const zipPath = path.join(dir, 'full.zip');
+    await writeZip(zipPath, [['a.pdf', Buffer.from('%PDF')]]);
+    const files = [];
+
+    await receiptUploadService.expandArchive(
+      { path: zipPath, originalname: 'full.zip' },
+      async (file) => files.push(file),
+      () => true
+    );
+
+    expect(files).toHaveLength(1);
+    expect(files[0].path).toBeUndefined();
+  });
+});
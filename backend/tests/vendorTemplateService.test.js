@@ -0,0 +1,82 @@
+jest.mock('../database/init', () => ({}));
+
+const vendorTemplateService = require('../services/vendorTemplateService');
+const ocrService = require('../services/ocrService');
+
+const invoiceText = [
+  'Birdseye Surveillance LLC',
+  'Invoice #: BS-10442',
+  'Invoice Date: 2025-07-02',
+  'Monitoring service 4,763.00',
+  'Balance',
+  '$4,763.00'
+].join('\n');
+
+const template = {
+  id: 3,
+  name: 'Birdseye',
+  anchor_text: 'birdseye surveillance',
+  merchant_name: 'Birdseye Surveillance LLC',
+  date_format: 'YYYY-MM-DD',
+  is_active: true,
+  rules: {
+    amount: { type: 'after_label', label: 'Balance' },
+    date: { type: 'regex', pattern: 'Invoice Date:\\s*(\\S+)' },
+    invoice_number: { type: 'after_label', label: 'Invoice #' }
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('vendorTemplateService.applyTemplate', () => {
+  test('reads fields with regex and label rules', () => {
+    expect(vendorTemplateService.applyTemplate(template, invoiceText)).toMatchObject({
+      extractedAmount: 4763,
+      extractedDate: '2025-07-02',
+      extractedMerchant: 'Birdseye Surveillance LLC',
+      invoiceNumber: 'BS-10442'
+    });
+  });
+
+  test('reads fixed lines, counting from the end when negative', () => {
+    const result = vendorTemplateService.applyTemplate({
+      anchor_text: 'x',
+      rules: { merchant: { type: 'line', line: 1 }, amount: { type: 'line', line: -1 } }
+    }, invoiceText);
+
+    expect(result.extractedMerchant).toBe('Birdseye Surveillance LLC');
+    expect(result.extractedAmount).toBe(4763);
+  });
+});
+
+describe('vendorTemplateService.validateTemplate', () => {
+  test('rejects invalid patterns and empty templates', () => {
+    expect(vendorTemplateService.validateTemplate({ name: 'A', anchor_text: 'a', rules: { amount: { type: 'regex', pattern: '(' } } }).error)
+      .toMatch(/Invalid amount pattern/);
+    expect(vendorTemplateService.validateTemplate({ name: 'A', anchor_text: 'a', rules: {} }).error)
+      .toMatch(/at least one field rule/);
+  });
+});
+
+describe('ocrService with vendor templates', () => {
+  test('prefers template fields over the generic heuristics', () => {
+    const result = ocrService.parseReceiptText(invoiceText, [template]);
+
+    expect(result.vendorTemplateId).toBe(3);
+    expect(result.invoiceNumber).toBe('BS-10442');
+    expect(result.extractedDate).toBe('2025-07-02');
+  });
+
+  test('ignores templates whose anchor text is missing', () => {
+    const result = ocrService.parseReceiptText('Corner Store\nTotal 5.00', [template]);
+
+    expect(result.vendorTemplateId).toBeNull();
+    expect(result.extractedAmount).toBe(5);
+  });
+});
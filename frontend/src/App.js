@@ -21,6 +21,16 @@ import Exports from './pages/Exports';
 import Profile from './pages/Profile';
 import CompanySettings from './pages/CompanySettings';
 import UserReceipts from './pages/UserReceipts';
+import MerchantAliases from './pages/MerchantAliases';
+import VendorTemplates from './pages/VendorTemplates';
+import ExchangeRates from './pages/ExchangeRates';
+import DuplicateTransactions from './pages/DuplicateTransactions';
+import DuplicateReceipts from './pages/DuplicateReceipts';
+import ImportHistory from './pages/ImportHistory';
+import ReceiptReview from './pages/ReceiptReview';
+import ExpenseReports from './pages/ExpenseReports';
+import ExpenseReportDetails from './pages/ExpenseReportDetails';
+import ApprovalChain from './pages/ApprovalChain';
 
 function App() {
   return (
@@ -40,13 +50,23 @@ function App() {
                     <Route path="/" element={<Navigate to="/dashboard" replace />} />
                     <Route path="/dashboard" element={<Dashboard />} />
                     <Route path="/transactions" element={<Transactions />} />
+                    <Route path="/transactions/duplicates" element={<DuplicateTransactions />} />
                     <Route path="/receipts" element={<Receipts />} />
+                    <Route path="/receipts/review" element={<ReceiptReview />} />
+                    <Route path="/receipts/duplicates" element={<DuplicateReceipts />} />
                     <Route path="/matches" element={<Matches />} />
                     <Route path="/import" element={<ImportTransactions />} />
+                    <Route path="/import/history" element={<ImportHistory />} />
+                    <Route path="/expense-reports" element={<ExpenseReports />} />
+                    <Route path="/expense-reports/:id" element={<ExpenseReportDetails />} />
                     <Route path="/exports" element={<Exports />} />
                     <Route path="/profile" element={<Profile />} />
                     <Route path="/company-settings" element={<CompanySettings />} />
                     <Route path="/team/:userId/receipts" element={<UserReceipts />} />
+                    <Route path="/merchant-aliases" element={<MerchantAliases />} />
+                    <Route path="/vendor-templates" element={<VendorTemplates />} />
+                    <Route path="/exchange-rates" element={<ExchangeRates />} />
+                    <Route path="/approval-chain" element={<ApprovalChain />} />
                   </Routes>
                 </main>
               </div>
@@ -82,6 +82,12 @@ const Navbar = () => {
           >
             📤 Import
           </Link>
+          <Link 
+            to="/expense-reports" 
+            className={`nav-link ${isActive('/expense-reports') ? 'active' : ''}`}
+          >
+            🗂️ Reports
+          </Link>
           <Link 
             to="/exports" 
             className={`nav-link ${isActive('/exports') ? 'active' : ''}`}
@@ -164,6 +170,42 @@ const Navbar = () => {
                   >
                     🏢 Company Settings
                   </Link>
+                  {currentCompany?.role === 'admin' && (
+                    <Link 
+                      to="/merchant-aliases" 
+                      className="dropdown-item"
+                      onClick={() => setShowUserMenu(false)}
+                    >
+                      🔗 Merchant Aliases
+                    </Link>
+                  )}
+                  {currentCompany?.role === 'admin' && (
+                    <Link 
+                      to="/vendor-templates" 
+                      className="dropdown-item"
+                      onClick={() => setShowUserMenu(false)}
+                    >
+                      🧾 Vendor Templates
+                    </Link>
+                  )}
+                  {currentCompany?.role === 'admin' && (
+                    <Link 
+                      to="/exchange-rates" 
+                      className="dropdown-item"
+                      onClick={() => setShowUserMenu(false)}
+                    >
+                      💱 Exchange Rates
+                    </Link>
+                  )}
+                  {currentCompany?.role === 'admin' && (
+                    <Link 
+                      to="/approval-chain" 
+                      className="dropdown-item"
+                      onClick={() => setShowUserMenu(false)}
+                    >
+                      ✅ Approval Chain
+                    </Link>
+                  )}
                   <hr />
                   <button className="dropdown-item logout" onClick={handleLogout}>
                     🚪 Logout
@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { receiptAPI } from '../services/api';
+
+const emptyItem = () => ({ description: '', quantity: 1, unit_price: '', total: '' });
+
+const toInput = (value) => (value === null || value === undefined ? '' : value);
+
+const uploadUrl = (filename) => `http://localhost:5000/uploads/receipts/${filename}`;
+
+const PAGE_METHODS = {
+  ocr: 'read by OCR',
+  text_layer: 'text layer',
+  html: 'read from the email'
+};
+
+const ReceiptDetails = ({ receiptId, onClose }) => {
+  const [receipt, setReceipt] = useState(null);
+  const [lineItems, setLineItems] = useState([]);
+  const [breakdown, setBreakdown] = useState({ subtotal: '', tax: '', tip: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadReceipt = async () => {
+      setLoading(true);
+      try {
+        const response = await receiptAPI.getById(receiptId);
+        const data = response.data;
+        setReceipt(data);
+        setLineItems((data.line_items || []).map(item => ({
+          description: item.description,
+          quantity: toInput(item.quantity),
+          unit_price: toInput(item.unit_price),
+          total: toInput(item.total)
+        })));
+        setBreakdown({
+          subtotal: toInput(data.amountBreakdown?.subtotal),
+          tax: toInput(data.amountBreakdown?.tax),
+          tip: toInput(data.amountBreakdown?.tip)
+        });
+      } catch (error) {
+        console.error('Error loading receipt:', error);
+        toast.error('Error loading receipt details');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReceipt();
+  }, [receiptId]);
+
+  const updateItem = (index, field, value) => {
+    setLineItems(items => items.map((item, i) => {
+      if (i !== index) return item;
+      const updated = { ...item, [field]: value };
+
+      // Keep the line total in step with quantity x unit price
+      if ((field === 'quantity' || field === 'unit_price') && updated.quantity !== '' && updated.unit_price !== '') {
+        updated.total = (parseFloat(updated.quantity) * parseFloat(updated.unit_price)).toFixed(2);
+      }
+      return updated;
+    }));
+  };
+
+  const removeItem = (index) => {
+    setLineItems(items => items.filter((item, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await receiptAPI.updateLineItems(receiptId, lineItems, breakdown);
+      setLineItems(response.data.line_items.map(item => ({
+        description: item.description,
+        quantity: item.quantity,
+        unit_price: item.unit_price,
+        total: item.total
+      })));
+      toast.success('Line items saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error saving line items');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownloadSource = async () => {
+    try {
+      const response = await receiptAPI.downloadSource(receiptId);
+      const filename = response.headers['content-disposition']?.match(/filename="?([^";]+)"?/)?.[1] || 'receipt.eml';
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Error downloading the original email');
+    }
+  };
+
+  const itemsTotal = lineItems.reduce((sum, item) => sum + (parseFloat(item.total) || 0), 0);
+
+  if (loading) {
+    return (
+      <div className="card mb-3">
+        <div className="flex-center">
+          <div className="spinner"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!receipt) {
+    return null;
+  }
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header flex-between">
+        <div>
+          <h3 className="card-title">Line Items: {receipt.original_filename}</h3>
+          <p className="card-subtitle">
+            {receipt.extracted_merchant || 'Unknown merchant'}
+            {receipt.extracted_amount ? ` • Total $${receipt.extracted_amount.toFixed(2)}` : ''}
+            {receipt.invoice_number ? ` • Invoice ${receipt.invoice_number}` : ''}
+          </p>
+        </div>
+        <div className="flex gap-1">
+          {receipt.has_source && (
+            <button className="btn btn-secondary btn-sm" onClick={handleDownloadSource}>
+              Download Original Email
+            </button>
+          )}
+          <button className="btn btn-secondary btn-sm" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {receipt.processed_filename && (
+        <details className="mb-3">
+          <summary className="text-sm">
+            Compare original and processed image ({receipt.preprocessing_steps.map(step => step.replace(/_/g, ' ')).join(', ')})
+          </summary>
+          <div className="grid grid-2 mt-2">
+            <div>
+              <p className="text-sm text-gray">Original</p>
+              <img src={uploadUrl(receipt.filename)} alt="Original receipt" style={{ maxWidth: '100%' }} />
+            </div>
+            <div>
+              <p className="text-sm text-gray">Processed for OCR</p>
+              <img src={uploadUrl(receipt.processed_filename)} alt="Processed receipt" style={{ maxWidth: '100%' }} />
+            </div>
+          </div>
+        </details>
+      )}
+
+      {receipt.pages?.length > 0 && (
+        <details className="mb-3">
+          <summary className="text-sm">
+            OCR text ({receipt.pages.length} {receipt.pages.length === 1 ? 'page' : 'pages'})
+          </summary>
+          {receipt.pages.map(page => (
+            <div key={page.page_number} className="mt-2">
+              <p className="text-sm text-gray">
+                Page {page.page_number} • {PAGE_METHODS[page.extraction_method] || 'text layer'}
+              </p>
+              <pre className="text-sm" style={{ whiteSpace: 'pre-wrap' }}>{page.ocr_text}</pre>
+            </div>
+          ))}
+        </details>
+      )}
+
+      <div className="table-container mb-3">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th>Qty</th>
+              <th>Unit Price</th>
+              <th>Total</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {lineItems.map((item, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    className="form-input"
+                    value={item.description}
+                    onChange={(e) => updateItem(index, 'description', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    step="any"
+                    className="form-input"
+                    value={item.quantity}
+                    onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    step="0.01"
+                    className="form-input"
+                    value={item.unit_price}
+                    onChange={(e) => updateItem(index, 'unit_price', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    step="0.01"
+                    className="form-input"
+                    value={item.total}
+                    onChange={(e) => updateItem(index, 'total', e.target.value)}
+                  />
+                </td>
+                <td>
+                  <button className="btn btn-danger btn-sm" onClick={() => removeItem(index)}>Remove</button>
+                </td>
+              </tr>
+            ))}
+            {lineItems.length === 0 && (
+              <tr>
+                <td colSpan="5" className="text-center text-gray">No line items were found on this receipt</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex-between mb-3">
+        <button className="btn btn-secondary btn-sm" onClick={() => setLineItems(items => [...items, emptyItem()])}>
+          Add Line
+        </button>
+        <span className="text-sm text-gray">Items total: ${itemsTotal.toFixed(2)}</span>
+      </div>
+
+      <div className="grid grid-3 mb-3">
+        {['subtotal', 'tax', 'tip'].map(field => (
+          <div className="form-group" key={field}>
+            <label htmlFor={`breakdown-${field}`}>{field.charAt(0).toUpperCase() + field.slice(1)}</label>
+            <input
+              id={`breakdown-${field}`}
+              type="number"
+              step="0.01"
+              className="form-input"
+              value={breakdown[field]}
+              onChange={(e) => setBreakdown({ ...breakdown, [field]: e.target.value })}
+            />
+          </div>
+        ))}
+      </div>
+
+      <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Line Items'}
+      </button>
+    </div>
+  );
+};
+
+export default ReceiptDetails;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+
+// OCR progress of a bulk upload, with the files that failed and why
+const UploadBatchProgress = ({ batch, onDismiss }) => {
+  const [showFailures, setShowFailures] = useState(false);
+  const { counts, failures } = batch;
+  const failed = counts.failed + counts.rejected;
+  const finished = counts.completed + failed + counts.deleted;
+  const percent = (count) => (counts.total > 0 ? `${(count / counts.total) * 100}%` : '0%');
+
+  return (
+    <div className="mb-2">
+      <div className="flex-between mb-1">
+        <div className="text-sm">
+          <strong>Upload of {new Date(batch.created_at).toLocaleString()}</strong>
+          {' • '}
+          {batch.done ? 'Done' : `Processing ${finished} of ${counts.total}`}
+          {' • '}
+          <span className="text-success">{counts.completed} processed</span>
+          {counts.pending + counts.processing > 0 && ` • ${counts.pending + counts.processing} in queue`}
+          {failed > 0 && <span className="text-danger"> • {failed} failed</span>}
+        </div>
+        <div className="flex gap-1">
+          {failures.length > 0 && (
+            <button className="btn btn-secondary btn-sm" onClick={() => setShowFailures(!showFailures)}>
+              {showFailures ? 'Hide failures' : 'Show failures'}
+            </button>
+          )}
+          {batch.done && (
+            <button className="btn btn-secondary btn-sm" onClick={() => onDismiss(batch.id)}>
+              Dismiss
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="progress-bar">
+        <div className="progress-bar-completed" style={{ width: percent(counts.completed) }}></div>
+        <div className="progress-bar-failed" style={{ width: percent(failed) }}></div>
+      </div>
+
+      {showFailures && (
+        <table className="table mt-1">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Stage</th>
+              <th>Reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            {failures.map((failure, index) => (
+              <tr key={index}>
+                <td className="text-sm">
+                  {failure.filename}
+                  {failure.archiveName && <div className="text-gray">in {failure.archiveName}</div>}
+                </td>
+                <td className="text-sm">{failure.stage === 'ocr' ? 'OCR' : 'Upload'}</td>
+                <td className="text-sm text-danger">{failure.error}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default UploadBatchProgress;
@@ -0,0 +1,311 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { approvalChainAPI } from '../services/api';
+
+// approver is "role:manager", "role:admin" or "user:<id>"
+const EMPTY_STEP = { name: '', approver: 'role:manager', minTotal: '', category: '', position: '' };
+
+const toPayload = (step) => {
+  const [kind, value] = step.approver.split(':');
+  return {
+    name: step.name,
+    approverRole: kind === 'role' ? value : null,
+    approverUserId: kind === 'user' ? value : null,
+    minTotal: step.minTotal,
+    category: step.category,
+    position: step.position
+  };
+};
+
+const toForm = (step) => ({
+  name: step.name,
+  approver: step.approver_user_id ? `user:${step.approver_user_id}` : `role:${step.approver_role}`,
+  minTotal: step.min_total === null ? '' : String(step.min_total),
+  category: step.category || '',
+  position: String(step.position)
+});
+
+const ApprovalChain = () => {
+  const { currentCompany } = useAuth();
+  const [steps, setSteps] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newStep, setNewStep] = useState(EMPTY_STEP);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(EMPTY_STEP);
+
+  const loadSteps = async () => {
+    try {
+      const [stepsResponse, membersResponse] = await Promise.all([
+        approvalChainAPI.getSteps(),
+        approvalChainAPI.getMembers()
+      ]);
+      setSteps(stepsResponse.data.steps);
+      setMembers(membersResponse.data.members);
+    } catch (error) {
+      console.error('Error loading approval chain:', error);
+      toast.error(error.response?.data?.error || 'Failed to load the approval chain');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentCompany?.id) {
+      loadSteps();
+    }
+  }, [currentCompany]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await approvalChainAPI.createStep(toPayload(newStep));
+      toast.success('Approval step added');
+      setNewStep(EMPTY_STEP);
+      loadSteps();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add approval step');
+    }
+  };
+
+  const startEditing = (step) => {
+    setEditingId(step.id);
+    setEditForm(toForm(step));
+  };
+
+  const handleSave = async (id) => {
+    try {
+      await approvalChainAPI.updateStep(id, toPayload(editForm));
+      toast.success('Approval step updated');
+      setEditingId(null);
+      loadSteps();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update approval step');
+    }
+  };
+
+  const handleDelete = async (step) => {
+    if (!window.confirm(`Remove the "${step.name}" step? Reports waiting for it will no longer need it.`)) {
+      return;
+    }
+
+    try {
+      await approvalChainAPI.deleteStep(step.id);
+      toast.success('Approval step removed');
+      loadSteps();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove approval step');
+    }
+  };
+
+  const approverOptions = (
+    <>
+      <option value="role:manager">Any manager</option>
+      <option value="role:admin">Any admin</option>
+      {members.map(member => (
+        <option key={member.id} value={`user:${member.id}`}>
+          {member.first_name} {member.last_name}
+        </option>
+      ))}
+    </>
+  );
+
+  const describeApprover = (step) => (step.approver_user_id
+    ? `${step.approver_first_name} ${step.approver_last_name}`
+    : `Any ${step.approver_role}`);
+
+  const describeCondition = (step) => {
+    const conditions = [];
+    if (step.min_total !== null) conditions.push(`total over ${step.min_total.toFixed(2)}`);
+    if (step.category) conditions.push(`has ${step.category} spend`);
+    return conditions.length > 0 ? `When ${conditions.join(' and ')}` : 'Every report';
+  };
+
+  if (currentCompany?.role !== 'admin') {
+    return (
+      <div className="card">
+        <p>Only company admins can manage the approval chain.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="page-header flex-between">
+        <h1>Approval Chain</h1>
+        <Link to="/company-settings" className="btn btn-secondary">Back to Company</Link>
+      </div>
+
+      <div className="card mb-3">
+        <p className="text-gray">
+          Submitted expense reports are approved step by step, in order. A step applies when the report
+          total (in the home currency) is over its minimum and, if it names a category, the report has
+          spend in that category. Reports no step applies to need one manager's approval.
+        </p>
+
+        <form onSubmit={handleCreate} className="grid grid-3 mt-2">
+          <div className="form-group">
+            <label htmlFor="stepName">Step</label>
+            <input
+              id="stepName"
+              className="form-input"
+              value={newStep.name}
+              onChange={(e) => setNewStep({ ...newStep, name: e.target.value })}
+              placeholder="Department head"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="stepApprover">Approver</label>
+            <select
+              id="stepApprover"
+              className="form-input"
+              value={newStep.approver}
+              onChange={(e) => setNewStep({ ...newStep, approver: e.target.value })}
+            >
+              {approverOptions}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="stepMinTotal">Report total over</label>
+            <input
+              id="stepMinTotal"
+              type="number"
+              min="0"
+              step="0.01"
+              className="form-input"
+              value={newStep.minTotal}
+              onChange={(e) => setNewStep({ ...newStep, minTotal: e.target.value })}
+              placeholder="Any total"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="stepCategory">Category</label>
+            <input
+              id="stepCategory"
+              className="form-input"
+              value={newStep.category}
+              onChange={(e) => setNewStep({ ...newStep, category: e.target.value })}
+              placeholder="Any category"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="stepPosition">Position</label>
+            <input
+              id="stepPosition"
+              type="number"
+              className="form-input"
+              value={newStep.position}
+              onChange={(e) => setNewStep({ ...newStep, position: e.target.value })}
+              placeholder="Last"
+            />
+          </div>
+          <div className="form-group" style={{ alignSelf: 'end' }}>
+            <button type="submit" className="btn btn-primary">Add Step</button>
+          </div>
+        </form>
+      </div>
+
+      {steps.length > 0 ? (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Step</th>
+                <th>Approver</th>
+                <th>Applies</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {steps.map(step => (
+                <tr key={step.id}>
+                  {editingId === step.id ? (
+                    <>
+                      <td>
+                        <input
+                          type="number"
+                          className="form-input"
+                          value={editForm.position}
+                          onChange={(e) => setEditForm({ ...editForm, position: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          className="form-input"
+                          value={editForm.name}
+                          onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <select
+                          className="form-input"
+                          value={editForm.approver}
+                          onChange={(e) => setEditForm({ ...editForm, approver: e.target.value })}
+                        >
+                          {approverOptions}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="form-input"
+                          value={editForm.minTotal}
+                          onChange={(e) => setEditForm({ ...editForm, minTotal: e.target.value })}
+                          placeholder="Any total"
+                        />
+                        <input
+                          className="form-input"
+                          value={editForm.category}
+                          onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+                          placeholder="Any category"
+                        />
+                      </td>
+                    </>
+                  ) : (
+                    <>
+                      <td>{step.position}</td>
+                      <td>{step.name}</td>
+                      <td>{describeApprover(step)}</td>
+                      <td className="text-sm">{describeCondition(step)}</td>
+                    </>
+                  )}
+                  <td>
+                    {editingId === step.id ? (
+                      <>
+                        <button className="btn btn-primary btn-sm" onClick={() => handleSave(step.id)}>Save</button>
+                        <button className="btn btn-secondary btn-sm" onClick={() => setEditingId(null)}>Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button className="btn btn-sm" onClick={() => startEditing(step)}>Edit</button>
+                        <button className="btn btn-danger btn-sm" onClick={() => handleDelete(step)}>Delete</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>No approval steps yet. Every submitted report needs one manager's approval.</p>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalChain;
@@ -4,6 +4,84 @@ import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
 import { api } from '../services/api';
 
+// Matching engine fields shown on the Matching tab, grouped by scoring factor
+const MATCHING_FIELDS = [
+  {
+    group: 'amount',
+    title: 'Amount',
+    fields: [
+      { key: 'exactPoints', label: 'Exact match points' },
+      { key: 'veryClosePoints', label: 'Very close match points' },
+      { key: 'veryCloseTolerance', label: 'Very close tolerance ($)', step: '0.01' },
+      { key: 'closePoints', label: 'Close match points' },
+      { key: 'closeTolerance', label: 'Close tolerance ($)', step: '0.01' },
+      { key: 'approximatePoints', label: 'Approximate match points' },
+      { key: 'approximateTolerance', label: 'Approximate tolerance ($)', step: '0.01' }
+    ]
+  },
+  {
+    group: 'date',
+    title: 'Date',
+    fields: [
+      { key: 'sameDayPoints', label: 'Same day points' },
+      { key: 'oneDayPoints', label: 'Within 1 day points' },
+      { key: 'nearbyPoints', label: 'Nearby date points' },
+      { key: 'nearbyDays', label: 'Nearby window (days)' }
+    ]
+  },
+  {
+    group: 'merchant',
+    title: 'Merchant',
+    fields: [
+      { key: 'keywordPoints', label: 'Keyword match points' },
+      { key: 'significantWordBonus', label: 'Bonus per significant word' },
+      { key: 'maxPoints', label: 'Maximum merchant points' },
+      { key: 'aliasPoints', label: 'Learned alias match points' }
+    ]
+  },
+  {
+    group: 'split',
+    title: 'Split Matches',
+    fields: [
+      { key: 'maxParts', label: 'Maximum parts per split' },
+      { key: 'amountTolerance', label: 'Sum tolerance ($)', step: '0.01' },
+      { key: 'dateWindowDays', label: 'Date window (days)' },
+      { key: 'partPenalty', label: 'Penalty per extra part' }
+    ]
+  },
+  {
+    group: 'currency',
+    title: 'Foreign Currency',
+    fields: [
+      { key: 'fxTolerancePercent', label: 'FX tolerance (%)', step: '0.1' }
+    ]
+  }
+];
+
+// The expense policy as the Policy tab edits it: lists as text, one entry per
+// line or comma, and amounts as strings
+const toPolicyForm = (policy) => ({
+  categoryCaps: policy.categoryCaps.map(cap => ({ category: cap.category, limit: String(cap.limit) })),
+  perDiemLimit: policy.perDiem.limit === null ? '' : String(policy.perDiem.limit),
+  perDiemCategories: policy.perDiem.categories.join(', '),
+  receiptRequiredAbove: policy.receiptRequiredAbove === null ? '' : String(policy.receiptRequiredAbove),
+  flagWeekends: policy.flagWeekends,
+  flagAlcohol: policy.flagAlcohol,
+  blockedMerchants: policy.blockedMerchants.join('\n')
+});
+
+const fromPolicyForm = (form) => ({
+  categoryCaps: form.categoryCaps,
+  perDiem: {
+    limit: form.perDiemLimit,
+    categories: form.perDiemCategories.split(',')
+  },
+  receiptRequiredAbove: form.receiptRequiredAbove,
+  flagWeekends: form.flagWeekends,
+  flagAlcohol: form.flagAlcohol,
+  blockedMerchants: form.blockedMerchants.split('\n')
+});
+
 const CompanySettings = () => {
   const { user, currentCompany } = useAuth();
   const [loading, setLoading] = useState(false);
@@ -21,8 +99,10 @@ const CompanySettings = () => {
 
   const [companyForm, setCompanyForm] = useState({
     name: '',
-    domain: ''
+    domain: '',
+    locale: 'en-US'
   });
+  const [locales, setLocales] = useState([]);
 
   const [users, setUsers] = useState([]);
   const [inviteForm, setInviteForm] = useState({
@@ -30,6 +110,12 @@ const CompanySettings = () => {
     role: 'user'
   });
 
+  const [matchingForm, setMatchingForm] = useState(null);
+  const [matchingDefaults, setMatchingDefaults] = useState(null);
+  const [policyForm, setPolicyForm] = useState(null);
+
+  const [inboundEmail, setInboundEmail] = useState(null);
+
   const loadCompanyDetails = useCallback(async () => {
     if (!currentCompany?.id) return;
 
@@ -41,8 +127,10 @@ const CompanySettings = () => {
       setCompanyData(company);
       setCompanyForm({
         name: company.name || '',
-        domain: company.domain || ''
+        domain: company.domain || '',
+        locale: company.settings?.locale || 'en-US'
       });
+      setLocales(response.data.locales || []);
     } catch (error) {
       console.error('Error loading company details:', error);
       toast.error('Failed to load company information');
@@ -65,12 +153,51 @@ const CompanySettings = () => {
     }
   }, [currentCompany]);
 
+  const loadMatchingSettings = useCallback(async () => {
+    if (!currentCompany?.id || currentCompany.role !== 'admin') return;
+
+    try {
+      const response = await api.get(`/companies/${currentCompany.id}/matching-settings`);
+      setMatchingForm(response.data.settings);
+      setMatchingDefaults(response.data.defaults);
+    } catch (error) {
+      console.error('Error loading matching settings:', error);
+      toast.error('Failed to load matching settings');
+    }
+  }, [currentCompany]);
+
+  const loadPolicy = useCallback(async () => {
+    if (!currentCompany?.id || currentCompany.role !== 'admin') return;
+
+    try {
+      const response = await api.get(`/companies/${currentCompany.id}/policy`);
+      setPolicyForm(toPolicyForm(response.data.policy));
+    } catch (error) {
+      console.error('Error loading expense policy:', error);
+      toast.error('Failed to load expense policy');
+    }
+  }, [currentCompany]);
+
+  const loadInboundEmail = useCallback(async () => {
+    if (!currentCompany?.id) return;
+
+    try {
+      const response = await api.get('/receipts/inbound-email?limit=1');
+      setInboundEmail(response.data);
+    } catch (error) {
+      console.error('Error loading receipt email address:', error);
+    }
+  }, [currentCompany]);
+
   useEffect(() => {
     if (currentCompany) {
       loadCompanyDetails();
       loadCompanyUsers();
+      loadMatchingSettings();
+      loadPolicy();
+      loadInboundEmail();
     }
-  }, [currentCompany, loadCompanyDetails, loadCompanyUsers]);
+  }, [currentCompany, loadCompanyDetails, loadCompanyUsers, loadMatchingSettings, loadPolicy, loadInboundEmail]);
 
   const handleCompanyChange = (e) => {
     const { name, value } = e.target;
@@ -88,6 +215,70 @@ const CompanySettings = () => {
     }));
   };
 
+  const handleMatchingChange = (group, key, value) => {
+    setMatchingForm(prev => (
+      group
+        ? { ...prev, [group]: { ...prev[group], [key]: value } }
+        : { ...prev, [key]: value }
+    ));
+  };
+
+  const handleMatchingSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      const response = await api.put(`/companies/${currentCompany.id}/matching-settings`, {
+        settings: matchingForm
+      });
+
+      setMatchingForm(response.data.settings);
+      toast.success('Matching settings updated successfully');
+    } catch (error) {
+      console.error('Error updating matching settings:', error);
+      toast.error(error.response?.data?.error || 'Failed to update matching settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMatchingReset = () => {
+    if (!window.confirm('Reset all matching settings to their defaults?')) {
+      return;
+    }
+    setMatchingForm(matchingDefaults);
+  };
+
+  const handlePolicyChange = (key, value) => {
+    setPolicyForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleCapChange = (index, key, value) => {
+    setPolicyForm(prev => ({
+      ...prev,
+      categoryCaps: prev.categoryCaps.map((cap, i) => (i === index ? { ...cap, [key]: value } : cap))
+    }));
+  };
+
+  const handlePolicySubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      const response = await api.put(`/companies/${currentCompany.id}/policy`, {
+        policy: fromPolicyForm(policyForm)
+      });
+
+      setPolicyForm(toPolicyForm(response.data.policy));
+      toast.success('Expense policy updated successfully');
+    } catch (error) {
+      console.error('Error updating expense policy:', error);
+      toast.error(error.response?.data?.error || 'Failed to update expense policy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleCompanySubmit = async (e) => {
     e.preventDefault();
     
@@ -100,7 +291,8 @@ const CompanySettings = () => {
       setLoading(true);
       await api.put(`/companies/${currentCompany.id}`, {
         name: companyForm.name.trim(),
-        domain: companyForm.domain.trim() || null
+        domain: companyForm.domain.trim() || null,
+        locale: companyForm.locale
       });
 
       toast.success('Company information updated successfully');
@@ -113,6 +305,21 @@ const CompanySettings = () => {
     }
   };
 
+  const handleRegenerateInboundEmail = async () => {
+    if (!window.confirm('Create a new receipt email address? Mail sent to the current address will be refused.')) {
+      return;
+    }
+
+    try {
+      const response = await api.post(`/companies/${currentCompany.id}/inbound-email/regenerate`);
+      setInboundEmail(prev => ({ ...prev, address: response.data.address }));
+      toast.success('Receipt email address regenerated');
+    } catch (error) {
+      console.error('Error regenerating receipt email address:', error);
+      toast.error(error.response?.data?.error || 'Failed to regenerate receipt email address');
+    }
+  };
+
   const handleInviteSubmit = async (e) => {
     e.preventDefault();
     
@@ -246,6 +453,22 @@ const CompanySettings = () => {
               ➕ Invite Users
             </button>
           )}
+          {canInviteUsers && (
+            <button 
+              className={`tab-button ${activeTab === 'matching' ? 'active' : ''}`}
+              onClick={() => setActiveTab('matching')}
+            >
+              🎯 Matching
+            </button>
+          )}
+          {canInviteUsers && (
+            <button 
+              className={`tab-button ${activeTab === 'policy' ? 'active' : ''}`}
+              onClick={() => setActiveTab('policy')}
+            >
+              📏 Expense Policy
+            </button>
+          )}
           <button 
             className={`tab-button ${activeTab === 'overview' ? 'active' : ''}`}
             onClick={() => setActiveTab('overview')}
@@ -297,6 +520,25 @@ const CompanySettings = () => {
                 </small>
               </div>
 
+              <div className="form-group">
+                <label htmlFor="companyLocale">Date &amp; Number Format</label>
+                <select
+                  id="companyLocale"
+                  name="locale"
+                  value={companyForm.locale}
+                  onChange={handleCompanyChange}
+                  disabled={loading || currentCompany?.role !== 'admin'}
+                  className="form-select"
+                >
+                  {locales.map(locale => (
+                    <option key={locale.code} value={locale.code}>{locale.name}</option>
+                  ))}
+                </select>
+                <small className="text-gray">
+                  How receipt dates and amounts and imported statements are read, unless a user picks their own format
+                </small>
+              </div>
+
               <div className="form-group">
                 <label>Plan Type</label>
                 <input
@@ -330,6 +572,37 @@ const CompanySettings = () => {
           </div>
         )}
 
+        {activeTab === 'company' && inboundEmail && (
+          <div className="card">
+            <div className="card-header">
+              <h3>Receipt Email</h3>
+              <p>Team members can forward receipts to this address from the email they sign in with</p>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="inboundEmailAddress">Address</label>
+              <input
+                type="text"
+                id="inboundEmailAddress"
+                value={inboundEmail.address || ''}
+                readOnly
+                className="form-input"
+              />
+              {!inboundEmail.enabled && (
+                <small className="text-gray">The email listener is not running on this server</small>
+              )}
+            </div>
+
+            {currentCompany?.role === 'admin' && (
+              <div className="form-actions">
+                <button type="button" className="btn btn-secondary" onClick={handleRegenerateInboundEmail}>
+                  Regenerate Address
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Team Members Tab */}
         {activeTab === 'users' && canManageUsers && (
           <div className="card">
@@ -476,6 +749,248 @@ const CompanySettings = () => {
           </div>
         )}
 
+        {/* Matching Settings Tab */}
+        {activeTab === 'matching' && canInviteUsers && (
+          <div className="card">
+            <div className="card-header">
+              <h3>Matching Settings</h3>
+              <p>Tune how receipts are scored against transactions and when they are matched automatically</p>
+            </div>
+
+            {matchingForm ? (
+              <form onSubmit={handleMatchingSubmit} className="company-form">
+                {MATCHING_FIELDS.map(section => (
+                  <div key={section.group} className="mb-3">
+                    <h4>{section.title}</h4>
+                    <div className="grid grid-3">
+                      {section.fields.map(field => (
+                        <div key={field.key} className="form-group">
+                          <label htmlFor={`matching-${section.group}-${field.key}`}>{field.label}</label>
+                          <input
+                            type="number"
+                            min="0"
+                            step={field.step || '1'}
+                            id={`matching-${section.group}-${field.key}`}
+                            value={matchingForm[section.group][field.key]}
+                            onChange={(e) => handleMatchingChange(section.group, field.key, e.target.value)}
+                            disabled={loading}
+                            className="form-input"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+
+                <h4>Thresholds</h4>
+                <div className="grid grid-3">
+                  <div className="form-group">
+                    <label htmlFor="matching-minimumConfidence">Minimum confidence to suggest (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      id="matching-minimumConfidence"
+                      value={matchingForm.minimumConfidence}
+                      onChange={(e) => handleMatchingChange(null, 'minimumConfidence', e.target.value)}
+                      disabled={loading}
+                      className="form-input"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="matching-autoMatchThreshold">Auto-match threshold (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      id="matching-autoMatchThreshold"
+                      value={matchingForm.autoMatchThreshold}
+                      onChange={(e) => handleMatchingChange(null, 'autoMatchThreshold', e.target.value)}
+                      disabled={loading}
+                      className="form-input"
+                    />
+                    <small className="text-gray">
+                      Receipts whose best match scores at least this much are matched automatically
+                    </small>
+                  </div>
+                </div>
+
+                <div className="form-actions">
+                  <button
+                    type="button"
+                    onClick={handleMatchingReset}
+                    disabled={loading || !matchingDefaults}
+                    className="btn btn-secondary"
+                  >
+                    Reset to Defaults
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="btn btn-primary"
+                  >
+                    {loading ? 'Saving...' : 'Save Matching Settings'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="text-center text-gray">Loading matching settings...</div>
+            )}
+          </div>
+        )}
+
+        {/* Expense Policy Tab */}
+        {activeTab === 'policy' && canInviteUsers && (
+          <div className="card">
+            <div className="card-header">
+              <h3>Expense Policy</h3>
+              <p>Rules every transaction is checked against. Amounts are in the home currency; leave a rule empty to turn it off.</p>
+            </div>
+
+            {policyForm ? (
+              <form onSubmit={handlePolicySubmit} className="company-form">
+                <h4>Category Limits</h4>
+                <p className="text-sm text-gray">The most a single charge in the category may be</p>
+                {policyForm.categoryCaps.map((cap, index) => (
+                  <div key={index} className="flex gap-1">
+                    <div className="form-group">
+                      <input
+                        type="text"
+                        value={cap.category}
+                        onChange={(e) => handleCapChange(index, 'category', e.target.value)}
+                        placeholder="Category, e.g. Meals"
+                        disabled={loading}
+                        className="form-input"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={cap.limit}
+                        onChange={(e) => handleCapChange(index, 'limit', e.target.value)}
+                        placeholder="Limit"
+                        disabled={loading}
+                        className="form-input"
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handlePolicyChange('categoryCaps', policyForm.categoryCaps.filter((_, i) => i !== index))}
+                      disabled={loading}
+                      className="btn btn-secondary btn-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => handlePolicyChange('categoryCaps', [...policyForm.categoryCaps, { category: '', limit: '' }])}
+                  disabled={loading}
+                  className="btn btn-secondary btn-sm mb-3"
+                >
+                  Add Category Limit
+                </button>
+
+                <h4>Limits</h4>
+                <div className="grid grid-3">
+                  <div className="form-group">
+                    <label htmlFor="policy-perDiemLimit">Per-diem limit (per cardholder per day)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      id="policy-perDiemLimit"
+                      value={policyForm.perDiemLimit}
+                      onChange={(e) => handlePolicyChange('perDiemLimit', e.target.value)}
+                      disabled={loading}
+                      className="form-input"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="policy-perDiemCategories">Per-diem categories</label>
+                    <input
+                      type="text"
+                      id="policy-perDiemCategories"
+                      value={policyForm.perDiemCategories}
+                      onChange={(e) => handlePolicyChange('perDiemCategories', e.target.value)}
+                      placeholder="All categories"
+                      disabled={loading}
+                      className="form-input"
+                    />
+                    <small className="text-gray">Comma separated, e.g. Meals, Lodging</small>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="policy-receiptRequiredAbove">Receipt required above</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      id="policy-receiptRequiredAbove"
+                      value={policyForm.receiptRequiredAbove}
+                      onChange={(e) => handlePolicyChange('receiptRequiredAbove', e.target.value)}
+                      disabled={loading}
+                      className="form-input"
+                    />
+                  </div>
+                </div>
+
+                <h4>Flags</h4>
+                <div className="checkbox-group mb-3">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={policyForm.flagWeekends}
+                      onChange={(e) => handlePolicyChange('flagWeekends', e.target.checked)}
+                      disabled={loading}
+                    />
+                    Flag weekend charges
+                  </label>
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={policyForm.flagAlcohol}
+                      onChange={(e) => handlePolicyChange('flagAlcohol', e.target.checked)}
+                      disabled={loading}
+                    />
+                    Flag alcohol on receipt line items and bank descriptions
+                  </label>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="policy-blockedMerchants">Blocked merchants</label>
+                  <textarea
+                    id="policy-blockedMerchants"
+                    rows="4"
+                    value={policyForm.blockedMerchants}
+                    onChange={(e) => handlePolicyChange('blockedMerchants', e.target.value)}
+                    placeholder="One per line, e.g. casino"
+                    disabled={loading}
+                    className="form-input"
+                  />
+                  <small className="text-gray">
+                    Charges whose bank description or receipt merchant contains one of these are flagged
+                  </small>
+                </div>
+
+                <div className="form-actions">
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="btn btn-primary"
+                  >
+                    {loading ? 'Saving...' : 'Save Expense Policy'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="text-center text-gray">Loading expense policy...</div>
+            )}
+          </div>
+        )}
+
         {/* Overview Tab */}
         {activeTab === 'overview' && (
           <div className="card">
@@ -55,7 +55,7 @@ const Dashboard = () => {
 
   const handleAutoMatch = async () => {
     try {
-      const response = await matchAPI.autoMatch(70);
+      const response = await matchAPI.autoMatch();
       toast.success(`Auto-matched ${response.data.matched} receipts!`);
       loadDashboardData(); // Refresh data
     } catch (error) {
@@ -194,9 +194,10 @@ const Dashboard = () => {
                         <span className={`badge badge-${
                           receipt.processing_status === 'completed' ? 'success' :
                           receipt.processing_status === 'processing' ? 'warning' :
+                          receipt.processing_status === 'pending' ? 'info' :
                           'danger'
                         }`}>
-                          {receipt.processing_status}
+                          {receipt.processing_status === 'pending' ? 'queued' : receipt.processing_status}
                         </span>
                       </td>
                     </tr>
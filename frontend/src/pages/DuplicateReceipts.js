@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { receiptAPI } from '../services/api';
+
+const METHOD_LABELS = {
+  file_hash: 'Same file',
+  perceptual_hash: 'Similar photo',
+  text_fingerprint: 'Same text'
+};
+
+const DuplicateReceipts = () => {
+  const [duplicates, setDuplicates] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadDuplicates = async () => {
+    try {
+      const response = await receiptAPI.getDuplicates();
+      setDuplicates(response.data);
+    } catch (error) {
+      console.error('Error loading possible duplicates:', error);
+      toast.error('Error loading possible duplicates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDuplicates();
+  }, []);
+
+  const handleKeep = async (duplicate) => {
+    try {
+      await receiptAPI.keepDuplicate(duplicate.id);
+      toast.success('Both receipts kept');
+      loadDuplicates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error updating duplicate');
+    }
+  };
+
+  const handleMerge = async (duplicate, keepReceiptId) => {
+    const removed = keepReceiptId === duplicate.receipt_id
+      ? duplicate.duplicate_of_original_filename
+      : duplicate.original_filename;
+    if (!window.confirm(`Delete "${removed}" and move its matches to the receipt you keep?`)) {
+      return;
+    }
+
+    try {
+      const response = await receiptAPI.mergeDuplicate(duplicate.id, keepReceiptId);
+      const { movedMatches } = response.data;
+      toast.success(movedMatches > 0 ? `Receipts merged, ${movedMatches} match(es) moved` : 'Receipts merged');
+      loadDuplicates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error merging receipts');
+    }
+  };
+
+  const formatAmount = (amount) => (amount !== null && amount !== undefined ? `$${amount.toFixed(2)}` : '-');
+
+  const renderReceipt = (filename, originalFilename, uploadDate, amount, date, merchant, matchCount) => (
+    <>
+      <a
+        href={`http://localhost:5000/uploads/receipts/${filename}`}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        {originalFilename}
+      </a>
+      <div className="text-sm text-gray">
+        Uploaded {new Date(uploadDate).toLocaleDateString()} • {formatAmount(amount)}
+        {date ? ` • ${date}` : ''}
+      </div>
+      <div className="text-sm text-gray">
+        {merchant || 'Unknown merchant'} • {matchCount} match(es)
+      </div>
+    </>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex-between mb-3">
+        <h1>Possible Duplicate Receipts</h1>
+        <Link to="/receipts" className="btn btn-secondary">Back to Receipts</Link>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Review Uploaded Receipts</h3>
+          <p className="card-subtitle">
+            These receipts match an earlier upload by file, photo or OCR text, and are not auto-matched until reviewed.
+            Keep both if they are separate purchases, or merge them to keep one receipt with the matches of both.
+          </p>
+        </div>
+
+        {duplicates.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>New Upload</th>
+                  <th>Earlier Receipt</th>
+                  <th>Why</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {duplicates.map(duplicate => (
+                  <tr key={duplicate.id}>
+                    <td>
+                      {renderReceipt(
+                        duplicate.filename, duplicate.original_filename, duplicate.upload_date,
+                        duplicate.extracted_amount, duplicate.extracted_date, duplicate.extracted_merchant,
+                        duplicate.match_count
+                      )}
+                    </td>
+                    <td>
+                      {renderReceipt(
+                        duplicate.duplicate_of_filename, duplicate.duplicate_of_original_filename,
+                        duplicate.duplicate_of_upload_date, duplicate.duplicate_of_amount, duplicate.duplicate_of_date,
+                        duplicate.duplicate_of_merchant, duplicate.duplicate_of_match_count
+                      )}
+                    </td>
+                    <td className="text-sm">
+                      <span className="badge badge-info">{METHOD_LABELS[duplicate.method] || duplicate.method}</span>
+                      <div>{duplicate.reason}</div>
+                      {duplicate.method !== 'file_hash' && (
+                        <div className="text-gray">{Math.round(duplicate.similarity * 100)}% similar</div>
+                      )}
+                    </td>
+                    <td>
+                      <div className="flex gap-1">
+                        <button className="btn btn-secondary btn-sm" onClick={() => handleKeep(duplicate)}>
+                          Keep Both
+                        </button>
+                        <button
+                          className="btn btn-danger btn-sm"
+                          onClick={() => handleMerge(duplicate, duplicate.duplicate_of_id)}
+                        >
+                          Keep Earlier
+                        </button>
+                        <button
+                          className="btn btn-danger btn-sm"
+                          onClick={() => handleMerge(duplicate, duplicate.receipt_id)}
+                        >
+                          Keep New
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray">No possible duplicates to review.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateReceipts;
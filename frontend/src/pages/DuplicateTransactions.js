@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { transactionAPI } from '../services/api';
+
+const DuplicateTransactions = () => {
+  const [duplicates, setDuplicates] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadDuplicates = async () => {
+    try {
+      const response = await transactionAPI.getDuplicates();
+      setDuplicates(response.data);
+    } catch (error) {
+      console.error('Error loading possible duplicates:', error);
+      toast.error('Error loading possible duplicates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDuplicates();
+  }, []);
+
+  const handleKeep = async (duplicate) => {
+    try {
+      await transactionAPI.keepDuplicate(duplicate.id);
+      toast.success('Both transactions kept');
+      loadDuplicates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error updating duplicate');
+    }
+  };
+
+  const handleRemove = async (duplicate) => {
+    if (!window.confirm(`Remove the newly imported "${duplicate.description}"? The earlier transaction is kept.`)) {
+      return;
+    }
+
+    try {
+      await transactionAPI.removeDuplicate(duplicate.id);
+      toast.success('Duplicate transaction removed');
+      loadDuplicates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error removing duplicate');
+    }
+  };
+
+  const formatAmount = (amount) => `${amount < 0 ? '-' : '+'}$${Math.abs(amount).toFixed(2)}`;
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex-between mb-3">
+        <h1>Possible Duplicates</h1>
+        <Link to="/transactions" className="btn btn-secondary">Back to Transactions</Link>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Review Imported Transactions</h3>
+          <p className="card-subtitle">
+            These transactions were imported with the same amount as an existing one within a day.
+            Keep both if they are separate charges, or remove the new one if the statement was imported twice.
+          </p>
+        </div>
+
+        {duplicates.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Newly Imported</th>
+                  <th>Existing Transaction</th>
+                  <th>Why</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {duplicates.map(duplicate => (
+                  <tr key={duplicate.id}>
+                    <td>
+                      <div>{duplicate.description}</div>
+                      <div className="text-sm text-gray">
+                        {duplicate.transaction_date} • {formatAmount(duplicate.amount)}
+                      </div>
+                    </td>
+                    <td>
+                      <div>{duplicate.original_transaction_description}</div>
+                      <div className="text-sm text-gray">
+                        {duplicate.original_transaction_date} • {formatAmount(duplicate.original_amount)}
+                      </div>
+                    </td>
+                    <td className="text-sm">{duplicate.reason}</td>
+                    <td>
+                      <div className="flex gap-1">
+                        <button className="btn btn-secondary btn-sm" onClick={() => handleKeep(duplicate)}>
+                          Keep Both
+                        </button>
+                        <button
+                          className="btn btn-danger btn-sm"
+                          onClick={() => handleRemove(duplicate)}
+                          disabled={duplicate.confirmed_matches > 0}
+                          title={duplicate.confirmed_matches > 0 ? 'Has confirmed receipt matches' : ''}
+                        >
+                          Remove New
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray">No possible duplicates to review.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateTransactions;
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { exchangeRateAPI } from '../services/api';
+
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CHF', 'MXN', 'INR', 'SGD'];
+
+const ExchangeRates = () => {
+  const { currentCompany } = useAuth();
+  const [rates, setRates] = useState([]);
+  const [homeCurrency, setHomeCurrency] = useState('USD');
+  const [loading, setLoading] = useState(true);
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+
+  const loadRates = async () => {
+    try {
+      const response = await exchangeRateAPI.getAll();
+      setRates(response.data.rates);
+      setHomeCurrency(response.data.homeCurrency);
+    } catch (error) {
+      console.error('Error loading exchange rates:', error);
+      toast.error(error.response?.data?.error || 'Failed to load exchange rates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentCompany?.id) {
+      loadRates();
+    }
+  }, [currentCompany]);
+
+  const handleHomeCurrency = async (currency) => {
+    try {
+      await exchangeRateAPI.setHomeCurrency(currency);
+      setHomeCurrency(currency);
+      toast.success(`Home currency set to ${currency}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update home currency');
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const response = await exchangeRateAPI.importCSV(file);
+      setImportResult(response.data);
+      toast.success(`Imported ${response.data.imported} exchange rate(s)`);
+      setFile(null);
+      e.target.reset();
+      loadRates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to import exchange rates');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.base_currency} → ${rate.quote_currency} rate for ${rate.rate_date}?`)) {
+      return;
+    }
+
+    try {
+      await exchangeRateAPI.delete(rate.id);
+      toast.success('Exchange rate deleted');
+      loadRates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete exchange rate');
+    }
+  };
+
+  if (currentCompany?.role !== 'admin') {
+    return (
+      <div className="card">
+        <p>Only company admins can manage exchange rates.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const currencyOptions = COMMON_CURRENCIES.includes(homeCurrency) ? COMMON_CURRENCIES : [homeCurrency, ...COMMON_CURRENCIES];
+
+  return (
+    <div className="exchange-rates-page">
+      <div className="page-header flex-between">
+        <h1>Exchange Rates</h1>
+        <Link to="/company-settings" className="btn btn-secondary">Back to Company</Link>
+      </div>
+
+      <div className="card mb-3">
+        <p className="text-gray">
+          Receipts and card charges in other currencies are converted to the home currency with the
+          rate closest to their date. The matcher compares converted amounts, and reports show both
+          the original and the home-currency amount.
+        </p>
+
+        <div className="grid grid-2 mt-2">
+          <div className="form-group">
+            <label htmlFor="homeCurrency">Home currency</label>
+            <select
+              id="homeCurrency"
+              className="form-select"
+              value={homeCurrency}
+              onChange={(e) => handleHomeCurrency(e.target.value)}
+            >
+              {currencyOptions.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </div>
+
+          <form onSubmit={handleImport} className="form-group">
+            <label htmlFor="ratesFile">Import rates (CSV with Date, From, To, Rate columns)</label>
+            <div className="flex gap-1">
+              <input
+                id="ratesFile"
+                type="file"
+                accept=".csv,text/csv"
+                className="form-input"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+              <button type="submit" className="btn btn-primary" disabled={!file || importing}>
+                {importing ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {importResult && importResult.errors.length > 0 && (
+          <div className="mt-2">
+            <p className="text-warning">{importResult.invalid} row(s) could not be imported:</p>
+            <ul className="text-sm">
+              {importResult.errors.map(error => (
+                <li key={error.line}>Line {error.line}: {error.error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {rates.length > 0 ? (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Rate</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => (
+                <tr key={rate.id}>
+                  <td>{rate.rate_date}</td>
+                  <td>{rate.base_currency}</td>
+                  <td>{rate.quote_currency}</td>
+                  <td>{rate.rate}</td>
+                  <td>
+                    <button className="btn btn-danger btn-sm" onClick={() => handleDelete(rate)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>No exchange rates yet. Import a CSV to convert foreign-currency receipts and charges.</p>
+      )}
+    </div>
+  );
+};
+
+export default ExchangeRates;
@@ -0,0 +1,378 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { expenseReportAPI } from '../services/api';
+import { STATUS_BADGES, statusLabel } from './ExpenseReports';
+
+const HISTORY_LABELS = {
+  created: 'Created',
+  submitted: 'Submitted',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  returned: 'Sent back'
+};
+
+const ExpenseReportDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [report, setReport] = useState(null);
+  const [available, setAvailable] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const isOwner = report && report.created_by === user?.id;
+  const isEditable = isOwner && ['draft', 'returned'].includes(report.status);
+  const canDecide = Boolean(report?.approval.acting);
+
+  const loadReport = useCallback(async () => {
+    try {
+      const response = await expenseReportAPI.getById(id);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error loading expense report:', error);
+      toast.error(error.response?.data?.error || 'Error loading expense report');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  const loadAvailable = useCallback(async () => {
+    try {
+      const response = await expenseReportAPI.getAvailableTransactions(id);
+      setAvailable(response.data.transactions);
+      setSelected([]);
+    } catch (error) {
+      console.error('Error loading available transactions:', error);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  useEffect(() => {
+    if (isEditable) {
+      loadAvailable();
+    }
+  }, [isEditable, loadAvailable]);
+
+  const refresh = () => {
+    loadReport();
+    if (isEditable) {
+      loadAvailable();
+    }
+  };
+
+  const handleAdd = async () => {
+    try {
+      const response = await expenseReportAPI.addTransactions(id, selected);
+      toast.success(response.data.message);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error adding transactions');
+    }
+  };
+
+  const handleRemove = async (transactionId) => {
+    try {
+      await expenseReportAPI.removeTransaction(id, transactionId);
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error removing transaction');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the expense report "${report.purpose}"?`)) {
+      return;
+    }
+
+    try {
+      await expenseReportAPI.delete(id);
+      toast.success('Expense report deleted');
+      navigate('/expense-reports');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error deleting expense report');
+    }
+  };
+
+  // action: submit, approve, reject or returnReport
+  const handleAction = async (action) => {
+    try {
+      const response = action === 'submit'
+        ? await expenseReportAPI.submit(id)
+        : await expenseReportAPI[action](id, comment);
+      toast.success(response.data.message);
+      setComment('');
+      loadReport();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error updating expense report');
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const response = await expenseReportAPI.downloadPDF(id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `expense_report_${id}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Error downloading expense report PDF');
+    }
+  };
+
+  const toggleSelected = (transactionId) => {
+    setSelected(prev => prev.includes(transactionId)
+      ? prev.filter(selectedId => selectedId !== transactionId)
+      : [...prev, transactionId]);
+  };
+
+  const describeApprover = (step) => (step.approver_user_id
+    ? `${step.approver_first_name} ${step.approver_last_name}`
+    : `Any ${step.approver_role}`);
+
+  const describeApproval = (approval) => {
+    const by = `${approval.first_name} ${approval.last_name}`;
+    return approval.on_behalf_of
+      ? `${by} for ${approval.on_behalf_of_first_name} ${approval.on_behalf_of_last_name}`
+      : by;
+  };
+
+  const formatAmount = (transaction) => {
+    const amount = Math.abs(transaction.amount).toFixed(2);
+    return transaction.currency && transaction.currency !== report.homeCurrency
+      ? `${transaction.currency} ${amount}`
+      : `${report.homeCurrency} ${amount}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!report) {
+    return (
+      <div>
+        <p className="text-gray">Expense report not found.</p>
+        <Link to="/expense-reports" className="btn btn-secondary">Back to Expense Reports</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex-between mb-3">
+        <h1>{report.purpose}</h1>
+        <div className="flex gap-1">
+          {report.status === 'approved' && (
+            <button className="btn btn-primary" onClick={handleDownload}>Download PDF</button>
+          )}
+          <Link to="/expense-reports" className="btn btn-secondary">Back to Expense Reports</Link>
+        </div>
+      </div>
+
+      <div className="card mb-3">
+        <div className="card-header flex-between">
+          <h3 className="card-title">
+            {report.period_start} – {report.period_end}
+          </h3>
+          <span className={`badge ${STATUS_BADGES[report.status]}`}>{statusLabel(report.status)}</span>
+        </div>
+        <p className="text-sm text-gray">
+          {report.owner_first_name} {report.owner_last_name}
+          {report.submitted_at && ` • submitted ${new Date(report.submitted_at).toLocaleDateString()}`}
+          {report.decided_by && ` • ${report.status} by ${report.decided_by_first_name} ${report.decided_by_last_name}`}
+        </p>
+        <p>
+          <strong>Total: {report.homeCurrency} {report.totals.total.toFixed(2)}</strong>
+          {report.totals.unconverted > 0 && (
+            <span className="text-sm text-gray"> ({report.totals.unconverted} charge(s) without an exchange rate not included)</span>
+          )}
+        </p>
+
+        {isEditable && (
+          <div className="flex gap-1">
+            <button className="btn btn-primary" onClick={() => handleAction('submit')} disabled={report.items.length === 0}>
+              Submit for Approval
+            </button>
+            <button className="btn btn-danger" onClick={handleDelete}>Delete Report</button>
+          </div>
+        )}
+
+        {canDecide && (
+          <div>
+            <p className="text-sm">
+              Deciding on <strong>{report.approval.pending.name}</strong>
+              {report.approval.acting.onBehalfOf && ' as a delegate'}
+            </p>
+            <div className="form-group">
+              <label htmlFor="comment">Comment (required to reject or send back)</label>
+              <textarea
+                id="comment"
+                className="form-input"
+                rows="2"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+              />
+            </div>
+            <div className="flex gap-1">
+              <button className="btn btn-success" onClick={() => handleAction('approve')}>Approve</button>
+              <button className="btn btn-secondary" onClick={() => handleAction('returnReport')} disabled={!comment.trim()}>
+                Send Back
+              </button>
+              <button className="btn btn-danger" onClick={() => handleAction('reject')} disabled={!comment.trim()}>
+                Reject
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="card mb-3">
+        <div className="card-header">
+          <h3 className="card-title">Approval Steps</h3>
+        </div>
+        <table className="table">
+          <tbody>
+            {report.approval.steps.map(step => (
+              <tr key={step.id || 'default'}>
+                <td>{step.name}</td>
+                <td className="text-sm text-gray">{describeApprover(step)}</td>
+                <td>
+                  {step.approval ? (
+                    <span className="badge badge-success">Approved by {describeApproval(step.approval)}</span>
+                  ) : report.approval.pending && report.approval.pending.id === step.id ? (
+                    <span className="badge badge-warning">Waiting</span>
+                  ) : (
+                    <span className="text-sm text-gray">Not yet</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="card mb-3">
+        <div className="card-header">
+          <h3 className="card-title">Transactions</h3>
+        </div>
+        {report.items.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Category</th>
+                  <th>Amount</th>
+                  <th>Receipts</th>
+                  {isEditable && <th></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {report.items.map(item => (
+                  <tr key={item.id}>
+                    <td>{item.transaction_date}</td>
+                    <td>{item.description}</td>
+                    <td><span className="badge badge-info">{item.category || 'Other'}</span></td>
+                    <td>{formatAmount(item)}</td>
+                    <td className="text-sm">{item.receipts || <span className="text-danger">No matched receipt</span>}</td>
+                    {isEditable && (
+                      <td>
+                        <button className="btn btn-sm btn-secondary" onClick={() => handleRemove(item.id)}>Remove</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray">No transactions on this report yet.</p>
+        )}
+      </div>
+
+      {isEditable && (
+        <div className="card mb-3">
+          <div className="card-header flex-between">
+            <div>
+              <h3 className="card-title">Add Transactions</h3>
+              <p className="card-subtitle">Matched transactions in the report's period that are not on another report.</p>
+            </div>
+            <button className="btn btn-sm btn-primary" onClick={handleAdd} disabled={selected.length === 0}>
+              Add Selected ({selected.length})
+            </button>
+          </div>
+          {available.length > 0 ? (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Date</th>
+                    <th>Description</th>
+                    <th>Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {available.map(transaction => (
+                    <tr key={transaction.id}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(transaction.id)}
+                          onChange={() => toggleSelected(transaction.id)}
+                        />
+                      </td>
+                      <td>{transaction.transaction_date}</td>
+                      <td>{transaction.description}</td>
+                      <td>{formatAmount(transaction)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-gray">No more matched transactions in this period.</p>
+          )}
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">History</h3>
+        </div>
+        <table className="table">
+          <tbody>
+            {report.history.map(entry => (
+              <tr key={entry.id}>
+                <td className="text-sm text-gray">{new Date(entry.created_at).toLocaleString()}</td>
+                <td>
+                  {HISTORY_LABELS[entry.action] || entry.action}
+                  {entry.step_name && <span className="text-sm text-gray"> ({entry.step_name})</span>}
+                </td>
+                <td>{entry.on_behalf_of ? describeApproval(entry) : `${entry.first_name} ${entry.last_name}`}</td>
+                <td className="text-sm">{entry.comment}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ExpenseReportDetails;
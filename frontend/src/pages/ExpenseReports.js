@@ -0,0 +1,313 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { approvalChainAPI, expenseReportAPI } from '../services/api';
+
+export const STATUS_BADGES = {
+  draft: 'badge-info',
+  submitted: 'badge-warning',
+  returned: 'badge-warning',
+  approved: 'badge-success',
+  rejected: 'badge-danger'
+};
+
+export const statusLabel = (status) => status.charAt(0).toUpperCase() + status.slice(1);
+
+const EMPTY_DELEGATION = { delegateId: '', startsOn: '', endsOn: '' };
+
+const ExpenseReports = () => {
+  const { user, currentCompany } = useAuth();
+  const navigate = useNavigate();
+
+  const [view, setView] = useState('mine');
+  const [reports, setReports] = useState([]);
+  const [homeCurrency, setHomeCurrency] = useState('USD');
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ purpose: '', periodStart: '', periodEnd: '' });
+  const [delegations, setDelegations] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [delegationForm, setDelegationForm] = useState(EMPTY_DELEGATION);
+
+  const loadReports = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = view === 'mine' ? { mine: 1 } : { awaiting: 1 };
+      const response = await expenseReportAPI.getAll(params);
+      setReports(response.data.reports);
+      setHomeCurrency(response.data.homeCurrency || 'USD');
+    } catch (error) {
+      console.error('Error loading expense reports:', error);
+      toast.error('Error loading expense reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [view]);
+
+  const loadDelegations = useCallback(async () => {
+    try {
+      const [delegationsResponse, membersResponse] = await Promise.all([
+        approvalChainAPI.getDelegations(),
+        approvalChainAPI.getMembers()
+      ]);
+      setDelegations(delegationsResponse.data.delegations);
+      setMembers(membersResponse.data.members.filter(member => member.id !== user?.id));
+    } catch (error) {
+      console.error('Error loading delegations:', error);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  useEffect(() => {
+    if (currentCompany?.id) {
+      loadDelegations();
+    }
+  }, [currentCompany, loadDelegations]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await expenseReportAPI.create(form);
+      toast.success('Expense report created');
+      navigate(`/expense-reports/${response.data.reportId}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error creating expense report');
+    }
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleDelegate = async (e) => {
+    e.preventDefault();
+    try {
+      await approvalChainAPI.createDelegation(delegationForm);
+      toast.success('Your approvals will go to your delegate while you are out');
+      setDelegationForm(EMPTY_DELEGATION);
+      loadDelegations();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error adding delegation');
+    }
+  };
+
+  const handleDeleteDelegation = async (id) => {
+    try {
+      await approvalChainAPI.deleteDelegation(id);
+      loadDelegations();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error removing delegation');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex-between mb-3">
+        <h1>Expense Reports</h1>
+        <button className="btn btn-primary" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Cancel' : 'New Report'}
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="card mb-3">
+          <div className="card-header">
+            <h3 className="card-title">New Expense Report</h3>
+            <p className="card-subtitle">
+              Give the report a purpose and the period it covers, then add matched transactions from that period.
+            </p>
+          </div>
+          <form onSubmit={handleCreate}>
+            <div className="form-group">
+              <label htmlFor="purpose">Purpose</label>
+              <input
+                id="purpose"
+                name="purpose"
+                className="form-input"
+                value={form.purpose}
+                onChange={handleChange}
+                placeholder="e.g. Client visit, Berlin"
+                required
+              />
+            </div>
+            <div className="flex gap-1">
+              <div className="form-group">
+                <label htmlFor="periodStart">From</label>
+                <input
+                  id="periodStart"
+                  name="periodStart"
+                  type="date"
+                  className="form-input"
+                  value={form.periodStart}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="periodEnd">To</label>
+                <input
+                  id="periodEnd"
+                  name="periodEnd"
+                  type="date"
+                  className="form-input"
+                  value={form.periodEnd}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
+            </div>
+            <button type="submit" className="btn btn-primary">Create Report</button>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header flex-between">
+          <h3 className="card-title">{view === 'mine' ? 'My Reports' : 'Awaiting My Approval'}</h3>
+          <div className="flex gap-1">
+            <button
+              className={`btn btn-sm ${view === 'mine' ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setView('mine')}
+            >
+              My Reports
+            </button>
+            <button
+              className={`btn btn-sm ${view === 'approval' ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setView('approval')}
+            >
+              Awaiting My Approval
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex-center" style={{ height: '20vh' }}>
+            <div className="spinner"></div>
+          </div>
+        ) : reports.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Purpose</th>
+                  {view !== 'mine' && <th>Submitted By</th>}
+                  <th>Period</th>
+                  <th>Transactions</th>
+                  <th>Total</th>
+                  <th>{view === 'mine' ? 'Status' : 'Step'}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reports.map(report => (
+                  <tr key={report.id}>
+                    <td><Link to={`/expense-reports/${report.id}`}>{report.purpose}</Link></td>
+                    {view !== 'mine' && <td>{report.owner_first_name} {report.owner_last_name}</td>}
+                    <td className="text-sm">{report.period_start} – {report.period_end}</td>
+                    <td>{report.item_count}</td>
+                    <td>{homeCurrency} {(report.total_amount || 0).toFixed(2)}</td>
+                    <td>
+                      {view === 'mine' ? (
+                        <span className={`badge ${STATUS_BADGES[report.status]}`}>{statusLabel(report.status)}</span>
+                      ) : (
+                        <>
+                          {report.pending_step}
+                          {report.on_behalf_of && <div className="text-sm text-gray">As a delegate</div>}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray">
+            {view === 'mine' ? 'You have no expense reports yet.' : 'No reports are waiting for your approval.'}
+          </p>
+        )}
+      </div>
+
+      <div className="card mt-3">
+        <div className="card-header">
+          <h3 className="card-title">Out of Office</h3>
+          <p className="card-subtitle">
+            While you are out, your delegate can approve the report steps you would approve.
+          </p>
+        </div>
+
+        {delegations.length > 0 && (
+          <table className="table">
+            <tbody>
+              {delegations.map(delegation => (
+                <tr key={delegation.id}>
+                  <td>
+                    {delegation.user_id === user?.id
+                      ? `${delegation.delegate_first_name} ${delegation.delegate_last_name} approves for you`
+                      : `You approve for ${delegation.user_first_name} ${delegation.user_last_name}`}
+                  </td>
+                  <td className="text-sm">{delegation.starts_on} – {delegation.ends_on}</td>
+                  <td>
+                    {delegation.user_id === user?.id && (
+                      <button className="btn btn-sm btn-secondary" onClick={() => handleDeleteDelegation(delegation.id)}>
+                        Remove
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form onSubmit={handleDelegate} className="flex gap-1">
+          <div className="form-group">
+            <label htmlFor="delegateId">Delegate</label>
+            <select
+              id="delegateId"
+              className="form-input"
+              value={delegationForm.delegateId}
+              onChange={(e) => setDelegationForm({ ...delegationForm, delegateId: e.target.value })}
+              required
+            >
+              <option value="">Choose a colleague</option>
+              {members.map(member => (
+                <option key={member.id} value={member.id}>{member.first_name} {member.last_name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="startsOn">From</label>
+            <input
+              id="startsOn"
+              type="date"
+              className="form-input"
+              value={delegationForm.startsOn}
+              onChange={(e) => setDelegationForm({ ...delegationForm, startsOn: e.target.value })}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="endsOn">To</label>
+            <input
+              id="endsOn"
+              type="date"
+              className="form-input"
+              value={delegationForm.endsOn}
+              onChange={(e) => setDelegationForm({ ...delegationForm, endsOn: e.target.value })}
+              required
+            />
+          </div>
+          <div className="form-group" style={{ alignSelf: 'end' }}>
+            <button type="submit" className="btn btn-primary">Delegate</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ExpenseReports;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { transactionAPI } from '../services/api';
+
+const ImportHistory = () => {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState(null);
+
+  const loadBatches = async () => {
+    try {
+      const response = await transactionAPI.getImportBatches();
+      setBatches(response.data);
+    } catch (error) {
+      console.error('Error loading import history:', error);
+      toast.error('Error loading import history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBatches();
+  }, []);
+
+  const handleRollback = async (batch) => {
+    if (!window.confirm(
+      `Roll back "${batch.file_name}"? Its ${batch.remaining_transactions} transactions and their unconfirmed receipt matches will be deleted.`
+    )) {
+      return;
+    }
+
+    setRollingBack(batch.id);
+    try {
+      const response = await transactionAPI.rollbackImportBatch(batch.id);
+      toast.success(`Import rolled back: ${response.data.removedTransactions} transactions removed`);
+      loadBatches();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error rolling back import');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const formatDateTime = (value) => {
+    if (!value) return '';
+    return new Date(value).toLocaleString();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex-between mb-3">
+        <h1>Import History</h1>
+        <Link to="/import" className="btn btn-secondary">Back to Import</Link>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Imported Statements</h3>
+          <p className="card-subtitle">
+            Each statement import is recorded with the transactions it created.
+            Rolling back an import removes those transactions and their unconfirmed receipt matches.
+          </p>
+        </div>
+
+        {batches.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Imported</th>
+                  <th>Rows</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batches.map(batch => (
+                  <tr key={batch.id}>
+                    <td>
+                      <div>{batch.file_name}</div>
+                      <div className="text-sm text-gray">{batch.profile}</div>
+                    </td>
+                    <td>
+                      <div>{formatDateTime(batch.created_at)}</div>
+                      {batch.first_name && (
+                        <div className="text-sm text-gray">by {batch.first_name} {batch.last_name}</div>
+                      )}
+                    </td>
+                    <td className="text-sm">
+                      <div>{batch.imported_count} imported of {batch.total_rows}</div>
+                      <div className="text-gray">
+                        {batch.skipped_count} already imported • {batch.invalid_count} with errors
+                        {batch.possible_duplicate_count > 0 && ` • ${batch.possible_duplicate_count} possible duplicates`}
+                      </div>
+                    </td>
+                    <td>
+                      {batch.status === 'rolled_back' ? (
+                        <>
+                          <span className="badge badge-danger">Rolled back</span>
+                          <div className="text-sm text-gray">{formatDateTime(batch.rolled_back_at)}</div>
+                        </>
+                      ) : (
+                        <span className="badge badge-success">Completed</span>
+                      )}
+                    </td>
+                    <td>
+                      {batch.status === 'completed' && (
+                        <button
+                          className="btn btn-danger btn-sm"
+                          onClick={() => handleRollback(batch)}
+                          disabled={rollingBack === batch.id || batch.confirmed_matches > 0}
+                          title={batch.confirmed_matches > 0 ? 'Has confirmed receipt matches' : ''}
+                        >
+                          {rollingBack === batch.id ? 'Rolling back...' : 'Roll Back'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray">No statements imported yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportHistory;
@@ -1,21 +1,73 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { transactionAPI } from '../services/api';
 import { toast } from 'react-toastify';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+
+const SIGN_CONVENTIONS = {
+  negative_debits: 'Charges are negative, payments positive',
+  positive_debits: 'Charges are positive, payments negative',
+  split_columns: 'Separate Debit and Credit columns'
+};
+
+const COLUMN_LABELS = {
+  date: 'Transaction date',
+  description: 'Description',
+  amount: 'Amount',
+  debit: 'Debit',
+  credit: 'Credit',
+  category: 'Category',
+  externalId: 'Reference / transaction ID',
+  cardLastFour: 'Card number',
+  salesTax: 'Sales tax',
+  currency: 'Currency'
+};
+
+// Statement files accepted by the importer
+const STATEMENT_EXTENSIONS = ['.csv', '.ofx', '.qfx', '.qif'];
+
+// Rows shown in the preview table; the summary still counts every row
+const PREVIEW_ROW_LIMIT = 500;
+
+// Editable mapping state from the mapping the server applied
+const mappingFromPreview = (preview) => ({
+  columns: { ...preview.mapping.columns },
+  dateFormat: preview.mapping.dateFormats.length === 1 ? preview.mapping.dateFormats[0] : '',
+  signConvention: preview.mapping.signConvention
+});
 
 const ImportTransactions = () => {
   const [importing, setImporting] = useState(false);
   const [importResult, setImportResult] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfile, setSelectedProfile] = useState('auto');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [showProblemsOnly, setShowProblemsOnly] = useState(false);
   const navigate = useNavigate();
 
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const response = await transactionAPI.getImportProfiles();
+        setProfiles(response.data.profiles);
+      } catch (error) {
+        console.error('Error loading import profiles:', error);
+      }
+    };
+
+    loadProfiles();
+  }, []);
+
+  const profileDetails = profiles.find(profile => profile.id === selectedProfile);
+
   const onDrop = useCallback(async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
 
     const file = acceptedFiles[0];
     
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      toast.error('Please select a CSV file');
+    if (!STATEMENT_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))) {
+      toast.error('Please select a CSV, OFX, QFX or QIF file');
       return;
     }
 
@@ -23,21 +75,103 @@ const ImportTransactions = () => {
     setImportResult(null);
 
     try {
-      const response = await transactionAPI.importCSV(file);
+      const response = await transactionAPI.previewImport(file, selectedProfile);
+      setPreview(response.data);
+      setMapping(mappingFromPreview(response.data));
+      setShowProblemsOnly(false);
+    } catch (error) {
+      console.error('Error reading transactions file:', error);
+      toast.error(error.response?.data?.error || 'Error reading transactions file');
+    } finally {
+      setImporting(false);
+    }
+  }, [selectedProfile]);
+
+  // Re-read the uploaded file, either with a different profile (which resets
+  // the mapping) or with the adjusted mapping
+  const refreshPreview = async (profileId, adjustedMapping) => {
+    setImporting(true);
+    try {
+      const response = await transactionAPI.updateImportPreview(
+        preview.importId, profileId, adjustedMapping, preview.fileName
+      );
+      setPreview(response.data);
+      setMapping(mappingFromPreview(response.data));
+    } catch (error) {
+      console.error('Error updating import preview:', error);
+      toast.error(error.response?.data?.error || 'Error updating import preview');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleProfileChange = (profileId) => {
+    setSelectedProfile(profileId);
+    if (preview) {
+      refreshPreview(profileId, null);
+    }
+  };
+
+  const handleMappingColumnChange = (field, header) => {
+    setMapping({ ...mapping, columns: { ...mapping.columns, [field]: header || null } });
+  };
+
+  const handleCommit = async () => {
+    setImporting(true);
+    try {
+      const response = await transactionAPI.commitImport(preview.importId, preview.profile.id, mapping, preview.fileName);
       setImportResult(response.data);
+      setPreview(null);
+      setMapping(null);
       toast.success(`Import completed! ${response.data.imported} transactions imported`);
     } catch (error) {
       console.error('Error importing transactions:', error);
-      toast.error('Error importing transactions');
+      toast.error(error.response?.data?.error || 'Error importing transactions');
     } finally {
       setImporting(false);
     }
-  }, []);
+  };
+
+  const handleDiscard = async () => {
+    try {
+      await transactionAPI.discardImport(preview.importId);
+    } catch (error) {
+      console.error('Error discarding import:', error);
+    }
+    setPreview(null);
+    setMapping(null);
+  };
+
+  const renderRowStatus = (row) => {
+    if (row.error) {
+      return <span className="badge badge-danger" title={row.error}>{row.error}</span>;
+    }
+    if (row.duplicate === 'existing') {
+      return <span className="badge badge-warning">Already imported</span>;
+    }
+    if (row.possibleDuplicate) {
+      return (
+        <span
+          className="badge badge-info"
+          title={`${row.possibleDuplicate.reason}: ${row.possibleDuplicate.description} (${row.possibleDuplicate.transaction_date})`}
+        >
+          Possible duplicate
+        </span>
+      );
+    }
+    return <span className="badge badge-success">Ready</span>;
+  };
+
+  const previewRows = preview
+    ? preview.rows.filter(row => !showProblemsOnly || row.error || row.duplicate || row.possibleDuplicate)
+    : [];
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'text/csv': ['.csv']
+      'text/csv': ['.csv'],
+      'application/x-ofx': ['.ofx', '.qfx'],
+      'application/qif': ['.qif']
     },
     multiple: false,
     disabled: importing
@@ -47,53 +181,237 @@ const ImportTransactions = () => {
     <div>
       <div className="flex-between mb-3">
         <h1>Import Transactions</h1>
+        <Link to="/import/history" className="btn btn-secondary">Import History</Link>
       </div>
 
       <div className="card mb-3">
         <div className="card-header">
-          <h3 className="card-title">Upload Chase CSV File</h3>
+          <h3 className="card-title">Upload Bank Statement</h3>
           <p className="card-subtitle">
-            Import your Chase credit card transactions from a CSV file
+            Import credit card transactions from a CSV export (Chase, American Express, Capital One, Citi, Bank of America or any file with date, description and amount columns) or an OFX, QFX or QIF file
           </p>
         </div>
 
+        <div className="form-group">
+          <label htmlFor="importProfile">Bank format</label>
+          <select
+            id="importProfile"
+            className="form-select"
+            value={selectedProfile}
+            onChange={(e) => handleProfileChange(e.target.value)}
+            disabled={importing}
+          >
+            <option value="auto">Auto-detect from column headers</option>
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
+        </div>
+
         <div className="mb-3">
           <h4>Instructions:</h4>
           <ol className="text-sm text-gray">
-            <li>Log into your Chase account</li>
-            <li>Go to your credit card account</li>
-            <li>Navigate to Statements & Activity</li>
-            <li>Click "Download transactions" and select CSV format</li>
-            <li>Upload the downloaded CSV file here</li>
+            <li>Log into your card account online</li>
+            <li>Open your statements or recent activity</li>
+            <li>Download the transactions as CSV, or in Quicken/Money format (OFX, QFX or QIF)</li>
+            <li>Upload the downloaded file here</li>
           </ol>
         </div>
 
-        <div 
-          {...getRootProps()} 
-          className={`dropzone ${isDragActive ? 'active' : ''} ${importing ? 'disabled' : ''}`}
-        >
-          <input {...getInputProps()} />
-          {importing ? (
-            <div className="flex-center gap-2">
-              <div className="spinner"></div>
-              <span>Importing transactions...</span>
+        {!preview && (
+          <div 
+            {...getRootProps()} 
+            className={`dropzone ${isDragActive ? 'active' : ''} ${importing ? 'disabled' : ''}`}
+          >
+            <input {...getInputProps()} />
+            {importing ? (
+              <div className="flex-center gap-2">
+                <div className="spinner"></div>
+                <span>Reading transactions...</span>
+              </div>
+            ) : isDragActive ? (
+              <p>Drop the statement file here...</p>
+            ) : (
+              <div>
+                <p><strong>Drag & drop</strong> your statement file here, or <strong>click to select</strong></p>
+                <p className="text-sm text-gray">CSV, OFX, QFX and QIF files are accepted. You can review the rows before anything is imported.</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Import Preview */}
+      {preview && mapping && (
+        <div className="card mb-3">
+          <div className="card-header">
+            <h3 className="card-title">Review Import{preview.fileName ? `: ${preview.fileName}` : ''}</h3>
+            <p className="card-subtitle">
+              Read as {preview.profile.name}.{' '}
+              {preview.profile.format === 'csv'
+                ? 'Adjust the column mapping if anything looks wrong, then import.'
+                : 'Check the rows below, then import.'}
+            </p>
+          </div>
+
+          {preview.previousImport && (
+            <div className="mb-3 p-3 bg-gray-100 rounded">
+              <p className="text-sm text-warning">
+                This file was already imported as "{preview.previousImport.file_name}" on{' '}
+                {new Date(preview.previousImport.created_at).toLocaleDateString()}.
+                Rows from that import will be skipped.{' '}
+                <Link to="/import/history">View import history</Link>
+              </p>
             </div>
-          ) : isDragActive ? (
-            <p>Drop the CSV file here...</p>
-          ) : (
-            <div>
-              <p><strong>Drag & drop</strong> your Chase CSV file here, or <strong>click to select</strong></p>
-              <p className="text-sm text-gray">Only CSV files are accepted</p>
+          )}
+
+          <div className="grid grid-3 mb-3">
+            <div className="text-center">
+              <div className="text-xl text-success">{preview.summary.valid}</div>
+              <div className="text-sm text-gray">Ready to import</div>
             </div>
+            <div className="text-center">
+              <div className="text-xl text-warning">{preview.summary.duplicates}</div>
+              <div className="text-sm text-gray">Already imported (will be skipped)</div>
+              {preview.summary.possibleDuplicates > 0 && (
+                <div className="text-sm text-gray">
+                  {preview.summary.possibleDuplicates} possible duplicates will be imported for review
+                </div>
+              )}
+            </div>
+            <div className="text-center">
+              <div className="text-xl text-danger">{preview.summary.invalid}</div>
+              <div className="text-sm text-gray">Rows with errors</div>
+            </div>
+          </div>
+
+          {preview.profile.format === 'csv' && (
+            <>
+              <h4>Column Mapping</h4>
+              <div className="grid grid-3 mb-3">
+                {Object.keys(COLUMN_LABELS).map(field => (
+                  <div className="form-group" key={field}>
+                    <label htmlFor={`mapping-${field}`}>{COLUMN_LABELS[field]}</label>
+                    <select
+                      id={`mapping-${field}`}
+                      className="form-select"
+                      value={mapping.columns[field] || ''}
+                      onChange={(e) => handleMappingColumnChange(field, e.target.value)}
+                      disabled={importing}
+                    >
+                      <option value="">— Not in file —</option>
+                      {preview.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div className="form-group">
+                  <label htmlFor="mapping-dateFormat">Date format</label>
+                  <input
+                    id="mapping-dateFormat"
+                    className="form-input"
+                    value={mapping.dateFormat}
+                    onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                    placeholder={preview.mapping.dateFormats.join(', ')}
+                    disabled={importing}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="mapping-signConvention">Amounts</label>
+                  <select
+                    id="mapping-signConvention"
+                    className="form-select"
+                    value={mapping.signConvention}
+                    onChange={(e) => setMapping({ ...mapping, signConvention: e.target.value })}
+                    disabled={importing}
+                  >
+                    {Object.entries(SIGN_CONVENTIONS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            </>
           )}
+
+          <div className="flex-between mb-2">
+            <label className="text-sm">
+              <input
+                type="checkbox"
+                checked={showProblemsOnly}
+                onChange={(e) => setShowProblemsOnly(e.target.checked)}
+              />{' '}
+              Show only rows with problems
+            </label>
+            {preview.profile.format === 'csv' && (
+              <button
+                onClick={() => refreshPreview(preview.profile.id, mapping)}
+                className="btn btn-secondary"
+                disabled={importing}
+              >
+                Apply Mapping
+              </button>
+            )}
+          </div>
+
+          <div className="table-container mb-3">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Amount</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.slice(0, PREVIEW_ROW_LIMIT).map(row => (
+                  <tr key={row.line}>
+                    <td>{row.line}</td>
+                    <td>{row.transaction?.transaction_date || '-'}</td>
+                    <td>{row.transaction?.description || '-'}</td>
+                    <td>{row.transaction ? `$${row.transaction.amount.toFixed(2)}` : '-'}</td>
+                    <td>{renderRowStatus(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {previewRows.length > PREVIEW_ROW_LIMIT && (
+              <p className="text-sm text-gray mt-1">
+                Showing the first {PREVIEW_ROW_LIMIT} of {previewRows.length} rows
+              </p>
+            )}
+          </div>
+
+          <div className="flex gap-2 justify-center">
+            <button
+              onClick={handleCommit}
+              className="btn btn-primary"
+              disabled={importing || preview.summary.valid === 0}
+            >
+              Import {preview.summary.valid} Transactions
+            </button>
+            <button
+              onClick={handleDiscard}
+              className="btn btn-secondary"
+              disabled={importing}
+            >
+              Cancel
+            </button>
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Import Result */}
       {importResult && (
         <div className="card">
           <div className="card-header">
             <h3 className="card-title">Import Results</h3>
+            {importResult.profile && (
+              <p className="card-subtitle">Read as {importResult.profile.name}</p>
+            )}
           </div>
           
           <div className="grid grid-3 mb-3">
@@ -111,6 +429,39 @@ const ImportTransactions = () => {
             </div>
           </div>
 
+          {importResult.possibleDuplicates > 0 && (
+            <div className="mb-3 p-3 bg-gray-100 rounded">
+              <p className="text-sm">
+                {importResult.possibleDuplicates} imported transactions look like ones you already had.{' '}
+                <Link to="/transactions/duplicates">Review possible duplicates</Link>
+              </p>
+            </div>
+          )}
+
+          {importResult.errors?.length > 0 && (
+            <div className="mb-3">
+              <h4>Rows not imported</h4>
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Line</th>
+                      <th>Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importResult.errors.map(rowError => (
+                      <tr key={rowError.line}>
+                        <td>{rowError.line}</td>
+                        <td>{rowError.error}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
           <div className="flex gap-2 justify-center">
             <button
               onClick={() => navigate('/transactions')}
@@ -139,47 +490,50 @@ const ImportTransactions = () => {
         <div className="card-header">
           <h3 className="card-title">Expected CSV Format</h3>
           <p className="card-subtitle">
-            Your Chase CSV should contain these columns:
+            {profileDetails
+              ? `${profileDetails.name} files are read from these columns:`
+              : 'The bank format is detected from the header row. Pick a format above to see its columns.'}
           </p>
         </div>
-        
-        <div className="table-container">
-          <table className="table">
-            <thead>
-              <tr>
-                <th>Column Name</th>
-                <th>Description</th>
-                <th>Example</th>
-              </tr>
-            </thead>
-            <tbody>
-              <tr>
-                <td><code>Transaction Date</code></td>
-                <td>Date of the transaction</td>
-                <td>01/15/2024</td>
-              </tr>
-              <tr>
-                <td><code>Description</code></td>
-                <td>Merchant name and details</td>
-                <td>STARBUCKS STORE #12345</td>
-              </tr>
-              <tr>
-                <td><code>Category</code></td>
-                <td>Transaction category</td>
-                <td>Food & Drink</td>
-              </tr>
-              <tr>
-                <td><code>Amount</code></td>
-                <td>Transaction amount (negative for debits)</td>
-                <td>-4.50</td>
-              </tr>
-            </tbody>
-          </table>
-        </div>
+
+        {profileDetails && (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Column Name</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(profileDetails.columns).map(([field, columns]) => (
+                  <tr key={field}>
+                    <td>{COLUMN_LABELS[field] || field}</td>
+                    <td>
+                      <span className="flex gap-1">
+                        {(Array.isArray(columns) ? columns : [columns]).map(column => (
+                          <code key={column}>{column}</code>
+                        ))}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+                <tr>
+                  <td>Date format</td>
+                  <td>{profileDetails.dateFormats.join(', ')}</td>
+                </tr>
+                <tr>
+                  <td>Amounts</td>
+                  <td>{SIGN_CONVENTIONS[profileDetails.signConvention]}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
 
         <div className="mt-3 p-3 bg-gray-100 rounded">
           <p className="text-sm text-gray">
-            <strong>Note:</strong> Duplicate transactions (same date, description, and amount) will be automatically skipped during import.
+            <strong>Note:</strong> Transactions you already imported are flagged in the preview and skipped. They are recognized by the bank's own transaction ID (OFX FITID or a reference column) when the file has one, otherwise by date, description and amount, so editing a description later doesn't cause re-imports. Identical charges on the same day are all kept. Rows with the same amount as an existing transaction within a day are imported and queued for review as possible duplicates.
           </p>
         </div>
       </div>
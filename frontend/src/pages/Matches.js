@@ -7,6 +7,8 @@ const Matches = () => {
   const [confirmedMatches, setConfirmedMatches] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('pending');
+  const [autoMatchPreview, setAutoMatchPreview] = useState(null);
+  const [autoMatching, setAutoMatching] = useState(false);
 
   useEffect(() => {
     loadMatches();
@@ -78,6 +80,32 @@ const Matches = () => {
     }
   };
 
+  const handlePreviewAutoMatch = async () => {
+    setAutoMatching(true);
+    try {
+      const response = await matchAPI.previewAutoMatch();
+      setAutoMatchPreview(response.data);
+    } catch (error) {
+      toast.error('Error previewing auto-match');
+    } finally {
+      setAutoMatching(false);
+    }
+  };
+
+  const handleApplyAutoMatch = async () => {
+    setAutoMatching(true);
+    try {
+      const response = await matchAPI.autoMatch(autoMatchPreview?.threshold);
+      toast.success(`Auto-matched ${response.data.matched} receipts`);
+      setAutoMatchPreview(null);
+      loadMatches(); // Refresh the data
+    } catch (error) {
+      toast.error('Error running auto-match');
+    } finally {
+      setAutoMatching(false);
+    }
+  };
+
   const getConfidenceBadge = (confidence) => {
     const badgeClass = 
       confidence >= 80 ? 'badge-success' :
@@ -87,6 +115,45 @@ const Matches = () => {
     return <span className={`badge ${badgeClass}`}>{confidence}%</span>;
   };
 
+  // Explain how the match confidence was built up from each scoring factor
+  const renderScoreBreakdown = (details) => {
+    if (!details) {
+      return <div className="text-sm text-gray">No score details</div>;
+    }
+
+    const factors = [
+      { key: 'amount', label: 'Amount' },
+      { key: 'date', label: 'Date' },
+      { key: 'merchant', label: 'Merchant' }
+    ];
+
+    return (
+      <div className="text-sm mt-1">
+        {factors.map(({ key, label }) => {
+          const factor = details[key] || {};
+          return (
+            <div key={key} className={factor.points > 0 ? '' : 'text-gray'}>
+              {label}: +{factor.points || 0}
+              {factor.reason && <span className="text-gray"> ({factor.reason})</span>}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // Split matches cover only part of a transaction; show how much
+  const renderAllocation = (match) => {
+    if (!match.split_group) return null;
+
+    return (
+      <div className="text-sm">
+        <span className="badge badge-info">Split</span>{' '}
+        Allocated: ${Number(match.allocated_amount || 0).toFixed(2)}
+      </div>
+    );
+  };
+
   const formatAmount = (amount) => {
     const isDebit = amount < 0;
     return (
@@ -113,6 +180,98 @@ const Matches = () => {
         </div>
       </div>
 
+      {/* Auto-Match Preview */}
+      <div className="card mb-3">
+        <div className="flex-between">
+          <div>
+            <h3 className="card-title">Auto-Match</h3>
+            <p className="text-sm text-gray">
+              Preview the best overall receipt-to-transaction assignment before saving it
+            </p>
+          </div>
+          <div className="flex gap-1">
+            <button
+              onClick={handlePreviewAutoMatch}
+              disabled={autoMatching}
+              className="btn btn-secondary"
+            >
+              Preview Auto-Match
+            </button>
+            {autoMatchPreview && autoMatchPreview.matched > 0 && (
+              <button
+                onClick={handleApplyAutoMatch}
+                disabled={autoMatching}
+                className="btn btn-primary"
+              >
+                Apply {autoMatchPreview.matched} Matches
+              </button>
+            )}
+          </div>
+        </div>
+
+        {autoMatchPreview && (
+          <div className="mt-2">
+            <p className="text-sm text-gray mb-2">
+              {autoMatchPreview.matched} matches would be created for {autoMatchPreview.totalReceipts} unmatched receipts
+              at a {autoMatchPreview.threshold}% threshold. Applying replaces existing unconfirmed auto-matches.
+            </p>
+            {autoMatchPreview.assignments.length > 0 && (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Receipt</th>
+                      <th>Transaction</th>
+                      <th>Amount Comparison</th>
+                      <th>Confidence</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {autoMatchPreview.assignments.map((assignment) => (
+                      <tr key={assignment.allocations.map(a => `${a.receipt_id}-${a.transaction_id}`).join('_')}>
+                        <td>
+                          {assignment.receipts.map(receipt => (
+                            <div key={receipt.id} className="text-sm">
+                              <strong>{receipt.original_filename}</strong>
+                              {receipt.extracted_merchant && (
+                                <div className="text-gray">{receipt.extracted_merchant}</div>
+                              )}
+                            </div>
+                          ))}
+                          {assignment.split && <span className="badge badge-info">Split</span>}
+                        </td>
+                        <td>
+                          {assignment.transactions.map(transaction => (
+                            <div key={transaction.id} className="text-sm">
+                              <strong>{transaction.description}</strong>
+                              <div className="text-gray">{formatDate(transaction.transaction_date)}</div>
+                            </div>
+                          ))}
+                        </td>
+                        <td>
+                          <div className="text-sm">
+                            {assignment.receipts.map(receipt => (
+                              <div key={receipt.id}>Receipt: ${receipt.extracted_amount?.toFixed(2) || '?'}</div>
+                            ))}
+                            {assignment.transactions.map(transaction => (
+                              <div key={transaction.id}>Transaction: {formatAmount(transaction.amount)}</div>
+                            ))}
+                          </div>
+                        </td>
+                        <td>
+                          {getConfidenceBadge(assignment.confidence)}
+                          <div className="text-sm text-gray mt-1">{assignment.reasons.join(', ')}</div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Tabs */}
       <div className="card mb-3">
         <div className="flex gap-2 mb-3">
@@ -147,7 +306,7 @@ const Matches = () => {
                       <th>Transaction</th>
                       <th>Date</th>
                       <th>Amount Comparison</th>
-                      <th>Confidence</th>
+                      <th>Confidence &amp; Reasons</th>
                       <th>Actions</th>
                     </tr>
                   </thead>
@@ -180,10 +339,12 @@ const Matches = () => {
                           <div className="text-sm">
                             <div>Receipt: ${match.extracted_amount?.toFixed(2) || '?'}</div>
                             <div>Transaction: {formatAmount(match.transaction_amount)}</div>
+                            {renderAllocation(match)}
                           </div>
                         </td>
                         <td>
                           {getConfidenceBadge(match.match_confidence)}
+                          {renderScoreBreakdown(match.match_details)}
                         </td>
                         <td>
                           <div className="flex gap-1">
@@ -260,6 +421,7 @@ const Matches = () => {
                         </td>
                         <td>
                           {formatAmount(match.transaction_amount)}
+                          {renderAllocation(match)}
                         </td>
                         <td>
                           {getConfidenceBadge(match.match_confidence)}
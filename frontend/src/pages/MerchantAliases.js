@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { merchantAliasAPI } from '../services/api';
+
+const EMPTY_ALIAS = { merchant_name: '', description_pattern: '' };
+
+const MerchantAliases = () => {
+  const { currentCompany } = useAuth();
+  const [aliases, setAliases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newAlias, setNewAlias] = useState(EMPTY_ALIAS);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(EMPTY_ALIAS);
+
+  const loadAliases = async () => {
+    try {
+      const response = await merchantAliasAPI.getAll();
+      setAliases(response.data);
+    } catch (error) {
+      console.error('Error loading merchant aliases:', error);
+      toast.error(error.response?.data?.error || 'Failed to load merchant aliases');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentCompany?.id) {
+      loadAliases();
+    }
+  }, [currentCompany]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await merchantAliasAPI.create(newAlias);
+      toast.success('Merchant alias added');
+      setNewAlias(EMPTY_ALIAS);
+      loadAliases();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add merchant alias');
+    }
+  };
+
+  const startEditing = (alias) => {
+    setEditingId(alias.id);
+    setEditForm({ merchant_name: alias.merchant_name, description_pattern: alias.description_pattern });
+  };
+
+  const handleSave = async (id) => {
+    try {
+      await merchantAliasAPI.update(id, editForm);
+      toast.success('Merchant alias updated');
+      setEditingId(null);
+      loadAliases();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update merchant alias');
+    }
+  };
+
+  const handleDelete = async (alias) => {
+    if (!window.confirm(`Delete the alias "${alias.merchant_name}" → "${alias.description_pattern}"?`)) {
+      return;
+    }
+
+    try {
+      await merchantAliasAPI.delete(alias.id);
+      toast.success('Merchant alias deleted');
+      loadAliases();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete merchant alias');
+    }
+  };
+
+  if (currentCompany?.role !== 'admin') {
+    return (
+      <div className="card">
+        <p>Only company admins can manage merchant aliases.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="merchant-aliases-page">
+      <div className="page-header flex-between">
+        <h1>Merchant Aliases</h1>
+        <Link to="/company-settings" className="btn btn-secondary">Back to Company</Link>
+      </div>
+
+      <div className="card mb-3">
+        <p className="text-gray">
+          Aliases are learned whenever a match is confirmed: the receipt merchant is linked to the
+          bank description, and future transactions whose description contains the pattern score as a
+          merchant match. Shorten a pattern (e.g. "blue bottle" instead of "blue bottle oakland ca") to
+          cover every location.
+        </p>
+
+        <form onSubmit={handleCreate} className="grid grid-3 mt-2">
+          <div className="form-group">
+            <label htmlFor="aliasMerchant">Receipt merchant</label>
+            <input
+              id="aliasMerchant"
+              className="form-input"
+              value={newAlias.merchant_name}
+              onChange={(e) => setNewAlias({ ...newAlias, merchant_name: e.target.value })}
+              placeholder="Amazon.com"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="aliasPattern">Bank description contains</label>
+            <input
+              id="aliasPattern"
+              className="form-input"
+              value={newAlias.description_pattern}
+              onChange={(e) => setNewAlias({ ...newAlias, description_pattern: e.target.value })}
+              placeholder="AMZN MKTP"
+              required
+            />
+          </div>
+          <div className="form-group" style={{ alignSelf: 'end' }}>
+            <button type="submit" className="btn btn-primary">Add Alias</button>
+          </div>
+        </form>
+      </div>
+
+      {aliases.length > 0 ? (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Receipt Merchant</th>
+                <th>Bank Description Pattern</th>
+                <th>Confirmed</th>
+                <th>Last Confirmed</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {aliases.map(alias => (
+                <tr key={alias.id}>
+                  {editingId === alias.id ? (
+                    <>
+                      <td>
+                        <input
+                          className="form-input"
+                          value={editForm.merchant_name}
+                          onChange={(e) => setEditForm({ ...editForm, merchant_name: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          className="form-input"
+                          value={editForm.description_pattern}
+                          onChange={(e) => setEditForm({ ...editForm, description_pattern: e.target.value })}
+                        />
+                      </td>
+                    </>
+                  ) : (
+                    <>
+                      <td>{alias.merchant_name}</td>
+                      <td><code>{alias.description_pattern}</code></td>
+                    </>
+                  )}
+                  <td>{alias.confirmed_count}×</td>
+                  <td>{alias.last_confirmed_at ? new Date(alias.last_confirmed_at).toLocaleDateString() : '-'}</td>
+                  <td>
+                    {editingId === alias.id ? (
+                      <>
+                        <button className="btn btn-primary btn-sm" onClick={() => handleSave(alias.id)}>Save</button>
+                        <button className="btn btn-secondary btn-sm" onClick={() => setEditingId(null)}>Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button className="btn btn-sm" onClick={() => startEditing(alias)}>Edit</button>
+                        <button className="btn btn-danger btn-sm" onClick={() => handleDelete(alias)}>Delete</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>No merchant aliases yet. Confirm a few matches and they will appear here.</p>
+      )}
+    </div>
+  );
+};
+
+export default MerchantAliases;
@@ -17,8 +17,10 @@ const Profile = () => {
 
   const [profileForm, setProfileForm] = useState({
     firstName: '',
-    lastName: ''
+    lastName: '',
+    locale: ''
   });
+  const [locales, setLocales] = useState([]);
 
   const [passwordForm, setPasswordForm] = useState({
     currentPassword: '',
@@ -41,8 +43,10 @@ const Profile = () => {
       setProfileData(userData);
       setProfileForm({
         firstName: userData.firstName || '',
-        lastName: userData.lastName || ''
+        lastName: userData.lastName || '',
+        locale: userData.locale || ''
       });
+      setLocales(response.data.locales || []);
     } catch (error) {
       console.error('Error loading profile:', error);
       toast.error('Failed to load profile information');
@@ -79,7 +83,8 @@ const Profile = () => {
       setLoading(true);
       await api.put('/auth/profile', {
         firstName: profileForm.firstName.trim(),
-        lastName: profileForm.lastName.trim()
+        lastName: profileForm.lastName.trim(),
+        locale: profileForm.locale || null
       });
 
       toast.success('Profile updated successfully');
@@ -242,6 +247,26 @@ const Profile = () => {
                 </small>
               </div>
 
+              <div className="form-group">
+                <label htmlFor="locale">Date &amp; Number Format</label>
+                <select
+                  id="locale"
+                  name="locale"
+                  value={profileForm.locale}
+                  onChange={handleProfileChange}
+                  disabled={loading}
+                  className="form-select"
+                >
+                  <option value="">Company default</option>
+                  {locales.map(locale => (
+                    <option key={locale.code} value={locale.code}>{locale.name}</option>
+                  ))}
+                </select>
+                <small className="text-gray">
+                  How dates like 03/04/2025 and amounts like 1,234 are read on your receipts and imported statements
+                </small>
+              </div>
+
               <div className="form-actions">
                 <button
                   type="submit"
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { receiptAPI } from '../services/api';
+
+const FIELDS = [
+  { key: 'amount', label: 'Amount', column: 'extracted_amount', type: 'number' },
+  { key: 'date', label: 'Date', column: 'extracted_date', type: 'date' },
+  { key: 'merchant', label: 'Merchant', column: 'extracted_merchant', type: 'text' }
+];
+
+// Same cut-off the backend uses to send receipts here
+const REVIEW_THRESHOLD = 60;
+
+const confidenceBadge = (score) => {
+  if (!score) {
+    return <span className="badge badge-danger">not scored</span>;
+  }
+  const badgeClass = score.confidence >= 80 ? 'badge-success' :
+    score.confidence >= REVIEW_THRESHOLD ? 'badge-info' :
+    score.confidence > 0 ? 'badge-warning' :
+    'badge-danger';
+  return (
+    <span className={`badge ${badgeClass}`} title={score.source ? `Found by ${score.source.replace(/_/g, ' ')}` : 'Not found'}>
+      {score.confidence}%
+    </span>
+  );
+};
+
+const toInput = (value) => (value === null || value === undefined ? '' : value);
+
+const ReceiptReview = () => {
+  const [receipts, setReceipts] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [accuracy, setAccuracy] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadQueue = async () => {
+    try {
+      const [queueResponse, accuracyResponse] = await Promise.all([
+        receiptAPI.getReviewQueue(),
+        receiptAPI.getExtractionAccuracy()
+      ]);
+      setReceipts(queueResponse.data);
+      setAccuracy(accuracyResponse.data);
+      setEdits(Object.fromEntries(queueResponse.data.map(receipt => [
+        receipt.id,
+        Object.fromEntries(FIELDS.map(field => [field.key, toInput(receipt[field.column])]))
+      ])));
+    } catch (error) {
+      console.error('Error loading review queue:', error);
+      toast.error('Error loading receipts to review');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  const updateField = (receiptId, field, value) => {
+    setEdits({ ...edits, [receiptId]: { ...edits[receiptId], [field]: value } });
+  };
+
+  const handleConfirm = async (receipt) => {
+    const values = edits[receipt.id];
+    try {
+      const response = await receiptAPI.update(receipt.id, {
+        extracted_amount: values.amount === '' ? null : parseFloat(values.amount),
+        extracted_date: values.date || null,
+        extracted_merchant: values.merchant || null
+      });
+      const corrected = response.data.corrections.length;
+      toast.success(corrected ? `Receipt reviewed, ${corrected} field(s) corrected` : 'Receipt confirmed');
+      loadQueue();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error saving review');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex-between mb-3">
+        <h1>Receipt Review</h1>
+        <Link to="/receipts" className="btn btn-secondary">Back to Receipts</Link>
+      </div>
+
+      <div className="card mb-3">
+        <div className="card-header">
+          <h3 className="card-title">Low-Confidence Receipts</h3>
+          <p className="card-subtitle">
+            OCR was unsure about at least one field on these receipts. Check the values against the
+            receipt, fix any that are wrong and confirm.
+          </p>
+        </div>
+
+        {receipts.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Receipt</th>
+                  {FIELDS.map(field => <th key={field.key}>{field.label}</th>)}
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receipts.map(receipt => (
+                  <tr key={receipt.id}>
+                    <td>
+                      <div className="text-sm">{receipt.original_filename}</div>
+                      <div className="text-sm text-gray">
+                        {new Date(receipt.upload_date).toLocaleDateString()}
+                        {receipt.invoice_number ? ` • Invoice ${receipt.invoice_number}` : ''}
+                      </div>
+                    </td>
+                    {FIELDS.map(field => (
+                      <td key={field.key}>
+                        <input
+                          type={field.type}
+                          step={field.type === 'number' ? '0.01' : undefined}
+                          className="form-input"
+                          value={edits[receipt.id]?.[field.key] ?? ''}
+                          onChange={(e) => updateField(receipt.id, field.key, e.target.value)}
+                        />
+                        <div className="text-sm mt-1">
+                          {confidenceBadge(receipt.extraction_confidence?.[field.key])}
+                        </div>
+                      </td>
+                    ))}
+                    <td>
+                      <button className="btn btn-primary btn-sm" onClick={() => handleConfirm(receipt)}>
+                        Confirm
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray">Nothing to review. Every processed receipt was read with high confidence.</p>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Extraction Accuracy</h3>
+          <p className="card-subtitle">
+            How often reviewers kept each field as OCR read it, by the strategy that found it
+          </p>
+        </div>
+
+        {accuracy.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Strategy</th>
+                  <th>Reviewed</th>
+                  <th>Corrected</th>
+                  <th>Accuracy</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accuracy.map(stat => (
+                  <tr key={`${stat.field}:${stat.source}`}>
+                    <td>{stat.field}</td>
+                    <td>{stat.source.replace(/_/g, ' ')}</td>
+                    <td>{stat.reviewed}</td>
+                    <td>{stat.corrected}</td>
+                    <td>
+                      <span className={stat.accuracy >= 80 ? 'text-success' : stat.accuracy >= 50 ? 'text-warning' : 'text-danger'}>
+                        {stat.accuracy}%
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray">No receipts have been reviewed yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReceiptReview;
@@ -1,24 +1,107 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import { receiptAPI } from '../services/api';
 import { toast } from 'react-toastify';
+import ReceiptDetails from '../components/ReceiptDetails';
+import UploadBatchProgress from '../components/UploadBatchProgress';
+
+// OCR runs in the background; receipts in these states are polled until done
+const IN_PROGRESS_STATUSES = ['pending', 'processing'];
+const STATUS_POLL_INTERVAL = 3000;
+
+// Saved emails and web page receipts, rendered to a PDF when uploaded
+const isEmailFile = (file) => /\.(eml|html?)$/i.test(file.name);
 
 const Receipts = () => {
   const [receipts, setReceipts] = useState([]);
+  const [homeCurrency, setHomeCurrency] = useState('USD');
   const [pagination, setPagination] = useState({});
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
+  const [uploadPercent, setUploadPercent] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [inboundEmail, setInboundEmail] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
+  const [selectedReceiptId, setSelectedReceiptId] = useState(null);
 
   useEffect(() => {
     loadReceipts(currentPage);
   }, [currentPage]);
 
+  // Bulk uploads still being processed from an earlier visit
+  useEffect(() => {
+    receiptAPI.getBatches()
+      .then(response => setBatches(response.data.filter(batch => !batch.done)))
+      .catch(error => console.error('Error loading upload batches:', error));
+  }, []);
+
+  useEffect(() => {
+    receiptAPI.getInboundEmail()
+      .then(response => setInboundEmail(response.data))
+      .catch(error => console.error('Error loading receipt email address:', error));
+  }, []);
+
+  // Poll bulk uploads until every receipt in them has been through OCR
+  useEffect(() => {
+    const inProgress = batches.filter(batch => !batch.done);
+    if (inProgress.length === 0) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      const updates = await Promise.all(inProgress.map(batch =>
+        receiptAPI.getBatch(batch.id)
+          .then(response => response.data)
+          .catch(() => null)
+      ));
+      const byId = new Map(updates.filter(Boolean).map(batch => [batch.id, batch]));
+
+      setBatches(current => current.map(batch => byId.get(batch.id) || batch));
+      if ([...byId.values()].some(batch => batch.done)) {
+        loadReceipts(currentPage);
+      }
+    }, STATUS_POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [batches, currentPage]);
+
+  // Poll OCR status for receipts still in the queue
+  useEffect(() => {
+    const inProgress = receipts.filter(receipt => IN_PROGRESS_STATUSES.includes(receipt.processing_status));
+    if (inProgress.length === 0) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      const statuses = await Promise.all(inProgress.map(receipt =>
+        receiptAPI.getStatus(receipt.id)
+          .then(response => response.data)
+          .catch(() => null)
+      ));
+
+      const updates = new Map(statuses.filter(Boolean).map(({ job, ...status }) => [status.id, status]));
+      updates.forEach(status => {
+        if (status.processing_status === 'failed') {
+          const receipt = inProgress.find(r => r.id === status.id);
+          toast.error(`OCR failed for ${receipt.original_filename}`);
+        }
+      });
+
+      setReceipts(current => current.map(receipt =>
+        updates.has(receipt.id) ? { ...receipt, ...updates.get(receipt.id) } : receipt
+      ));
+    }, STATUS_POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [receipts]);
+
   const loadReceipts = async (page = 1) => {
     setLoading(true);
     try {
       const response = await receiptAPI.getAll(page, 20);
       setReceipts(response.data.receipts || []);
+      setHomeCurrency(response.data.homeCurrency || 'USD');
       setPagination(response.data.pagination || {});
     } catch (error) {
       console.error('Error loading receipts:', error);
@@ -32,13 +115,42 @@ const Receipts = () => {
     if (acceptedFiles.length === 0) return;
 
     setUploading(true);
+
+    // Several files or any ZIP archive go up as one batch, tracked below the
+    // upload area
+    if (acceptedFiles.length > 1 || acceptedFiles.some(file => file.name.toLowerCase().endsWith('.zip'))) {
+      setUploadPercent(0);
+      try {
+        const response = await receiptAPI.uploadBatch(acceptedFiles, (event) => {
+          if (event.total) {
+            setUploadPercent(Math.round((event.loaded / event.total) * 100));
+          }
+        });
+        const { batch } = response.data;
+        setBatches(current => [batch, ...current]);
+
+        if (batch.counts.rejected > 0) {
+          toast.warning(`${batch.counts.rejected} of ${batch.counts.total} files could not be uploaded`);
+        } else {
+          toast.success(`${batch.counts.total} receipts uploaded. OCR is running in the background...`);
+        }
+        loadReceipts(currentPage);
+      } catch (error) {
+        console.error('Error uploading batch:', error);
+        toast.error(error.response?.data?.error || 'Error uploading receipts');
+      } finally {
+        setUploading(false);
+        setUploadPercent(null);
+      }
+      return;
+    }
     
     try {
       // Upload all files simultaneously
       const uploadPromises = acceptedFiles.map(async (file, index) => {
         try {
-          await receiptAPI.upload(file);
-          return { success: true, filename: file.name };
+          const response = isEmailFile(file) ? await receiptAPI.uploadEmail(file) : await receiptAPI.upload(file);
+          return { success: true, filename: file.name, possibleDuplicates: response.data.possibleDuplicates || [] };
         } catch (error) {
           console.error(`Error uploading ${file.name}:`, error);
           return { success: false, filename: file.name, error };
@@ -51,11 +163,18 @@ const Receipts = () => {
 
       if (successful.length > 0) {
         const message = acceptedFiles.length === 1 
-          ? 'Receipt uploaded successfully! Processing OCR...'
-          : `${successful.length} of ${acceptedFiles.length} receipts uploaded successfully! Processing OCR...`;
+          ? 'Receipt uploaded successfully! OCR is running in the background...'
+          : `${successful.length} of ${acceptedFiles.length} receipts uploaded successfully! OCR is running in the background...`;
         toast.success(message);
       }
 
+      const duplicates = successful.filter(r => r.possibleDuplicates.length > 0);
+      if (duplicates.length > 0) {
+        toast.warning(duplicates.length === 1
+          ? `${duplicates[0].filename} looks like a receipt you already uploaded`
+          : `${duplicates.length} receipts look like ones already uploaded`);
+      }
+
       if (failed.length > 0) {
         const message = failed.length === 1
           ? `Failed to upload: ${failed[0].filename}`
@@ -63,10 +182,8 @@ const Receipts = () => {
         toast.error(message);
       }
       
-      // Refresh receipts list after a short delay to allow for OCR processing
-      setTimeout(() => {
-        loadReceipts(currentPage);
-      }, 3000); // Longer delay for multiple files
+      // New receipts show up as pending and are polled until OCR finishes
+      loadReceipts(currentPage);
       
     } catch (error) {
       console.error('Error in batch upload:', error);
@@ -80,7 +197,10 @@ const Receipts = () => {
     onDrop,
     accept: {
       'image/*': ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp'],
-      'application/pdf': ['.pdf']
+      'application/pdf': ['.pdf'],
+      'application/zip': ['.zip'],
+      'message/rfc822': ['.eml'],
+      'text/html': ['.html', '.htm']
     },
     multiple: true,
     disabled: uploading
@@ -100,6 +220,18 @@ const Receipts = () => {
     }
   };
 
+  const handleReprocess = async (id) => {
+    try {
+      await receiptAPI.reprocess(id);
+      toast.success('Receipt queued for OCR');
+      setReceipts(current => current.map(receipt =>
+        receipt.id === id ? { ...receipt, processing_status: 'pending', processing_error: null } : receipt
+      ));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Error queueing receipt');
+    }
+  };
+
   const handlePageChange = (newPage) => {
     setCurrentPage(newPage);
   };
@@ -108,9 +240,10 @@ const Receipts = () => {
     const badgeClass = 
       status === 'completed' ? 'badge-success' :
       status === 'processing' ? 'badge-warning' :
+      status === 'pending' ? 'badge-info' :
       'badge-danger';
     
-    return <span className={`badge ${badgeClass}`}>{status}</span>;
+    return <span className={`badge ${badgeClass}`}>{status === 'pending' ? 'queued' : status}</span>;
   };
 
   const getMatchStatus = (matchCount) => {
@@ -132,8 +265,16 @@ const Receipts = () => {
     <div>
       <div className="flex-between mb-3">
         <h1>Receipts</h1>
-        <div className="text-sm text-gray">
-          Total: {pagination.total || 0} receipts
+        <div className="flex gap-2">
+          <Link to="/receipts/review" className="btn btn-secondary btn-sm">
+            Review Low-Confidence Receipts
+          </Link>
+          <Link to="/receipts/duplicates" className="btn btn-secondary btn-sm">
+            Review Possible Duplicates
+          </Link>
+          <div className="text-sm text-gray">
+            Total: {pagination.total || 0} receipts
+          </div>
         </div>
       </div>
 
@@ -142,7 +283,7 @@ const Receipts = () => {
         <div className="card-header">
           <h3 className="card-title">Upload Receipt</h3>
           <p className="card-subtitle">
-            Upload multiple receipt images or PDF files for OCR processing and matching
+            Upload receipt images, PDF files, saved emails or ZIP archives of them for OCR processing and matching
           </p>
         </div>
         
@@ -154,19 +295,78 @@ const Receipts = () => {
           {uploading ? (
             <div className="flex-center gap-2">
               <div className="spinner"></div>
-              <span>Uploading and processing...</span>
+              <span>
+                {uploadPercent !== null && uploadPercent < 100
+                  ? `Uploading... ${uploadPercent}%`
+                  : 'Uploading and processing...'}
+              </span>
             </div>
           ) : isDragActive ? (
             <p>Drop the receipt files here...</p>
           ) : (
             <div>
               <p><strong>Drag & drop</strong> receipt images or PDFs here, or <strong>click to select multiple files</strong></p>
-              <p className="text-sm text-gray">Supports: PNG, JPG, JPEG, GIF, BMP, WebP, PDF • Multiple files supported</p>
+              <p className="text-sm text-gray">Supports: PNG, JPG, JPEG, GIF, BMP, WebP, PDF, EML, HTML, ZIP • Multiple files supported</p>
             </div>
           )}
         </div>
+
+        {batches.length > 0 && (
+          <div className="mt-2">
+            {batches.map(batch => (
+              <UploadBatchProgress
+                key={batch.id}
+                batch={batch}
+                onDismiss={(id) => setBatches(current => current.filter(b => b.id !== id))}
+              />
+            ))}
+          </div>
+        )}
+
+        {inboundEmail?.address && (
+          <div className="mt-2 text-sm">
+            <span className="text-gray">Or forward receipts from your sign-in email to </span>
+            <strong>{inboundEmail.address}</strong>
+            {inboundEmail.emails.length > 0 && (
+              <table className="table mt-1">
+                <thead>
+                  <tr>
+                    <th>Received</th>
+                    <th>Subject</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inboundEmail.emails.map(email => (
+                    <tr key={email.id}>
+                      <td className="text-sm">{new Date(email.created_at).toLocaleString()}</td>
+                      <td className="text-sm">{email.subject || '(no subject)'}</td>
+                      <td className="text-sm">
+                        {email.status === 'processed' ? (
+                          <span className="badge badge-success">{email.receipt_count} receipt(s)</span>
+                        ) : email.status === 'rejected' ? (
+                          <span className="text-danger">{email.error}</span>
+                        ) : (
+                          <span className="badge badge-warning">Received</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
       </div>
 
+      {selectedReceiptId && (
+        <ReceiptDetails
+          key={selectedReceiptId}
+          receiptId={selectedReceiptId}
+          onClose={() => setSelectedReceiptId(null)}
+        />
+      )}
+
       {/* Receipts List */}
       <div className="card">
         <div className="card-header">
@@ -199,17 +399,43 @@ const Receipts = () => {
                         <div className="text-sm text-gray">
                           {(receipt.file_size / 1024).toFixed(1)} KB
                           {receipt.original_filename.toLowerCase().endsWith('.pdf') ? ' (PDF)' : ' (Image)'}
+                          {receipt.page_count > 1 ? ` • ${receipt.page_count} pages` : ''}
                         </div>
+                        {receipt.pending_duplicate > 0 && (
+                          <Link to="/receipts/duplicates" className="badge badge-warning">
+                            Possible duplicate
+                          </Link>
+                        )}
                       </td>
                       <td>
                         {new Date(receipt.upload_date).toLocaleDateString()}
                       </td>
                       <td>
                         {getStatusBadge(receipt.processing_status)}
+                        {receipt.processing_status === 'completed' && Boolean(receipt.needs_review) && (
+                          <div>
+                            <Link to="/receipts/review" className="badge badge-warning">Needs review</Link>
+                          </div>
+                        )}
+                        {receipt.processing_error && receipt.processing_status !== 'completed' && (
+                          <div className="text-sm text-danger" title={receipt.processing_error}>
+                            {receipt.processing_status === 'failed' ? 'Failed' : 'Retrying'}: {receipt.processing_error}
+                          </div>
+                        )}
                       </td>
                       <td>
-                        {receipt.extracted_amount ? 
-                          `$${receipt.extracted_amount.toFixed(2)}` : 
+                        {receipt.extracted_amount ? (
+                          receipt.currency && receipt.currency !== homeCurrency ? (
+                            <>
+                              {receipt.currency} {receipt.extracted_amount.toFixed(2)}
+                              <div className="text-sm text-gray">
+                                {receipt.home_amount !== null
+                                  ? `${homeCurrency} ${receipt.home_amount.toFixed(2)}`
+                                  : 'No exchange rate'}
+                              </div>
+                            </>
+                          ) : `$${receipt.extracted_amount.toFixed(2)}`
+                        ) : 
                           <span className="text-gray">-</span>
                         }
                       </td>
@@ -233,6 +459,22 @@ const Receipts = () => {
                               View
                             </a>
                           )}
+                          {receipt.processing_status === 'completed' && (
+                            <button
+                              onClick={() => setSelectedReceiptId(receipt.id)}
+                              className="btn btn-sm btn-secondary"
+                            >
+                              Items
+                            </button>
+                          )}
+                          {receipt.processing_status === 'failed' && (
+                            <button
+                              onClick={() => handleReprocess(receipt.id)}
+                              className="btn btn-sm btn-secondary"
+                            >
+                              Retry OCR
+                            </button>
+                          )}
                           <button
                             onClick={() => handleDelete(receipt.id)}
                             className="btn btn-sm btn-danger"
@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { transactionAPI } from '../services/api';
 import { toast } from 'react-toastify';
 
 const Transactions = () => {
   const [transactions, setTransactions] = useState([]);
+  const [homeCurrency, setHomeCurrency] = useState('USD');
   const [pagination, setPagination] = useState({});
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
@@ -17,6 +19,7 @@ const Transactions = () => {
     try {
       const response = await transactionAPI.getAll(page, 50);
       setTransactions(response.data.transactions || []);
+      setHomeCurrency(response.data.homeCurrency || 'USD');
       setPagination(response.data.pagination || {});
     } catch (error) {
       console.error('Error loading transactions:', error);
@@ -30,11 +33,12 @@ const Transactions = () => {
     setCurrentPage(newPage);
   };
 
-  const formatAmount = (amount) => {
+  // symbol: "$", or a currency code and space for charges in another currency
+  const formatAmount = (amount, symbol = '$') => {
     const isDebit = amount < 0;
     return (
       <span className={isDebit ? 'text-danger' : 'text-success'}>
-        {isDebit ? '-' : '+'}${Math.abs(amount).toFixed(2)}
+        {isDebit ? '-' : '+'}{symbol}{Math.abs(amount).toFixed(2)}
       </span>
     );
   };
@@ -84,8 +88,13 @@ const Transactions = () => {
     <div>
       <div className="flex-between mb-3">
         <h1>Transactions</h1>
-        <div className="text-sm text-gray">
-          Total: {pagination.total || 0} transactions
+        <div className="flex gap-2">
+          <Link to="/transactions/duplicates" className="btn btn-secondary btn-sm">
+            Review Possible Duplicates
+          </Link>
+          <div className="text-sm text-gray">
+            Total: {pagination.total || 0} transactions
+          </div>
         </div>
       </div>
 
@@ -93,7 +102,7 @@ const Transactions = () => {
         <div className="card-header">
           <h3 className="card-title">All Transactions</h3>
           <p className="card-subtitle">
-            Imported Chase credit card transactions
+            Imported credit card transactions
           </p>
         </div>
 
@@ -111,6 +120,7 @@ const Transactions = () => {
                     <th>Amount</th>
                     <th>Receipt Status</th>
                     <th>Receipts</th>
+                    <th>Policy</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -124,6 +134,11 @@ const Transactions = () => {
                         <div className="text-sm">
                           {transaction.description}
                         </div>
+                        {transaction.pending_duplicate > 0 && (
+                          <Link to="/transactions/duplicates" className="badge badge-warning">
+                            Possible duplicate
+                          </Link>
+                        )}
                       </td>
                       <td>
                         <span className="badge badge-info">
@@ -138,7 +153,18 @@ const Transactions = () => {
                       <td>
                         {transaction.sales_tax ? formatAmount(transaction.sales_tax) : 'N/A'}
                       </td>
-                      <td>{formatAmount(transaction.amount)}</td>
+                      <td>
+                        {transaction.currency && transaction.currency !== homeCurrency ? (
+                          <>
+                            {formatAmount(transaction.amount, `${transaction.currency} `)}
+                            <div className="text-sm text-gray">
+                              {transaction.home_amount !== null
+                                ? `${homeCurrency} ${transaction.home_amount.toFixed(2)}`
+                                : 'No exchange rate'}
+                            </div>
+                          </>
+                        ) : formatAmount(transaction.amount)}
+                      </td>
                       <td>{getReceiptStatus(transaction.receipt_count)}</td>
                       <td>
                         {transaction.receipts ? (
@@ -151,6 +177,18 @@ const Transactions = () => {
                           <span className="text-gray">None</span>
                         )}
                       </td>
+                      <td>
+                        {transaction.violations?.length > 0 ? (
+                          <span
+                            className="badge badge-danger"
+                            title={transaction.violations.map(violation => violation.message).join('\n')}
+                          >
+                            {transaction.violations.length} violation{transaction.violations.length === 1 ? '' : 's'}
+                          </span>
+                        ) : (
+                          <span className="text-gray">OK</span>
+                        )}
+                      </td>
                       <td>
                         <button
                           onClick={() => handleDelete(transaction.id, transaction.description)}
@@ -0,0 +1,416 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { receiptAPI, vendorTemplateAPI } from '../services/api';
+
+const FIELDS = [
+  { key: 'amount', label: 'Amount', resultKey: 'extractedAmount' },
+  { key: 'date', label: 'Date', resultKey: 'extractedDate' },
+  { key: 'merchant', label: 'Merchant', resultKey: 'extractedMerchant' },
+  { key: 'invoice_number', label: 'Invoice number', resultKey: 'invoiceNumber' }
+];
+
+const RULE_TYPES = [
+  { value: '', label: 'Not read by this template' },
+  { value: 'regex', label: 'Regular expression' },
+  { value: 'after_label', label: 'Text after a label' },
+  { value: 'line', label: 'Fixed line number' }
+];
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  anchor_text: '',
+  merchant_name: '',
+  date_format: '',
+  priority: 0,
+  is_active: true,
+  rules: {}
+};
+
+const describeRule = (rule) => {
+  if (rule.type === 'regex') return `/${rule.pattern}/`;
+  if (rule.type === 'after_label') return `after "${rule.label}"`;
+  return `line ${rule.line}`;
+};
+
+const VendorTemplates = () => {
+  const { currentCompany } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_TEMPLATE);
+  const [editingId, setEditingId] = useState(null);
+  const [testReceiptId, setTestReceiptId] = useState('');
+  const [testResult, setTestResult] = useState(null);
+
+  const loadTemplates = async () => {
+    try {
+      const response = await vendorTemplateAPI.getAll();
+      setTemplates(response.data);
+    } catch (error) {
+      console.error('Error loading vendor templates:', error);
+      toast.error(error.response?.data?.error || 'Failed to load vendor templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (currentCompany?.id) {
+      loadTemplates();
+      receiptAPI.getAll(1, 100)
+        .then(response => setReceipts((response.data.receipts || []).filter(r => r.processing_status === 'completed')))
+        .catch(error => console.error('Error loading receipts:', error));
+    }
+  }, [currentCompany]);
+
+  const updateRule = (field, changes) => {
+    const rule = { ...(form.rules[field] || {}), ...changes };
+    setForm({ ...form, rules: { ...form.rules, [field]: rule } });
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_TEMPLATE);
+    setEditingId(null);
+    setTestResult(null);
+  };
+
+  const startEditing = (template) => {
+    setEditingId(template.id);
+    setForm({
+      name: template.name,
+      anchor_text: template.anchor_text,
+      merchant_name: template.merchant_name || '',
+      date_format: template.date_format || '',
+      priority: template.priority,
+      is_active: template.is_active,
+      rules: template.rules
+    });
+    setTestResult(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        await vendorTemplateAPI.update(editingId, form);
+        toast.success('Vendor template updated');
+      } else {
+        await vendorTemplateAPI.create(form);
+        toast.success('Vendor template added');
+      }
+      resetForm();
+      loadTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save vendor template');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the vendor template "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      await vendorTemplateAPI.delete(template.id);
+      toast.success('Vendor template deleted');
+      if (editingId === template.id) {
+        resetForm();
+      }
+      loadTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete vendor template');
+    }
+  };
+
+  const handleTest = async () => {
+    if (!testReceiptId) {
+      toast.error('Choose a receipt to test against');
+      return;
+    }
+
+    try {
+      const response = await vendorTemplateAPI.test({ receiptId: testReceiptId, template: form });
+      setTestResult(response.data);
+    } catch (error) {
+      setTestResult(null);
+      toast.error(error.response?.data?.error || 'Failed to test vendor template');
+    }
+  };
+
+  if (currentCompany?.role !== 'admin') {
+    return (
+      <div className="card">
+        <p>Only company admins can manage vendor templates.</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex-center" style={{ height: '50vh' }}>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="vendor-templates-page">
+      <div className="page-header flex-between">
+        <h1>Vendor Templates</h1>
+        <Link to="/company-settings" className="btn btn-secondary">Back to Company</Link>
+      </div>
+
+      <div className="card mb-3">
+        <div className="card-header">
+          <h3 className="card-title">{editingId ? `Edit "${form.name}"` : 'New Template'}</h3>
+          <p className="card-subtitle">
+            When a receipt contains the anchor text, the template's rules read its fields before the
+            generic OCR heuristics. Fields without a rule are still read the generic way.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="grid grid-3">
+            <div className="form-group">
+              <label htmlFor="templateName">Name</label>
+              <input
+                id="templateName"
+                className="form-input"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Starlink invoices"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="templateAnchor">Anchor text</label>
+              <input
+                id="templateAnchor"
+                className="form-input"
+                value={form.anchor_text}
+                onChange={(e) => setForm({ ...form, anchor_text: e.target.value })}
+                placeholder="Starlink Internet Services"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="templateMerchant">Fixed merchant name (optional)</label>
+              <input
+                id="templateMerchant"
+                className="form-input"
+                value={form.merchant_name}
+                onChange={(e) => setForm({ ...form, merchant_name: e.target.value })}
+                placeholder="Starlink"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="templateDateFormat">Date format (optional)</label>
+              <input
+                id="templateDateFormat"
+                className="form-input"
+                value={form.date_format}
+                onChange={(e) => setForm({ ...form, date_format: e.target.value })}
+                placeholder="MMMM D, YYYY"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="templatePriority">Priority</label>
+              <input
+                id="templatePriority"
+                type="number"
+                className="form-input"
+                value={form.priority}
+                onChange={(e) => setForm({ ...form, priority: e.target.value })}
+              />
+              <p className="text-sm text-gray">Higher priority templates are tried first</p>
+            </div>
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.is_active}
+                  onChange={(e) => setForm({ ...form, is_active: e.target.checked })}
+                />{' '}
+                Active
+              </label>
+            </div>
+          </div>
+
+          <div className="table-container mb-3">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Rule</th>
+                  <th>Pattern, label or line</th>
+                </tr>
+              </thead>
+              <tbody>
+                {FIELDS.map(field => {
+                  const rule = form.rules[field.key] || {};
+                  return (
+                    <tr key={field.key}>
+                      <td>{field.label}</td>
+                      <td>
+                        <select
+                          className="form-select"
+                          value={rule.type || ''}
+                          onChange={(e) => updateRule(field.key, { type: e.target.value })}
+                        >
+                          {RULE_TYPES.map(type => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        {rule.type === 'regex' && (
+                          <input
+                            className="form-input"
+                            value={rule.pattern || ''}
+                            onChange={(e) => updateRule(field.key, { pattern: e.target.value })}
+                            placeholder="Payment\s*USD\s*([\d,.]+)"
+                          />
+                        )}
+                        {rule.type === 'after_label' && (
+                          <input
+                            className="form-input"
+                            value={rule.label || ''}
+                            onChange={(e) => updateRule(field.key, { label: e.target.value })}
+                            placeholder="Invoice #"
+                          />
+                        )}
+                        {rule.type === 'line' && (
+                          <input
+                            type="number"
+                            className="form-input"
+                            value={rule.line || ''}
+                            onChange={(e) => updateRule(field.key, { line: e.target.value })}
+                            placeholder="1, or -1 for the last line"
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex gap-2 mb-3">
+            <button type="submit" className="btn btn-primary">{editingId ? 'Save Template' : 'Add Template'}</button>
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>Cancel</button>
+            )}
+          </div>
+        </form>
+
+        <div className="flex gap-2">
+          <select
+            className="form-select"
+            value={testReceiptId}
+            onChange={(e) => setTestReceiptId(e.target.value)}
+          >
+            <option value="">Test against a receipt...</option>
+            {receipts.map(receipt => (
+              <option key={receipt.id} value={receipt.id}>
+                {receipt.original_filename}{receipt.extracted_merchant ? ` (${receipt.extracted_merchant})` : ''}
+              </option>
+            ))}
+          </select>
+          <button type="button" className="btn btn-secondary" onClick={handleTest}>Run Test</button>
+        </div>
+
+        {testResult && (
+          <div className="mt-3">
+            <p className="text-sm">
+              {testResult.anchorFound ? (
+                <span className="badge badge-success">Anchor text found</span>
+              ) : (
+                <span className="badge badge-warning">Anchor text not found: this template would not be used</span>
+              )}
+            </p>
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    <th>Template</th>
+                    <th>Text matched</th>
+                    <th>Generic extraction</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {FIELDS.map(field => (
+                    <tr key={field.key}>
+                      <td>{field.label}</td>
+                      <td>{testResult.result[field.resultKey] ?? <span className="text-gray">-</span>}</td>
+                      <td className="text-sm text-gray">{testResult.result.fields[field.key] ?? '-'}</td>
+                      <td>{testResult.generic[field.resultKey] ?? <span className="text-gray">-</span>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <details className="mt-2">
+              <summary className="text-sm">OCR text</summary>
+              <pre className="text-sm" style={{ whiteSpace: 'pre-wrap' }}>{testResult.ocrText}</pre>
+            </details>
+          </div>
+        )}
+      </div>
+
+      {templates.length > 0 ? (
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Anchor Text</th>
+                <th>Rules</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(template => (
+                <tr key={template.id}>
+                  <td>
+                    <div>{template.name}</div>
+                    {template.merchant_name && (
+                      <div className="text-sm text-gray">Merchant: {template.merchant_name}</div>
+                    )}
+                  </td>
+                  <td>{template.anchor_text}</td>
+                  <td className="text-sm">
+                    {Object.entries(template.rules).map(([field, rule]) => (
+                      <div key={field}>{field}: {describeRule(rule)}</div>
+                    ))}
+                  </td>
+                  <td>
+                    <span className={`badge ${template.is_active ? 'badge-success' : 'badge-warning'}`}>
+                      {template.is_active ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td>
+                    <div className="flex gap-1">
+                      <button className="btn btn-secondary btn-sm" onClick={() => startEditing(template)}>Edit</button>
+                      <button className="btn btn-danger btn-sm" onClick={() => handleDelete(template)}>Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="card">
+          <p className="text-gray">No vendor templates yet. Receipts are read with the generic heuristics.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VendorTemplates;
@@ -4,7 +4,7 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
 
 const api = axios.create({
   baseURL: API_BASE_URL,
-  timeout: 30000, // 30 seconds for OCR processing
+  timeout: 30000, // 30 seconds for uploads
 });
 
 // Request interceptor
@@ -47,14 +47,56 @@ export const transactionAPI = {
   getById: (id) => 
     api.get(`/transactions/${id}`),
   
-  importCSV: (file) => {
+  getImportProfiles: () => 
+    api.get('/transactions/import-profiles'),
+  
+  // profile: an import profile id, or "auto" to detect it from the CSV headers
+  importCSV: (file, profile = 'auto') => {
     const formData = new FormData();
+    formData.append('profile', profile);
     formData.append('csvFile', file);
     return api.post('/transactions/import', formData, {
       headers: { 'Content-Type': 'multipart/form-data' }
     });
   },
   
+  // Two-phase import: upload for a parsed preview, then commit it
+  previewImport: (file, profile = 'auto') => {
+    const formData = new FormData();
+    formData.append('profile', profile);
+    formData.append('csvFile', file);
+    return api.post('/transactions/import/preview', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  
+  // Re-read an uploaded file with a different profile or column mapping
+  updateImportPreview: (importId, profile, mapping, fileName) => 
+    api.post('/transactions/import/preview', { importId, profile, mapping, fileName }),
+  
+  commitImport: (importId, profile, mapping, fileName) => 
+    api.post('/transactions/import/commit', { importId, profile, mapping, fileName }),
+  
+  discardImport: (importId) => 
+    api.delete(`/transactions/import/${importId}`),
+  
+  // Import history
+  getImportBatches: () => 
+    api.get('/transactions/import-batches'),
+  
+  rollbackImportBatch: (id) => 
+    api.post(`/transactions/import-batches/${id}/rollback`),
+  
+  // Possible duplicates flagged during import
+  getDuplicates: (status = 'pending') => 
+    api.get(`/transactions/duplicates?status=${status}`),
+  
+  keepDuplicate: (id) => 
+    api.put(`/transactions/duplicates/${id}/keep`),
+  
+  removeDuplicate: (id) => 
+    api.put(`/transactions/duplicates/${id}/remove`),
+  
   update: (id, data) => 
     api.put(`/transactions/${id}`, data),
   
@@ -70,6 +112,16 @@ export const receiptAPI = {
   getById: (id) => 
     api.get(`/receipts/${id}`),
   
+  // OCR progress for a pending or processing receipt
+  getStatus: (id) => 
+    api.get(`/receipts/${id}/status`),
+  
+  reprocess: (id) => 
+    api.post(`/receipts/${id}/reprocess`),
+  
+  updateLineItems: (id, lineItems, amountBreakdown) => 
+    api.put(`/receipts/${id}/line-items`, { lineItems, amountBreakdown }),
+  
   upload: (file) => {
     const formData = new FormData();
     formData.append('receipt', file);
@@ -78,9 +130,62 @@ export const receiptAPI = {
     });
   },
   
+  // A saved email (.eml) or HTML receipt, stored as a PDF
+  uploadEmail: (file) => {
+    const formData = new FormData();
+    formData.append('email', file);
+    return api.post('/receipts/upload/email', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  
+  // The email or HTML file a receipt was rendered from
+  downloadSource: (id) => 
+    api.get(`/receipts/${id}/source`, {
+      responseType: 'blob'
+    }),
+  
+  // Many files and/or ZIP archives at once; OCR progress comes from getBatch
+  uploadBatch: (files, onUploadProgress) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('receipts', file));
+    return api.post('/receipts/upload/batch', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 0,
+      onUploadProgress
+    });
+  },
+  
+  getBatches: () => 
+    api.get('/receipts/batches'),
+  
+  getBatch: (id) => 
+    api.get(`/receipts/batches/${id}`),
+  
+  // The company's receipt email address and recently received mail
+  getInboundEmail: () => 
+    api.get('/receipts/inbound-email'),
+  
   getUnmatched: () => 
     api.get('/receipts/unmatched/list'),
   
+  // Receipts that look like an earlier upload
+  getDuplicates: (status = 'pending') => 
+    api.get(`/receipts/duplicates?status=${status}`),
+  
+  keepDuplicate: (id) => 
+    api.put(`/receipts/duplicates/${id}/keep`),
+  
+  mergeDuplicate: (id, keepReceiptId) => 
+    api.put(`/receipts/duplicates/${id}/merge`, { keepReceiptId }),
+  
+  // Receipts with low-confidence OCR fields, and how accurate OCR has been
+  getReviewQueue: () => 
+    api.get('/receipts/review/queue'),
+  
+  getExtractionAccuracy: () => 
+    api.get('/receipts/review/accuracy'),
+  
   update: (id, data) => 
     api.put(`/receipts/${id}`, data),
   
@@ -102,6 +207,10 @@ export const matchAPI = {
   create: (data) => 
     api.post('/matches', data),
   
+  // allocations: [{ receipt_id, transaction_id, allocated_amount }]
+  createSplit: (allocations, autoConfirm = false) => 
+    api.post('/matches/split', { allocations, auto_confirm: autoConfirm }),
+  
   confirm: (id) => 
     api.put(`/matches/${id}/confirm`),
   
@@ -111,13 +220,146 @@ export const matchAPI = {
   delete: (id) => 
     api.delete(`/matches/${id}`),
   
-  autoMatch: (threshold = 75) => 
-    api.post('/matches/auto-match', { threshold }),
+  // Omit the threshold to use the company's configured auto-match threshold
+  autoMatch: (threshold) => 
+    api.post('/matches/auto-match', threshold ? { threshold } : {}),
+  
+  // Returns the proposed auto-match assignment without saving it
+  previewAutoMatch: (threshold) => 
+    api.post('/matches/auto-match', { ...(threshold ? { threshold } : {}), dryRun: true }),
   
   getStats: () => 
     api.get('/matches/stats')
 };
 
+// Merchant alias API (admin only)
+export const merchantAliasAPI = {
+  getAll: () => 
+    api.get('/merchant-aliases'),
+  
+  create: (data) => 
+    api.post('/merchant-aliases', data),
+  
+  update: (id, data) => 
+    api.put(`/merchant-aliases/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/merchant-aliases/${id}`)
+};
+
+// Vendor Template API (company admins)
+export const vendorTemplateAPI = {
+  getAll: () => 
+    api.get('/vendor-templates'),
+  
+  create: (data) => 
+    api.post('/vendor-templates', data),
+  
+  update: (id, data) => 
+    api.put(`/vendor-templates/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/vendor-templates/${id}`),
+  
+  // Run a saved (templateId) or unsaved (template) template against a receipt
+  test: (data) => 
+    api.post('/vendor-templates/test', data)
+};
+
+// Exchange Rate API (company admins)
+export const exchangeRateAPI = {
+  getAll: () => 
+    api.get('/exchange-rates'),
+  
+  setHomeCurrency: (currency) => 
+    api.put('/exchange-rates/home-currency', { currency }),
+  
+  // CSV with Date, From, To and Rate columns
+  importCSV: (file) => {
+    const formData = new FormData();
+    formData.append('csvFile', file);
+    return api.post('/exchange-rates/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  
+  delete: (id) => 
+    api.delete(`/exchange-rates/${id}`)
+};
+
+// Expense Report API
+export const expenseReportAPI = {
+  // mine=1 for your own reports, awaiting=1 for the ones waiting for your approval
+  getAll: (params = {}) => 
+    api.get('/expense-reports', { params }),
+  
+  getById: (id) => 
+    api.get(`/expense-reports/${id}`),
+  
+  create: (data) => 
+    api.post('/expense-reports', data),
+  
+  update: (id, data) => 
+    api.put(`/expense-reports/${id}`, data),
+  
+  delete: (id) => 
+    api.delete(`/expense-reports/${id}`),
+  
+  getAvailableTransactions: (id) => 
+    api.get(`/expense-reports/${id}/available-transactions`),
+  
+  addTransactions: (id, transactionIds) => 
+    api.post(`/expense-reports/${id}/transactions`, { transactionIds }),
+  
+  removeTransaction: (id, transactionId) => 
+    api.delete(`/expense-reports/${id}/transactions/${transactionId}`),
+  
+  submit: (id) => 
+    api.post(`/expense-reports/${id}/submit`),
+  
+  approve: (id, comment) => 
+    api.post(`/expense-reports/${id}/approve`, { comment }),
+  
+  reject: (id, comment) => 
+    api.post(`/expense-reports/${id}/reject`, { comment }),
+  
+  returnReport: (id, comment) => 
+    api.post(`/expense-reports/${id}/return`, { comment }),
+  
+  downloadPDF: (id) => 
+    api.get(`/expense-reports/${id}/pdf`, {
+      responseType: 'blob'
+    })
+};
+
+// Approval Chain API: steps are managed by company admins, delegations by
+// each approver for themselves
+export const approvalChainAPI = {
+  getSteps: () => 
+    api.get('/approval-chain/steps'),
+  
+  createStep: (data) => 
+    api.post('/approval-chain/steps', data),
+  
+  updateStep: (id, data) => 
+    api.put(`/approval-chain/steps/${id}`, data),
+  
+  deleteStep: (id) => 
+    api.delete(`/approval-chain/steps/${id}`),
+  
+  getMembers: () => 
+    api.get('/approval-chain/members'),
+  
+  getDelegations: () => 
+    api.get('/approval-chain/delegations'),
+  
+  createDelegation: (data) => 
+    api.post('/approval-chain/delegations', data),
+  
+  deleteDelegation: (id) => 
+    api.delete(`/approval-chain/delegations/${id}`)
+};
+
 // Export API
 export const exportAPI = {
   getOptions: () => 